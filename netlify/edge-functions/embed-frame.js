@@ -0,0 +1,13 @@
+/**
+ * Let any page frame /embed/* (see netlify.toml)
+ *
+ * Every other path keeps the site-wide frame-ancestors 'none'; here the
+ * response's framing headers are replaced rather than added to, since
+ * Netlify would otherwise join both policies and still deny framing.
+ */
+export default async (request, context) => {
+  const response = await context.next();
+  response.headers.delete('X-Frame-Options');
+  response.headers.set('Content-Security-Policy', 'frame-ancestors *');
+  return response;
+};
@@ -0,0 +1,194 @@
+/**
+ * Build Script: Search Index
+ * Builds the inverted index behind the search overlay (src/utils/search.js)
+ * from vault notes, Explorer sections, references.json and the simulation
+ * registry. Notes are split at their headings so results deep-link to the
+ * matching heading. Note text is only indexed, not stored: the index ships
+ * a short excerpt per note document, so the readable vault stays in the
+ * per-note content chunks.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tokenize, splitNoteSections, toPlainText } from '../src/utils/search.js';
+import { slugifyHeading } from '../src/utils/vaultContent.js';
+import { SECTIONS, getSectionById } from '../src/data/sections.js';
+import { SIMULATIONS } from '../src/data/simulations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const INDEX_PATH = path.resolve(__dirname, '../src/data/search-index.json');
+const REFERENCES_PATH = path.resolve(__dirname, '../src/data/references.json');
+
+// Field weights: a hit in a title outranks one in the surrounding context
+// (parent note, aliases, authors), which outranks one in the body
+const FIELD_BOOSTS = { title: 3, context: 1.5, text: 1 };
+
+// Note documents keep this much of their text for the results list; the
+// snippet around a match is cut from the note's content chunk instead
+const EXCERPT_LENGTH = 160;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Documents for one vault note, one per heading section
+ * (text is only used for scoring; see toStoredDoc)
+ */
+function getNoteDocs(id, note) {
+  return splitNoteSections(note.content)
+    .map(({ heading, text }) => {
+      const slug = heading ? slugifyHeading(heading) : null;
+      return {
+        id: slug ? `${id}#${slug}` : id,
+        noteId: id,
+        slug,
+        type: 'note',
+        title: heading ? toPlainText(heading) : note.title,
+        context: heading ? note.title : (note.aliases || []).join(', '),
+        folder: note.folder,
+        url: `/vault/${id}${slug ? `#${encodeURIComponent(slug)}` : ''}`,
+        text
+      };
+    });
+}
+
+/**
+ * Documents for the Explorer sections
+ */
+function getSectionDocs() {
+  return SECTIONS.map(section => ({
+    id: `section:${section.id}`,
+    type: 'section',
+    title: section.number ? `${section.number}. ${section.title}` : section.title,
+    context: 'Explorer',
+    folder: null,
+    url: `/explore/${section.slug}`,
+    text: section.subtitle || ''
+  }));
+}
+
+/**
+ * Documents for the bibliography, linked to the first section citing them
+ */
+function getReferenceDocs() {
+  if (!fs.existsSync(REFERENCES_PATH)) return [];
+
+  const references = JSON.parse(fs.readFileSync(REFERENCES_PATH, 'utf-8'));
+  return Object.values(references).map(ref => {
+    const section = SECTIONS.find(s => s.references?.includes(ref.id));
+    const external = ref.doi ? `https://doi.org/${ref.doi}` : ref.url || null;
+
+    return {
+      id: `reference:${ref.id}`,
+      type: 'reference',
+      title: ref.title,
+      context: `${ref.authors.join('; ')} (${ref.year})`,
+      folder: null,
+      url: section ? `/explore/${section.slug}#ref-${ref.id}` : external,
+      text: [ref.journal || ref.publisher, ...(ref.tags || [])].filter(Boolean).join(' · ')
+    };
+  });
+}
+
+/**
+ * Documents for the simulation registry, linked to the first section
+ * showing them (or their standalone /sims/:simId page)
+ */
+function getSimulationDocs() {
+  return Object.entries(SIMULATIONS).map(([simId, sim]) => {
+    const section = getSectionById(sim.sections[0]);
+
+    return {
+      id: `simulation:${simId}`,
+      type: 'simulation',
+      title: sim.title,
+      context: simId,
+      folder: null,
+      url: section ? `/explore/${section.slug}` : `/sims/${simId}`,
+      text: [sim.description, sim.instructions, ...sim.tags].filter(Boolean).join(' ')
+    };
+  });
+}
+
+/**
+ * A document as stored in the index: note documents swap their text for
+ * an excerpt; the others' text (registry and reference metadata) is short
+ */
+function toStoredDoc(doc) {
+  if (doc.type !== 'note') return doc;
+
+  const { text, ...stored } = doc;
+  const excerpt = text.length > EXCERPT_LENGTH
+    ? `${text.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`
+    : text;
+  return { ...stored, excerpt };
+}
+
+/**
+ * Build the inverted index with BM25 scores precomputed per posting
+ * Stubs (drafts and embargoed notes) are left out
+ */
+export function buildSearchIndex(notes) {
+  const docs = [
+    ...Object.entries(notes).filter(([, note]) => !note.stub).flatMap(([id, note]) => getNoteDocs(id, note)),
+    ...getSectionDocs(),
+    ...getReferenceDocs(),
+    ...getSimulationDocs()
+  ];
+
+  // Field-weighted term frequencies per document
+  const frequencies = docs.map(doc => {
+    const counts = new Map();
+    let length = 0;
+    for (const [field, boost] of Object.entries(FIELD_BOOSTS)) {
+      for (const term of tokenize(doc[field])) {
+        counts.set(term, (counts.get(term) || 0) + boost);
+        length += boost;
+      }
+    }
+    return { counts, length };
+  });
+
+  const averageLength = frequencies.reduce((sum, { length }) => sum + length, 0) / (docs.length || 1);
+  const postings = {};
+
+  frequencies.forEach(({ counts }, docIndex) => {
+    for (const term of counts.keys()) {
+      (postings[term] ||= []).push(docIndex);
+    }
+  });
+
+  const terms = {};
+  for (const term of Object.keys(postings).sort()) {
+    const docIndexes = postings[term];
+    const idf = Math.log(1 + (docs.length - docIndexes.length + 0.5) / (docIndexes.length + 0.5));
+
+    terms[term] = docIndexes.flatMap(docIndex => {
+      const { counts, length } = frequencies[docIndex];
+      const tf = counts.get(term);
+      const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / averageLength));
+      return [docIndex, Math.round(score * 1000) / 1000];
+    });
+  }
+
+  return {
+    docs: docs.map(toStoredDoc),
+    terms,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Write the search index atomically (Vite hot-reloads it in watch mode)
+ */
+export function writeSearchIndex(index) {
+  const tempPath = `${INDEX_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(INDEX_PATH), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(index));
+  fs.renameSync(tempPath, INDEX_PATH);
+  return index;
+}
@@ -4,12 +4,74 @@
  * Build Script: Vault Manifest Generator
  * Scans Obsidian vault and generates JSON manifest for graph visualization
  * Run with: node scripts/buildVaultManifest.js
+ * Watch mode: node scripts/buildVaultManifest.js --watch
+ * Strict mode: node scripts/buildVaultManifest.js --strict[=categories]
+ *   fails the build when the vault-health report has problems in the
+ *   given categories (see vaultHealth.js; also set via VAULT_STRICT)
+ * History: node scripts/buildVaultManifest.js --history
+ *   dates notes from the vault's git history instead of file times
+ *   (see vaultHistory.js; also set via VAULT_HISTORY)
+ * Reviewer build: node scripts/buildVaultManifest.js --reviewer
+ *   emits drafts and embargoed notes in full (see vaultPublish.js for the
+ *   publish/status/embargo frontmatter; also set via VAULT_REVIEWER)
+ *
+ * Notes declare the Explorer section and simulations they belong to in
+ * frontmatter (section:, demos:); the manifest carries the mapping both
+ * ways, and a mapping to a missing section or simulation fails the build
+ * (see vaultDemos.js).
+ *
+ * Each build also snapshots the paper and note index under the release
+ * version (the vault's tag, or package.json's version) for the /changes
+ * view; see vaultReleases.js.
+ *
+ * Parsed notes are cached on disk by path and content hash, so rebuilds
+ * only reparse notes that actually changed. The paper (paper.md) is
+ * compiled from canonical/ by the shared compilePaper module.
+ *
+ * The manifest is an index (titles, links, excerpts, graph, stats); each
+ * note's content lives in a content-hashed chunk under public/vault-content/
+ * that the client fetches only when it renders the note (see vaultLoader.js).
+ * Obsidian %% comments %% are stripped before parsing, so they never ship.
+ * Attachments the notes reference (![[fig.png]], ![](x.svg)) are copied to
+ * public/vault-assets/ and the references rewritten (see vaultAttachments.js).
  */
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import matter from 'gray-matter';
+import { compilePaper, writePaper } from './compilePaper.js';
+import {
+  buildHealthReport,
+  writeHealthReport,
+  printHealthReport,
+  parseStrictCategories,
+  getStrictFailures
+} from './vaultHealth.js';
+import { buildSearchIndex, writeSearchIndex } from './buildSearchIndex.js';
+import { parseHistoryFlag, readVaultHistory, summarizeNoteHistory } from './vaultHistory.js';
+import { createAttachmentStore, findAssetUrls, isAttachmentPath, writeAssetIndex } from './vaultAttachments.js';
+import { getVisibility, isEmbargoed, parseReviewerFlag, readPublishFields } from './vaultPublish.js';
+import { updateReleases } from './vaultReleases.js';
+import { buildDemoMap, readDemoFields } from './vaultDemos.js';
+import {
+  extractEmbeds,
+  getEmbedKey,
+  isAttachmentTarget,
+  normalizeNoteId,
+  resolveLink,
+  buildAliasIndex,
+  RELATION_TYPES
+} from '../src/utils/vaultParser.js';
+import {
+  extractHeadingSection,
+  extractHeadings,
+  extractBlocks,
+  extractLinkContexts,
+  extractTextMentions,
+  stripComments
+} from '../src/utils/vaultContent.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,24 +80,89 @@ const __dirname = path.dirname(__filename);
 const VAULT_PATH = process.env.VAULT_SOURCE_FOR_MANIFEST || 
                    path.resolve(__dirname, '../../cognition-dynamics-vault');
 const OUTPUT_PATH = path.resolve(__dirname, '../src/data/vault-manifest.json');
+const CONTENT_DIR = path.resolve(__dirname, '../public/vault-content');
+const CACHE_PATH = path.resolve(__dirname, '../.vault-cache/manifest-cache.json');
+const CACHE_VERSION = 11;
 const EXCLUDE_FOLDERS = ['scratch', '.obsidian', '.git', '.trash'];
+const WATCH_DEBOUNCE_MS = 150;
+// Context snippets kept per backlink; the count still covers every mention
+const MAX_BACKLINK_MENTIONS = 5;
+// Titles and aliases shorter than this are too noisy to look for in prose
+const MIN_MENTION_LENGTH = 3;
+// Edge weight added for each paragraph (in any note) linking both ends
+const CO_CITATION_WEIGHT = 0.5;
+
+// Inline relation fields: "supports:: [[note]]" on its own line, or
+// "[supports:: [[note]]]" inside a sentence (Dataview syntax)
+const INLINE_RELATION_REGEX = new RegExp(
+  `^\\s*(?:[-*+]\\s+)?(${RELATION_TYPES.join('|')})::\\s*(.+)$|\\[(${RELATION_TYPES.join('|')})::\\s*((?:\\[\\[[^\\]]+\\]\\][\\s,]*)+)\\]`,
+  'gim'
+);
+const WIKI_LINK_TARGET_REGEX = /\[\[([^\]|]+)(?:\|[^\]]+)?\]\]/g;
 
 /**
- * Extract wiki-links from markdown content
+ * Normalize a wiki-link target for resolution
+ * Heading and block anchors (note#Heading, note#^block) are dropped
+ */
+function normalizeTarget(target) {
+  return target.replace(/#.*$/, '').trim().toLowerCase().replace(/\.md$/, '');
+}
+
+/**
+ * Extract wiki-links from markdown content (embeds are recorded separately)
  */
 function extractWikiLinks(content) {
-  const regex = /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
+  const regex = /(?<!!)\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
   const links = [];
   let match;
   
   while ((match = regex.exec(content)) !== null) {
     // Store just the target, normalized
-    links.push(match[1].trim().toLowerCase().replace(/\.md$/, ''));
+    const target = normalizeTarget(match[1]);
+    
+    // [[#Heading]] links point inside the same note; [[file.pdf]] is an
+    // attachment, checked by the attachment pipeline instead
+    if (target && !isAttachmentTarget(target)) links.push(target);
   }
   
   return [...new Set(links)]; // Remove duplicates
 }
 
+/**
+ * Read typed relations from frontmatter (supports: [[note]], or a list)
+ * and inline fields (supports:: [[note]], [[other]])
+ * Returns [{ target, type }] with normalized targets
+ */
+function extractRelations(frontmatter, content) {
+  const relations = [];
+  const add = (type, target) => {
+    const normalized = normalizeTarget(target.split('|')[0]);
+    if (normalized && !relations.some(r => r.type === type && r.target === normalized)) {
+      relations.push({ target: normalized, type });
+    }
+  };
+
+  for (const type of RELATION_TYPES) {
+    // YAML reads an unquoted [[note]] as a nested list
+    const values = [frontmatter[type]].flat(Infinity).filter(value => value !== null && value !== undefined);
+    for (const value of values) {
+      const text = String(value);
+      const targets = [...text.matchAll(WIKI_LINK_TARGET_REGEX)].map(match => match[1]);
+      (targets.length ? targets : [text]).forEach(target => add(type, target));
+    }
+  }
+
+  const prose = content.replace(/^```[\s\S]*?^```/gm, '');
+  for (const match of prose.matchAll(INLINE_RELATION_REGEX)) {
+    const type = (match[1] || match[3]).toLowerCase();
+    for (const [, target] of (match[2] || match[4]).matchAll(WIKI_LINK_TARGET_REGEX)) {
+      add(type, target);
+    }
+  }
+
+  return relations;
+}
+
 /**
  * Get excerpt from content, removing markup
  */
@@ -49,6 +176,7 @@ function getExcerpt(content, maxLength = 200) {
     .replace(/`(.*?)`/g, '$1') // Code
     .replace(/\$\$[\s\S]*?\$\$/g, '[Math]') // LaTeX blocks
     .replace(/\$([^$]+)\$/g, '[Math]') // Inline LaTeX
+    .replace(/\s\^[A-Za-z0-9-]+$/gm, '') // Block IDs
     .replace(/\n+/g, ' ') // Normalize whitespace
     .trim();
   
@@ -64,142 +192,677 @@ function extractTitle(content, filename) {
 }
 
 /**
- * Recursively scan vault directory
+ * Hash file content for the parse cache
  */
-function scanVault(vaultPath) {
-  const notes = {};
-  
-  function processDirectory(dirPath, folderName = '') {
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Load the on-disk parse cache, discarding it if it was built
+ * for another vault or by an older version of this script
+ */
+function loadCache(vaultPath) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf-8'));
+    if (cache.version === CACHE_VERSION && cache.vaultPath === vaultPath) {
+      return cache;
+    }
+  } catch {
+    // Missing or unreadable cache - start fresh
+  }
+  return { version: CACHE_VERSION, vaultPath, files: {} };
+}
+
+function saveCache(cache) {
+  fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+  fs.writeFileSync(CACHE_PATH, JSON.stringify(cache));
+}
+
+/**
+ * Derive note ID and folder from a vault-relative path
+ * The ID is the whole path ("concepts/fep/h-omega"), so notes sharing a
+ * basename stay distinct at any depth; the folder is the top-level one.
+ */
+function getNoteLocation(relPath) {
+  const parts = relPath.split(path.sep);
+  const name = parts.pop().replace(/\.md$/, '');
+
+  return {
+    noteId: [...parts, name].join('/'),
+    folderName: parts[0] || ''
+  };
+}
+
+/**
+ * Check whether a vault-relative path is a note we should process
+ */
+function isNotePath(relPath) {
+  return relPath.endsWith('.md') &&
+    !relPath.split(path.sep).some(part => EXCLUDE_FOLDERS.includes(part));
+}
+
+/**
+ * Read frontmatter aliases (aliases: [..], aliases: "x" or alias: x)
+ */
+function getAliases(frontmatter) {
+  const aliases = frontmatter.aliases ?? frontmatter.alias ?? [];
+  return (Array.isArray(aliases) ? aliases : [aliases])
+    .filter(alias => alias !== null && alias !== undefined && String(alias).trim())
+    .map(alias => String(alias).trim());
+}
+
+/**
+ * Parse a single note file into its manifest entry (without backlinks)
+ */
+function parseNote(fullPath, relPath, content, stat) {
+  const { data: frontmatter, content: markdown } = matter(content);
+  // Obsidian %% comments %% are private: drop them before anything is extracted
+  const body = stripComments(markdown);
+  const { noteId, folderName } = getNoteLocation(relPath);
+  const item = path.basename(relPath);
+
+  // Extract metadata
+  const title = frontmatter.title || extractTitle(body, item);
+  const excerpt = getExcerpt(body);
+  const links = extractWikiLinks(body);
+  const embeds = extractEmbeds(body).map(({ target, heading }) => ({
+    target: normalizeTarget(target),
+    heading
+  }));
+
+  return {
+    id: noteId,
+    title,
+    aliases: getAliases(frontmatter),
+    folder: folderName || 'root',
+    path: path.relative(process.cwd(), fullPath),
+    excerpt,
+    content: body, // Include full content for password-protected access
+    links,
+    embeds,
+    relations: extractRelations(frontmatter, body),
+    headings: extractHeadings(body),
+    blocks: extractBlocks(body),
+    linkContexts: extractLinkContexts(body),
+    backlinks: [], // Will be computed in second pass
+    unlinkedMentions: [],
+    wordCount: body.split(/\s+/).length,
+    lastModified: stat.mtime.toISOString(),
+    ...readPublishFields(frontmatter),
+    ...readDemoFields(frontmatter)
+  };
+}
+
+/**
+ * Read a note through the parse cache. Returns the parsed note and
+ * whether it had to be reparsed.
+ */
+function readNote(vaultPath, relPath, cache) {
+  const fullPath = path.join(vaultPath, relPath);
+  const stat = fs.statSync(fullPath);
+  const cached = cache.files[relPath];
+
+  // Unchanged size and mtime - trust the cached parse without reading
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+    return { note: cached.note, changed: false };
+  }
+
+  const content = fs.readFileSync(fullPath, 'utf-8');
+  const hash = hashContent(content);
+
+  if (cached && cached.hash === hash) {
+    cache.files[relPath] = { ...cached, size: stat.size, mtimeMs: stat.mtimeMs };
+    return { note: cached.note, changed: false };
+  }
+
+  const note = parseNote(fullPath, relPath, content, stat);
+  cache.files[relPath] = { hash, size: stat.size, mtimeMs: stat.mtimeMs, note };
+  return { note, changed: true };
+}
+
+/**
+ * Recursively list note files as vault-relative paths
+ */
+function listNoteFiles(vaultPath) {
+  const files = [];
+
+  function processDirectory(dirPath) {
     if (!fs.existsSync(dirPath)) {
       console.warn(`Directory does not exist: ${dirPath}`);
       return;
     }
-    
+
     const items = fs.readdirSync(dirPath);
-    
+
     for (const item of items) {
       const fullPath = path.join(dirPath, item);
       const stat = fs.statSync(fullPath);
-      
+
       if (stat.isDirectory()) {
         // Skip excluded folders
         if (!EXCLUDE_FOLDERS.includes(item)) {
-          processDirectory(fullPath, item);
+          processDirectory(fullPath);
         }
       } else if (item.endsWith('.md')) {
-        try {
-          const content = fs.readFileSync(fullPath, 'utf-8');
-          const { data: frontmatter, content: body } = matter(content);
-          
-          // Generate note ID
-          const noteId = folderName 
-            ? `${folderName}/${item.replace('.md', '')}`
-            : item.replace('.md', '');
-          
-          // Extract metadata
-          const title = frontmatter.title || extractTitle(body, item);
-          const excerpt = getExcerpt(body);
-          const links = extractWikiLinks(body);
-          
-          notes[noteId] = {
-            id: noteId,
-            title,
-            folder: folderName || 'root',
-            path: path.relative(process.cwd(), fullPath),
-            excerpt,
-            content: body, // Include full content for password-protected access
-            links,
-            backlinks: [], // Will be computed in second pass
-            wordCount: body.split(/\s+/).length,
-            lastModified: stat.mtime.toISOString()
-          };
-          
-        } catch (error) {
-          console.warn(`Error processing ${fullPath}:`, error.message);
-        }
+        files.push(path.relative(vaultPath, fullPath));
       }
     }
   }
-  
+
   processDirectory(vaultPath);
-  return notes;
+  return files;
+}
+
+/**
+ * Git history fields for a note at a vault-relative path: the history
+ * summary, and lastModified from the last commit rather than the file time
+ */
+function getHistoryFields(relPath, history) {
+  const commits = history?.get(relPath.split(path.sep).join('/'));
+  if (!commits) return {};
+
+  const summary = summarizeNoteHistory(commits);
+  return { lastModified: summary.modified, history: summary };
+}
+
+/**
+ * Attachment fields for a parsed note: content and blocks with attachment
+ * references rewritten to published assets, plus the targets not found
+ * (kept out of the parse cache, since they depend on the vault's files)
+ */
+function getAttachmentFields(note, relPath, attachments) {
+  if (!attachments) return {};
+
+  const { content, missing } = attachments.rewrite(note.content, relPath);
+  const blocks = Object.fromEntries(
+    Object.entries(note.blocks).map(([id, text]) => [id, attachments.rewrite(text, relPath).content])
+  );
+  return { content, blocks, missingAttachments: missing };
+}
+
+/**
+ * Title-only stand-in for a note the build holds back (a draft, or under
+ * embargo): links to it still resolve and show its status, but it ships
+ * no content and stays out of the graph, search and stats
+ */
+function toStub(note) {
+  return {
+    ...note,
+    excerpt: '',
+    content: '',
+    links: [],
+    embeds: [],
+    relations: [],
+    headings: [],
+    blocks: {},
+    linkContexts: [],
+    wordCount: 0,
+    stub: true
+  };
+}
+
+/**
+ * What the health report knows of a private note: enough to tell links
+ * to it apart from broken ones
+ */
+function toWithheldEntry({ id, title, aliases, folder }) {
+  return { id, title, aliases, folder };
+}
+
+/**
+ * Manifest entry for a parsed note under the build options: null for a
+ * private note, a stub for a draft or embargoed one, otherwise the note
+ * with its history and attachment fields
+ * options: { history, attachments, reviewer } (see scanVault)
+ */
+function toManifestEntry(note, relPath, { history = null, attachments = null, reviewer = false } = {}) {
+  const visibility = getVisibility(note, { reviewer });
+  if (visibility === 'private') return null;
+
+  const entry = { ...note, backlinks: [], ...(note.embargo && { embargoed: isEmbargoed(note) }) };
+  if (visibility === 'stub') return toStub(entry);
+
+  return {
+    ...entry,
+    ...getHistoryFields(relPath, history),
+    ...getAttachmentFields(note, relPath, attachments)
+  };
+}
+
+/**
+ * Scan vault directory, reparsing only notes whose content changed
+ * options:
+ *   history     - the vault's git history (readVaultHistory), or null
+ *   attachments - the attachment store (createAttachmentStore), or null
+ *   reviewer    - emit drafts and embargoed notes in full
+ * Returns { notes, withheld: private notes by ID, reparsed }
+ */
+function scanVault(vaultPath, cache, options = {}) {
+  const notes = {};
+  const withheld = {};
+  const seen = new Set();
+  let reparsed = 0;
+
+  for (const relPath of listNoteFiles(vaultPath)) {
+    try {
+      const { note, changed } = readNote(vaultPath, relPath, cache);
+      const entry = toManifestEntry(note, relPath, options);
+      if (entry) {
+        notes[note.id] = entry;
+      } else {
+        withheld[note.id] = toWithheldEntry(note);
+      }
+      seen.add(relPath);
+      if (changed) reparsed++;
+    } catch (error) {
+      console.warn(`Error processing ${path.join(vaultPath, relPath)}:`, error.message);
+    }
+  }
+
+  // Drop cache entries for deleted files
+  for (const relPath of Object.keys(cache.files)) {
+    if (!seen.has(relPath)) delete cache.files[relPath];
+  }
+
+  return { notes, withheld, reparsed };
+}
+
+/**
+ * Create a link resolver for the current set of notes
+ * Uses the shared client resolution (same folder, shortest path, folder
+ * priority, then aliases and titles) so the build and the UI agree
+ */
+function createResolver(notes) {
+  const { index } = buildAliasIndex(notes);
+  return (target, from) => resolveLink(target, notes, { from, aliasIndex: index });
+}
+
+/**
+ * Find aliases claimed by more than one note
+ */
+function findAliasConflicts(notes) {
+  return buildAliasIndex(notes).conflicts;
+}
+
+/**
+ * Keys a note can be linked by: its ID, basename, aliases and title
+ */
+function getResolutionKeys(note) {
+  return [
+    note.id.toLowerCase(),
+    note.id.split('/').pop().toLowerCase(),
+    ...(note.aliases || []).map(normalizeNoteId),
+    normalizeNoteId(note.title || '')
+  ].filter(Boolean);
+}
+
+/**
+ * List a note's outgoing references: wiki-links, embeds and typed relations
+ */
+function getLinkTargets(note) {
+  return [
+    ...note.links.map(target => ({ target, type: 'link' })),
+    ...(note.embeds || []).map(({ target }) => ({ target, type: 'embed' })),
+    ...(note.relations || []).map(({ target }) => ({ target, type: 'relation' }))
+  ];
+}
+
+/**
+ * Build the backlinks a note contributes, keyed by the note linked to:
+ * { source, count, mentions: [{ embed, heading, anchor, context, highlight }] }
+ * Unresolved links are collected by the vault-health report instead
+ */
+function collectBacklinks(sourceId, note, resolve) {
+  const backlinks = new Map();
+
+  for (const { target } of getLinkTargets(note)) {
+    const resolved = resolve(target, sourceId).id;
+    if (resolved && !backlinks.has(resolved)) {
+      backlinks.set(resolved, { source: sourceId, count: 0, mentions: [] });
+    }
+  }
+
+  for (const { target, embed, heading, anchor, context, highlight } of note.linkContexts || []) {
+    const normalized = normalizeTarget(target);
+    const backlink = normalized && backlinks.get(resolve(normalized, sourceId).id);
+    if (!backlink) continue;
+
+    backlink.count++;
+    if (backlink.mentions.length < MAX_BACKLINK_MENTIONS) {
+      backlink.mentions.push({ embed, heading, anchor, context, highlight });
+    }
+  }
+
+  // Frontmatter relations and links inside code blocks have no context
+  for (const backlink of backlinks.values()) {
+    backlink.count ||= 1;
+  }
+
+  return backlinks;
 }
 
 /**
  * Resolve wiki-link targets and compute backlinks
  */
 function computeBacklinks(notes) {
-  const noteIds = Object.keys(notes);
+  const resolve = createResolver(notes);
   
   for (const [sourceId, note] of Object.entries(notes)) {
-    for (const linkTarget of note.links) {
-      // Try to resolve the target
-      const resolved = noteIds.find(id => 
-        id === linkTarget || 
-        id.endsWith(`/${linkTarget}`) ||
-        id.split('/').pop() === linkTarget
-      );
-      
-      if (resolved) {
-        // Add backlink
-        if (!notes[resolved].backlinks.includes(sourceId)) {
-          notes[resolved].backlinks.push(sourceId);
+    for (const [target, backlink] of collectBacklinks(sourceId, note, resolve)) {
+      notes[target].backlinks.push(backlink);
+    }
+  }
+}
+
+/**
+ * Map each title and alias worth looking for in prose to the note it names
+ * Terms shared by several notes are left out: they can't say which is meant
+ */
+function getMentionTerms(notes) {
+  const owners = new Map();
+
+  for (const [id, note] of Object.entries(notes)) {
+    for (const name of [note.title, ...(note.aliases || [])]) {
+      const term = String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+      if (term.length < MIN_MENTION_LENGTH) continue;
+      if (!owners.has(term)) owners.set(term, new Set());
+      owners.get(term).add(id);
+    }
+  }
+
+  return new Map(
+    [...owners].filter(([, ids]) => ids.size === 1).map(([term, ids]) => [term, [...ids][0]])
+  );
+}
+
+/**
+ * Find plain-text mentions of other notes' titles and aliases and record
+ * them on the mentioned note as unlinkedMentions, shaped like backlinks.
+ * A note that already links to the mentioned note is skipped. Runs over the
+ * whole vault after backlinks: a title or alias change affects every note.
+ */
+function computeUnlinkedMentions(notes) {
+  const terms = getMentionTerms(notes);
+  const termList = [...terms.keys()];
+
+  for (const note of Object.values(notes)) {
+    note.unlinkedMentions = [];
+  }
+
+  for (const [sourceId, note] of Object.entries(notes)) {
+    const found = new Map();
+
+    for (const { term, ...mention } of extractTextMentions(note.content, termList)) {
+      const target = terms.get(term);
+      if (target === sourceId) continue;
+      if (notes[target].backlinks.some(({ source }) => source === sourceId)) continue;
+
+      if (!found.has(target)) found.set(target, { source: sourceId, count: 0, mentions: [] });
+      const entry = found.get(target);
+      entry.count++;
+      if (entry.mentions.length < MAX_BACKLINK_MENTIONS) {
+        entry.mentions.push(mention);
+      }
+    }
+
+    for (const [target, entry] of found) {
+      notes[target].unlinkedMentions.push(entry);
+    }
+  }
+}
+
+/**
+ * Build outgoing graph edges for a single note, one per linked note
+ * type is "embed" when the note is embedded, relation the first typed
+ * relation declared towards it (or null); weights are set by weighEdges.
+ * Links whose basename matches several notes are flagged ambiguous on the
+ * edge and listed in note.ambiguousLinks for the UI
+ */
+function buildNoteEdges(id, note, resolve) {
+  const edges = new Map();
+  note.ambiguousLinks = [];
+
+  for (const { target: linkTarget, type } of getLinkTargets(note)) {
+    const { id: resolved, candidates, ambiguous } = resolve(linkTarget, id);
+
+    if (resolved) {
+      if (!edges.has(resolved)) {
+        edges.set(resolved, {
+          source: id,
+          target: resolved,
+          type: type === 'embed' ? 'embed' : 'link',
+          relation: null,
+          count: 1,
+          weight: 1
+        });
+      }
+      if (ambiguous) edges.get(resolved).ambiguous = true;
+    }
+
+    if (ambiguous && !note.ambiguousLinks.some(link => link.target === linkTarget)) {
+      note.ambiguousLinks.push({ target: linkTarget, resolved, candidates });
+    }
+  }
+
+  for (const { target, type } of note.relations || []) {
+    const edge = edges.get(resolve(target, id).id);
+    if (edge && !edge.relation) edge.relation = type;
+  }
+
+  return [...edges.values()];
+}
+
+/**
+ * Weight every edge by how often the source links its target (count),
+ * plus CO_CITATION_WEIGHT for each paragraph in the vault linking both
+ * notes. Runs over the whole graph: co-citations span notes.
+ */
+function weighEdges(notes, edges) {
+  const resolve = createResolver(notes);
+  const coCitations = new Map();
+
+  for (const [id, note] of Object.entries(notes)) {
+    const blocks = new Map();
+    for (const { target, block } of note.linkContexts || []) {
+      const normalized = normalizeTarget(target);
+      const resolved = normalized && resolve(normalized, id).id;
+      if (!resolved) continue;
+      if (!blocks.has(block)) blocks.set(block, new Set());
+      blocks.get(block).add(resolved);
+    }
+
+    for (const linked of blocks.values()) {
+      const ids = [...linked].sort();
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+          const key = `${ids[i]}\n${ids[j]}`;
+          coCitations.set(key, (coCitations.get(key) || 0) + 1);
         }
-      } else {
-        // Track orphan links for debugging
-        console.warn(`Orphan link: "${linkTarget}" in ${sourceId}`);
       }
     }
   }
+
+  for (const edge of edges) {
+    const backlink = notes[edge.target].backlinks.find(({ source }) => source === edge.source);
+    const key = [edge.source, edge.target].sort().join('\n');
+    edge.count = backlink?.count || 1;
+    edge.weight = edge.count + CO_CITATION_WEIGHT * (coCitations.get(key) || 0);
+  }
+
+  return edges;
+}
+
+/**
+ * Build graph nodes from notes
+ */
+function buildGraphNodes(notes) {
+  return Object.entries(notes).filter(([, note]) => !note.stub).map(([id, note]) => ({
+    id,
+    title: note.title,
+    folder: note.folder,
+    linkCount: note.links.length + note.backlinks.length,
+    wordCount: note.wordCount,
+    lastModified: note.lastModified
+  }));
 }
 
 /**
  * Build graph data structure
  */
 function buildGraphData(notes) {
-  const nodes = [];
+  const resolve = createResolver(notes);
   const edges = [];
-  const nodeIds = new Set(Object.keys(notes));
   
   for (const [id, note] of Object.entries(notes)) {
-    nodes.push({
-      id,
-      title: note.title,
-      folder: note.folder,
-      linkCount: note.links.length + note.backlinks.length,
-      wordCount: note.wordCount
-    });
-    
-    // Add edges for resolved links
-    for (const linkTarget of note.links) {
-      const resolved = Object.keys(notes).find(nid => 
-        nid === linkTarget || 
-        nid.endsWith(`/${linkTarget}`) ||
-        nid.split('/').pop() === linkTarget
-      );
-      
-      if (resolved && nodeIds.has(resolved)) {
-        edges.push({ 
-          source: id, 
-          target: resolved,
-          weight: 1 // Could be enhanced with link frequency
-        });
+    // Add edges for resolved links (stubs stay out of the graph)
+    edges.push(...buildNoteEdges(id, note, resolve).filter(edge => !notes[edge.target].stub));
+  }
+  
+  return { nodes: buildGraphNodes(notes), edges: weighEdges(notes, edges) };
+}
+
+/**
+ * Find notes whose links could resolve differently after notes were
+ * added, removed, renamed or re-aliased - i.e. notes linking by one of
+ * the given resolution keys
+ */
+function findLinkersOf(notes, keys) {
+  const linkers = new Set();
+
+  for (const [id, note] of Object.entries(notes)) {
+    if (getLinkTargets(note).some(({ target }) => {
+      const normalized = normalizeNoteId(target);
+      return keys.has(normalized) || keys.has(normalized.split('/').pop());
+    })) {
+      linkers.add(id);
+    }
+  }
+
+  return linkers;
+}
+
+/**
+ * Incrementally update backlinks and graph edges after some notes changed.
+ * Only links whose source is affected are re-resolved.
+ */
+function updateLinkGraph(manifest, { changed, added, removed, keys }) {
+  const { notes, graph } = manifest;
+  const resolve = createResolver(notes);
+
+  const affected = new Set([...changed, ...added]);
+  if (keys.size) {
+    for (const id of findLinkersOf(notes, keys)) {
+      affected.add(id);
+    }
+  }
+
+  // Drop edges from affected sources and edges into removed notes
+  const removedSet = new Set(removed);
+  graph.edges = graph.edges.filter(edge => 
+    !affected.has(edge.source) && !removedSet.has(edge.source) && !removedSet.has(edge.target)
+  );
+
+  // Drop stale backlinks
+  for (const note of Object.values(notes)) {
+    note.backlinks = note.backlinks.filter(({ source }) => 
+      !affected.has(source) && !removedSet.has(source)
+    );
+  }
+
+  // Re-resolve affected sources
+  for (const sourceId of affected) {
+    const note = notes[sourceId];
+    if (!note) continue;
+
+    graph.edges.push(...buildNoteEdges(sourceId, note, resolve).filter(edge => !notes[edge.target].stub));
+
+    for (const [target, backlink] of collectBacklinks(sourceId, note, resolve)) {
+      notes[target].backlinks.push(backlink);
+    }
+  }
+
+  weighEdges(notes, graph.edges);
+  graph.nodes = buildGraphNodes(notes);
+  return affected;
+}
+
+/**
+ * Get the embeds reachable from a note, or from one heading section of it
+ */
+function getSectionEmbeds(note, heading) {
+  if (!heading) return note.embeds || [];
+
+  const section = extractHeadingSection(note.content, heading);
+  if (!section) return [];
+
+  return extractEmbeds(section).map(embed => 
+    note.embeds.find(e => 
+      e.target === normalizeTarget(embed.target) && e.heading === embed.heading
+    )
+  ).filter(Boolean);
+}
+
+/**
+ * Detect embed cycles (A embeds B embeds A) and warn about each one
+ * The renderer stops them itself (SectionMarkdownViewer's embedAncestors),
+ * so nothing is written into the manifest
+ */
+function detectEmbedCycles(notes) {
+  const noteIds = Object.keys(notes);
+  const resolve = createResolver(notes);
+  const cycles = [];
+  const done = new Set();
+
+  function visit(noteId, heading, stack) {
+    const key = getEmbedKey(noteId, heading);
+    if (done.has(key)) return;
+
+    stack.push(key);
+    for (const embed of getSectionEmbeds(notes[noteId], heading)) {
+      const resolved = resolve(embed.target, noteId).id;
+      if (!resolved) continue;
+
+      const targetKey = getEmbedKey(resolved, embed.heading);
+      const cycleStart = stack.indexOf(targetKey);
+
+      if (cycleStart !== -1) {
+        cycles.push([...stack.slice(cycleStart), targetKey]);
+      } else {
+        visit(resolved, embed.heading, stack);
       }
     }
+    stack.pop();
+    done.add(key);
   }
-  
-  return { nodes, edges };
+
+  for (const noteId of noteIds) {
+    visit(noteId, null, []);
+  }
+
+  for (const cycle of cycles) {
+    console.warn(`Embed cycle stopped: ${cycle.join(' → ')}`);
+  }
+
+  return cycles;
 }
 
 /**
- * Generate folder statistics
+ * Generate folder statistics (published notes only; stubs are counted
+ * separately)
  */
 function generateStats(notes) {
   const folders = {};
   let totalWords = 0;
   let totalLinks = 0;
+  let stubs = 0;
   
   for (const note of Object.values(notes)) {
+    if (note.stub) {
+      stubs++;
+      continue;
+    }
+    
     const folder = note.folder;
     if (!folders[folder]) {
       folders[folder] = { count: 0, words: 0, links: 0 };
@@ -214,7 +877,8 @@ function generateStats(notes) {
   }
   
   return {
-    totalNotes: Object.keys(notes).length,
+    totalNotes: Object.keys(notes).length - stubs,
+    stubs,
     totalWords,
     totalLinks,
     folders,
@@ -222,69 +886,428 @@ function generateStats(notes) {
   };
 }
 
+/**
+ * Assemble the manifest object
+ * withheld (private notes) is build-only and never reaches the client index
+ */
+function createManifest(notes, graph, { vaultPath, aliasConflicts = {}, withheld = {}, reviewer = false }) {
+  return {
+    notes,
+    graph,
+    aliasConflicts,
+    withheld,
+    demos: buildDemoMap(notes),
+    stats: generateStats(notes),
+    meta: {
+      version: '2.0.0',
+      generatedAt: new Date().toISOString(),
+      vaultPath,
+      reviewer
+    }
+  };
+}
+
+/**
+ * Write each note's content to a chunk named by its hash and remove chunks
+ * no note references any more. Unchanged notes keep their file (and URL),
+ * so browsers can cache chunks forever.
+ * Returns { noteId: chunk file name }
+ */
+function writeContentChunks(notes) {
+  fs.mkdirSync(CONTENT_DIR, { recursive: true });
+
+  const chunks = {};
+  for (const [id, note] of Object.entries(notes)) {
+    if (note.stub) continue;
+    const chunk = JSON.stringify({ id, content: note.content, blocks: note.blocks });
+    const fileName = `${hashContent(chunk).slice(0, 12)}.json`;
+    const chunkPath = path.join(CONTENT_DIR, fileName);
+
+    if (!fs.existsSync(chunkPath)) {
+      fs.writeFileSync(chunkPath, chunk);
+    }
+    chunks[id] = fileName;
+  }
+
+  const current = new Set(Object.values(chunks));
+  for (const fileName of fs.readdirSync(CONTENT_DIR)) {
+    if (fileName.endsWith('.json') && !current.has(fileName)) {
+      fs.unlinkSync(path.join(CONTENT_DIR, fileName));
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Build the client index: every note without its content, plus the chunk
+ * holding that content (link contexts and relations only feed backlinks
+ * and graph edges, missing attachments the health report; stubs have no
+ * chunk)
+ */
+function createIndex(manifest, chunks) {
+  const notes = {};
+  for (const [id, note] of Object.entries(manifest.notes)) {
+    const entry = { ...note, chunk: chunks[id] };
+    delete entry.content;
+    delete entry.blocks;
+    delete entry.linkContexts;
+    delete entry.relations;
+    delete entry.missingAttachments;
+    delete entry.publish;
+    delete entry.section;
+    delete entry.demos;
+    notes[id] = entry;
+  }
+
+  // The client gets the derived mapping; its errors are in the health report
+  const { notes: demoNotes, sections: demoSections } = manifest.demos;
+  const index = { ...manifest, notes, demos: { notes: demoNotes, sections: demoSections } };
+  delete index.withheld;
+  return index;
+}
+
+/**
+ * Write content chunks, then the index atomically so Vite's watcher never
+ * sees a half-written file (chunks go first so the index never points at
+ * a missing chunk)
+ */
+function writeManifest(manifest) {
+  const chunks = writeContentChunks(manifest.notes);
+
+  // Ensure output directory exists
+  const outputDir = path.dirname(OUTPUT_PATH);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const tempPath = `${OUTPUT_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(createIndex(manifest, chunks), null, 2));
+  fs.renameSync(tempPath, OUTPUT_PATH);
+}
+
+/**
+ * Apply a batch of changed vault paths to an in-memory manifest
+ */
+function applyChanges(manifest, relPaths, vaultPath, cache, options = {}) {
+  const changed = [];
+  const added = [];
+  const removed = [];
+  // Resolution keys gained or lost; links using them may now resolve elsewhere
+  const keys = new Set();
+
+  for (const relPath of relPaths) {
+    const { noteId } = getNoteLocation(relPath);
+    const fullPath = path.join(vaultPath, relPath);
+    const previous = manifest.notes[noteId];
+    const previousKeys = previous ? getResolutionKeys(previous) : [];
+
+    const remove = () => {
+      if (!previous) return;
+      previousKeys.forEach(key => keys.add(key));
+      delete manifest.notes[noteId];
+      removed.push(noteId);
+    };
+
+    if (!fs.existsSync(fullPath)) {
+      remove();
+      delete manifest.withheld[noteId];
+      delete cache.files[relPath];
+      continue;
+    }
+
+    try {
+      const existed = Boolean(manifest.notes[noteId]);
+      const { note, changed: reparsed } = readNote(vaultPath, relPath, cache);
+      if (!reparsed && existed) continue;
+
+      // A note made private leaves the manifest as if it were deleted
+      const entry = toManifestEntry(note, relPath, options);
+      if (!entry) {
+        remove();
+        manifest.withheld[noteId] = toWithheldEntry(note);
+        continue;
+      }
+      delete manifest.withheld[noteId];
+
+      manifest.notes[noteId] = { ...entry, backlinks: previous?.backlinks || [] };
+      (existed ? changed : added).push(noteId);
+
+      const currentKeys = getResolutionKeys(note);
+      // Becoming (or ceasing to be) a stub changes the graph edges into it
+      if (Boolean(previous?.stub) !== Boolean(entry.stub)) {
+        currentKeys.forEach(key => keys.add(key));
+      }
+      for (const key of currentKeys) {
+        if (!previousKeys.includes(key)) keys.add(key);
+      }
+      for (const key of previousKeys) {
+        if (!currentKeys.includes(key)) keys.add(key);
+      }
+    } catch (error) {
+      console.warn(`Error processing ${fullPath}:`, error.message);
+    }
+  }
+
+  if (!changed.length && !added.length && !removed.length) {
+    return null;
+  }
+
+  const affected = updateLinkGraph(manifest, { changed, added, removed, keys });
+  computeUnlinkedMentions(manifest.notes);
+  detectEmbedCycles(manifest.notes);
+  manifest.aliasConflicts = findAliasConflicts(manifest.notes);
+  manifest.demos = buildDemoMap(manifest.notes);
+  manifest.stats = generateStats(manifest.notes);
+  manifest.meta.generatedAt = new Date().toISOString();
+
+  return { changed, added, removed, affected };
+}
+
+/**
+ * Release snapshot of a vault tree for vaultReleases.js: the compiled
+ * paper and its sections, the published notes with a content hash, and
+ * the graph edges. Attachment references stay as written, so snapshots
+ * of different trees compare cleanly.
+ */
+function snapshotVault(vaultPath, cache, { reviewer }) {
+  const { paper, sections } = compilePaper(vaultPath, { attachments: null, reviewer, quiet: true });
+  const { notes } = scanVault(vaultPath, cache, { reviewer });
+  const published = Object.values(notes).filter(note => !note.stub);
+
+  return {
+    paper,
+    sections: sections.map(({ noteId, title, heading, content }) => ({ noteId, title, heading, content })),
+    notes: Object.fromEntries(published.map(note => [note.id, {
+      title: note.title,
+      folder: note.folder,
+      words: note.wordCount,
+      hash: hashContent(note.content)
+    }])),
+    edges: buildGraphData(notes).edges.map(({ source, target, type, relation }) => ({ source, target, type, relation }))
+  };
+}
+
+/**
+ * Build and write the vault-health report for a manifest
+ */
+function checkVaultHealth(manifest) {
+  const report = buildHealthReport(manifest.notes, {
+    graph: manifest.graph,
+    aliasIndex: buildAliasIndex(manifest.notes).index,
+    aliasConflicts: manifest.aliasConflicts,
+    privateNotes: manifest.withheld,
+    demoErrors: manifest.demos.errors,
+    linkTargets: getLinkTargets
+  });
+  writeHealthReport(report);
+  return report;
+}
+
+/**
+ * Check whether a changed note feeds into the compiled paper
+ */
+function affectsPaper(relPath) {
+  const [folder, item] = relPath.split(path.sep);
+  return folder === 'canonical' || (folder === 'meta' && item === 'bibliography.md');
+}
+
+/**
+ * Re-resolve every note's attachment references from its cached parse,
+ * after attachment files were added, changed or removed
+ */
+function relinkAttachments(manifest, cache, attachments) {
+  attachments.refresh();
+  for (const [relPath, { note }] of Object.entries(cache.files)) {
+    const entry = manifest.notes[note.id];
+    if (entry && !entry.stub) {
+      Object.assign(entry, getAttachmentFields(note, relPath, attachments));
+    }
+  }
+}
+
+/**
+ * URLs of the published assets the manifest's notes and the paper use
+ * (blocks are cut from the note content, so the content covers them)
+ */
+function getReferencedAssets(manifest, paper) {
+  const texts = [paper, ...Object.values(manifest.notes).map(note => note.content || '')];
+  return new Set(texts.flatMap(findAssetUrls));
+}
+
+/**
+ * Watch the vault and incrementally rebuild the manifest on change.
+ * Writing the manifest triggers Vite's HMR for every page importing it.
+ * Git history is the one read at startup; restart to pick up new commits.
+ * options: { history, attachments, reviewer } as for scanVault; paper is
+ * the compiled paper the build started with
+ */
+function watchVault(manifest, vaultPath, cache, options, paper) {
+  const { attachments, reviewer } = options;
+  const pending = new Set();
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const relPaths = [...pending];
+    pending.clear();
+
+    const notePaths = relPaths.filter(isNotePath);
+    const attachmentsChanged = relPaths.some(isAttachmentPath);
+    if (attachmentsChanged) {
+      relinkAttachments(manifest, cache, attachments);
+    }
+
+    if (attachmentsChanged || notePaths.some(affectsPaper)) {
+      ({ paper } = writePaper(vaultPath, { attachments, reviewer }));
+      console.log('📄 Recompiled paper.md');
+    }
+
+    const result = applyChanges(manifest, notePaths, vaultPath, cache, options);
+    if (!result && !attachmentsChanged) return;
+
+    writeManifest(manifest);
+    // An edited or deleted note may have been an asset's last reference
+    attachments.prune(getReferencedAssets(manifest, paper));
+    writeAssetIndex(attachments.assets);
+    saveCache(cache);
+    writeSearchIndex(buildSearchIndex(manifest.notes));
+    printHealthReport(checkVaultHealth(manifest));
+
+    if (!result) {
+      console.log('🖼️  Attachments changed — relinked all notes');
+      return;
+    }
+
+    const summary = [
+      result.changed.length && `${result.changed.length} changed`,
+      result.added.length && `${result.added.length} added`,
+      result.removed.length && `${result.removed.length} removed`
+    ].filter(Boolean).join(', ');
+    console.log(`🔄 ${summary} — relinked ${result.affected.size} notes`);
+  };
+
+  const watcher = fs.watch(vaultPath, { recursive: true }, (eventType, filename) => {
+    if (!filename || !(isNotePath(filename) || isAttachmentPath(filename))) return;
+
+    pending.add(filename);
+    clearTimeout(timer);
+    timer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+  });
+
+  console.log('👀 Watching vault for changes (Ctrl+C to stop)...');
+  return watcher;
+}
+
 /**
  * Main execution
  */
-async function main() {
+async function main({
+  watch = process.argv.includes('--watch'),
+  strict = parseStrictCategories(),
+  useHistory = parseHistoryFlag(),
+  reviewer = parseReviewerFlag()
+} = {}) {
   console.log('🗂️  Scanning Obsidian vault...');
   console.log(`📁 Vault path: ${VAULT_PATH}`);
+  if (reviewer) {
+    console.log('👓 Reviewer build: drafts and embargoed notes are included');
+  }
   
   if (!fs.existsSync(VAULT_PATH)) {
     console.error(`❌ Vault not found at: ${VAULT_PATH}`);
     process.exit(1);
   }
   
+  // Find attachments (published as notes and the paper reference them)
+  const attachments = createAttachmentStore(VAULT_PATH);
+  
+  // Compile paper
+  console.log('📄 Compiling canonical/ into paper.md...');
+  const { paper } = writePaper(VAULT_PATH, { attachments, reviewer });
+  
+  // Read git history
+  const history = useHistory ? readVaultHistory(VAULT_PATH) : null;
+  if (useHistory) {
+    console.log(history
+      ? `🕰️  Git history: ${history.size} files`
+      : '⚠️  No git repository at the vault path - using file times');
+  }
+  
   // Scan vault
-  const notes = scanVault(VAULT_PATH);
-  console.log(`📝 Found ${Object.keys(notes).length} notes`);
+  const cache = loadCache(VAULT_PATH);
+  const options = { history, attachments, reviewer };
+  const { notes, withheld, reparsed } = scanVault(VAULT_PATH, cache, options);
+  console.log(`📝 Found ${Object.keys(notes).length} notes (${reparsed} reparsed, ${Object.keys(withheld).length} private)`);
   
   // Compute backlinks
   console.log('🔗 Computing backlinks...');
   computeBacklinks(notes);
+  computeUnlinkedMentions(notes);
+  detectEmbedCycles(notes);
+  const aliasConflicts = findAliasConflicts(notes);
   
   // Build graph
   console.log('📊 Building graph data...');
   const graph = buildGraphData(notes);
   console.log(`📈 Graph: ${graph.nodes.length} nodes, ${graph.edges.length} edges`);
   
-  // Generate stats
-  const stats = generateStats(notes);
-  
   // Create manifest
-  const manifest = {
-    notes,
-    graph,
-    stats,
-    meta: {
-      version: '1.0.0',
-      generatedAt: new Date().toISOString(),
-      vaultPath: VAULT_PATH
-    }
-  };
-  
-  // Ensure output directory exists
-  const outputDir = path.dirname(OUTPUT_PATH);
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
+  const manifest = createManifest(notes, graph, { vaultPath: VAULT_PATH, aliasConflicts, withheld, reviewer });
+  const { stats } = manifest;
   
   // Write manifest
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(manifest, null, 2));
+  writeManifest(manifest);
+  saveCache(cache);
   console.log(`✅ Manifest written to: ${OUTPUT_PATH}`);
   
+  // Publish attachments
+  writeAssetIndex(attachments.assets);
+  attachments.prune();
+  console.log(`🖼️  Attachments: ${attachments.assets.length} published (${attachments.fileCount} in vault)`);
+  
+  // Build search index
+  const searchIndex = writeSearchIndex(buildSearchIndex(notes));
+  console.log(`🔎 Search index: ${searchIndex.docs.length} documents, ${Object.keys(searchIndex.terms).length} terms`);
+  
+  // Snapshot this release; other vault trees (tags) get a fresh cache
+  const releases = updateReleases(VAULT_PATH, {
+    reviewer,
+    snapshotVault: treePath => snapshotVault(treePath, treePath === VAULT_PATH ? cache : { files: {} }, { reviewer })
+  });
+  console.log(`🏷️  Release ${releases.current} (${releases.releases.length} snapshots)`);
+  
   // Print summary
   console.log('\n📋 Summary:');
-  console.log(`   Notes: ${stats.totalNotes}`);
+  console.log(`   Notes: ${stats.totalNotes}${stats.stubs ? ` (+${stats.stubs} drafts/embargoed as stubs)` : ''}`);
   console.log(`   Words: ${stats.totalWords.toLocaleString()}`);
   console.log(`   Links: ${stats.totalLinks}`);
   console.log(`   Folders: ${Object.keys(stats.folders).join(', ')}`);
   
+  // Vault health report
+  const report = checkVaultHealth(manifest);
+  console.log('');
+  printHealthReport(report);
+  
+  const failures = getStrictFailures(report, strict || []);
+  if (failures.length && !watch) {
+    console.error(`❌ Build failed: vault has ${failures.map(category => `${report.summary[category]} ${category}`).join(', ')}`);
+    process.exit(1);
+  }
+  
+  if (watch) {
+    watchVault(manifest, VAULT_PATH, cache, options, paper);
+  }
+  
   return manifest;
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
 }
 
-export { main as buildVaultManifest };
\ No newline at end of file
+export { main as buildVaultManifest };
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Build Script: Paper Compiler
+ * Compiles canonical/ notes into a single paper.md plus a section map
+ * Run with: node scripts/compilePaper.js
+ *
+ * Section order and numbering come from canonical frontmatter:
+ *   order: 3     - sort key (defaults to the filename's NN- prefix)
+ *   number: 3    - section number, rendered as a Roman numeral
+ *                  (defaults to the prefix; 00 is unnumbered)
+ *
+ * Content is stripped with the same processVaultContent rules the
+ * Explorer uses, so the paper and the Explorer never disagree.
+ * Obsidian %% comments %% are removed first, and attachment references
+ * point at the published copies in public/vault-assets/. Sections that
+ * are private, drafts or under embargo are left out (drafts and embargoed
+ * sections are kept in a reviewer build; see vaultPublish.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import matter from 'gray-matter';
+import { processVaultContent, stripComments, wikiLinksToText } from '../src/utils/vaultContent.js';
+import { createAttachmentStore } from './vaultAttachments.js';
+import { getVisibility, readPublishFields } from './vaultPublish.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const VAULT_PATH = process.env.VAULT_SOURCE_FOR_MANIFEST ||
+                   path.resolve(__dirname, '../../cognition-dynamics-vault');
+const PAPER_PATH = path.resolve(__dirname, '../src/assets/paper.md');
+const SECTION_MAP_PATH = path.resolve(__dirname, '../src/data/paper-sections.json');
+const PAPER_TITLE = 'Dynamics of Cognition';
+
+// ::sim[id] markers embed simulations in the Explorer; the paper has none
+const SIM_MARKER_LINE = /^::sim\[[^\]]+\](?:\{[^}]*\})?\n?/gm;
+
+const ROMAN_NUMERALS = [
+  [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'],
+  [100, 'C'], [90, 'XC'], [50, 'L'], [40, 'XL'],
+  [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+];
+
+/**
+ * Convert a positive integer to Roman numerals
+ */
+export function toRoman(number) {
+  let remaining = number;
+  let result = '';
+
+  for (const [value, numeral] of ROMAN_NUMERALS) {
+    while (remaining >= value) {
+      result += numeral;
+      remaining -= value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a frontmatter value as an integer, or return null
+ */
+function parseInteger(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Read canonical notes with their paper order and numbering
+ */
+function readCanonicalSections(vaultPath, { attachments, reviewer, log }) {
+  const canonicalDir = path.join(vaultPath, 'canonical');
+  if (!fs.existsSync(canonicalDir)) {
+    throw new Error(`Canonical folder not found: ${canonicalDir}`);
+  }
+
+  const sections = [];
+
+  for (const item of fs.readdirSync(canonicalDir)) {
+    if (!item.endsWith('.md')) continue;
+
+    const raw = fs.readFileSync(path.join(canonicalDir, item), 'utf-8');
+    const { data: frontmatter, content: markdown } = matter(raw);
+    if (getVisibility(readPublishFields(frontmatter), { reviewer }) !== 'full') {
+      log(`  Withholding ${item} (not published)`);
+      continue;
+    }
+
+    const stripped = stripComments(markdown);
+    const content = attachments
+      ? attachments.rewrite(stripped, path.join('canonical', item)).content
+      : stripped;
+    const prefix = parseInteger(item.match(/^(\d+)-/)?.[1]);
+
+    const order = parseInteger(frontmatter.order) ?? prefix;
+    if (order === null) {
+      console.warn(`  Skipping ${item}: no order in frontmatter or filename`);
+      continue;
+    }
+
+    // number: null in frontmatter explicitly unnumbers a section
+    const number = 'number' in frontmatter
+      ? parseInteger(frontmatter.number)
+      : (prefix || null);
+
+    sections.push({
+      noteId: `canonical/${item.replace('.md', '')}`,
+      file: item,
+      order,
+      number,
+      numeral: number ? toRoman(number) : null,
+      title: frontmatter.title || content.match(/^#\s+(.+)$/m)?.[1]?.trim() || item.replace('.md', ''),
+      content
+    });
+  }
+
+  return sections.sort((a, b) => a.order - b.order || a.file.localeCompare(b.file));
+}
+
+/**
+ * Markdown as it reads in the paper: wiki-links as plain text, no
+ * simulation markers
+ */
+function toPaperText(markdown) {
+  return wikiLinksToText(markdown).replace(SIM_MARKER_LINE, '');
+}
+
+/**
+ * Extract reference entries from meta/bibliography.md
+ * APA style: alphabetical, no numbers, hanging indent handled by CSS
+ */
+function readBibliography(vaultPath) {
+  const bibliographyPath = path.join(vaultPath, 'meta', 'bibliography.md');
+  if (!fs.existsSync(bibliographyPath)) return [];
+
+  return fs.readFileSync(bibliographyPath, 'utf-8')
+    .split('\n')
+    .filter(line => /^[A-Z]/.test(line) && !line.startsWith('References for'));
+}
+
+/**
+ * Compile canonical sections into paper markdown and a section map whose
+ * entries carry each section's compiled markdown (content)
+ * options: { attachments: the vault's attachment store (created if
+ * omitted; null leaves references as written), reviewer: keep draft and
+ * embargoed sections, quiet: don't log progress }
+ */
+export function compilePaper(vaultPath = VAULT_PATH, {
+  attachments = createAttachmentStore(vaultPath),
+  reviewer = false,
+  quiet = false
+} = {}) {
+  const log = quiet ? () => {} : console.log;
+  const sections = readCanonicalSections(vaultPath, { attachments, reviewer, log });
+  const blocks = [`# ${PAPER_TITLE}`];
+  const sectionMap = [];
+
+  for (const section of sections) {
+    log(`  Adding: ${section.file}`);
+
+    if (section.number) {
+      // Numbered sections get a "## IV. Title" heading and lose their subtitle
+      const heading = `${section.numeral}. ${section.title}`;
+      const content = toPaperText(processVaultContent(section.content));
+      blocks.push(`## ${heading}`, content);
+      sectionMap.push({ ...pickSectionFields(section), heading, content });
+    } else {
+      // Unnumbered front matter (the introduction) keeps its subtitle
+      const content = toPaperText(processVaultContent(section.content, { keepSubtitle: true }));
+      blocks.push(content);
+      sectionMap.push({ ...pickSectionFields(section), heading: null, content });
+    }
+
+    blocks.push('---');
+  }
+
+  const references = readBibliography(vaultPath);
+  if (references.length > 0) {
+    log('  Adding: bibliography.md');
+    blocks.push('## References', ...references);
+  }
+
+  return {
+    paper: toPaperText(blocks.join('\n\n')) + '\n',
+    sections: sectionMap
+  };
+}
+
+function pickSectionFields({ noteId, order, number, numeral, title }) {
+  return { noteId, order, number, numeral, title };
+}
+
+// The section map the client reads leaves out the content (it's in paper.md)
+function pickSectionMapFields({ heading, ...section }) {
+  return { ...pickSectionFields(section), heading };
+}
+
+/**
+ * Compile the paper and write paper.md and the section map
+ */
+export function writePaper(vaultPath = VAULT_PATH, options = {}) {
+  const { paper, sections } = compilePaper(vaultPath, options);
+
+  for (const outputPath of [PAPER_PATH, SECTION_MAP_PATH]) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  }
+
+  fs.writeFileSync(PAPER_PATH, paper);
+  fs.writeFileSync(SECTION_MAP_PATH, JSON.stringify({
+    sections: sections.map(pickSectionMapFields),
+    generatedAt: new Date().toISOString()
+  }, null, 2));
+
+  return { paper, sections };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('📄 Compiling canonical/ into paper.md...');
+  const { sections } = writePaper();
+  console.log(`✅ Paper written to: ${PAPER_PATH} (${sections.length} sections)`);
+}
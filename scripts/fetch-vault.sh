@@ -73,8 +73,14 @@ elif [ -n "$VAULT_GITHUB_TOKEN" ] && [ -n "$VAULT_REPO" ]; then
   # Clean up any previous temp vault
   rm -rf "$TEMP_VAULT"
   
-  # Clone using token
-  git clone --depth 1 \
+  # Clone using token; note history and snapshots of older release tags
+  # (VAULT_HISTORY) need every commit
+  if [ -n "$VAULT_HISTORY" ] && [ "$VAULT_HISTORY" != "false" ]; then
+    CLONE_ARGS=()
+  else
+    CLONE_ARGS=(--depth 1)
+  fi
+  git clone "${CLONE_ARGS[@]}" \
     "https://${VAULT_GITHUB_TOKEN}@github.com/${VAULT_REPO}.git" \
     "$TEMP_VAULT" 2>/dev/null
   
@@ -100,120 +106,29 @@ else
   exit 1
 fi
 
+# Compile paper.md and generate vault manifest for graph visualization
 echo ""
-echo -e "${YELLOW}Compiling canonical/ into paper.md...${NC}"
-
-# Compile canonical files into single paper.md
-PAPER_OUTPUT="$OUTPUT_DIR/paper.md"
-
-# Create a temp file for processing
-TEMP_PAPER=$(mktemp)
-
-# Start with the title
-echo "# Dynamics of Cognition" > "$TEMP_PAPER"
-echo "" >> "$TEMP_PAPER"
-
-# Get introduction content (skip the title and nav links)
-if [ -f "$VAULT_SOURCE/canonical/00-introduction.md" ]; then
-  # Extract content starting from "The Central Thesis" up to the navigation footer
-  # Use awk to properly handle the content extraction
-  awk '
-    /^> A configuration-theoretic account/ { start = 1; print; next }
-    start && /^---$/ { exit }
-    start && /^\*\*Next:/ { exit }
-    start { print }
-  ' "$VAULT_SOURCE/canonical/00-introduction.md" >> "$TEMP_PAPER"
-  echo "" >> "$TEMP_PAPER"
-  echo "---" >> "$TEMP_PAPER"
-  echo "" >> "$TEMP_PAPER"
-fi
-
-# Append each section in order
-for i in 01 02 03 04 05 06 07 08 09 10 11 12; do
-  SECTION_FILE=$(ls "$VAULT_SOURCE/canonical/${i}-"*.md 2>/dev/null | head -1)
-  if [ -f "$SECTION_FILE" ]; then
-    FILENAME=$(basename "$SECTION_FILE")
-    echo "  Adding: $FILENAME"
-    
-    # Convert section title to Roman numerals for paper format
-    case $i in
-      01) NUMERAL="I" ;;
-      02) NUMERAL="II" ;;
-      03) NUMERAL="III" ;;
-      04) NUMERAL="IV" ;;
-      05) NUMERAL="V" ;;
-      06) NUMERAL="VI" ;;
-      07) NUMERAL="VII" ;;
-      08) NUMERAL="VIII" ;;
-      09) NUMERAL="IX" ;;
-      10) NUMERAL="X" ;;
-      11) NUMERAL="XI" ;;
-      12) NUMERAL="XII" ;;
-    esac
-    
-    # Get the title from the file (first # line)
-    TITLE=$(grep -m1 "^# " "$SECTION_FILE" | sed 's/^# //')
-    
-    # Write section header
-    echo "## $NUMERAL. $TITLE" >> "$TEMP_PAPER"
-    echo "" >> "$TEMP_PAPER"
-    
-    # Get content: skip title line, blockquote subtitle, and navigation footer
-    # This extracts everything between the subtitle and the "---" before "See also"
-    awk '
-      /^> [^📐]/ { next }  # Skip blockquote subtitle (but not tutorial links with 📐)
-      /^# / { next }  # Skip title
-      /^---$/ { if (seen_content) exit; next }  # Stop at footer separator
-      /^\*\*See also/ { exit }  # Stop at see also
-      /^\*\*Previous/ { exit }  # Stop at navigation
-      NF { seen_content = 1 }  # Mark that we have seen content
-      seen_content { print }  # Print content lines
-    ' "$SECTION_FILE" >> "$TEMP_PAPER"
-    
-    echo "" >> "$TEMP_PAPER"
-    echo "---" >> "$TEMP_PAPER"
-    echo "" >> "$TEMP_PAPER"
-  fi
-done
+echo -e "${YELLOW}Compiling paper and vault manifest...${NC}"
 
-# Add references from bibliography
-if [ -f "$VAULT_SOURCE/meta/bibliography.md" ]; then
-  echo "  Adding: bibliography.md"
-  echo "## References" >> "$TEMP_PAPER"
-  echo "" >> "$TEMP_PAPER"
-  # Get references (skip any header lines), add blank line between each
-  # APA style: alphabetical, no numbers, hanging indent handled by CSS
-  grep -E "^[A-Z]" "$VAULT_SOURCE/meta/bibliography.md" | grep -v "^References for" | while IFS= read -r line; do
-    echo "$line" >> "$TEMP_PAPER"
-    echo "" >> "$TEMP_PAPER"
-  done
+if ! command -v node >/dev/null 2>&1; then
+  echo -e "${RED}Error: Node.js is required to compile the paper${NC}"
+  exit 1
 fi
 
-# Strip wiki-links: [[target|display]] -> display, [[target]] -> target
-echo ""
-echo -e "${YELLOW}Cleaning wiki-links...${NC}"
-sed -E 's/\[\[([^]|]+)\|([^]]+)\]\]/\2/g; s/\[\[([^]]+)\]\]/\1/g' "$TEMP_PAPER" > "$PAPER_OUTPUT"
-rm "$TEMP_PAPER"
-
-
-
-# Generate vault manifest for graph visualization
-echo ""
-echo -e "${YELLOW}Generating vault manifest for graph visualization...${NC}"
-
-# Update the buildVaultManifest script to use the vault source
-if command -v node >/dev/null 2>&1; then
-  # Set vault path for the manifest generator
-  export VAULT_SOURCE_FOR_MANIFEST="$VAULT_SOURCE"
-  node "$PROJECT_ROOT/scripts/buildVaultManifest.js"
-else
-  echo "  Warning: Node.js not found, skipping manifest generation"
-fi
+# Set vault path for the manifest generator and paper compiler
+export VAULT_SOURCE_FOR_MANIFEST="$VAULT_SOURCE"
+# Extra arguments (e.g. --strict) are passed through to the manifest build
+node "$PROJECT_ROOT/scripts/buildVaultManifest.js" "$@"
 
 echo ""
 echo -e "${GREEN}✓ Vault content ready${NC}"
 echo "  Paper compiled to: src/assets/paper.md"
+echo "  Section map: src/data/paper-sections.json"
 echo "  Graph manifest: src/data/vault-manifest.json"
+echo "  Note content: public/vault-content/"
+echo "  Attachments: public/vault-assets/ (sizes in src/data/vault-assets.json)"
+echo "  Health report: src/data/vault-health.json"
+echo "  Search index: src/data/search-index.json"
 
 # Clean up temp vault if we cloned it
 if [ -d "$TEMP_VAULT" ]; then
@@ -0,0 +1,359 @@
+/**
+ * Build Script: Vault Attachments
+ * Publishes the images, PDFs and other files that notes reference:
+ *   ![[fig-hysteresis.png]]  ![[fig.png|300]]  ![[talk.pdf#page=3]]
+ *   ![](attachments/x.svg)   [slides](files/talk.pdf)
+ *
+ * Referenced files are copied to public/vault-assets/ under content-hashed
+ * names and the references are rewritten to markdown images and links to
+ * those URLs. Image sizes go to src/data/vault-assets.json so pages can
+ * reserve space before an image loads.
+ *
+ * Targets resolve the way Obsidian does: a path relative to the note,
+ * then from the vault root, then a bare file name anywhere in the vault
+ * (closest to the note first).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { isAttachmentTarget } from '../src/utils/vaultParser.js';
+import { mapOutsideCode } from '../src/utils/vaultContent.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ASSETS_DIR = path.resolve(__dirname, '../public/vault-assets');
+const ASSET_INDEX_PATH = path.resolve(__dirname, '../src/data/vault-assets.json');
+const ASSETS_URL = '/vault-assets/';
+const ASSET_URL_REGEX = /\/vault-assets\/[A-Za-z0-9_.-]+/g;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.avif', '.bmp'];
+
+// ![[target#fragment|alias]] and [[target|alias]]
+const WIKI_ATTACHMENT_REGEX = /(!?)\[\[([^\]|#]+)(#[^\]|]*)?(?:\|([^\]]*))?\]\]/g;
+
+// ![alt](path "title") and [text](<path with spaces>)
+const MARKDOWN_LINK_REGEX = /(!?)\[([^\]]*)\]\(\s*(<[^>]+>|[^)\s]+)(\s+"[^"]*")?\s*\)/g;
+
+// Obsidian size suffix in an embed alias: |300 or |300x200
+const SIZE_REGEX = /^\d+(?:x\d+)?$/;
+
+/**
+ * Check whether a vault-relative path is an attachment (any non-note file
+ * outside hidden folders such as .obsidian and .git)
+ */
+export function isAttachmentPath(relPath) {
+  return isAttachmentTarget(relPath) &&
+    !relPath.split(/[\\/]/).some(part => part.startsWith('.'));
+}
+
+/**
+ * List attachment files as vault-relative POSIX paths
+ */
+function listAttachmentFiles(vaultPath) {
+  const files = [];
+
+  function processDirectory(dirPath) {
+    for (const item of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      if (item.name.startsWith('.')) continue;
+
+      const fullPath = path.join(dirPath, item.name);
+      if (item.isDirectory()) {
+        processDirectory(fullPath);
+      } else if (isAttachmentTarget(item.name)) {
+        files.push(path.relative(vaultPath, fullPath).split(path.sep).join('/'));
+      }
+    }
+  }
+
+  processDirectory(vaultPath);
+  return files.sort();
+}
+
+/**
+ * Read an image's intrinsic size from its header
+ * Returns { width, height } or null for formats it cannot read
+ */
+export function readImageSize(buffer, extension) {
+  try {
+    switch (extension) {
+      case '.png':
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case '.gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case '.jpg':
+      case '.jpeg':
+        return readJpegSize(buffer);
+      case '.webp':
+        return readWebpSize(buffer);
+      case '.svg':
+        return readSvgSize(buffer.toString('utf-8'));
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Walk JPEG segments to the start-of-frame marker holding the size
+ */
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function readWebpSize(buffer) {
+  switch (buffer.toString('ascii', 12, 16)) {
+    case 'VP8 ':
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Size from the root <svg> width/height (in px), else from its viewBox
+ */
+function readSvgSize(svg) {
+  const tag = svg.match(/<svg\b[^>]*>/i)?.[0];
+  if (!tag) return null;
+
+  const attribute = name => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+  const length = value => (/^\s*[\d.]+\s*(px)?\s*$/.test(value ?? '') ? Math.round(parseFloat(value)) : null);
+
+  const width = length(attribute('width'));
+  const height = length(attribute('height'));
+  if (width && height) return { width, height };
+
+  const viewBox = attribute('viewBox')?.trim().split(/[\s,]+/).map(Number);
+  if (viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+  return null;
+}
+
+/**
+ * File name for a published asset: readable name plus content hash
+ */
+function getAssetFileName(relPath, content) {
+  const extension = path.extname(relPath).toLowerCase();
+  const name = path.basename(relPath, path.extname(relPath)).replace(/[^A-Za-z0-9_-]+/g, '-') || 'asset';
+  const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+  return `${name}.${hash}${extension}`;
+}
+
+/**
+ * Split an embed alias into alt text and an Obsidian size (|alt|300)
+ */
+function parseEmbedAlias(alias) {
+  const parts = (alias ?? '').split('|').map(part => part.trim());
+  const size = SIZE_REGEX.test(parts[parts.length - 1]) ? parts.pop() : null;
+  return { alt: parts.filter(Boolean).join(' '), size };
+}
+
+/**
+ * Create the attachment store for a vault
+ * resolve(target, from) finds the file a reference from note `from` means,
+ * publish(relPath) copies it to public/vault-assets/ (once per build) and
+ * rewrite(content, from) rewrites every attachment reference in a note.
+ */
+export function createAttachmentStore(vaultPath) {
+  let files = [];
+  let byPath = new Map();
+  let byName = new Map();
+  const published = new Map();
+
+  const refresh = () => {
+    files = listAttachmentFiles(vaultPath);
+    byPath = new Map(files.map(file => [file.toLowerCase(), file]));
+    byName = new Map();
+    for (const file of files) {
+      const name = path.posix.basename(file).toLowerCase();
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(file);
+    }
+    published.clear();
+  };
+
+  const resolve = (target, from = '') => {
+    const clean = target.trim().replace(/^\.?\//, '');
+    const noteDir = path.posix.dirname(from.split(path.sep).join('/'));
+    const relative = path.posix.normalize(path.posix.join(noteDir, clean)).toLowerCase();
+
+    const exact = byPath.get(relative) ?? byPath.get(clean.toLowerCase());
+    if (exact || clean.includes('/')) return exact ?? null;
+
+    // Bare file name: the match closest to the note, then the shortest path
+    const matches = byName.get(clean.toLowerCase()) || [];
+    return [...matches].sort((a, b) =>
+      Number(!a.startsWith(`${noteDir}/`)) - Number(!b.startsWith(`${noteDir}/`)) ||
+      a.split('/').length - b.split('/').length ||
+      a.localeCompare(b)
+    )[0] ?? null;
+  };
+
+  const publish = (relPath) => {
+    if (published.has(relPath)) return published.get(relPath);
+
+    const content = fs.readFileSync(path.join(vaultPath, relPath));
+    const extension = path.extname(relPath).toLowerCase();
+    const fileName = getAssetFileName(relPath, content);
+    const assetPath = path.join(ASSETS_DIR, fileName);
+
+    fs.mkdirSync(ASSETS_DIR, { recursive: true });
+    if (!fs.existsSync(assetPath)) {
+      fs.writeFileSync(assetPath, content);
+    }
+
+    const asset = {
+      url: `${ASSETS_URL}${fileName}`,
+      source: relPath,
+      bytes: content.length,
+      image: IMAGE_EXTENSIONS.includes(extension),
+      ...readImageSize(content, extension)
+    };
+    published.set(relPath, asset);
+    return asset;
+  };
+
+  /**
+   * Markdown for a reference to a published asset: an image for images
+   * (keeping an Obsidian |300 size on the alt text), a link otherwise
+   */
+  const toMarkdown = (asset, { embed, label, size, fragment = '' }) => {
+    const url = `${asset.url}${fragment}`;
+    const text = label || path.posix.basename(asset.source);
+    if (embed && asset.image) {
+      return `![${size ? `${label}|${size}` : label}](${url})`;
+    }
+    return `[${text}](${url})`;
+  };
+
+  const rewrite = (content, from) => {
+    const missing = [];
+
+    const rewriteText = text => text
+      .replace(WIKI_ATTACHMENT_REGEX, (match, bang, target, fragment, alias) => {
+        if (!isAttachmentTarget(target.trim())) return match;
+
+        const relPath = resolve(target, from);
+        if (!relPath) {
+          missing.push(target.trim());
+          return match;
+        }
+
+        const { alt, size } = parseEmbedAlias(alias);
+        const label = alt || (bang ? path.posix.basename(relPath, path.posix.extname(relPath)) : '');
+        return toMarkdown(publish(relPath), { embed: Boolean(bang), label, size, fragment });
+      })
+      .replace(MARKDOWN_LINK_REGEX, (match, bang, label, rawTarget) => {
+        const href = rawTarget.replace(/^<|>$/g, '');
+        const [target, ...fragmentParts] = href.split('#');
+        // Leave URLs, site paths and in-page anchors alone
+        if (!target || /^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('/')) return match;
+
+        let decoded;
+        try {
+          decoded = decodeURI(target);
+        } catch {
+          decoded = target;
+        }
+        if (!isAttachmentTarget(decoded)) return match;
+
+        const relPath = resolve(decoded, from);
+        if (!relPath) {
+          missing.push(decoded);
+          return match;
+        }
+
+        const fragment = fragmentParts.length ? `#${fragmentParts.join('#')}` : '';
+        return toMarkdown(publish(relPath), { embed: Boolean(bang), label, fragment });
+      });
+
+    return { content: mapOutsideCode(content, rewriteText), missing: [...new Set(missing)] };
+  };
+
+  /**
+   * Remove published files no reference uses any more
+   * inUse, when given, holds the asset URLs still referenced (see
+   * findAssetUrls); assets published earlier but missing from it are
+   * dropped too, for rebuilds that only rewrote some notes
+   */
+  const prune = (inUse = null) => {
+    if (inUse) {
+      for (const [relPath, asset] of published) {
+        if (!inUse.has(asset.url)) published.delete(relPath);
+      }
+    }
+    if (!fs.existsSync(ASSETS_DIR)) return;
+    const current = new Set([...published.values()].map(asset => path.posix.basename(asset.url)));
+    for (const fileName of fs.readdirSync(ASSETS_DIR)) {
+      if (!current.has(fileName)) fs.unlinkSync(path.join(ASSETS_DIR, fileName));
+    }
+  };
+
+  refresh();
+
+  return {
+    resolve,
+    publish,
+    rewrite,
+    prune,
+    refresh,
+    get fileCount() {
+      return files.length;
+    },
+    get assets() {
+      return [...published.values()];
+    }
+  };
+}
+
+/**
+ * URLs of the published assets that rewritten text refers to
+ */
+export function findAssetUrls(text) {
+  return text.match(ASSET_URL_REGEX) || [];
+}
+
+/**
+ * Write the asset index the client reads image sizes from:
+ * { assets: { url: { source, bytes, image, width?, height? } } }
+ */
+export function writeAssetIndex(assets) {
+  const index = {
+    assets: Object.fromEntries(assets.map(({ url, ...meta }) => [url, meta])),
+    generatedAt: new Date().toISOString()
+  };
+
+  const tempPath = `${ASSET_INDEX_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(ASSET_INDEX_PATH), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tempPath, ASSET_INDEX_PATH);
+  return index;
+}
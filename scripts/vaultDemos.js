@@ -0,0 +1,99 @@
+/**
+ * Build Script: Note ↔ Demo Mapping
+ * Derives the links between vault notes and the Explorer's interactive
+ * sections from note frontmatter:
+ *   section: free-energy                 - the Explorer section (id or slug)
+ *                                          the note belongs to; a canonical
+ *                                          note with section: is the text
+ *                                          that section shows
+ *   demos: [markov-blanket, free-energy] - simulations that demonstrate it
+ *
+ * A note with demos but no section links to the section that shows its
+ * first demo. Both directions end up in the manifest's demos field:
+ *   notes:    { noteId: { section, simulations } }
+ *   sections: { sectionId: { note: canonical note or null, related: [noteId] } }
+ *
+ * A mapping that names an unknown section or simulation, or a section two
+ * canonical notes claim, is an error that fails the build (see
+ * invalidDemoMappings in vaultHealth.js).
+ */
+
+import { SECTIONS, getSectionById, getSectionBySlug } from '../src/data/sections.js';
+import { SIMULATIONS } from '../src/data/simulations.js';
+
+/**
+ * Read the demo fields from frontmatter: { section, demos }
+ * demos may be a list or a single ID
+ */
+export function readDemoFields(frontmatter) {
+  const demos = frontmatter.demos ?? [];
+  const section = frontmatter.section;
+
+  return {
+    section: section === undefined || section === null || section === '' ? null : String(section).trim(),
+    demos: (Array.isArray(demos) ? demos : [demos])
+      .filter(id => id !== null && id !== undefined && String(id).trim())
+      .map(id => String(id).trim())
+  };
+}
+
+/**
+ * The first Explorer section showing a simulation
+ */
+function findSectionForSimulation(simId) {
+  return getSectionById(SIMULATIONS[simId].sections[0]);
+}
+
+/**
+ * Derive both directions of the mapping from parsed notes
+ * Stubs are checked but left out: they have nothing to link to yet.
+ * Returns { notes, sections, errors: [{ source, field, value, problem }] }
+ */
+export function buildDemoMap(notes) {
+  const mapped = {};
+  const sections = Object.fromEntries(SECTIONS.map(section => [section.id, { note: null, related: [] }]));
+  const errors = [];
+
+  for (const [id, note] of Object.entries(notes).sort(([a], [b]) => a.localeCompare(b))) {
+    if (!note.section && !note.demos?.length) continue;
+
+    const simulations = note.demos.filter(simId => {
+      if (SIMULATIONS[simId]) return true;
+      errors.push({ source: id, field: 'demos', value: simId, problem: 'not in the simulation registry' });
+      return false;
+    });
+
+    let section = null;
+    if (note.section) {
+      section = getSectionById(note.section) || getSectionBySlug(note.section);
+      if (!section) {
+        errors.push({ source: id, field: 'section', value: note.section, problem: 'not an Explorer section' });
+        continue;
+      }
+    } else if (simulations.length) {
+      section = findSectionForSimulation(simulations[0]);
+      if (!section) {
+        errors.push({ source: id, field: 'demos', value: simulations[0], problem: 'not shown by any Explorer section (add section:)' });
+        continue;
+      }
+    } else {
+      continue;
+    }
+
+    if (note.stub) continue;
+
+    mapped[id] = { section: section.id, simulations };
+    sections[section.id].related.push(id);
+
+    if (note.folder === 'canonical' && note.section) {
+      const claimed = sections[section.id].note;
+      if (claimed) {
+        errors.push({ source: id, field: 'section', value: note.section, problem: `already the text of ${claimed}` });
+      } else {
+        sections[section.id].note = id;
+      }
+    }
+  }
+
+  return { notes: mapped, sections, errors };
+}
@@ -0,0 +1,265 @@
+/**
+ * Build Script: Vault Health Report
+ * Collects link and content problems found while building the manifest.
+ * Written next to the manifest as vault-health.json and rendered at /vault-health.
+ *
+ * Categories:
+ *   unresolvedLinks     - wiki-links and embeds that match no note
+ *   ambiguousLinks      - shorthand links whose basename matches several notes
+ *   isolatedNotes       - notes with no links in or out
+ *   emptyNotes          - notes with nothing but a title
+ *   unknownSimulations  - ::sim[id] markers not in the simulation registry
+ *   aliasConflicts      - aliases claimed by more than one note
+ *   unlinkedMentions    - another note's title or alias written as plain text
+ *                         in a note that doesn't link to it
+ *   missingAttachments  - images, PDFs and other files a note references that
+ *                         are not in the vault
+ *   privateLinks        - links to notes marked publish: false, which the
+ *                         build leaves out
+ *   invalidDemoMappings - section: and demos: frontmatter naming an Explorer
+ *                         section or simulation that does not exist (see
+ *                         vaultDemos.js); always fails the build
+ *
+ * Stubs (drafts and embargoed notes, emitted title-only) are not checked.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveNoteId, suggestNoteIds } from '../src/utils/vaultParser.js';
+import { extractSimMarkers } from '../src/utils/vaultContent.js';
+import { SIMULATION_IDS } from '../src/data/simulations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HEALTH_PATH = path.resolve(__dirname, '../src/data/vault-health.json');
+
+export const HEALTH_CATEGORIES = [
+  'unresolvedLinks',
+  'ambiguousLinks',
+  'isolatedNotes',
+  'emptyNotes',
+  'unknownSimulations',
+  'aliasConflicts',
+  'unlinkedMentions',
+  'missingAttachments',
+  'privateLinks',
+  'invalidDemoMappings'
+];
+
+// Categories a bare --strict fails on
+export const DEFAULT_STRICT_CATEGORIES = ['unresolvedLinks', 'unknownSimulations'];
+
+// Categories that fail the build with or without --strict
+export const FATAL_CATEGORIES = ['invalidDemoMappings'];
+
+// Categories whose entries are listed in the build log, not just counted
+const DETAILED_CATEGORIES = [
+  'unresolvedLinks',
+  'unknownSimulations',
+  'aliasConflicts',
+  'missingAttachments',
+  'privateLinks',
+  'invalidDemoMappings'
+];
+
+/**
+ * Check whether a note has any text beyond its headings
+ */
+function isEmptyNote(note) {
+  return !note.content
+    .split('\n')
+    .some(line => line.trim() && !/^#{1,6}\s/.test(line));
+}
+
+/**
+ * Find unresolved and ambiguous link targets across the vault
+ * Ambiguous links are recorded on each note while building graph edges;
+ * links that only resolve to a private note are listed as privateLinks
+ */
+function checkLinks(notes, aliasIndex, linkTargets, privateNotes) {
+  const unresolvedLinks = [];
+  const ambiguousLinks = [];
+  const privateLinks = [];
+
+  for (const [source, note] of Object.entries(notes)) {
+    for (const { target, type } of linkTargets(note)) {
+      if (resolveNoteId(target, notes, { from: source, aliasIndex })) continue;
+
+      // Recorded as written in the linking note: the report ships with the
+      // site and must not reveal private note IDs
+      if (resolveNoteId(target, privateNotes, { from: source })) {
+        privateLinks.push({ source, target, type });
+      } else {
+        unresolvedLinks.push({
+          source,
+          target,
+          type,
+          suggestions: suggestNoteIds(target, notes, { aliasIndex })
+        });
+      }
+    }
+
+    for (const link of note.ambiguousLinks || []) {
+      ambiguousLinks.push({ source, ...link });
+    }
+  }
+
+  return { unresolvedLinks, ambiguousLinks, privateLinks };
+}
+
+/**
+ * Flatten the unlinkedMentions recorded on each note into one entry per
+ * source and mentioned note, with the text that matched
+ */
+function collectUnlinkedMentions(notes, noteIds) {
+  return noteIds.flatMap(target =>
+    (notes[target].unlinkedMentions || []).map(({ source, count, mentions }) => ({
+      source,
+      target,
+      count,
+      text: mentions[0] ? mentions[0].context.slice(...mentions[0].highlight) : null
+    }))
+  );
+}
+
+/**
+ * Build the health report for a fully linked set of notes
+ * linkTargets(note) lists a note's outgoing references as { target, type };
+ * demoErrors are the errors buildDemoMap found
+ */
+export function buildHealthReport(notes, { graph, aliasIndex, aliasConflicts = {}, privateNotes = {}, demoErrors = [], linkTargets }) {
+  const { unresolvedLinks, ambiguousLinks, privateLinks } = checkLinks(notes, aliasIndex, linkTargets, privateNotes);
+
+  const linked = new Set();
+  for (const edge of graph.edges) {
+    if (edge.source === edge.target) continue;
+    linked.add(edge.source);
+    linked.add(edge.target);
+  }
+
+  const noteIds = Object.keys(notes).filter(id => !notes[id].stub).sort();
+  const knownSimulations = new Set(SIMULATION_IDS);
+  const unknownSimulations = [];
+
+  for (const id of noteIds) {
+    for (const simId of extractSimMarkers(notes[id].content)) {
+      if (!knownSimulations.has(simId)) {
+        unknownSimulations.push({ source: id, simId });
+      }
+    }
+  }
+
+  const report = {
+    unresolvedLinks,
+    ambiguousLinks,
+    isolatedNotes: noteIds.filter(id => !linked.has(id)),
+    emptyNotes: noteIds.filter(id => isEmptyNote(notes[id])),
+    unknownSimulations,
+    aliasConflicts: Object.entries(aliasConflicts).map(([alias, claimedBy]) => ({ alias, notes: claimedBy })),
+    unlinkedMentions: collectUnlinkedMentions(notes, noteIds),
+    missingAttachments: noteIds.flatMap(id =>
+      (notes[id].missingAttachments || []).map(target => ({ source: id, target }))
+    ),
+    privateLinks,
+    invalidDemoMappings: demoErrors
+  };
+
+  return {
+    summary: Object.fromEntries(HEALTH_CATEGORIES.map(category => [category, report[category].length])),
+    ...report,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Write the health report atomically next to the manifest
+ */
+export function writeHealthReport(report) {
+  const tempPath = `${HEALTH_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(HEALTH_PATH), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(report, null, 2));
+  fs.renameSync(tempPath, HEALTH_PATH);
+}
+
+/**
+ * Describe one report entry on a single line
+ */
+function describeEntry(category, entry) {
+  switch (category) {
+    case 'unresolvedLinks': {
+      const hint = entry.suggestions.length ? ` — did you mean ${entry.suggestions.join(', ')}?` : '';
+      return `"${entry.target}" in ${entry.source}${hint}`;
+    }
+    case 'ambiguousLinks':
+      return `"${entry.target}" in ${entry.source} matches ${entry.candidates.join(', ')} (using ${entry.resolved})`;
+    case 'unknownSimulations':
+      return `::sim[${entry.simId}] in ${entry.source}`;
+    case 'aliasConflicts':
+      return `"${entry.alias}" is claimed by ${entry.notes.join(', ')}`;
+    case 'unlinkedMentions':
+      return `"${entry.text}" in ${entry.source} could link to ${entry.target}${entry.count > 1 ? ` (${entry.count}×)` : ''}`;
+    case 'missingAttachments':
+      return `"${entry.target}" in ${entry.source} is not in the vault`;
+    case 'privateLinks':
+      return `"${entry.target}" in ${entry.source} is a private note`;
+    case 'invalidDemoMappings':
+      return `${entry.field}: ${entry.value} in ${entry.source} is ${entry.problem}`;
+    default:
+      return entry;
+  }
+}
+
+/**
+ * Print the report summary, listing entries for the given categories
+ */
+export function printHealthReport(report, { detailed = DETAILED_CATEGORIES } = {}) {
+  const problems = HEALTH_CATEGORIES.filter(category => report.summary[category] > 0);
+
+  if (!problems.length) {
+    console.log('🩺 Vault health: no problems found');
+    return;
+  }
+
+  console.log('🩺 Vault health:');
+  for (const category of problems) {
+    console.log(`   ${category}: ${report.summary[category]}`);
+    if (detailed.includes(category)) {
+      for (const entry of report[category]) {
+        console.warn(`     - ${describeEntry(category, entry)}`);
+      }
+    }
+  }
+}
+
+/**
+ * Parse --strict / --strict=a,b (or VAULT_STRICT) into categories to fail on
+ * Returns null when strict mode is off
+ */
+export function parseStrictCategories(argv = process.argv, env = process.env) {
+  const flag = argv.find(arg => arg === '--strict' || arg.startsWith('--strict='));
+  if (!flag && !env.VAULT_STRICT) return null;
+
+  const value = flag ? flag.split('=')[1] ?? '' : env.VAULT_STRICT;
+  if (value === 'false') return null;
+
+  if (value === '' || value === 'true') return DEFAULT_STRICT_CATEGORIES;
+  if (value === 'all') return HEALTH_CATEGORIES;
+
+  const categories = value.split(',').map(category => category.trim()).filter(Boolean);
+  const unknown = categories.filter(category => !HEALTH_CATEGORIES.includes(category));
+  if (unknown.length) {
+    throw new Error(`Unknown health categories: ${unknown.join(', ')} (expected ${HEALTH_CATEGORIES.join(', ')})`);
+  }
+
+  return categories;
+}
+
+/**
+ * List the categories that fail the build: the fatal ones, plus the strict
+ * ones when strict mode is on
+ */
+export function getStrictFailures(report, categories = []) {
+  return [...new Set([...FATAL_CATEGORIES, ...categories])].filter(category => report.summary[category] > 0);
+}
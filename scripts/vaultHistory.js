@@ -0,0 +1,114 @@
+/**
+ * Build Script: Vault Git History
+ * Reads per-note history from the vault's git repository: created and
+ * last-modified dates, contributor count and recent commits.
+ *
+ * File mtimes only tell when the vault was checked out (fetch-vault.sh
+ * clones with --depth 1), so history is opt-in: pass --history or set
+ * VAULT_HISTORY, which also makes fetch-vault.sh clone the full history.
+ */
+
+import { execFileSync } from 'child_process';
+
+// Commits listed per note, newest first
+const RECENT_COMMITS = 5;
+
+// Separators for git log output that cannot appear in commit subjects
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+/**
+ * Parse --history / --no-history (or VAULT_HISTORY) into whether to read
+ * git history
+ */
+export function parseHistoryFlag(argv = process.argv, env = process.env) {
+  if (argv.includes('--no-history')) return false;
+  if (argv.includes('--history')) return true;
+  return Boolean(env.VAULT_HISTORY) && env.VAULT_HISTORY !== 'false';
+}
+
+/**
+ * Run git in cwd and return its output (stderr is discarded)
+ */
+export function git(cwd, args) {
+  return execFileSync('git', ['-c', 'core.quotepath=off', ...args], {
+    cwd,
+    encoding: 'utf-8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+}
+
+/**
+ * Read the commits touching every note under vaultPath
+ * Renames are followed, so a note keeps the history of its old names.
+ * Returns Map(vault-relative POSIX path -> commits, newest first), or null
+ * when vaultPath is not inside a git repository.
+ */
+export function readVaultHistory(vaultPath) {
+  let output;
+
+  try {
+    if (git(vaultPath, ['rev-parse', '--is-shallow-repository']).trim() === 'true') {
+      console.warn('⚠️  Vault is a shallow clone: history only covers the fetched commits');
+    }
+
+    output = git(vaultPath, [
+      'log',
+      '--no-merges',
+      '--name-status',
+      '-M',
+      '--relative',
+      `--format=${RECORD_SEPARATOR}%h${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%aN${FIELD_SEPARATOR}%s`,
+      '--',
+      '*.md'
+    ]);
+  } catch {
+    return null;
+  }
+
+  const files = new Map();
+  // Old path -> the path the note has today (log runs newest to oldest)
+  const renames = new Map();
+  const currentPath = filePath => renames.get(filePath) ?? filePath;
+
+  const add = (filePath, commit) => {
+    if (!files.has(filePath)) files.set(filePath, []);
+    files.get(filePath).push(commit);
+  };
+
+  for (const record of output.split(RECORD_SEPARATOR).slice(1)) {
+    const [header, ...lines] = record.split('\n');
+    const [hash, date, author, message] = header.split(FIELD_SEPARATOR);
+    const commit = { hash, date, author, message };
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      const [status, ...paths] = line.split('\t');
+      if (status.startsWith('R')) {
+        const [from, to] = paths;
+        const current = currentPath(to);
+        renames.set(from, current);
+        add(current, commit);
+      } else {
+        add(currentPath(paths[0]), commit);
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Summarize a note's commits (newest first):
+ * { created, modified, contributors, commits: [{ hash, date, author, message }] }
+ */
+export function summarizeNoteHistory(commits) {
+  return {
+    created: commits[commits.length - 1].date,
+    modified: commits[0].date,
+    contributors: new Set(commits.map(commit => commit.author)).size,
+    commits: commits.slice(0, RECENT_COMMITS)
+  };
+}
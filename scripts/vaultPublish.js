@@ -0,0 +1,72 @@
+/**
+ * Build Script: Publish Controls
+ * Decides from a note's frontmatter what the build ships:
+ *   publish: false           - private: never emitted, not even its title
+ *   status: draft            - a title-only stub, left out of the graph,
+ *                              search and the paper
+ *   status: review | stable  - emitted in full, with a status badge
+ *   embargo: 2026-12-01      - a title-only stub until that date
+ *
+ * A reviewer build (--reviewer, or VAULT_REVIEWER) emits drafts and
+ * embargoed notes in full so they can be read before release; private
+ * notes stay out of every build.
+ */
+
+export const NOTE_STATUSES = ['draft', 'review', 'stable'];
+
+/**
+ * Parse --reviewer / --no-reviewer (or VAULT_REVIEWER) into whether to
+ * build for reviewers
+ */
+export function parseReviewerFlag(argv = process.argv, env = process.env) {
+  if (argv.includes('--no-reviewer')) return false;
+  if (argv.includes('--reviewer')) return true;
+  return Boolean(env.VAULT_REVIEWER) && env.VAULT_REVIEWER !== 'false';
+}
+
+/**
+ * Normalize an embargo date (YAML dates arrive as Date objects) to
+ * YYYY-MM-DD, or null when missing or invalid
+ */
+function parseEmbargo(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = value instanceof Date ? value : new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    console.warn(`⚠️  Ignoring invalid embargo date: ${value}`);
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read the publish fields from frontmatter: { publish, status, embargo }
+ * Unknown statuses are ignored
+ */
+export function readPublishFields(frontmatter) {
+  const status = String(frontmatter.status ?? '').trim().toLowerCase();
+
+  return {
+    publish: String(frontmatter.publish ?? true).trim().toLowerCase() !== 'false',
+    status: NOTE_STATUSES.includes(status) ? status : null,
+    embargo: parseEmbargo(frontmatter.embargo)
+  };
+}
+
+/**
+ * Check whether an embargo date is still in the future
+ */
+export function isEmbargoed({ embargo }, now = new Date()) {
+  return Boolean(embargo) && new Date(embargo) > now;
+}
+
+/**
+ * How the build emits a note: "full", "stub" (title only) or "private"
+ * (not at all)
+ */
+export function getVisibility(fields, { reviewer = false, now = new Date() } = {}) {
+  if (!fields.publish) return 'private';
+  if (reviewer) return 'full';
+  if (fields.status === 'draft' || isEmbargoed(fields, now)) return 'stub';
+  return 'full';
+}
@@ -0,0 +1,235 @@
+/**
+ * Build Script: Vault Releases
+ * Snapshots the compiled paper and the note index under a version, so the
+ * /changes view can show what changed between any two drafts.
+ *
+ * The current build is saved under the vault's git tag at HEAD (v0.8.0 on
+ * the vault becomes release 0.8.0), or under package.json's version when
+ * HEAD is untagged. Every other tag in the vault's history is rebuilt from
+ * the tagged tree, which needs a full clone (VAULT_HISTORY). Snapshots are
+ * kept in .vault-cache/releases/, so local builds also keep one per
+ * package version.
+ *
+ * Output: public/vault-releases/<version>.json (fetched on demand) and an
+ * index of them in src/data/vault-releases.json.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { git } from './vaultHistory.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PACKAGE_PATH = path.resolve(__dirname, '../package.json');
+const CACHE_DIR = path.resolve(__dirname, '../.vault-cache/releases');
+const RELEASES_DIR = path.resolve(__dirname, '../public/vault-releases');
+const RELEASE_INDEX_PATH = path.resolve(__dirname, '../src/data/vault-releases.json');
+
+// Bump when the snapshot format changes, to rebuild cached tag snapshots
+const SNAPSHOT_VERSION = 1;
+
+const FIELD_SEPARATOR = '\x1f';
+
+/**
+ * Release version for a tag: v0.8.0 -> 0.8.0
+ */
+function toVersion(tag) {
+  return tag.replace(/^v(?=\d)/, '');
+}
+
+/**
+ * Order versions numerically (0.9.0 before 0.10.0)
+ */
+export function compareVersions(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * Snapshot file name for a version (tags may contain slashes)
+ */
+function toFileName(version) {
+  return `${version.replace(/[^\w.-]+/g, '-')}.json`;
+}
+
+/**
+ * The vault's tags: [{ tag, version, commit, date }], or [] when the vault
+ * is not a git repository
+ */
+function listVaultTags(vaultPath) {
+  let output;
+  try {
+    output = git(vaultPath, [
+      'for-each-ref',
+      'refs/tags',
+      `--format=%(refname:short)${FIELD_SEPARATOR}%(objectname)${FIELD_SEPARATOR}%(*objectname)${FIELD_SEPARATOR}%(creatordate:iso-strict)`
+    ]);
+  } catch {
+    return [];
+  }
+
+  return output.split('\n').filter(Boolean).map(line => {
+    // Annotated tags point at a tag object; *objectname is its commit
+    const [tag, object, peeled, date] = line.split(FIELD_SEPARATOR);
+    return { tag, version: toVersion(tag), commit: peeled || object, date };
+  });
+}
+
+/**
+ * Version of the current build: the tag at the vault's HEAD, otherwise
+ * the app's package.json version (with a -draft suffix if a tag already
+ * has that version)
+ * Returns { version, source: "tag" | "package", commit }
+ */
+function getCurrentRelease(vaultPath, tags) {
+  let head = null;
+  try {
+    head = git(vaultPath, ['rev-parse', 'HEAD']).trim();
+  } catch {
+    // Not a git repository
+  }
+
+  const tag = head && tags.find(candidate => candidate.commit === head);
+  if (tag) {
+    return { version: tag.version, source: 'tag', commit: head };
+  }
+
+  const { version } = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf-8'));
+  const taken = tags.some(candidate => candidate.version === version);
+  return { version: taken ? `${version}-draft` : version, source: 'package', commit: head };
+}
+
+/**
+ * Extract the vault as it was at a tag into a temporary directory
+ * Handles vaults that are a subfolder of their repository.
+ */
+function exportTag(vaultPath, tag) {
+  const prefix = git(vaultPath, ['rev-parse', '--show-prefix']).trim();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-release-'));
+
+  const archive = execFileSync('git', ['archive', '--format=tar', `${tag}:${prefix}`], {
+    cwd: vaultPath,
+    maxBuffer: 1024 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  execFileSync('tar', ['-x', '-C', dir], { input: archive });
+
+  return dir;
+}
+
+function readCachedSnapshot(vaultPath, version) {
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, toFileName(version)), 'utf-8'));
+    return snapshot.vaultPath === vaultPath ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cached snapshots of a vault (the cache may hold other vaults' too)
+ */
+function listCachedSnapshots(vaultPath) {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+  return fs.readdirSync(CACHE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(CACHE_DIR, file), 'utf-8')))
+    .filter(snapshot => snapshot.format === SNAPSHOT_VERSION && snapshot.vaultPath === vaultPath);
+}
+
+function saveSnapshot(snapshot) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  fs.writeFileSync(path.join(CACHE_DIR, toFileName(snapshot.version)), JSON.stringify(snapshot));
+}
+
+/**
+ * Snapshot the current vault, rebuild missing tag snapshots and publish
+ * them all with their index
+ * snapshotVault(path) returns { paper, sections, notes, edges } for a
+ * vault tree (see buildVaultManifest.js); reviewer marks snapshots taken
+ * from a reviewer build, which are not reused by other builds.
+ * Returns the index: { current, releases: [{ version, date, source, file, notes, words }] }
+ */
+export function updateReleases(vaultPath, { snapshotVault, reviewer = false }) {
+  const tags = listVaultTags(vaultPath);
+  const current = getCurrentRelease(vaultPath, tags);
+
+  saveSnapshot({
+    format: SNAPSHOT_VERSION,
+    vaultPath,
+    ...current,
+    date: new Date().toISOString(),
+    reviewer,
+    ...snapshotVault(vaultPath)
+  });
+
+  for (const tag of tags) {
+    if (tag.version === current.version) continue;
+
+    const cached = readCachedSnapshot(vaultPath, tag.version);
+    if (cached?.format === SNAPSHOT_VERSION && cached.commit === tag.commit && cached.reviewer === reviewer) {
+      continue;
+    }
+
+    console.log(`  Snapshotting tag ${tag.tag}`);
+    let dir = null;
+    try {
+      dir = exportTag(vaultPath, tag.tag);
+      saveSnapshot({
+        format: SNAPSHOT_VERSION,
+        vaultPath,
+        version: tag.version,
+        source: 'tag',
+        commit: tag.commit,
+        date: tag.date,
+        reviewer,
+        ...snapshotVault(dir)
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not snapshot tag ${tag.tag}: ${error.message}`);
+    } finally {
+      if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  return writeReleases(listCachedSnapshots(vaultPath), current.version);
+}
+
+/**
+ * Write every snapshot to public/vault-releases/ and the index to
+ * src/data/vault-releases.json, oldest release first
+ */
+function writeReleases(snapshots, currentVersion) {
+  fs.rmSync(RELEASES_DIR, { recursive: true, force: true });
+  fs.mkdirSync(RELEASES_DIR, { recursive: true });
+
+  const releases = snapshots
+    .sort((a, b) => compareVersions(a.version, b.version))
+    .map(snapshot => {
+      const file = toFileName(snapshot.version);
+      fs.writeFileSync(path.join(RELEASES_DIR, file), JSON.stringify(snapshot));
+
+      const notes = Object.values(snapshot.notes);
+      return {
+        version: snapshot.version,
+        date: snapshot.date,
+        source: snapshot.source,
+        file,
+        notes: notes.length,
+        words: notes.reduce((sum, note) => sum + note.words, 0)
+      };
+    });
+
+  const index = {
+    current: currentVersion,
+    releases,
+    generatedAt: new Date().toISOString()
+  };
+
+  fs.mkdirSync(path.dirname(RELEASE_INDEX_PATH), { recursive: true });
+  fs.writeFileSync(RELEASE_INDEX_PATH, JSON.stringify(index, null, 2));
+  return index;
+}
@@ -4,6 +4,11 @@ import { PaperPage } from './PaperPage';
 import GraphPage from './pages/GraphPage';
 import NotePage from './pages/NotePage';
 import AboutPage from './pages/AboutPage';
+import VaultHealthPage from './pages/VaultHealthPage';
+import ChangesPage from './pages/ChangesPage';
+import SimsPage from './pages/SimsPage';
+import SimPage from './pages/SimPage';
+import EmbedPage from './pages/EmbedPage';
 import { ConfidentialBanner } from './components/ConfidentialBanner';
 import { SECTIONS, getSectionBySlug } from './data/sections';
 
@@ -14,7 +19,13 @@ import { SECTIONS, getSectionBySlug } from './data/sections';
  * Routes:
  *   / - Paper view (default)
  *   /graph - Knowledge graph visualization
- *   /vault/:noteId - Individual vault notes
+ *   /vault-health - Broken links and other vault problems
+ *   /changes/:from/:to - What changed between two paper releases
+ *   /vault/* - Individual vault notes, by their vault path
+ *   /sims - Gallery of every simulation
+ *   /sims/:simId - A single simulation, full page
+ *   /embed/:simId - A single simulation with no chrome, for iframes (the only
+ *     route other sites may frame; see netlify.toml)
  *   /explore/:section - Interactive beta sections
  * 
  * Includes knowledge graph visualization and vault navigation
@@ -22,6 +33,21 @@ import { SECTIONS, getSectionBySlug } from './data/sections';
 export default function App() {
   return (
     <Router>
+      <Routes>
+        {/* Embedded simulations render without any site chrome */}
+        <Route path="/embed/:simId" element={<EmbedPage />} />
+        <Route path="*" element={<SiteRoutes />} />
+      </Routes>
+    </Router>
+  );
+}
+
+/**
+ * Every other route, under the confidentiality banner
+ */
+function SiteRoutes() {
+  return (
+    <>
       <ConfidentialBanner />
       <div className="app-with-banner">
         <Routes>
@@ -34,15 +60,26 @@ export default function App() {
           {/* About page route */}
           <Route path="/about" element={<AboutPage />} />
           
+          {/* Vault health report route */}
+          <Route path="/vault-health" element={<VaultHealthPage />} />
+          
+          {/* Release diff routes (/changes opens the latest two) */}
+          <Route path="/changes" element={<ChangesPage />} />
+          <Route path="/changes/:fromVersion/:toVersion" element={<ChangesPage />} />
+          
+          {/* Simulation gallery route */}
+          <Route path="/sims" element={<SimsPage />} />
+          <Route path="/sims/:simId" element={<SimPage />} />
+          
           {/* Individual vault note routes */}
-          <Route path="/vault/:folder/:noteId" element={<NotePage />} />
+          <Route path="/vault/*" element={<NotePage />} />
           
           {/* Interactive beta routes */}
           <Route path="/explore" element={<ExplorerRoute />} />
           <Route path="/explore/:sectionSlug" element={<ExplorerRoute />} />
         </Routes>
       </div>
-    </Router>
+    </>
   );
 }
 
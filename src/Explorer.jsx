@@ -1,4 +1,5 @@
-import { useEffect, useState } from 'react';
+import { useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import { Navigation } from './components/Navigation';
 import { getNextSection, getPrevSection } from './data/sections';
 import { Section, SectionHeader, PageNavigation } from './components/Section';
@@ -6,104 +7,44 @@ import { SectionMarkdownViewer } from './components/SectionMarkdownViewer';
 import { SectionSimulations } from './components/SectionSimulations';
 import { Bibliography } from './components/Bibliography';
 import VaultLinks from './components/explorer/VaultLinks';
-
-// Map section IDs to vault note IDs
-const SECTION_TO_VAULT_MAP = {
-  'intro': 'canonical/00-introduction',
-  'free-energy': 'canonical/01-free-energy',
-  'morphogenesis': 'canonical/02-bioelectric',
-  'homeostatic': 'canonical/03-homeostatic',
-  'autopoiesis': 'canonical/04-autopoiesis',
-  'language': 'canonical/05-language',
-  'controllosphere': 'canonical/06-controllosphere',
-  'configuration': 'canonical/07-configuration',
-  'predictions': 'canonical/08-predictions',
-  'nested': 'canonical/09-nested-blankets',
-  'consciousness': 'canonical/10-consciousness',
-  'critique': 'canonical/11-critique',
-  'synthesis': 'canonical/12-synthesis',
-};
-
-/**
- * Process vault content for Explorer display
- */
-function processVaultContent(content) {
-  if (!content) return '';
-  
-  const lines = content.split('\n');
-  let startIndex = 0;
-  
-  // Skip title line (# Title)
-  if (lines[0]?.startsWith('# ')) {
-    startIndex = 1;
-  }
-  
-  // Skip empty lines after title
-  while (startIndex < lines.length && lines[startIndex].trim() === '') {
-    startIndex++;
-  }
-  
-  // Skip subtitle blockquote (> subtitle) but NOT tutorial links (> 📐)
-  if (lines[startIndex]?.startsWith('> ') && !lines[startIndex].includes('📐')) {
-    startIndex++;
-  }
-  
-  // Skip empty lines after subtitle
-  while (startIndex < lines.length && lines[startIndex].trim() === '') {
-    startIndex++;
-  }
-  
-  // Find and remove the footer (everything after --- followed by **See also** or **Previous**)
-  let endIndex = lines.length;
-  for (let i = lines.length - 1; i >= 0; i--) {
-    if (lines[i].startsWith('**See also') || lines[i].startsWith('**Previous') || lines[i].startsWith('**Next:')) {
-      // Find the --- before this
-      for (let j = i - 1; j >= 0; j--) {
-        if (lines[j].trim() === '---') {
-          endIndex = j;
-          break;
-        }
-      }
-      break;
-    }
-  }
-  
-  return lines.slice(startIndex, endIndex).join('\n').trim();
-}
+import { processVaultContent } from './utils/vaultContent';
+import { useVaultIndex, useNoteContent } from './hooks/useVault';
+import { getSectionNoteId } from './utils/demoMapping';
 
 /**
  * Explorer - Main section-based explorer view
  */
 export function Explorer({ currentSection, onNavigate, onReadPaper }) {
-  const [vaultData, setVaultData] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  // Load vault data
-  useEffect(() => {
-    const loadVaultData = async () => {
-      try {
-        const manifestModule = await import('./data/vault-manifest.json');
-        setVaultData(manifestModule.default);
-      } catch (err) {
-        console.warn('Failed to load vault manifest:', err);
-      }
-      setLoading(false);
-    };
-    loadVaultData();
-  }, []);
+  // Load the vault index, then only this section's note content
+  const { vaultData, loading: indexLoading } = useVaultIndex();
+  // The canonical note declaring this section in its frontmatter
+  const vaultNoteId = getSectionNoteId(vaultData, currentSection?.id);
+  const { content: vaultContent, loading: contentLoading } = useNoteContent(
+    vaultNoteId ? vaultData?.notes[vaultNoteId] : null
+  );
+  const loading = indexLoading || contentLoading;
+  const location = useLocation();
 
   // Scroll to top when section changes
   useEffect(() => {
     window.scrollTo({ top: 0, behavior: 'instant' });
   }, [currentSection?.id]);
 
+  // Scroll to the anchor in the URL hash once the section has rendered
+  // (search results link to references as #ref-<id>)
+  useEffect(() => {
+    if (!location.hash || loading) return;
+
+    const anchorId = decodeURIComponent(location.hash.slice(1));
+    const frame = requestAnimationFrame(() => {
+      document.getElementById(anchorId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [currentSection?.id, location.hash, loading]);
+
   const prevSection = getPrevSection(currentSection?.id);
   const nextSection = getNextSection(currentSection?.id);
   
-  // Get vault content for current section
-  const vaultNoteId = SECTION_TO_VAULT_MAP[currentSection?.id];
-  const vaultContent = vaultNoteId ? vaultData?.notes[vaultNoteId]?.content : null;
-  
 
   return (
     <div className="min-h-screen bg-void">
@@ -139,12 +80,13 @@ export function Explorer({ currentSection, onNavigate, onReadPaper }) {
                 key={`md-${currentSection?.id}`}
                 content={processVaultContent(vaultContent)} 
                 vaultData={vaultData}
+                noteId={vaultNoteId}
               />
 
               {/* Render interactive simulations for this section */}
               <SectionSimulations section={currentSection} />
 
-              <VaultLinks sectionSlug={currentSection?.slug} />
+              <VaultLinks vaultData={vaultData} sectionId={currentSection?.id} />
               
               <Bibliography referenceIds={currentSection?.references} />
               
@@ -1,7 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { MarkdownViewer } from './components/MarkdownViewer';
+import SearchOverlay, { SearchButton } from './components/search/SearchOverlay';
 import paperContent from './assets/paper.md?raw';
+import releaseIndex from './data/vault-releases.json';
+import { getPreviousRelease } from './utils/releaseDiff';
+
+const previousRelease = getPreviousRelease(releaseIndex.releases, releaseIndex.current);
 
 /**
  * PaperPage - Pure academic paper view
@@ -11,6 +16,7 @@ export function PaperPage() {
   const navigate = useNavigate();
   const [scrollProgress, setScrollProgress] = useState(0);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
 
   useEffect(() => {
     const handleScroll = () => {
@@ -43,12 +49,26 @@ export function PaperPage() {
           <div className="flex items-center gap-2 sm:gap-3">
             <span className="text-xs sm:text-sm text-text font-display">Dynamics of Cognition</span>
             <span className="hidden sm:inline text-xs text-muted font-mono">
-              Working Draft · v0.1
+              Working Draft · v{releaseIndex.current}
             </span>
+            {previousRelease && (
+              <button
+                onClick={() => navigate(`/changes/${encodeURIComponent(previousRelease.version)}/${encodeURIComponent(releaseIndex.current)}`)}
+                className="hidden sm:inline text-xs text-accent hover:text-accent/80 font-mono"
+                title={`What changed since v${previousRelease.version}`}
+              >
+                What changed
+              </button>
+            )}
           </div>
           
           {/* Desktop navigation */}
           <div className="hidden md:flex items-center gap-2">
+            <SearchButton
+              onClick={() => setSearchOpen(true)}
+              className="px-3 py-1.5 bg-border/10 hover:bg-border/20 text-muted hover:text-text border border-border/30 rounded-lg"
+            />
+
             <button
               onClick={() => navigate('/graph')}
               className="flex items-center gap-2 px-3 py-1.5 bg-accent/10 hover:bg-accent/20 text-accent border border-accent/30 rounded-lg transition-colors text-sm"
@@ -103,6 +123,14 @@ export function PaperPage() {
         {mobileMenuOpen && (
           <div className="md:hidden border-t border-border bg-void/95 backdrop-blur">
             <div className="px-4 py-3 space-y-2">
+              <SearchButton
+                onClick={() => {
+                  setSearchOpen(true);
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full gap-3 px-3 py-2 bg-border/10 hover:bg-border/20 text-muted hover:text-text border border-border/30 rounded-lg"
+              />
+
               <button
                 onClick={() => {
                   navigate('/graph');
@@ -149,6 +177,8 @@ export function PaperPage() {
         )}
       </header>
 
+      <SearchOverlay open={searchOpen} onOpenChange={setSearchOpen} />
+
       {/* Paper content */}
       <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
         <article className="paper-content">
@@ -201,6 +231,17 @@ export function PaperPage() {
                 Interactive Beta
               </button>
 
+              <button
+                onClick={() => navigate('/sims')}
+                className="btn btn-ghost"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                    d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
+                </svg>
+                Simulations
+              </button>
+
               <button
                 onClick={() => navigate('/about')}
                 className="btn btn-ghost"
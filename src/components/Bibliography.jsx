@@ -53,7 +53,7 @@ function ReferenceItem({ reference }) {
   const isBook = type === 'book';
   
   return (
-    <div className="reference-item">
+    <div id={`ref-${reference.id}`} className="reference-item scroll-mt-20">
       <div className="reference-authors">
         {authorString} ({year}).
       </div>
@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * CopyLinkButton - Copies a link that sets a simulation up again
+ *
+ * getLink(withState) resolves to the URL (utils/permalink.js); with "state"
+ * ticked it also carries a snapshot of the run as it is now. Where the
+ * clipboard isn't available the link is shown in a prompt instead.
+ */
+export function CopyLinkButton({ getLink }) {
+  const [withState, setWithState] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!status) return;
+    const timeout = setTimeout(() => setStatus(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [status]);
+
+  const copy = async () => {
+    let url;
+    try {
+      url = await getLink(withState);
+      await navigator.clipboard.writeText(url);
+      setStatus('Copied');
+    } catch (e) {
+      if (url) {
+        window.prompt('Copy this link:', url);
+      } else {
+        console.error('Failed to build link:', e);
+        setStatus('Failed');
+      }
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 font-mono text-xs text-muted">
+      <button
+        onClick={copy}
+        className="flex items-center gap-1 p-1 hover:text-glow transition-colors"
+        title={withState ? 'Copy a link to this run as it is now' : 'Copy a link to this setup (params and seed)'}
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5}
+            d="M10 14a4 4 0 005.66 0l3-3a4 4 0 00-5.66-5.66l-1 1M14 10a4 4 0 00-5.66 0l-3 3a4 4 0 005.66 5.66l1-1" />
+        </svg>
+        <span className={status ? 'text-glow' : ''}>{status || 'Copy link'}</span>
+      </button>
+      <label className="flex items-center gap-1 cursor-pointer" title="Include a snapshot of the current state">
+        <input
+          type="checkbox"
+          checked={withState}
+          onChange={(e) => setWithState(e.target.checked)}
+          className="accent-glow"
+        />
+        <span>state</span>
+      </label>
+    </div>
+  );
+}
@@ -1,7 +1,6 @@
 import ReactMarkdown from 'react-markdown';
-import remarkMath from 'remark-math';
-import remarkGfm from 'remark-gfm';
-import rehypeKatex from 'rehype-katex';
+import { remarkPlugins, rehypePlugins } from '../utils/markdownPlugins';
+import { Callout, CalloutTitle, Highlight, VaultImage } from './ObsidianMarkdown';
 
 /**
  * MarkdownViewer - Styled markdown renderer
@@ -10,8 +9,8 @@ import rehypeKatex from 'rehype-katex';
 export function MarkdownViewer({ content }) {
   return (
     <ReactMarkdown
-      remarkPlugins={[remarkGfm, remarkMath]}
-      rehypePlugins={[rehypeKatex]}
+      remarkPlugins={remarkPlugins}
+      rehypePlugins={rehypePlugins}
       components={{
         h1: ({ children }) => (
           <h1 className="font-display text-3xl sm:text-4xl text-glow font-light leading-tight mb-6 mt-12 first:mt-0">
@@ -132,6 +131,10 @@ export function MarkdownViewer({ content }) {
             {children}
           </td>
         ),
+        img: VaultImage,
+        callout: Callout,
+        'callout-title': CalloutTitle,
+        mark: Highlight,
       }}
     >
       {content}
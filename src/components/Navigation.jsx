@@ -1,11 +1,14 @@
 import { useState } from 'react';
 import { SECTIONS } from '../data/sections';
+import SearchOverlay, { SearchButton } from './search/SearchOverlay';
+import releaseIndex from '../data/vault-releases.json';
 
 /**
  * Navigation - Sidebar navigation for section pages
  */
 export function Navigation({ currentSection, onNavigate, onReadPaper }) {
   const [mobileOpen, setMobileOpen] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
   
   return (
     <>
@@ -26,15 +29,27 @@ export function Navigation({ currentSection, onNavigate, onReadPaper }) {
             {currentSection?.title || 'Dynamics of Cognition'}
           </span>
           
-          <button
-            onClick={onReadPaper}
-            className="p-2 -mr-2 text-muted hover:text-glow"
-            aria-label="Read paper"
-          >
-            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
-            </svg>
-          </button>
+          <div className="flex items-center">
+            <button
+              onClick={() => setSearchOpen(true)}
+              className="p-2 text-muted hover:text-text"
+              aria-label="Search"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M21 21l-5.197-5.197m0 0A7.5 7.5 0 105.196 5.196a7.5 7.5 0 0010.607 10.607z" />
+              </svg>
+            </button>
+
+            <button
+              onClick={onReadPaper}
+              className="p-2 -mr-2 text-muted hover:text-glow"
+              aria-label="Read paper"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
+              </svg>
+            </button>
+          </div>
         </div>
       </header>
 
@@ -61,7 +76,7 @@ export function Navigation({ currentSection, onNavigate, onReadPaper }) {
             </h1>
             <div className="flex items-center gap-2 mt-1">
               <span className="text-xs text-muted font-mono">
-                v0.1 · Working Draft
+                v{releaseIndex.current} · Working Draft
               </span>
               <span className="text-xs px-2 py-0.5 bg-glow/20 text-glow rounded-full font-mono">
                 BETA
@@ -94,8 +109,15 @@ export function Navigation({ currentSection, onNavigate, onReadPaper }) {
             </div>
           </div>
 
-          {/* Paper link */}
-          <div className="p-4 border-t border-border">
+          {/* Search and paper links */}
+          <div className="p-4 border-t border-border space-y-2">
+            <SearchButton
+              onClick={() => {
+                setSearchOpen(true);
+                setMobileOpen(false);
+              }}
+              className="btn btn-ghost w-full"
+            />
             <button
               onClick={onReadPaper}
               className="btn btn-ghost w-full"
@@ -119,6 +141,8 @@ export function Navigation({ currentSection, onNavigate, onReadPaper }) {
           </svg>
         </button>
       </nav>
+
+      <SearchOverlay open={searchOpen} onOpenChange={setSearchOpen} />
     </>
   );
 }
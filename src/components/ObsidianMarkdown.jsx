@@ -0,0 +1,122 @@
+/**
+ * Components for the Obsidian syntax added by markdownPlugins.js
+ * Map them in a renderer's components: { callout: Callout,
+ * 'callout-title': CalloutTitle, mark: Highlight, img: VaultImage }
+ */
+
+import assetIndex from '../data/vault-assets.json';
+
+// Obsidian size suffix on image alt text: ![alt|300](...) or ![alt|300x200](...)
+const IMAGE_SIZE_REGEX = /\|\s*(\d+)(?:x(\d+))?\s*$/;
+
+const CALLOUT_STYLES = {
+  note: { box: 'border-blue-400/60 bg-blue-400/5', title: 'text-blue-300', icon: '✎' },
+  abstract: { box: 'border-cyan-400/60 bg-cyan-400/5', title: 'text-cyan-300', icon: '≡' },
+  info: { box: 'border-blue-400/60 bg-blue-400/5', title: 'text-blue-300', icon: 'ℹ' },
+  todo: { box: 'border-blue-400/60 bg-blue-400/5', title: 'text-blue-300', icon: '☐' },
+  tip: { box: 'border-teal-400/60 bg-teal-400/5', title: 'text-teal-300', icon: '✦' },
+  success: { box: 'border-green-400/60 bg-green-400/5', title: 'text-green-300', icon: '✓' },
+  question: { box: 'border-amber-400/60 bg-amber-400/5', title: 'text-amber-300', icon: '?' },
+  warning: { box: 'border-orange-400/60 bg-orange-400/5', title: 'text-orange-300', icon: '⚠' },
+  failure: { box: 'border-red-400/60 bg-red-400/5', title: 'text-red-300', icon: '✗' },
+  danger: { box: 'border-red-500/60 bg-red-500/5', title: 'text-red-400', icon: '⚡' },
+  bug: { box: 'border-red-400/60 bg-red-400/5', title: 'text-red-300', icon: '✱' },
+  example: { box: 'border-purple-400/60 bg-purple-400/5', title: 'text-purple-300', icon: '▤' },
+  quote: { box: 'border-border bg-surface/30', title: 'text-muted', icon: '❝' }
+};
+
+// Unknown types look like notes, as in Obsidian
+const getCalloutStyle = type => CALLOUT_STYLES[type] || CALLOUT_STYLES.note;
+
+/**
+ * Callout - A > [!type] box; foldable ones ([!type]- / [!type]+) are <details>
+ */
+export function Callout({ children, 'data-callout': type, 'data-fold': fold }) {
+  const className = `my-6 rounded-r-lg border-l-4 px-4 py-3 ${getCalloutStyle(type).box} ` +
+    '[&_.callout-content]:mt-2 [&_.callout-content>*:last-child]:mb-0';
+
+  if (fold) {
+    return (
+      <details open={fold === '+'} className={`group ${className}`}>
+        {children}
+      </details>
+    );
+  }
+
+  return <div className={className}>{children}</div>;
+}
+
+/**
+ * CalloutTitle - Icon and title line; the toggle of a foldable callout
+ */
+export function CalloutTitle({ children, 'data-callout': type, 'data-fold': fold }) {
+  const style = getCalloutStyle(type);
+  const className = `flex items-center gap-2 font-medium ${style.title}`;
+  const content = (
+    <>
+      <span aria-hidden="true" className="w-4 text-center">{style.icon}</span>
+      <span>{children}</span>
+    </>
+  );
+
+  if (fold) {
+    return (
+      <summary className={`${className} cursor-pointer list-none [&::-webkit-details-marker]:hidden`}>
+        {content}
+        <svg
+          className="w-4 h-4 ml-auto transition-transform group-open:rotate-90"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+        </svg>
+      </summary>
+    );
+  }
+
+  return <div className={className}>{content}</div>;
+}
+
+/**
+ * Highlight - ==highlighted== text
+ */
+export function Highlight({ children }) {
+  return (
+    <mark className="bg-glow/20 text-text rounded-sm px-0.5">
+      {children}
+    </mark>
+  );
+}
+
+/**
+ * VaultImage - Markdown image sized from the build's asset index, so the
+ * page reserves its space before it loads; an Obsidian |300 suffix on the
+ * alt text sets the display width
+ */
+export function VaultImage({ src, alt = '', title }) {
+  const asset = assetIndex.assets?.[src?.split('#')[0]];
+  const [suffix, displayWidth, displayHeight] = alt.match(IMAGE_SIZE_REGEX) || [];
+
+  let width = asset?.width;
+  let height = asset?.height;
+  if (displayWidth) {
+    width = Number(displayWidth);
+    height = displayHeight
+      ? Number(displayHeight)
+      : asset?.width && Math.round((asset.height * width) / asset.width);
+  }
+
+  return (
+    <img
+      src={src}
+      alt={suffix ? alt.slice(0, -suffix.length) : alt}
+      title={title}
+      width={width}
+      height={height}
+      loading="lazy"
+      decoding="async"
+      className="block max-w-full h-auto mx-auto my-6 rounded-lg"
+    />
+  );
+}
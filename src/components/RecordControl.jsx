@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { SAMPLE_RATES, recordingToCSV, recordingToJSON } from '../utils/recording';
+
+const FORMATS = {
+  csv: { toText: recordingToCSV, type: 'text/csv' },
+  json: { toText: recordingToJSON, type: 'application/json' },
+};
+
+function download(recording, format) {
+  const { toText, type } = FORMATS[format];
+  const { simId, seed, startedAt } = recording.meta;
+  const url = URL.createObjectURL(new Blob([toText(recording)], { type }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${simId}-seed${seed}-${startedAt.replace(/[:.]/g, '-')}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * RecordControl - Records a simulation's observables, then exports them
+ *
+ * recorder comes from useRecorder, with start() taking no arguments (the
+ * caller fills in the metadata). While recording it shows the sample
+ * count; once stopped, the recording downloads as CSV or JSON, and any
+ * samples it dropped are counted beside it.
+ */
+export function RecordControl({ recorder }) {
+  const { sampleRate, setSampleRate, isRecording, sampleCount, recording, start, stop } = recorder;
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!status) return;
+    const timeout = setTimeout(() => setStatus(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [status]);
+
+  if (isRecording) {
+    return (
+      <div className="flex items-center gap-2 font-mono text-xs text-muted">
+        <button
+          onClick={stop}
+          className="flex items-center gap-1 p-1 text-red-400 hover:text-text transition-colors"
+          title="Stop recording"
+        >
+          <span className="w-2.5 h-2.5 bg-current rounded-sm animate-pulse" />
+          <span>Stop</span>
+        </button>
+        <span>{sampleCount} samples</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2 font-mono text-xs text-muted">
+      <button
+        onClick={() => { if (!start()) setStatus('Nothing to record'); }}
+        className="flex items-center gap-1 p-1 hover:text-glow transition-colors"
+        title="Record this simulation's observables"
+      >
+        <span className="w-2.5 h-2.5 bg-red-400 rounded-full" />
+        <span>{status || 'Record'}</span>
+      </button>
+      <select
+        value={sampleRate}
+        onChange={(e) => setSampleRate(Number(e.target.value))}
+        className="bg-deep border border-border rounded px-1 py-0.5 text-text focus:outline-none focus:border-glow"
+        aria-label="Samples per second of simulated time"
+      >
+        {SAMPLE_RATES.map(rate => <option key={rate} value={rate}>{rate} Hz</option>)}
+      </select>
+      {recording && (
+        <span className="flex items-center gap-1">
+          <span>
+            {recording.samples.length} samples
+            {recording.meta.droppedSamples > 0 && `, ${recording.meta.droppedSamples} dropped`}:
+          </span>
+          {Object.keys(FORMATS).map(format => (
+            <button
+              key={format}
+              onClick={() => download(recording, format)}
+              className="p-1 underline hover:text-glow transition-colors"
+              title={`Download the recording as ${format.toUpperCase()}`}
+            >
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -1,135 +1,21 @@
 import { useMemo, useState, useEffect } from 'react';
 import ReactMarkdown from 'react-markdown';
-import remarkMath from 'remark-math';
-import remarkGfm from 'remark-gfm';
-import rehypeKatex from 'rehype-katex';
-import { SimulationCanvas } from './SimulationCanvas';
+import { remarkPlugins, rehypePlugins } from '../utils/markdownPlugins';
+import { Simulation } from './Simulation';
+import { Callout, CalloutTitle, Highlight, VaultImage } from './ObsidianMarkdown';
 import WikiLink from './vault/WikiLink';
-import { parseWikiLinks } from '../utils/vaultParser';
-
-// Import all simulations
-import { MarkovBlanketSim } from './simulations/MarkovBlanketSim';
-import { FreeEnergySim } from './simulations/FreeEnergySim';
-import { MorphogenesisSim } from './simulations/MorphogenesisSim';
-import { HomeostaticSim } from './simulations/HomeostaticSim';
-import { InteroceptivePathwaySim } from './simulations/InteroceptivePathwaySim';
-import { AutopoiesisSim } from './simulations/AutopoiesisSim';
-import { LanguageControllerSim } from './simulations/LanguageControllerSim';
-import { ControllosphereSim } from './simulations/ControllosphereSim';
-import { AnnealingSim } from './simulations/AnnealingSim';
-import { PredictiveCodingSim } from './simulations/PredictiveCodingSim';
-import { NestedBlanketsSim } from './simulations/NestedBlanketsSim';
-import { CognitiveHorizonSim } from './simulations/CognitiveHorizonSim';
-import { ConfigurationAwarenessSim } from './simulations/ConfigurationAwarenessSim';
-import { MetaModelingSim } from './simulations/MetaModelingSim';
-import { AttractorSim } from './simulations/AttractorSim';
-import { InterfaceDynamicsSim } from './simulations/InterfaceDynamicsSim';
-import { EnergyAffordanceSim } from './simulations/EnergyAffordanceSim';
-import { FatigueRecoverySim } from './simulations/FatigueRecoverySim';
-import { CSPExperimentSim } from './simulations/CSPExperimentSim';
-
-// Map simulation IDs to components and metadata
-const SIMULATION_REGISTRY = {
-  'markov-blanket': {
-    component: MarkovBlanketSim,
-    title: 'Markov Blanket',
-    description: 'A system maintaining statistical separation from its environment through sensory and active states.'
-  },
-  'free-energy': {
-    component: FreeEnergySim,
-    title: 'Free Energy Minimization',
-    description: 'Watch how a system minimizes variational free energy through perception and action.'
-  },
-  'morphogenesis': {
-    component: MorphogenesisSim,
-    title: 'Morphogenetic Computation',
-    description: 'Bioelectric networks guide cells toward target morphology through collective inference.'
-  },
-  'homeostatic': {
-    component: HomeostaticSim,
-    title: 'Homeostatic Regulation',
-    description: 'Feelings as sentinels of bodily state, driving regulatory action.'
-  },
-  'interoceptive-pathway': {
-    component: InteroceptivePathwaySim,
-    title: 'Interoceptive Pathway',
-    description: 'How internal body signals shape perception and cognition.'
-  },
-  'autopoiesis': {
-    component: AutopoiesisSim,
-    title: 'Autopoietic Organization',
-    description: 'Self-producing networks that maintain their own boundaries.'
-  },
-  'language-controller': {
-    component: LanguageControllerSim,
-    title: 'Language as Controller',
-    description: 'Language networks minimizing communicative uncertainty.'
-  },
-  'controllosphere': {
-    component: ControllosphereSim,
-    title: 'The Controllosphere',
-    description: 'Cognitive effort as metabolic expenditure beyond the intrinsic manifold.'
-  },
-  'annealing': {
-    component: AnnealingSim,
-    title: 'Configuration Annealing',
-    description: 'The body annealing through configuration space, with cognitive accessibility as a function of state.'
-  },
-  'predictive-coding': {
-    component: PredictiveCodingSim,
-    title: 'Predictive Coding',
-    description: 'Hierarchical prediction error minimization in action.'
-  },
-  'nested-blankets': {
-    component: NestedBlanketsSim,
-    title: 'Nested Markov Blankets',
-    description: 'The same mathematical structure repeating at every scale of organization.'
-  },
-  'cognitive-horizon': {
-    component: CognitiveHorizonSim,
-    title: 'Cognitive Horizon',
-    description: 'Your body configuration determines which thoughts are accessible. Change state to watch the horizon expand or contract.'
-  },
-  'configuration-awareness': {
-    component: ConfigurationAwarenessSim,
-    title: 'Configuration Awareness',
-    description: 'Two agents try to reach the same goal. The aware agent can model its own H(ω) and strategically shift states.'
-  },
-  'meta-modeling': {
-    component: MetaModelingSim,
-    title: 'Meta-Modeling',
-    description: 'When the model models itself—the emergence of self-awareness.'
-  },
-  'attractor': {
-    component: AttractorSim,
-    title: 'Attractor Dynamics',
-    description: 'Cognitive states as attractors in a dynamical landscape.'
-  },
-  'interface-dynamics': {
-    component: InterfaceDynamicsSim,
-    title: 'Interface Dynamics',
-    description: 'Feelings emerge at the boundaries where Markov blankets meet.'
-  },
-  'energy-affordance': {
-    component: EnergyAffordanceSim,
-    title: 'Energy & Affordances',
-    description: 'How metabolic state shapes the cognitive affordance field.'
-  },
-  'fatigue-recovery': {
-    component: FatigueRecoverySim,
-    title: 'Fatigue & Recovery',
-    description: 'H(ω) contraction under fatigue and expansion during recovery.'
-  },
-  'csp-experiment': {
-    component: CSPExperimentSim,
-    title: 'CSP Categorical Accessibility',
-    description: 'Testing whether cognitive operations are categorically gated by configuration.'
-  },
-};
+import { parseWikiLinks, parseEmbedTarget, isAttachmentTarget, resolveNoteId, getEmbedKey } from '../utils/vaultParser';
+import { processVaultContent, extractHeadingSection, slugifyHeading, splitBlockId, getBlockAnchorId } from '../utils/vaultContent';
+import { SIMULATIONS } from '../data/simulations';
+import { loadVaultIndex } from '../utils/vaultLoader';
+import { useNoteContent } from '../hooks/useVault';
 
 // Regex to match ::sim[simulation-id] or ::sim[simulation-id]{title="Custom Title" description="Custom desc"}
 const SIM_MARKER_REGEX = /^::sim\[([^\]]+)\](?:\{([^}]*)\})?$/;
 
+// Regex to match a note embed on its own line: ![[note]] or ![[note#Heading|alias]]
+const EMBED_LINE_REGEX = /^!\[\[([^\]|]+)(?:\|([^\]]+))?\]\]$/;
+
 /**
  * Parse optional attributes from {key="value" key2="value2"} syntax
  */
@@ -145,25 +31,41 @@ function parseAttributes(attrString) {
 }
 
 /**
- * Split markdown content into segments (text and simulation markers)
+ * Split markdown content into segments (text, simulation markers and note embeds)
+ * Markers and embeds inside fenced code blocks stay in the text, as written
  */
 function parseContent(content) {
   const lines = content.split('\n');
   const segments = [];
   let currentText = [];
+  let inFence = false;
+
+  // Push accumulated text as a segment
+  const flushText = () => {
+    if (currentText.length > 0) {
+      segments.push({ type: 'markdown', content: currentText.join('\n') });
+      currentText = [];
+    }
+  };
 
   for (const line of lines) {
-    const match = line.match(SIM_MARKER_REGEX);
+    if (line.trim().startsWith('```')) {
+      inFence = !inFence;
+      currentText.push(line);
+      continue;
+    }
+    const match = !inFence && line.match(SIM_MARKER_REGEX);
+    const embedMatch = !inFence && line.trim().match(EMBED_LINE_REGEX);
     if (match) {
-      // Push accumulated text as a segment
-      if (currentText.length > 0) {
-        segments.push({ type: 'markdown', content: currentText.join('\n') });
-        currentText = [];
-      }
+      flushText();
       // Push simulation marker as a segment
       const [, simId, attrString] = match;
       const attrs = parseAttributes(attrString);
       segments.push({ type: 'simulation', id: simId, ...attrs });
+    } else if (embedMatch && !isAttachmentTarget(parseEmbedTarget(embedMatch[1]).target)) {
+      flushText();
+      // Push note embed as a segment
+      segments.push({ type: 'embed', ...parseEmbedTarget(embedMatch[1]) });
     } else {
       currentText.push(line);
     }
@@ -180,12 +82,13 @@ function parseContent(content) {
 
 /**
  * Process text content for wiki links
+ * noteId is the note being rendered, so shorthand links prefer its folder
  */
-function processTextContent(content, vaultData) {
+function processTextContent(content, vaultData, noteId) {
   if (typeof content !== 'string') return content;
   
   
-  const parts = parseWikiLinks(content, vaultData?.notes);
+  const parts = parseWikiLinks(content, vaultData?.notes, noteId);
   return parts.map((part, index) => {
     if (typeof part === 'string') {
       return part;
@@ -194,7 +97,9 @@ function processTextContent(content, vaultData) {
         <WikiLink
           key={part.key}
           target={part.target}
+          anchor={part.anchor}
           display={part.display}
+          candidates={part.candidates}
           notes={vaultData?.notes}
         />
       );
@@ -206,14 +111,14 @@ function processTextContent(content, vaultData) {
 /**
  * Recursively process children for wiki links
  */
-function processChildren(children, vaultData) {
+function processChildren(children, vaultData, noteId) {
   if (typeof children === 'string') {
-    return processTextContent(children, vaultData);
+    return processTextContent(children, vaultData, noteId);
   }
   if (Array.isArray(children)) {
     return children.map((child, index) => {
       if (typeof child === 'string') {
-        return processTextContent(child, vaultData);
+        return processTextContent(child, vaultData, noteId);
       }
       return child;
     });
@@ -221,35 +126,79 @@ function processChildren(children, vaultData) {
   return children;
 }
 
+/**
+ * Get the plain text of a rendered (hast) node
+ */
+function getNodeText(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(getNodeText).join('');
+}
+
+/**
+ * Anchor ID for a heading, matching the slugs in the manifest outline
+ */
+function getHeadingId(node) {
+  return slugifyHeading(getNodeText(node)) || undefined;
+}
+
+/**
+ * Strip a trailing ^block-id marker from a paragraph or list item
+ * Returns the cleaned children and the anchor ID (if any)
+ */
+function extractBlockAnchor(children) {
+  const list = Array.isArray(children) ? children : [children];
+  const last = list[list.length - 1];
+  if (typeof last !== 'string') return { children, id: undefined };
+
+  const { text, blockId } = splitBlockId(last);
+  if (!blockId) return { children, id: undefined };
+
+  return { children: [...list.slice(0, -1), text], id: getBlockAnchorId(blockId) };
+}
+
+/**
+ * Paragraph or list item with block reference support
+ */
+function BlockElement({ as, className, children, vaultData, noteId }) {
+  const Tag = as;
+  const { children: content, id } = extractBlockAnchor(children);
+  return (
+    <Tag id={id} className={className}>
+      {processChildren(content, vaultData, noteId)}
+    </Tag>
+  );
+}
+
 /**
  * Create markdown components with wiki link support
  */
-function createMarkdownComponents(vaultData) {
+function createMarkdownComponents(vaultData, noteId) {
   return {
-  h1: ({ children }) => (
-    <h1 className="font-display text-3xl sm:text-4xl text-glow font-light leading-tight mb-6 mt-12 first:mt-0">
+  h1: ({ node, children }) => (
+    <h1 id={getHeadingId(node)} className="font-display text-3xl sm:text-4xl text-glow font-light leading-tight mb-6 mt-12 first:mt-0">
       {children}
     </h1>
   ),
-  h2: ({ children }) => (
-    <h2 className="font-display text-2xl sm:text-3xl text-text font-light leading-tight mb-4 mt-10">
+  h2: ({ node, children }) => (
+    <h2 id={getHeadingId(node)} className="font-display text-2xl sm:text-3xl text-text font-light leading-tight mb-4 mt-10">
       {children}
     </h2>
   ),
-  h3: ({ children }) => (
-    <h3 className="font-display text-xl sm:text-2xl text-text/90 mb-3 mt-8">
+  h3: ({ node, children }) => (
+    <h3 id={getHeadingId(node)} className="font-display text-xl sm:text-2xl text-text/90 mb-3 mt-8">
       {children}
     </h3>
   ),
-  h4: ({ children }) => (
-    <h4 className="font-display text-lg text-text/80 mb-2 mt-6">
+  h4: ({ node, children }) => (
+    <h4 id={getHeadingId(node)} className="font-display text-lg text-text/80 mb-2 mt-6">
       {children}
     </h4>
   ),
   p: ({ children }) => (
-    <p className="text-text/80 leading-relaxed mb-4">
-      {processChildren(children, vaultData)}
-    </p>
+    <BlockElement as="p" className="text-text/80 leading-relaxed mb-4" vaultData={vaultData} noteId={noteId}>
+      {children}
+    </BlockElement>
   ),
   strong: ({ children }) => (
     <strong className="text-text font-medium">
@@ -263,7 +212,7 @@ function createMarkdownComponents(vaultData) {
   ),
   blockquote: ({ children }) => (
     <blockquote className="border-l-2 border-glow/30 pl-4 my-4 text-text/70 italic">
-      {processChildren(children, vaultData)}
+      {processChildren(children, vaultData, noteId)}
     </blockquote>
   ),
   ul: ({ children }) => (
@@ -277,9 +226,9 @@ function createMarkdownComponents(vaultData) {
     </ol>
   ),
   li: ({ children }) => (
-    <li className="leading-relaxed">
-      {processChildren(children, vaultData)}
-    </li>
+    <BlockElement as="li" className="leading-relaxed" vaultData={vaultData} noteId={noteId}>
+      {children}
+    </BlockElement>
   ),
   hr: () => (
     <hr className="my-10 border-border" />
@@ -345,16 +294,26 @@ function createMarkdownComponents(vaultData) {
       {children}
     </td>
   ),
+  img: VaultImage,
+  callout: Callout,
+  'callout-title': ({ children, ...props }) => (
+    <CalloutTitle {...props}>
+      {processChildren(children, vaultData, noteId)}
+    </CalloutTitle>
+  ),
+  mark: ({ children }) => (
+    <Highlight>
+      {processChildren(children, vaultData, noteId)}
+    </Highlight>
+  ),
   };
 }
 
 /**
  * Render a simulation component
  */
-function SimulationBlock({ id, title: customTitle, description: customDescription }) {
-  const simConfig = SIMULATION_REGISTRY[id];
-  
-  if (!simConfig) {
+function SimulationBlock({ id, title, description }) {
+  if (!SIMULATIONS[id]) {
     return (
       <div className="my-8 p-4 border border-red-500/30 rounded-lg bg-red-500/5">
         <p className="text-red-400">Unknown simulation: {id}</p>
@@ -362,16 +321,74 @@ function SimulationBlock({ id, title: customTitle, description: customDescriptio
     );
   }
 
-  const { component: SimComponent, title, description } = simConfig;
-  const displayTitle = customTitle || title;
-  const displayDescription = customDescription || description;
+  return <Simulation simId={id} title={title} description={description} />;
+}
+
+/**
+ * Render an embedded note (or one heading section of it) inline
+ * embedAncestors holds the embed keys already being rendered above this
+ * one, so a note that (indirectly) embeds itself stops instead of recursing
+ */
+function EmbedBlock({ target, heading, vaultData, from, embedAncestors }) {
+  const notes = vaultData?.notes;
+  const noteId = notes ? resolveNoteId(target, notes, { from }) : null;
+  const note = noteId ? notes[noteId] : null;
+  const label = heading ? `${target}#${heading}` : target;
+
+  const embedKey = note ? getEmbedKey(noteId, heading) : null;
+  const isCycle = embedKey !== null && embedAncestors.includes(embedKey);
+  const { content, blocks, loading } = useNoteContent(note && !isCycle ? note : null);
+
+  if (!notes) return null;
+
+  if (!note) {
+    return (
+      <div className="my-6 p-3 border border-border rounded-lg text-sm text-muted italic">
+        Embedded note not found: {label}
+      </div>
+    );
+  }
+
+  if (isCycle) {
+    return (
+      <div className="my-6 p-3 border border-red-500/30 rounded-lg bg-red-500/5 text-sm text-red-400">
+        Embed cycle stopped: {label} already embeds this note
+      </div>
+    );
+  }
+
+  let embedContent;
+  if (loading || content === null) {
+    embedContent = undefined;
+  } else if (heading?.startsWith('^')) {
+    embedContent = blocks[heading.slice(1)] ?? null;
+  } else if (heading) {
+    embedContent = extractHeadingSection(content, heading);
+  } else {
+    embedContent = processVaultContent(content, { keepSubtitle: true });
+  }
 
   return (
-    <SimulationCanvas title={displayTitle} description={displayDescription}>
-      {({ width, height }) => (
-        <SimComponent width={width} height={height} />
+    <div className="my-6 border-l-2 border-accent/40 bg-surface/20 rounded-r-lg pl-4 pr-3 py-3">
+      <div className="text-xs text-muted font-mono mb-2">
+        from:{' '}
+        <WikiLink target={noteId} display={heading ? `${note.title} › ${heading}` : note.title} notes={notes} />
+      </div>
+      {embedContent === undefined ? (
+        <p className="text-sm text-muted italic">
+          {loading ? 'Loading...' : note.stub ? 'Not published yet.' : 'Content not available.'}
+        </p>
+      ) : embedContent === null ? (
+        <p className="text-sm text-muted italic">Heading not found: {heading}</p>
+      ) : (
+        <SectionMarkdownViewer
+          content={embedContent}
+          vaultData={vaultData}
+          noteId={noteId}
+          embedAncestors={[...embedAncestors, embedKey]}
+        />
       )}
-    </SimulationCanvas>
+    </div>
   );
 }
 
@@ -380,9 +397,19 @@ function SimulationBlock({ id, title: customTitle, description: customDescriptio
  * 
  * Use ::sim[simulation-id] markers in markdown to embed simulations.
  * Optional: ::sim[simulation-id]{title="Custom" description="Custom desc"}
+ * 
+ * Obsidian embeds on their own line (![[note]], ![[note#Heading]]) are
+ * rendered inline. embedAncestors lists the embed keys rendered around
+ * this content (default: the note itself), so a note embedding itself is
+ * stopped. Callouts and ==highlights== come from
+ * the shared plugin set (markdownPlugins.js).
+ * 
+ * noteId is the vault note being rendered; shorthand wiki-links resolve
+ * to notes in its folder first, matching the manifest build.
  */
-export function SectionMarkdownViewer({ content, vaultData: passedVaultData }) {
-  const [vaultData, setVaultData] = useState(passedVaultData || null);
+export function SectionMarkdownViewer({ content, vaultData: passedVaultData, noteId = null, embedAncestors = noteId ? [noteId] : [] }) {
+  const [loadedVaultData, setLoadedVaultData] = useState(null);
+  const vaultData = passedVaultData || loadedVaultData;
   const segments = useMemo(() => parseContent(content), [content]);
   
   
@@ -390,26 +417,22 @@ export function SectionMarkdownViewer({ content, vaultData: passedVaultData }) {
   const markdownComponents = useMemo(() => {
     if (!vaultData) {
       // Return default components without wiki link processing
-      return createMarkdownComponents(null);
+      return createMarkdownComponents(null, noteId);
     }
-    return createMarkdownComponents(vaultData);
-  }, [vaultData]);
+    return createMarkdownComponents(vaultData, noteId);
+  }, [vaultData, noteId]);
 
   // Load vault data for wiki links only if not passed as prop
   useEffect(() => {
-    if (passedVaultData) {
-      setVaultData(passedVaultData);
-      return;
-    }
+    if (passedVaultData) return;
     
     const loadVaultData = async () => {
       try {
-        const manifestModule = await import('../data/vault-manifest.json');
-        setVaultData(manifestModule.default);
+        setLoadedVaultData(await loadVaultIndex());
       } catch (err) {
         console.warn('Failed to load vault manifest:', err);
         // Still set empty vault data to avoid infinite loading
-        setVaultData({ notes: {} });
+        setLoadedVaultData({ notes: {} });
       }
     };
     loadVaultData();
@@ -418,6 +441,18 @@ export function SectionMarkdownViewer({ content, vaultData: passedVaultData }) {
   return (
     <div className="section-content">
       {segments.map((segment, index) => {
+        if (segment.type === 'embed') {
+          return (
+            <EmbedBlock
+              key={`embed-${index}`}
+              target={segment.target}
+              heading={segment.heading}
+              vaultData={vaultData}
+              from={noteId}
+              embedAncestors={embedAncestors}
+            />
+          );
+        }
         if (segment.type === 'simulation') {
           return (
             <SimulationBlock
@@ -431,8 +466,8 @@ export function SectionMarkdownViewer({ content, vaultData: passedVaultData }) {
         return (
           <ReactMarkdown
             key={`md-${index}`}
-            remarkPlugins={[remarkGfm, remarkMath]}
-            rehypePlugins={[rehypeKatex]}
+            remarkPlugins={remarkPlugins}
+            rehypePlugins={rehypePlugins}
             components={markdownComponents}
           >
             {segment.content}
@@ -442,6 +477,3 @@ export function SectionMarkdownViewer({ content, vaultData: passedVaultData }) {
     </div>
   );
 }
-
-// Export the registry for reference
-export { SIMULATION_REGISTRY };
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { parseSeed, randomSeed } from '../utils/random';
+
+/**
+ * SeedControl - Shows a simulation's seed and lets the reader change it
+ *
+ * Typing a seed (Enter or leaving the field) or drawing a new one starts a
+ * new run; replay starts the current seed over. Input that isn't a valid
+ * seed is dropped.
+ */
+export function SeedControl({ seed, onChange, onReplay }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    const parsed = parseSeed(draft);
+    setDraft(null);
+    if (parsed !== undefined && parsed !== seed) onChange(parsed);
+  };
+
+  return (
+    <div className="flex items-center gap-1 font-mono text-xs text-muted">
+      <label className="flex items-center gap-1.5">
+        <span>seed</span>
+        <input
+          type="text"
+          inputMode="numeric"
+          value={draft ?? String(seed)}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') e.currentTarget.blur();
+            if (e.key === 'Escape') setDraft(null);
+          }}
+          className="w-16 bg-deep border border-border rounded px-1.5 py-0.5 text-text focus:outline-none focus:border-glow"
+          aria-label="Random seed"
+        />
+      </label>
+      <button
+        onClick={() => onChange(randomSeed())}
+        className="p-1 hover:text-glow transition-colors"
+        title="New seed"
+        aria-label="New seed"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <rect x="4" y="4" width="16" height="16" rx="3" strokeWidth={1.5} />
+          <circle cx="9" cy="9" r="1" fill="currentColor" />
+          <circle cx="15" cy="15" r="1" fill="currentColor" />
+          <circle cx="15" cy="9" r="1" fill="currentColor" />
+          <circle cx="9" cy="15" r="1" fill="currentColor" />
+        </svg>
+      </button>
+      {onReplay && (
+        <button
+          onClick={onReplay}
+          className="p-1 hover:text-glow transition-colors"
+          title="Replay this seed"
+          aria-label="Replay this seed"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 4v5h5M5.1 15a7 7 0 101.4-7.4L4 9" />
+          </svg>
+        </button>
+      )}
+    </div>
+  );
+}
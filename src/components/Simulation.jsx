@@ -0,0 +1,228 @@
+import { lazy, Suspense, Component, useState, useRef, useEffect, useCallback } from 'react';
+import { SimulationCanvas } from './SimulationCanvas';
+import { SeedControl } from './SeedControl';
+import { SIMULATIONS, SIMULATION_IDS } from '../data/simulations';
+import { SimulationHostContext, SimulationModelContext } from '../hooks/useSimulationHost';
+import { useSimulationLink } from '../hooks/useSimulationLink';
+import { useRecorder } from '../hooks/useRecorder';
+import { takeSnapshot } from '../models/snapshot';
+import { randomSeed } from '../utils/random';
+import { encodeSnapshot, simulationQuery } from '../utils/permalink';
+import { version } from '../../package.json';
+
+/**
+ * Lazy components for every simulation in the registry
+ * Nothing is fetched until a simulation first renders, so each one stays
+ * in its own chunk
+ */
+const SIMULATION_COMPONENTS = Object.fromEntries(SIMULATION_IDS.map(simId => [
+  simId,
+  lazy(() =>
+    SIMULATIONS[simId].load()
+      .then(component => ({ default: component }))
+      .catch(e => { console.error(`Failed to load simulation ${simId}:`, e); throw e; })
+  )
+]));
+
+/**
+ * Loading fallback for lazy-loaded simulations
+ */
+function SimulationLoader() {
+  return (
+    <div className="flex items-center justify-center h-64 bg-deep rounded-lg border border-border">
+      <div className="text-center">
+        <div className="animate-spin w-8 h-8 border-2 border-glow border-t-transparent rounded-full mx-auto mb-3"></div>
+        <p className="text-sm text-muted">Loading simulation...</p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Error boundary for simulations that fail to load
+ */
+function SimulationError({ simId, error }) {
+  return (
+    <div className="flex items-center justify-center h-64 bg-deep rounded-lg border border-red-500/30">
+      <div className="text-center px-4">
+        <p className="text-red-400 font-mono text-sm">ERROR</p>
+        <p className="text-muted text-sm mt-1">Failed to load: {simId}</p>
+        {error && <p className="text-muted text-xs mt-2 max-w-md">{error.message}</p>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Error boundary class component for catching render errors
+ */
+export class SimulationErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    console.error('Simulation render error:', error, errorInfo);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return <SimulationError simId={this.props.simId} error={this.state.error} />;
+    }
+    return this.props.children;
+  }
+}
+
+/**
+ * SimulationComponent - The bare simulation at a given size, loading on
+ * first render (no canvas chrome or error boundary)
+ *
+ * The sim seeds its model's rng from `seed` (utils/random.js), so the same
+ * seed and params replay the same run. A new seed remounts it. Without one,
+ * it picks its own.
+ *
+ * With a `snapshot` (models/snapshot.js, taken at this size) the run picks
+ * up where the snapshot left off. `modelRef` is set to a function returning
+ * the { model, getState } the sim registers (useSimulationModel) and the
+ * size it runs at, or null if it registers none.
+ */
+export function SimulationComponent({ simId, width, height, params, seed, snapshot, modelRef, fallback = <SimulationLoader /> }) {
+  const SimComponent = SIMULATION_COMPONENTS[simId];
+  const [ownSeed] = useState(randomSeed);
+  const runSeed = seed ?? ownSeed;
+  const simModelRef = useRef(null);
+
+  useEffect(() => {
+    if (!modelRef) return;
+    modelRef.current = () => simModelRef.current && { ...simModelRef.current, width, height };
+    return () => { modelRef.current = null; };
+  }, [modelRef, width, height]);
+
+  return (
+    <Suspense fallback={fallback}>
+      <SimulationModelContext.Provider value={simModelRef}>
+        <SimComponent
+          key={runSeed}
+          width={width}
+          height={height}
+          params={{ ...SIMULATIONS[simId].params, ...params }}
+          seed={runSeed}
+          snapshot={snapshot}
+        />
+      </SimulationModelContext.Provider>
+    </Suspense>
+  );
+}
+
+/**
+ * Simulation - Renders a registry simulation in a SimulationCanvas
+ *
+ * @param {string} simId - ID in data/simulations.js
+ * @param {string} [title] - Overrides the registry title
+ * @param {string} [description] - Overrides the registry instructions/description
+ * @param {Object} [params] - Overrides some of the registry's default params
+ * @param {number} [seed] - Initial seed (default: a random one); the reader
+ *   can change it from the canvas toolbar
+ * Other props (aspectRatio, minHeight, maxHeight) go to SimulationCanvas.
+ *
+ * A page opened from a link to this simulation (utils/permalink.js) sets it
+ * up as the link says, and the canvas's "Copy link" button makes such links.
+ * Its record control captures the sim's observables (utils/recording.js);
+ * a new seed or a replay ends the recording.
+ */
+export function Simulation({ simId, title, description, params, seed: initialSeed, ...canvasProps }) {
+  const sim = SIMULATIONS[simId];
+  const link = useSimulationLink(simId);
+  const [seed, setSeed] = useState(() => link?.seed ?? initialSeed ?? randomSeed());
+  // Bumped to replay the current seed from the start (or the linked snapshot)
+  const [runId, setRunId] = useState(0);
+  // A linked snapshot holds until the reader picks another seed
+  const [keepSnapshot, setKeepSnapshot] = useState(true);
+  const rootRef = useRef(null);
+  // What the sim last reported (its current params), and its model
+  const reportRef = useRef(null);
+  const modelRef = useRef(null);
+  const onReport = useCallback(report => { reportRef.current = report; }, []);
+  const getModel = useCallback(() => modelRef.current?.() ?? null, []);
+  const recorder = useRecorder(getModel);
+
+  const linked = Boolean(link);
+  useEffect(() => {
+    if (linked) rootRef.current?.scrollIntoView({ block: 'center' });
+  }, [linked]);
+
+  if (!sim) {
+    return <SimulationError simId={simId} error={{ message: 'Simulation not found in registry' }} />;
+  }
+
+  const runParams = { ...params, ...link?.params };
+  const snapshot = keepSnapshot ? link?.snapshot : null;
+
+  // The params it runs with now, as far as the sim reports them
+  const currentParams = () => {
+    const current = { ...sim.params, ...runParams };
+    for (const key of Object.keys(sim.params)) {
+      if (reportRef.current && Object.hasOwn(reportRef.current, key)) current[key] = reportRef.current[key];
+    }
+    return current;
+  };
+
+  const changeSeed = (newSeed) => {
+    recorder.stop();
+    setSeed(newSeed);
+    setKeepSnapshot(false);
+  };
+
+  const replay = () => {
+    recorder.stop();
+    setRunId(id => id + 1);
+  };
+
+  const getLink = async (withState) => {
+    const query = simulationQuery(simId, { params: currentParams(), seed });
+    const current = withState ? getModel() : null;
+    const state = current?.getState();
+    const hash = state
+      ? await encodeSnapshot({ width: current.width, height: current.height, ...takeSnapshot(current.model, state) })
+      : '';
+    return `${window.location.origin}${window.location.pathname}?${query}${hash}`;
+  };
+
+  return (
+    <div ref={rootRef}>
+      <SimulationErrorBoundary simId={simId}>
+        <SimulationCanvas
+          title={title || sim.title}
+          description={description || sim.instructions || sim.description}
+          toolbar={<SeedControl seed={seed} onChange={changeSeed} onReplay={replay} />}
+          getLink={getLink}
+          recorder={{ ...recorder, start: () => recorder.start({ simId, params: currentParams(), seed, appVersion: version }) }}
+          fixedSize={snapshot ? { width: snapshot.width, height: snapshot.height } : undefined}
+          {...canvasProps}
+        >
+          {({ width, height }) => link?.loading ? <SimulationLoader /> : (
+            <SimulationHostContext.Provider value={onReport}>
+              <SimulationComponent
+                key={runId}
+                simId={simId}
+                width={width}
+                height={height}
+                params={runParams}
+                seed={seed}
+                snapshot={snapshot}
+                modelRef={modelRef}
+              />
+            </SimulationHostContext.Provider>
+          )}
+        </SimulationCanvas>
+      </SimulationErrorBoundary>
+    </div>
+  );
+}
+
+export default Simulation;
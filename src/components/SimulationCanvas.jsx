@@ -1,13 +1,25 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
+import { CopyLinkButton } from './CopyLinkButton';
+import { RecordControl } from './RecordControl';
 
 /**
  * SimulationCanvas - Container for interactive simulations
  * Provides responsive sizing and consistent styling
  * On mobile: Shows preview that expands to fullscreen on tap
+ * `toolbar` (e.g. the seed control) sits at the right of the header, with
+ * a "Copy link" button when `getLink` is given (see CopyLinkButton) and
+ * record/stop controls when `recorder` is (see RecordControl)
+ * `fixedSize` ({ width, height }) renders the simulation at that size rather
+ * than fitting it to the page, scrolling if it doesn't fit (a restored
+ * snapshot only makes sense at the size it was taken at)
  */
 export function SimulationCanvas({ 
   title, 
   description, 
+  toolbar,
+  getLink,
+  recorder,
+  fixedSize,
   children,
   aspectRatio = 16/10,
   minHeight = 300,
@@ -141,6 +153,15 @@ export function SimulationCanvas({
     }
   }, [isFullscreen, exitFullscreen]);
 
+  const actions = (toolbar || getLink || recorder) && (
+    <div className="flex flex-wrap items-center justify-end gap-x-3 gap-y-1">
+      {toolbar}
+      {getLink && <CopyLinkButton getLink={getLink} />}
+      {recorder && <RecordControl recorder={recorder} />}
+    </div>
+  );
+  const regularSize = fixedSize || dimensions;
+
   // Render fullscreen overlay
   if (isFullscreen) {
     return (
@@ -159,6 +180,7 @@ export function SimulationCanvas({
               <p className="text-xs text-muted mt-1">{description}</p>
             )}
           </div>
+          {actions && <div className="ml-4 shrink-0">{actions}</div>}
           <button
             onClick={exitFullscreen}
             className="ml-4 p-2 -mr-2 text-muted hover:text-text transition-colors"
@@ -171,11 +193,11 @@ export function SimulationCanvas({
         </div>
         
         {/* Fullscreen simulation */}
-        <div className="flex-1 relative overflow-hidden">
+        <div className={`flex-1 relative ${fixedSize ? 'overflow-auto' : 'overflow-hidden'}`}>
           {fullscreenDimensions.width > 0 && fullscreenDimensions.height > 80 ? (
             children({
-              width: fullscreenDimensions.width,
-              height: fullscreenDimensions.height - 80, // Account for header
+              width: fixedSize?.width ?? fullscreenDimensions.width,
+              height: fixedSize?.height ?? fullscreenDimensions.height - 80, // Account for header
               isMobile,
               isFullscreen: true,
             })
@@ -192,14 +214,17 @@ export function SimulationCanvas({
   return (
     <div className="my-8">
       {/* Header */}
-      {(title || description) && !isMobile && (
-        <div className="mb-3">
-          {title && (
-            <h4 className="font-display text-lg text-text mb-1">{title}</h4>
-          )}
-          {description && (
-            <p className="text-sm text-muted">{description}</p>
-          )}
+      {(title || description || actions) && !isMobile && (
+        <div className="mb-3 flex items-start justify-between gap-4">
+          <div>
+            {title && (
+              <h4 className="font-display text-lg text-text mb-1">{title}</h4>
+            )}
+            {description && (
+              <p className="text-sm text-muted">{description}</p>
+            )}
+          </div>
+          {actions && <div className="shrink-0">{actions}</div>}
         </div>
       )}
       
@@ -207,7 +232,7 @@ export function SimulationCanvas({
       <div 
         ref={containerRef}
         className={`simulation-container relative ${isMobile ? 'cursor-pointer' : ''}`}
-        style={{ height: dimensions.height }}
+        style={{ height: regularSize.height, overflowX: fixedSize ? 'auto' : undefined }}
         onClick={isMobile ? enterFullscreen : undefined}
       >
         {/* Mobile: Show overlay prompt */}
@@ -226,8 +251,8 @@ export function SimulationCanvas({
         {/* Simulation preview */}
         <div className={isMobile ? 'opacity-50 pointer-events-none' : ''}>
           {children({
-            width: dimensions.width,
-            height: dimensions.height,
+            width: regularSize.width,
+            height: regularSize.height,
             isMobile,
             isFullscreen: false,
           })}
@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef } from 'react';
+import { SimulationComponent, SimulationErrorBoundary } from './Simulation';
+import { SIMULATIONS } from '../data/simulations';
+
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_HEIGHT = 300;
+// How long a simulation runs before its canvas is captured
+const CAPTURE_DELAY_MS = 1200;
+
+// Captured thumbnails for the session: simId -> data URL, or null when the
+// simulation draws no canvas
+const thumbnails = new Map();
+
+// Captures run one at a time, so the gallery never animates more than one
+// hidden simulation
+let captureQueue = Promise.resolve();
+
+function enqueueCapture(start) {
+  captureQueue = captureQueue.then(() => new Promise(start));
+}
+
+/**
+ * The largest canvas a simulation rendered, as an image
+ */
+function captureCanvas(stage) {
+  const canvases = [...(stage?.querySelectorAll('canvas') || [])];
+  const canvas = canvases.sort((a, b) => b.width * b.height - a.width * a.height)[0];
+  if (!canvas) return null;
+
+  try {
+    return canvas.toDataURL('image/png');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * SimulationThumbnail - A still of a simulation for the /sims gallery
+ * The first time a card scrolls into view the simulation runs briefly,
+ * hidden off-screen, and its canvas is captured; simulations without a
+ * canvas get a placeholder
+ */
+export function SimulationThumbnail({ simId, className = '' }) {
+  const containerRef = useRef(null);
+  const stageRef = useRef(null);
+  const finishRef = useRef(null);
+  const [image, setImage] = useState(() => thumbnails.get(simId));
+  const [capturing, setCapturing] = useState(false);
+
+  // Wait for a turn in the queue once the card is visible
+  useEffect(() => {
+    if (image !== undefined) return;
+    let cancelled = false;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (!entry.isIntersecting) return;
+      observer.disconnect();
+
+      enqueueCapture(finish => {
+        if (cancelled) return finish();
+        finishRef.current = finish;
+        SIMULATIONS[simId].load()
+          .then(() => {
+            if (!cancelled) setCapturing(true);
+          })
+          .catch(() => {
+            thumbnails.set(simId, null);
+            if (!cancelled) setImage(null);
+            finish();
+          });
+      });
+    });
+    observer.observe(containerRef.current);
+
+    return () => {
+      cancelled = true;
+      observer.disconnect();
+      // Unmounting mid-capture must not stall the queue
+      finishRef.current?.();
+      finishRef.current = null;
+    };
+  }, [simId, image]);
+
+  // Let the hidden simulation run, then keep a still of it
+  useEffect(() => {
+    if (!capturing) return;
+
+    const timer = setTimeout(() => {
+      const url = captureCanvas(stageRef.current);
+      thumbnails.set(simId, url);
+      setImage(url);
+      setCapturing(false);
+      finishRef.current?.();
+      finishRef.current = null;
+    }, CAPTURE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [capturing, simId]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative overflow-hidden bg-deep ${className}`}
+      style={{ aspectRatio: `${THUMBNAIL_WIDTH} / ${THUMBNAIL_HEIGHT}` }}
+    >
+      {image ? (
+        <img src={image} alt="" className="w-full h-full object-cover" />
+      ) : (
+        <div className="absolute inset-0 flex items-center justify-center text-muted">
+          {image === null ? (
+            <svg className="w-8 h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M13 10V3L4 14h7v7l9-11h-7z" />
+            </svg>
+          ) : (
+            <div className="animate-pulse w-full h-full bg-surface/40" />
+          )}
+        </div>
+      )}
+
+      {capturing && (
+        <div
+          ref={stageRef}
+          aria-hidden="true"
+          inert
+          className="fixed pointer-events-none"
+          style={{ left: -10000, top: 0, width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT }}
+        >
+          <SimulationErrorBoundary simId={simId}>
+            <SimulationComponent simId={simId} width={THUMBNAIL_WIDTH} height={THUMBNAIL_HEIGHT} fallback={null} />
+          </SimulationErrorBoundary>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SimulationThumbnail;
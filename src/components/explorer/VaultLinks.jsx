@@ -5,46 +5,23 @@ import { getFolderColor } from '../../utils/vaultParser';
 /**
  * Shows links to related vault notes from Explorer sections
  */
-export default function VaultLinks({ sectionSlug }) {
+export default function VaultLinks({ vaultData, sectionId }) {
   const navigate = useNavigate();
-  const relatedNotes = getNotesForDemo(sectionSlug);
+  const relatedNotes = getNotesForDemo(vaultData, sectionId);
   
   if (!relatedNotes || relatedNotes.length === 0) {
     return null;
   }
 
   const handleNoteClick = (noteId) => {
-    const [folder, name] = noteId.split('/');
-    navigate(`/vault/${folder}/${name}`);
+    navigate(`/vault/${noteId}`);
   };
 
-  // Helper to get note display info
   const getNoteInfo = (noteId) => {
-    const [folder, name] = noteId.split('/');
-    let title = name.replace(/-/g, ' ');
-    
-    // Special cases for better titles
-    if (noteId.startsWith('canonical/')) {
-      const sectionNum = name.match(/^(\d+)-/)?.[1];
-      if (sectionNum) {
-        title = title.replace(/^\d+-/, '');
-      }
-    } else if (noteId.startsWith('concepts/')) {
-      if (name === 'h-omega') title = 'H(ω) — Configuration Constraint';
-    } else if (noteId.startsWith('tutorials/')) {
-      // Format tutorial titles nicely
-      const sectionNum = name.match(/section-(\d+)-/)?.[1];
-      if (sectionNum) {
-        title = `Math Tutorial ${sectionNum}`;
-      } else {
-        title = title.replace(/^section /, 'Section ').replace(/ math tutorial$/, ' Math Tutorial');
-      }
-    }
-    
+    const note = vaultData?.notes[noteId];
+    const folder = note?.folder || noteId.split('/')[0];
     return {
-      title: title.split(' ').map(word => 
-        word.charAt(0).toUpperCase() + word.slice(1)
-      ).join(' '),
+      title: note?.title || noteId,
       folder,
       color: getFolderColor(folder)
     };
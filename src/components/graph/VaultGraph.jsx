@@ -1,19 +1,66 @@
-import { useRef, useEffect, useState } from 'react';
+import { useRef, useEffect, useMemo, useState } from 'react';
 import * as d3 from 'd3';
-import { getFolderColor } from '../../utils/vaultParser';
+import { getFolderColor, getRelationColor, RELATION_TYPES } from '../../utils/vaultParser';
 import './VaultGraph.css';
 
+// Edge kinds shown in the legend: typed relations plus plain links
+const EDGE_KINDS = [...RELATION_TYPES, 'untyped'];
+
+function getEdgeKind(edge) {
+  return edge.relation || 'untyped';
+}
+
+// Thickness grows with the log of the weight so heavy links don't swamp the graph
+function getEdgeWidth(edge) {
+  return Math.min(1 + Math.log2(edge.weight || 1), 5);
+}
+
+function getNodeRadius(node) {
+  return 8 + Math.min(node.linkCount * 2, 15);
+}
+
+// Offset from the target's center to its rim along the edge
+function getRimOffset(edge) {
+  const dx = edge.target.x - edge.source.x;
+  const dy = edge.target.y - edge.source.y;
+  const distance = Math.hypot(dx, dy) || 1;
+  const radius = getNodeRadius(edge.target) + 2;
+  return { x: dx / distance * radius, y: dy / distance * radius };
+}
+
+// Recency colors run from dim (least recently changed) to bright (newest)
+const RECENCY_COLORS = ['#1e3a5f', '#fbbf24'];
+
+/**
+ * Oldest and newest lastModified times among the nodes, or null
+ */
+function getRecencyRange(nodes) {
+  const times = nodes.map(node => Date.parse(node.lastModified)).filter(Number.isFinite);
+  return times.length ? [Math.min(...times), Math.max(...times)] : null;
+}
+
+function formatDay(time) {
+  return new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * colorBy: "folder" (default) or "recency" (by each note's lastModified)
+ */
 export default function VaultGraph({ 
   graphData, 
   onNodeClick, 
   highlightNode = null,
+  colorBy = 'folder',
   width = 800,
   height = 600,
   className = ''
 }) {
   const svgRef = useRef(null);
   const simulationRef = useRef(null);
+  const linksRef = useRef(null);
+  const nodesRef = useRef(null);
   const [hoveredNode, setHoveredNode] = useState(null);
+  const [hiddenKinds, setHiddenKinds] = useState([]);
 
   useEffect(() => {
     if (!graphData?.nodes?.length) return;
@@ -48,6 +95,23 @@ export default function VaultGraph({
 
     simulationRef.current = simulation;
 
+    // Arrowheads, one per edge color (sized in user space, not by stroke width)
+    svg.append('defs')
+      .selectAll('marker')
+      .data(EDGE_KINDS)
+      .enter()
+      .append('marker')
+      .attr('id', kind => `vault-graph-arrow-${kind}`)
+      .attr('viewBox', '0 -5 10 10')
+      .attr('refX', 10)
+      .attr('markerUnits', 'userSpaceOnUse')
+      .attr('markerWidth', 8)
+      .attr('markerHeight', 8)
+      .attr('orient', 'auto')
+      .append('path')
+      .attr('d', 'M0,-5L10,0L0,5')
+      .attr('fill', kind => getRelationColor(kind));
+
     // Draw edges
     const links = g.append('g')
       .attr('class', 'links')
@@ -55,9 +119,20 @@ export default function VaultGraph({
       .data(edges)
       .enter()
       .append('line')
-      .attr('stroke', '#444')
+      .attr('stroke', d => getRelationColor(d.relation))
       .attr('stroke-opacity', 0.4)
-      .attr('stroke-width', d => d.weight || 1);
+      .attr('stroke-width', getEdgeWidth)
+      .attr('stroke-dasharray', d => d.type === 'embed' ? '4 3' : null)
+      .attr('marker-end', d => `url(#vault-graph-arrow-${getEdgeKind(d)})`);
+
+    links.append('title')
+      .text(d => {
+        const verb = d.relation || (d.type === 'embed' ? 'embeds' : '→');
+        const count = d.count || 1;
+        return `${d.source.title} ${verb} ${d.target.title} · ${count} mention${count === 1 ? '' : 's'}`;
+      });
+
+    linksRef.current = links;
 
     // Draw nodes
     const nodeSelection = g.append('g')
@@ -66,14 +141,15 @@ export default function VaultGraph({
       .data(nodes)
       .enter()
       .append('circle')
-      .attr('r', d => 8 + Math.min(d.linkCount * 2, 15))
-      .attr('fill', d => getFolderColor(d.folder))
+      .attr('r', getNodeRadius)
       .attr('stroke', d => d.id === highlightNode ? '#fff' : '#333')
       .attr('stroke-width', d => d.id === highlightNode ? 3 : 1)
       .attr('opacity', d => d.id === highlightNode ? 1 : 0.9)
       .style('cursor', 'pointer')
       .call(createDragBehavior(simulation));
 
+    nodesRef.current = nodeSelection;
+
     // Node labels
     const labels = g.append('g')
       .attr('class', 'labels')
@@ -127,12 +203,13 @@ export default function VaultGraph({
       });
 
     // Simulation tick function
+    // Edges stop at the target's rim so the arrowhead stays visible
     simulation.on('tick', () => {
       links
         .attr('x1', d => d.source.x)
         .attr('y1', d => d.source.y)
-        .attr('x2', d => d.target.x)
-        .attr('y2', d => d.target.y);
+        .attr('x2', d => d.target.x - getRimOffset(d).x)
+        .attr('y2', d => d.target.y - getRimOffset(d).y);
       
       nodeSelection
         .attr('cx', d => d.x)
@@ -151,6 +228,40 @@ export default function VaultGraph({
     };
   }, [graphData, highlightNode, width, height, onNodeClick]);
 
+  // Hide edges of filtered-out kinds without restarting the layout
+  useEffect(() => {
+    linksRef.current?.style('display', d => hiddenKinds.includes(getEdgeKind(d)) ? 'none' : null);
+  }, [hiddenKinds, graphData, highlightNode, width, height, onNodeClick]);
+
+  // Color nodes by folder or recency without restarting the layout
+  const recencyRange = useMemo(
+    () => colorBy === 'recency' ? getRecencyRange(graphData?.nodes || []) : null,
+    [colorBy, graphData]
+  );
+
+  useEffect(() => {
+    const recency = recencyRange && d3.scaleLinear()
+      .domain(recencyRange)
+      .range(RECENCY_COLORS)
+      .interpolate(d3.interpolateHcl);
+
+    nodesRef.current?.attr('fill', d =>
+      recency && d.lastModified ? recency(Date.parse(d.lastModified)) : getFolderColor(d.folder)
+    );
+  }, [recencyRange, graphData, highlightNode, width, height, onNodeClick]);
+
+  const toggleKind = (kind) => {
+    setHiddenKinds(hidden =>
+      hidden.includes(kind) ? hidden.filter(k => k !== kind) : [...hidden, kind]
+    );
+  };
+
+  const kindCounts = {};
+  for (const edge of graphData?.edges || []) {
+    const kind = getEdgeKind(edge);
+    kindCounts[kind] = (kindCounts[kind] || 0) + 1;
+  }
+
   // Drag behavior factory
   function createDragBehavior(simulation) {
     return d3.drag()
@@ -201,6 +312,11 @@ export default function VaultGraph({
             <div className="tooltip-stats">
               {hoveredNode.linkCount} connections • {hoveredNode.wordCount} words
             </div>
+            {hoveredNode.lastModified && (
+              <div className="tooltip-stats">
+                Updated {formatDay(hoveredNode.lastModified)}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -214,6 +330,19 @@ export default function VaultGraph({
       />
       
       <div className="graph-legend">
+        {recencyRange ? (
+          <div className="legend-recency">
+            <div
+              className="legend-gradient"
+              style={{ background: `linear-gradient(to right, ${RECENCY_COLORS.join(', ')})` }}
+            ></div>
+            <div className="legend-recency-labels">
+              <span>{formatDay(recencyRange[0])}</span>
+              <span>{formatDay(recencyRange[1])}</span>
+            </div>
+          </div>
+        ) : (
+        <>
         <div className="legend-item">
           <div className="legend-dot" style={{ background: getFolderColor('canonical') }}></div>
           <span>Paper Sections</span>
@@ -230,6 +359,24 @@ export default function VaultGraph({
           <div className="legend-dot" style={{ background: getFolderColor('evidence') }}></div>
           <span>Evidence</span>
         </div>
+        </>
+        )}
+
+        <div className="legend-divider"></div>
+
+        {EDGE_KINDS.filter(kind => kindCounts[kind]).map(kind => (
+          <button
+            key={kind}
+            onClick={() => toggleKind(kind)}
+            className={`legend-item legend-toggle ${hiddenKinds.includes(kind) ? 'is-hidden' : ''}`}
+            title={hiddenKinds.includes(kind) ? 'Show these links' : 'Hide these links'}
+          >
+            <div className="legend-line" style={{ background: getRelationColor(kind) }}></div>
+            <span>{kind === 'untyped' ? 'Links' : kind}</span>
+            <span className="legend-count">{kindCounts[kind]}</span>
+          </button>
+        ))}
+        <div className="legend-hint">Arrows point to the linked note · thicker = linked more often</div>
       </div>
     </div>
   );
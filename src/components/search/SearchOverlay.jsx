@@ -0,0 +1,335 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { loadSearchIndex, loadVaultIndex, loadNoteContent, getCachedNoteContent } from '../../utils/vaultLoader';
+import { searchIndex, highlightTerms, getSnippet, getNoteSectionText } from '../../utils/search';
+
+const TYPE_LABELS = {
+  note: 'Note',
+  section: 'Section',
+  reference: 'Reference',
+  simulation: 'Simulation'
+};
+
+const TYPE_STYLES = {
+  note: 'bg-accent/10 text-accent border-accent/30',
+  section: 'bg-glow/10 text-glow border-glow/30',
+  reference: 'bg-border/20 text-muted border-border',
+  simulation: 'bg-purple-500/10 text-purple-400 border-purple-500/30'
+};
+
+/**
+ * Open and close the search overlay with Ctrl/Cmd+K, or "/" outside text fields
+ */
+function useSearchShortcut(open, onOpenChange) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        onOpenChange(!open);
+        return;
+      }
+
+      const target = e.target;
+      const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+      if (e.key === '/' && !open && !isTyping) {
+        e.preventDefault();
+        onOpenChange(true);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [open, onOpenChange]);
+}
+
+/**
+ * Load the content chunks of the notes among the results, so their
+ * snippets can be cut from the text around the match (the index only
+ * holds an excerpt). Returns the vault index, or null while it loads;
+ * re-renders as chunks arrive.
+ */
+function useResultNotes(results) {
+  const [vaultData, setVaultData] = useState(null);
+  const [, setLoadedCount] = useState(0);
+
+  const noteIds = results.filter(({ doc }) => doc.type === 'note').map(({ doc }) => doc.noteId);
+  const noteKey = [...new Set(noteIds)].join('\n');
+
+  useEffect(() => {
+    if (!noteKey) return;
+    let cancelled = false;
+
+    loadVaultIndex()
+      .then(loaded => {
+        if (cancelled) return;
+        setVaultData(loaded);
+        for (const noteId of noteKey.split('\n')) {
+          const note = loaded.notes[noteId];
+          if (!note || getCachedNoteContent(note)) continue;
+          loadNoteContent(note)
+            .then(() => { if (!cancelled) setLoadedCount(count => count + 1); })
+            .catch(err => console.warn('Failed to load note for search snippet:', err));
+        }
+      })
+      .catch(err => console.warn('Failed to load vault index for search snippets:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [noteKey]);
+
+  return vaultData;
+}
+
+/**
+ * Text to cut a result's snippet from: a note's section once its chunk is
+ * loaded (its excerpt until then), any other document's own text
+ */
+function getSnippetText(doc, vaultData) {
+  if (doc.type !== 'note') return doc.text;
+  const content = getCachedNoteContent(vaultData?.notes[doc.noteId])?.content;
+  return (content && getNoteSectionText(content, doc.slug)) ?? doc.excerpt;
+}
+
+/**
+ * Render highlighted segments from highlightTerms/getSnippet
+ */
+function Highlighted({ segments }) {
+  return segments.map((segment, i) =>
+    segment.match ? (
+      <mark key={i} className="bg-glow/20 text-text rounded-sm px-0.5">{segment.text}</mark>
+    ) : (
+      <span key={i}>{segment.text}</span>
+    )
+  );
+}
+
+/**
+ * FilterChip - Toggle button for a type or folder filter
+ */
+function FilterChip({ active, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`px-2 py-0.5 rounded-full border text-xs capitalize transition-colors ${
+        active
+          ? 'bg-glow/20 text-glow border-glow/40'
+          : 'text-muted border-border hover:text-text'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * SearchOverlay - Full-text search across vault notes, Explorer sections,
+ * references and simulations
+ *
+ * The index is fetched the first time the overlay opens. Each page that
+ * shows a search button renders one overlay and owns its open state.
+ */
+export default function SearchOverlay({ open, onOpenChange }) {
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  const [index, setIndex] = useState(null);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [types, setTypes] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [selected, setSelected] = useState(0);
+
+  useSearchShortcut(open, onOpenChange);
+
+  useEffect(() => {
+    if (!open || index) return;
+    let cancelled = false;
+
+    loadSearchIndex()
+      .then(loaded => {
+        if (!cancelled) setIndex(loaded);
+      })
+      .catch(err => {
+        console.warn('Failed to load search index:', err);
+        if (!cancelled) setError('Search is unavailable');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, index]);
+
+  useEffect(() => {
+    if (open) inputRef.current?.focus();
+  }, [open]);
+
+  const noteFolders = useMemo(() => {
+    if (!index) return [];
+    const found = new Set(index.docs.filter(doc => doc.type === 'note').map(doc => doc.folder));
+    return [...found].sort();
+  }, [index]);
+
+  const results = useMemo(() => {
+    if (!index || !query.trim()) return [];
+    return searchIndex(index, query, {
+      types: types.length ? types : null,
+      folders: folders.length ? folders : null
+    });
+  }, [index, query, types, folders]);
+  const vaultData = useResultNotes(results);
+
+  if (!open) return null;
+
+  const close = () => onOpenChange(false);
+
+  const toggle = (list, setList, value) => {
+    setList(list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+    setSelected(0);
+  };
+
+  const openResult = ({ doc }) => {
+    if (!doc.url) return;
+    if (/^https?:/.test(doc.url)) {
+      window.open(doc.url, '_blank', 'noopener,noreferrer');
+    } else {
+      navigate(doc.url);
+    }
+    close();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && results[selected]) {
+      openResult(results[selected]);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[100] bg-black/60 backdrop-blur-sm flex items-start justify-center px-4 pt-[10vh]"
+      onClick={close}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search"
+        className="w-full max-w-2xl bg-void border border-border rounded-xl shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        {/* Query */}
+        <div className="flex items-center gap-3 px-4 border-b border-border">
+          <svg className="w-5 h-5 text-muted flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M21 21l-5.197-5.197m0 0A7.5 7.5 0 105.196 5.196a7.5 7.5 0 0010.607 10.607z" />
+          </svg>
+          <input
+            ref={inputRef}
+            value={query}
+            onChange={e => {
+              setQuery(e.target.value);
+              setSelected(0);
+            }}
+            placeholder="Search notes, sections, references, simulations…"
+            className="flex-1 h-14 bg-transparent text-text placeholder:text-muted focus:outline-none"
+          />
+          <kbd className="hidden sm:inline text-xs text-muted font-mono border border-border rounded px-1.5 py-0.5">esc</kbd>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-2 px-4 py-2 border-b border-border">
+          {Object.entries(TYPE_LABELS).map(([type, label]) => (
+            <FilterChip key={type} active={types.includes(type)} onClick={() => toggle(types, setTypes, type)}>
+              {label}s
+            </FilterChip>
+          ))}
+          {noteFolders.length > 0 && <span className="w-px h-4 bg-border mx-1" />}
+          {noteFolders.map(folder => (
+            <FilterChip key={folder} active={folders.includes(folder)} onClick={() => toggle(folders, setFolders, folder)}>
+              {folder}
+            </FilterChip>
+          ))}
+        </div>
+
+        {/* Results */}
+        <div className="max-h-[60vh] overflow-y-auto">
+          {error && <p className="px-4 py-6 text-sm text-muted text-center">{error}</p>}
+          {!error && !index && <p className="px-4 py-6 text-sm text-muted text-center">Loading search index…</p>}
+          {index && query.trim() && results.length === 0 && (
+            <p className="px-4 py-6 text-sm text-muted text-center">No results for “{query.trim()}”</p>
+          )}
+
+          <ul>
+            {results.map((result, i) => {
+              const { doc, terms } = result;
+              const snippet = getSnippet(getSnippetText(doc, vaultData), terms);
+
+              return (
+                <li key={doc.id}>
+                  <button
+                    onClick={() => openResult(result)}
+                    onMouseMove={() => setSelected(i)}
+                    disabled={!doc.url}
+                    className={`w-full text-left px-4 py-3 border-b border-border/50 transition-colors ${
+                      i === selected ? 'bg-surface' : ''
+                    } ${doc.url ? '' : 'opacity-60 cursor-default'}`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className={`px-1.5 py-0.5 rounded border text-[10px] uppercase tracking-wide ${TYPE_STYLES[doc.type]}`}>
+                        {TYPE_LABELS[doc.type]}
+                      </span>
+                      <span className="text-sm text-text font-medium truncate">
+                        <Highlighted segments={highlightTerms(doc.title, terms)} />
+                      </span>
+                    </div>
+                    {doc.context && (
+                      <div className="mt-1 text-xs text-muted truncate">
+                        {doc.type === 'note' && <span className="capitalize">{doc.folder} · </span>}
+                        {doc.context}
+                      </div>
+                    )}
+                    {snippet.length > 0 && (
+                      <p className="mt-1 text-xs text-secondary leading-relaxed line-clamp-2">
+                        <Highlighted segments={snippet} />
+                      </p>
+                    )}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <div className="flex items-center justify-between px-4 py-2 text-xs text-muted border-t border-border">
+          <span>↑↓ to select · ↵ to open</span>
+          <span>{results.length > 0 && `${results.length} result${results.length === 1 ? '' : 's'}`}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * SearchButton - Opens the search overlay; shows the keyboard shortcut
+ */
+export function SearchButton({ onClick, className = '' }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`flex items-center gap-2 text-sm transition-colors ${className}`}
+      aria-label="Search"
+    >
+      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-5.197-5.197m0 0A7.5 7.5 0 105.196 5.196a7.5 7.5 0 0010.607 10.607z" />
+      </svg>
+      <span>Search</span>
+      <kbd className="hidden lg:inline text-[10px] font-mono border border-current/30 rounded px-1 opacity-70">⌘K</kbd>
+    </button>
+  );
+}
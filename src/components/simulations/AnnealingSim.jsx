@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/annealing';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * AnnealingSim - Configuration Constraint Visualization (Enhanced)
@@ -11,102 +17,10 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * - Temperature/PRECISION slider (high precision = trapped, low = flexible)
  * - QUENCH button simulating trauma (rapid cooling → frozen state)
  * - DUAL VISUALIZATION: energy landscape + bodily state indicators
+ *
+ * Dynamics: models/annealing.js
  */
 
-// Physiological basins based on autonomic states
-const BASIN_TYPES = [
-  { 
-    id: 'ventral', 
-    label: 'Ventral Vagal', 
-    subtitle: 'Safe & Social',
-    color: '#4ade80', 
-    depth: 0.7,
-    bodyState: {
-      heartRate: 65,
-      muscleTension: 0.2,
-      breathingRate: 12,
-      cognitiveAccess: 0.95,
-      description: 'Calm, connected, full cognitive flexibility'
-    }
-  },
-  { 
-    id: 'sympathetic', 
-    label: 'Sympathetic', 
-    subtitle: 'Fight / Flight',
-    color: '#f87171', 
-    depth: 1.0,
-    bodyState: {
-      heartRate: 110,
-      muscleTension: 0.8,
-      breathingRate: 22,
-      cognitiveAccess: 0.4,
-      description: 'Mobilized, threat-focused, narrowed attention'
-    }
-  },
-  { 
-    id: 'dorsal', 
-    label: 'Dorsal Vagal', 
-    subtitle: 'Shutdown',
-    color: '#64748b', 
-    depth: 1.2,
-    bodyState: {
-      heartRate: 55,
-      muscleTension: 0.1,
-      breathingRate: 8,
-      cognitiveAccess: 0.15,
-      description: 'Collapsed, dissociated, minimal cognitive access'
-    }
-  },
-  { 
-    id: 'flow', 
-    label: 'Flow State', 
-    subtitle: 'Engaged',
-    color: '#a78bfa', 
-    depth: 0.5,
-    bodyState: {
-      heartRate: 75,
-      muscleTension: 0.3,
-      breathingRate: 14,
-      cognitiveAccess: 0.9,
-      description: 'Absorbed, effortless action, high integration'
-    }
-  },
-  { 
-    id: 'hypervigilance', 
-    label: 'Hypervigilance', 
-    subtitle: 'Frozen Alert',
-    color: '#fb923c', 
-    depth: 0.9,
-    bodyState: {
-      heartRate: 95,
-      muscleTension: 0.9,
-      breathingRate: 18,
-      cognitiveAccess: 0.25,
-      description: 'Scanning, rigid, unable to settle'
-    }
-  },
-];
-
-function initializeBasins(width, height) {
-  const cx = width / 2;
-  const cy = height / 2 - 20;
-  
-  const positions = [
-    { x: cx, y: cy - 70 },
-    { x: cx + 110, y: cy + 30 },
-    { x: cx, y: cy + 100 },
-    { x: cx - 110, y: cy - 20 },
-    { x: cx + 60, y: cy + 60 },
-  ];
-  
-  return BASIN_TYPES.map((type, i) => ({
-    ...type,
-    x: positions[i].x,
-    y: positions[i].y,
-    radius: 45 + type.depth * 15,
-  }));
-}
-
 function computeLandscape(width, height, basins, resolution = 3) {
   const cols = Math.ceil(width / resolution);
   const rows = Math.ceil(height / resolution);
@@ -150,68 +64,6 @@ function computeLandscape(width, height, basins, resolution = 3) {
   return { landscape, basinMap, resolution, cols, rows };
 }
 
-function getForceAndEnergy(basins, x, y) {
-  let fx = 0, fy = 0, energy = 2;
-  
-  basins.forEach(basin => {
-    const dx = basin.x - x;
-    const dy = basin.y - y;
-    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-    
-    const wellDepth = basin.depth * 1.5;
-    const wellWidth = basin.radius;
-    const gaussFactor = Math.exp(-(dist * dist) / (2 * wellWidth * wellWidth));
-    const gradientMag = (wellDepth * dist / (wellWidth * wellWidth)) * gaussFactor;
-    
-    fx += (dx / dist) * gradientMag;
-    fy += (dy / dist) * gradientMag;
-    energy -= wellDepth * gaussFactor;
-  });
-  
-  return { fx, fy, energy: Math.max(0, energy) };
-}
-
-function findCurrentBasin(basins, x, y) {
-  let closest = null;
-  let minDist = Infinity;
-  
-  basins.forEach((basin, idx) => {
-    const dx = basin.x - x;
-    const dy = basin.y - y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    
-    if (dist < basin.radius * 1.2 && dist < minDist) {
-      minDist = dist;
-      closest = { basin, index: idx, proximity: 1 - (dist / basin.radius) };
-    }
-  });
-  
-  return closest;
-}
-
-function interpolateBodyState(currentBasin, proximity, defaultState) {
-  if (!currentBasin) return defaultState;
-  
-  const target = currentBasin.basin.bodyState;
-  const t = Math.min(1, proximity * 1.5);
-  
-  return {
-    heartRate: Math.round(defaultState.heartRate + (target.heartRate - defaultState.heartRate) * t),
-    muscleTension: defaultState.muscleTension + (target.muscleTension - defaultState.muscleTension) * t,
-    breathingRate: Math.round(defaultState.breathingRate + (target.breathingRate - defaultState.breathingRate) * t),
-    cognitiveAccess: defaultState.cognitiveAccess + (target.cognitiveAccess - defaultState.cognitiveAccess) * t,
-    description: t > 0.5 ? target.description : 'Transitioning...'
-  };
-}
-
-const DEFAULT_BODY_STATE = {
-  heartRate: 72,
-  muscleTension: 0.4,
-  breathingRate: 14,
-  cognitiveAccess: 0.6,
-  description: 'Transitioning between states...'
-};
-
 function hexToRgb(hex) {
   const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
   return result ? [
@@ -221,8 +73,8 @@ function hexToRgb(hex) {
   ] : [128, 128, 128];
 }
 
-function drawBar(ctx, x, y, w, h, value, color) {
-  ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+function drawBar(ctx, palette, x, y, w, h, value, color) {
+  ctx.fillStyle = palette.ink(0.1);
   ctx.fillRect(x, y, w, h);
   ctx.fillStyle = color;
   ctx.fillRect(x, y, w * Math.min(1, Math.max(0, value)), h);
@@ -248,44 +100,33 @@ function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
   ctx.fillText(line, x, yPos);
 }
 
-export function AnnealingSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function AnnealingSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
-  const basinsRef = useRef(null);
   const landscapeRef = useRef(null);
   const stateRef = useRef(null);
   const animationRef = useRef(null);
   
-  const [precision, setPrecision] = useState(0.75);
+  const [precision, setPrecision] = useState(params.precision);
   const [currentBasin, setCurrentBasin] = useState(null);
-  const [bodyState, setBodyState] = useState(DEFAULT_BODY_STATE);
-  const [showTrajectory, setShowTrajectory] = useState(true);
+  const [bodyState, setBodyState] = useState(model.DEFAULT_BODY_STATE);
+  const [showTrajectory, setShowTrajectory] = useState(params.showTrajectory);
   const [isQuenched, setIsQuenched] = useState(false);
+  useSimulationSnapshot({ precision, showTrajectory, isQuenched, currentBasin, bodyState });
   
   const temperature = 1 - precision;
   
   useEffect(() => {
-    basinsRef.current = initializeBasins(width, height);
-    landscapeRef.current = computeLandscape(width, height, basinsRef.current);
-    
-    const ventral = basinsRef.current[0];
-    stateRef.current = {
-      x: ventral.x + (Math.random() - 0.5) * 20,
-      y: ventral.y + (Math.random() - 0.5) * 20,
-      vx: 0,
-      vy: 0,
-      trail: [],
-    };
-  }, [width, height]);
+    stateRef.current = model.init({ precision: params.precision, width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+    landscapeRef.current = computeLandscape(width, height, stateRef.current.basins);
+  }, [width, height, params.precision, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   const handleQuench = useCallback(() => {
-    if (!basinsRef.current || !stateRef.current) return;
+    if (!stateRef.current) return;
     
-    const sympathetic = basinsRef.current[1];
-    stateRef.current.x = sympathetic.x + (Math.random() - 0.5) * 30;
-    stateRef.current.y = sympathetic.y + (Math.random() - 0.5) * 30;
-    stateRef.current.vx = 0;
-    stateRef.current.vy = 0;
-    stateRef.current.trail = [];
+    model.quench(stateRef.current);
     
     setPrecision(0.95);
     setIsQuenched(true);
@@ -293,16 +134,9 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
   }, []);
   
   const handleReset = useCallback(() => {
-    if (!basinsRef.current) return;
+    if (!stateRef.current) return;
     
-    const ventral = basinsRef.current[0];
-    stateRef.current = {
-      x: ventral.x,
-      y: ventral.y,
-      vx: 0,
-      vy: 0,
-      trail: [],
-    };
+    model.reset(stateRef.current);
     setPrecision(0.75);
   }, []);
   
@@ -311,46 +145,27 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     const bodyPanelWidth = isMobile ? 0 : 160;
     const landscapeWidth = width - bodyPanelWidth;
     
     const animate = () => {
-      const basins = basinsRef.current;
       const { landscape, basinMap, resolution, cols, rows } = landscapeRef.current || {};
-      const state = stateRef.current;
       
-      if (!basins || !landscape || !state) {
+      if (!landscape || !stateRef.current) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
       
-      const { fx, fy } = getForceAndEnergy(basins, state.x, state.y);
-      
-      const noise = temperature * 4;
-      state.vx += fx * 0.12 + (Math.random() - 0.5) * noise;
-      state.vy += fy * 0.12 + (Math.random() - 0.5) * noise;
-      
-      const damping = 0.8 + precision * 0.15;
-      state.vx *= damping;
-      state.vy *= damping;
+      const state = model.step(stateRef.current, FRAME_DT, { precision, panelWidth: bodyPanelWidth });
+      const basins = state.basins;
       
-      state.x += state.vx;
-      state.y += state.vy;
-      
-      state.x = Math.max(40, Math.min(landscapeWidth - 40, state.x));
-      state.y = Math.max(40, Math.min(height - 40, state.y));
-      
-      state.trail.push({ x: state.x, y: state.y });
-      if (state.trail.length > 150) state.trail.shift();
-      
-      const inBasin = findCurrentBasin(basins, state.x, state.y);
+      const inBasin = model.getCurrentBasin(state);
       setCurrentBasin(inBasin ? inBasin.index : null);
-      
-      const newBodyState = interpolateBodyState(inBasin, inBasin?.proximity || 0, DEFAULT_BODY_STATE);
-      setBodyState(newBodyState);
+      setBodyState(model.getBodyState(state));
       
       // === RENDERING ===
-      ctx.fillStyle = isQuenched ? '#1a0505' : '#0a0a0c';
+      ctx.fillStyle = isQuenched ? '#1a0505' : palette.background('#0a0a0c');
       ctx.fillRect(0, 0, width, height);
       
       // Energy landscape
@@ -375,7 +190,7 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
       }
       
       // Basin boundaries
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+      ctx.strokeStyle = palette.ink(0.06);
       ctx.lineWidth = 1;
       for (let row = 1; row < rows; row++) {
         for (let col = 1; col < cols; col++) {
@@ -415,10 +230,10 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
         
         ctx.font = '10px "JetBrains Mono", monospace';
         ctx.textAlign = 'center';
-        ctx.fillStyle = isActive ? basin.color : 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = isActive ? basin.color : palette.ink(0.5);
         ctx.fillText(basin.label, basin.x, basin.y + basin.radius + 14);
         ctx.font = '8px "JetBrains Mono", monospace';
-        ctx.fillStyle = isActive ? basin.color + 'cc' : 'rgba(255, 255, 255, 0.3)';
+        ctx.fillStyle = isActive ? basin.color + 'cc' : palette.ink(0.3);
         ctx.fillText(basin.subtitle, basin.x, basin.y + basin.radius + 24);
       });
       
@@ -428,7 +243,7 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
         ctx.moveTo(state.trail[0].x, state.trail[0].y);
         for (let i = 1; i < state.trail.length; i++) {
           const alpha = (i / state.trail.length) * 0.4;
-          ctx.strokeStyle = `rgba(255, 255, 255, ${alpha})`;
+          ctx.strokeStyle = palette.ink(alpha);
           ctx.lineTo(state.trail[i].x, state.trail[i].y);
         }
         ctx.stroke();
@@ -448,7 +263,8 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
       ctx.lineWidth = 1.5;
       ctx.stroke();
       
-      // Thermal noise particles
+      // Thermal noise particles - decoration only, so they use Math.random
+      // rather than the model's seeded rng
       if (temperature > 0.3) {
         const particleCount = Math.floor(temperature * 15);
         for (let i = 0; i < particleCount; i++) {
@@ -456,7 +272,7 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
           const dist = 12 + Math.random() * 18;
           const px = state.x + Math.cos(angle) * dist;
           const py = state.y + Math.sin(angle) * dist;
-          ctx.fillStyle = `rgba(255, 255, 255, ${Math.random() * 0.25})`;
+          ctx.fillStyle = palette.ink(Math.random() * 0.25);
           ctx.beginPath();
           ctx.arc(px, py, 1, 0, Math.PI * 2);
           ctx.fill();
@@ -467,17 +283,17 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
       if (!isMobile && bodyPanelWidth > 0) {
         const panelX = landscapeWidth + 10;
         
-        ctx.fillStyle = 'rgba(20, 20, 25, 0.95)';
+        ctx.fillStyle = palette.panel('rgba(20, 20, 25, 0.95)');
         ctx.fillRect(landscapeWidth, 0, bodyPanelWidth, height);
         
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.strokeStyle = palette.ink(0.1);
         ctx.beginPath();
         ctx.moveTo(landscapeWidth, 0);
         ctx.lineTo(landscapeWidth, height);
         ctx.stroke();
         
         ctx.font = '9px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.fillStyle = palette.ink(0.4);
         ctx.textAlign = 'left';
         ctx.fillText('BODY STATE', panelX, 20);
         
@@ -486,42 +302,42 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
         const barHeight = 6;
         
         // Heart Rate
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = palette.ink(0.5);
         ctx.fillText('Heart Rate', panelX, yPos);
         yPos += 12;
         const hrNorm = (bodyState.heartRate - 50) / 80;
-        drawBar(ctx, panelX, yPos, barWidth, barHeight, hrNorm, '#f87171');
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        drawBar(ctx, palette, panelX, yPos, barWidth, barHeight, hrNorm, '#f87171');
+        ctx.fillStyle = palette.ink(0.7);
         ctx.fillText(`${bodyState.heartRate} bpm`, panelX + barWidth + 8, yPos + 5);
         yPos += 28;
         
         // Muscle Tension
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = palette.ink(0.5);
         ctx.fillText('Muscle Tension', panelX, yPos);
         yPos += 12;
-        drawBar(ctx, panelX, yPos, barWidth, barHeight, bodyState.muscleTension, '#fb923c');
+        drawBar(ctx, palette, panelX, yPos, barWidth, barHeight, bodyState.muscleTension, '#fb923c');
         ctx.fillText(`${Math.round(bodyState.muscleTension * 100)}%`, panelX + barWidth + 8, yPos + 5);
         yPos += 28;
         
         // Breathing Rate
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = palette.ink(0.5);
         ctx.fillText('Breathing', panelX, yPos);
         yPos += 12;
         const brNorm = (bodyState.breathingRate - 6) / 20;
-        drawBar(ctx, panelX, yPos, barWidth, barHeight, brNorm, '#60a5fa');
+        drawBar(ctx, palette, panelX, yPos, barWidth, barHeight, brNorm, '#60a5fa');
         ctx.fillText(`${bodyState.breathingRate}/min`, panelX + barWidth + 8, yPos + 5);
         yPos += 28;
         
         // Cognitive Access
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = palette.ink(0.5);
         ctx.fillText('Cognitive Access', panelX, yPos);
         yPos += 12;
-        drawBar(ctx, panelX, yPos, barWidth, barHeight, bodyState.cognitiveAccess, '#4ade80');
+        drawBar(ctx, palette, panelX, yPos, barWidth, barHeight, bodyState.cognitiveAccess, '#4ade80');
         ctx.fillText(`${Math.round(bodyState.cognitiveAccess * 100)}%`, panelX + barWidth + 8, yPos + 5);
         yPos += 28;
         
         // Description
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.fillStyle = palette.ink(0.3);
         ctx.font = '8px "JetBrains Mono", monospace';
         wrapText(ctx, bodyState.description, panelX, yPos + 10, bodyPanelWidth - 20, 11);
       }
@@ -547,11 +363,7 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
     if (x > width - bodyPanelWidth) return;
     
     if (stateRef.current) {
-      stateRef.current.x = x;
-      stateRef.current.y = y;
-      stateRef.current.vx = 0;
-      stateRef.current.vy = 0;
-      stateRef.current.trail = [{ x, y }];
+      model.relocate(stateRef.current, x, y);
     }
   }, [width, isMobile]);
   
@@ -597,8 +409,8 @@ export function AnnealingSim({ width, height, isMobile = false, isFullscreen = f
           <div className="font-mono text-xs text-muted">CURRENT STATE</div>
           <div className="font-mono text-sm mt-1">
             {currentBasin !== null ? (
-              <span style={{ color: basinsRef.current?.[currentBasin]?.color }}>
-                {basinsRef.current?.[currentBasin]?.label}
+              <span style={{ color: model.BASIN_TYPES[currentBasin].color }}>
+                {model.BASIN_TYPES[currentBasin].label}
               </span>
             ) : (
               <span className="text-muted">Transitioning...</span>
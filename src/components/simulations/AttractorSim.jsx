@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/attractor';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * AttractorSim - Memory as attractor dynamics
@@ -11,142 +17,28 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * - Basin boundaries show where memories "compete"
  * 
  * Key insight: Memory recall is gradient descent to the nearest attractor
+ *
+ * Dynamics: models/attractor.js
  */
 
-const NUM_ATTRACTORS = 5;
-const ATTRACTOR_COLORS = [
-  '#60a5fa', // blue
-  '#f87171', // red
-  '#4ade80', // green
-  '#facc15', // yellow
-  '#a78bfa', // purple
-];
+const { ATTRACTOR_COLORS, memoryLabel } = model;
 
-function initializeAttractors(width, height) {
-  const attractors = [];
-  const margin = 60;
-  const usableWidth = width - margin * 2;
-  const usableHeight = height - margin * 2;
-  
-  // Place attractors with some spacing
-  for (let i = 0; i < NUM_ATTRACTORS; i++) {
-    let x, y;
-    let attempts = 0;
-    
-    do {
-      x = margin + Math.random() * usableWidth;
-      y = margin + Math.random() * usableHeight;
-      attempts++;
-    } while (
-      attempts < 50 &&
-      attractors.some(a => {
-        const dx = a.x - x;
-        const dy = a.y - y;
-        return Math.sqrt(dx * dx + dy * dy) < 100;
-      })
-    );
-    
-    attractors.push({
-      x, y,
-      strength: 0.5 + Math.random() * 0.5,
-      label: `Memory ${i + 1}`,
-      color: ATTRACTOR_COLORS[i],
-    });
-  }
-  
-  return attractors;
-}
-
-function computeEnergyLandscape(width, height, attractors, resolution = 4) {
-  const cols = Math.ceil(width / resolution);
-  const rows = Math.ceil(height / resolution);
-  const landscape = [];
-  const basins = []; // Which attractor each point belongs to
-  
-  for (let row = 0; row < rows; row++) {
-    landscape[row] = [];
-    basins[row] = [];
-    
-    for (let col = 0; col < cols; col++) {
-      const x = col * resolution;
-      const y = row * resolution;
-      
-      let minEnergy = Infinity;
-      let closestAttractor = -1;
-      
-      attractors.forEach((attractor, idx) => {
-        const dx = x - attractor.x;
-        const dy = y - attractor.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const energy = dist / (attractor.strength * 100);
-        
-        if (energy < minEnergy) {
-          minEnergy = energy;
-          closestAttractor = idx;
-        }
-      });
-      
-      landscape[row][col] = Math.min(1, minEnergy / 5);
-      basins[row][col] = closestAttractor;
-    }
-  }
-  
-  return { landscape, basins, resolution, cols, rows };
-}
-
-function getGradient(attractors, x, y) {
-  let fx = 0, fy = 0;
-  let totalEnergy = 0;
-  
-  attractors.forEach(attractor => {
-    const dx = attractor.x - x;
-    const dy = attractor.y - y;
-    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-    
-    // Attraction force (inverse square, capped)
-    const force = attractor.strength * 50 / (dist + 10);
-    fx += (dx / dist) * force;
-    fy += (dy / dist) * force;
-    
-    totalEnergy += dist / attractor.strength;
-  });
-  
-  return { fx, fy, energy: totalEnergy };
-}
-
-function findNearestAttractor(attractors, x, y) {
-  let minDist = Infinity;
-  let nearest = null;
-  
-  attractors.forEach((a, idx) => {
-    const dx = a.x - x;
-    const dy = a.y - y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    if (dist < minDist) {
-      minDist = dist;
-      nearest = { attractor: a, index: idx, distance: dist };
-    }
-  });
-  
-  return nearest;
-}
-
-export function AttractorSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function AttractorSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
-  const attractorsRef = useRef(null);
-  const landscapeRef = useRef(null);
-  const particleRef = useRef(null);
+  const stateRef = useRef(null);
   const animationRef = useRef(null);
   const [isRecalling, setIsRecalling] = useState(false);
-  const [showBasins, setShowBasins] = useState(true);
+  const [showBasins, setShowBasins] = useState(params.showBasins);
   const [recalledMemory, setRecalledMemory] = useState(null);
+  useSimulationSnapshot({ showBasins, isRecalling, recalledMemory });
   
   // Initialize
   useEffect(() => {
-    attractorsRef.current = initializeAttractors(width, height);
-    landscapeRef.current = computeEnergyLandscape(width, height, attractorsRef.current);
-    particleRef.current = null;
-  }, [width, height]);
+    stateRef.current = model.init({ width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [width, height, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   // Animation loop
   useEffect(() => {
@@ -154,46 +46,28 @@ export function AttractorSim({ width, height, isMobile = false, isFullscreen = f
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
-    const damping = 0.92;
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      const attractors = attractorsRef.current;
-      const { landscape, basins, resolution, cols, rows } = landscapeRef.current || {};
-      const particle = particleRef.current;
+      const state = stateRef.current;
       
-      if (!attractors || !landscape) {
+      if (!state) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
       
       // Update particle if recalling
-      if (particle && isRecalling) {
-        const grad = getGradient(attractors, particle.x, particle.y);
-        
-        particle.vx += grad.fx * 0.01;
-        particle.vy += grad.fy * 0.01;
-        particle.vx *= damping;
-        particle.vy *= damping;
-        
-        particle.x += particle.vx;
-        particle.y += particle.vy;
-        
-        // Add to trail
-        particle.trail.push({ x: particle.x, y: particle.y });
-        if (particle.trail.length > 150) particle.trail.shift();
-        
-        // Check if settled into an attractor
-        const speed = Math.sqrt(particle.vx * particle.vx + particle.vy * particle.vy);
-        const nearest = findNearestAttractor(attractors, particle.x, particle.y);
-        
-        if (speed < 0.5 && nearest.distance < 20) {
-          setRecalledMemory(nearest.index);
-          setIsRecalling(false);
-        }
+      model.step(state, FRAME_DT);
+      const { recalling, recalled } = model.observe(state);
+      if (isRecalling && !recalling) {
+        setRecalledMemory(recalled);
+        setIsRecalling(false);
       }
       
+      const { attractors, landscape, basins, resolution, cols, rows, particle } = state;
+      
       // Draw
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       // Draw basin regions if enabled
@@ -220,7 +94,7 @@ export function AttractorSim({ width, height, isMobile = false, isFullscreen = f
       
       // Draw basin boundaries
       if (showBasins && basins) {
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.strokeStyle = palette.ink(0.1);
         ctx.lineWidth = 1;
         
         for (let row = 1; row < rows; row++) {
@@ -263,7 +137,7 @@ export function AttractorSim({ width, height, isMobile = false, isFullscreen = f
         // Label
         ctx.font = '11px "JetBrains Mono", monospace';
         ctx.textAlign = 'center';
-        ctx.fillStyle = isActive ? attractor.color : 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = isActive ? attractor.color : palette.ink(0.5);
         ctx.fillText(attractor.label, attractor.x, attractor.y + 25);
       });
       
@@ -276,13 +150,13 @@ export function AttractorSim({ width, height, isMobile = false, isFullscreen = f
           for (let i = 1; i < particle.trail.length; i++) {
             ctx.lineTo(particle.trail[i].x, particle.trail[i].y);
           }
-          ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+          ctx.strokeStyle = palette.ink(0.5);
           ctx.lineWidth = 2;
           ctx.stroke();
         }
         
         // Particle
-        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = palette.ink();
         ctx.beginPath();
         ctx.arc(particle.x, particle.y, 6, 0, Math.PI * 2);
         ctx.fill();
@@ -290,7 +164,7 @@ export function AttractorSim({ width, height, isMobile = false, isFullscreen = f
         // Label
         ctx.font = '10px "JetBrains Mono", monospace';
         ctx.textAlign = 'center';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillStyle = palette.ink(0.7);
         ctx.fillText('cue', particle.x, particle.y - 15);
       }
       
@@ -312,11 +186,7 @@ export function AttractorSim({ width, height, isMobile = false, isFullscreen = f
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
     
-    particleRef.current = {
-      x, y,
-      vx: 0, vy: 0,
-      trail: [{ x, y }],
-    };
+    model.cue(stateRef.current, x, y);
     
     setRecalledMemory(null);
     setIsRecalling(true);
@@ -324,12 +194,10 @@ export function AttractorSim({ width, height, isMobile = false, isFullscreen = f
   
   // Reset
   const handleReset = useCallback(() => {
-    attractorsRef.current = initializeAttractors(width, height);
-    landscapeRef.current = computeEnergyLandscape(width, height, attractorsRef.current);
-    particleRef.current = null;
+    model.reset(stateRef.current);
     setIsRecalling(false);
     setRecalledMemory(null);
-  }, [width, height]);
+  }, []);
   
   return (
     <div className="relative w-full h-full">
@@ -346,10 +214,10 @@ export function AttractorSim({ width, height, isMobile = false, isFullscreen = f
         <div className="font-mono text-lg">
           {recalledMemory !== null ? (
             <span style={{ color: ATTRACTOR_COLORS[recalledMemory] }}>
-              {attractorsRef.current?.[recalledMemory]?.label || 'Memory'} recalled
+              {memoryLabel(recalledMemory)} recalled
             </span>
           ) : isRecalling ? (
-            <span className="text-white animate-pulse">Recalling...</span>
+            <span className="text-text animate-pulse">Recalling...</span>
           ) : (
             <span className="text-muted">Click to place cue</span>
           )}
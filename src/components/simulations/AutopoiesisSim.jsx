@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/autopoiesis';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * AutopoiesisSim - Operational Closure Visualization
@@ -16,76 +22,36 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * 
  * Key insight: The system produces the components that produce the system.
  * Operationally closed, structurally coupled.
+ *
+ * Dynamics: models/autopoiesis.js
  */
 
-const MEMBRANE_PARTICLES = 24;
-const INTERNAL_PRODUCERS = 8;
-
-function initializeSystem(width, height) {
-  const cx = width / 2;
-  const cy = height / 2;
-  const radius = Math.min(width, height) * 0.28;
-  
-  // Membrane particles forming the boundary
-  const membrane = [];
-  for (let i = 0; i < MEMBRANE_PARTICLES; i++) {
-    const angle = (i / MEMBRANE_PARTICLES) * Math.PI * 2;
-    membrane.push({
-      angle,
-      radius: radius,
-      integrity: 1.0, // 1 = healthy, 0 = broken
-      age: 0,
-      maxAge: 300 + Math.random() * 200,
-    });
-  }
-  
-  // Internal producer units
-  const producers = [];
-  for (let i = 0; i < INTERNAL_PRODUCERS; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const r = Math.random() * radius * 0.6;
-    producers.push({
-      x: cx + Math.cos(angle) * r,
-      y: cy + Math.sin(angle) * r,
-      vx: (Math.random() - 0.5) * 0.5,
-      vy: (Math.random() - 0.5) * 0.5,
-      energy: 1.0,
-      producing: false,
-      targetMembrane: -1,
-    });
-  }
-  
-  // Resources from environment
-  const resources = [];
-  
-  return { membrane, producers, resources, cx, cy, radius };
-}
-
-export function AutopoiesisSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function AutopoiesisSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const systemRef = useRef(null);
   const animationRef = useRef(null);
   
   const [membraneIntegrity, setMembraneIntegrity] = useState(1);
   const [isAlive, setIsAlive] = useState(true);
-  const [metabolicRate, setMetabolicRate] = useState(1.0);
-  const [showFlows, setShowFlows] = useState(true);
+  const [metabolicRate, setMetabolicRate] = useState(params.metabolicRate);
+  const [showFlows, setShowFlows] = useState(params.showFlows);
+  useSimulationSnapshot({ metabolicRate, showFlows, membraneIntegrity, isAlive });
   
   useEffect(() => {
-    systemRef.current = initializeSystem(width, height);
-  }, [width, height]);
+    systemRef.current = model.init({ metabolicRate: params.metabolicRate, width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, systemRef.current, snapshot);
+  }, [width, height, params.metabolicRate, seed, snapshot]);
+
+  useSimulationModel(model, () => systemRef.current);
   
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
-    let time = 0;
-    let frameCount = 0;
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      time += 0.016;
-      frameCount++;
       const system = systemRef.current;
       
       if (!system) {
@@ -93,158 +59,15 @@ export function AutopoiesisSim({ width, height, isMobile = false, isFullscreen =
         return;
       }
       
-      const { membrane, producers, resources, cx, cy, radius } = system;
-      
-      // === AUTOPOIETIC DYNAMICS ===
-      
-      // 1. Membrane degradation (entropy)
-      let totalIntegrity = 0;
-      membrane.forEach((m, i) => {
-        m.age += metabolicRate;
-        
-        // Natural decay
-        if (m.age > m.maxAge * 0.7) {
-          m.integrity -= 0.001 * metabolicRate;
-        }
-        
-        m.integrity = Math.max(0, Math.min(1, m.integrity));
-        totalIntegrity += m.integrity;
-      });
-      
-      const avgIntegrity = totalIntegrity / membrane.length;
-      setMembraneIntegrity(avgIntegrity);
-      
-      // Check death condition
-      if (avgIntegrity < 0.3) {
-        setIsAlive(false);
-      }
-      
-      // 2. Spawn environmental resources
-      if (frameCount % 30 === 0 && resources.length < 20) {
-        const angle = Math.random() * Math.PI * 2;
-        const dist = radius * 1.5 + Math.random() * 50;
-        resources.push({
-          x: cx + Math.cos(angle) * dist,
-          y: cy + Math.sin(angle) * dist,
-          vx: (Math.random() - 0.5) * 0.3,
-          vy: (Math.random() - 0.5) * 0.3,
-          type: 'nutrient',
-        });
-      }
-      
-      // 3. Resources drift and can pass through membrane
-      resources.forEach((r, i) => {
-        r.x += r.vx;
-        r.y += r.vy;
-        
-        // Drift toward center slightly (concentration gradient)
-        const dx = cx - r.x;
-        const dy = cy - r.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        r.vx += dx / dist * 0.01;
-        r.vy += dy / dist * 0.01;
-        
-        // Check if passes through weak membrane spot
-        const angle = Math.atan2(r.y - cy, r.x - cx);
-        const normalizedAngle = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-        const membraneIdx = Math.floor((normalizedAngle / (Math.PI * 2)) * membrane.length);
-        
-        if (dist < radius + 10 && dist > radius - 30) {
-          // Near membrane - can pass through based on integrity
-          const membraneStrength = membrane[membraneIdx]?.integrity || 0;
-          if (Math.random() > membraneStrength * 0.8) {
-            // Passes through
-            r.x += dx / dist * 5;
-            r.y += dy / dist * 5;
-          }
-        }
-      });
-      
-      // Remove resources that left bounds
-      system.resources = resources.filter(r => {
-        const d = Math.sqrt((r.x - cx) ** 2 + (r.y - cy) ** 2);
-        return d < radius * 2 && r.x > 0 && r.x < width && r.y > 0 && r.y < height;
-      });
+      model.step(system, FRAME_DT, { metabolicRate });
+      const { integrity, alive } = model.observe(system);
+      setMembraneIntegrity(integrity);
+      if (!alive) setIsAlive(false);
       
-      // 4. Producers move and work
-      producers.forEach(p => {
-        if (!isAlive) {
-          p.energy *= 0.99;
-          return;
-        }
-        
-        // Brownian motion inside
-        p.vx += (Math.random() - 0.5) * 0.1;
-        p.vy += (Math.random() - 0.5) * 0.1;
-        p.vx *= 0.95;
-        p.vy *= 0.95;
-        
-        p.x += p.vx;
-        p.y += p.vy;
-        
-        // Stay inside membrane
-        const d = Math.sqrt((p.x - cx) ** 2 + (p.y - cy) ** 2);
-        if (d > radius - 20) {
-          const angle = Math.atan2(p.y - cy, p.x - cx);
-          p.x = cx + Math.cos(angle) * (radius - 25);
-          p.y = cy + Math.sin(angle) * (radius - 25);
-          p.vx *= -0.5;
-          p.vy *= -0.5;
-        }
-        
-        // Consume nearby resources
-        system.resources = system.resources.filter(r => {
-          const rd = Math.sqrt((r.x - p.x) ** 2 + (r.y - p.y) ** 2);
-          if (rd < 20 && p.energy < 1.5) {
-            p.energy += 0.3;
-            return false;
-          }
-          return true;
-        });
-        
-        // If energized, repair nearest weak membrane segment
-        if (p.energy > 0.5 && !p.producing) {
-          let weakest = -1;
-          let weakestIntegrity = 1;
-          
-          membrane.forEach((m, i) => {
-            if (m.integrity < weakestIntegrity && m.integrity < 0.8) {
-              weakest = i;
-              weakestIntegrity = m.integrity;
-            }
-          });
-          
-          if (weakest >= 0) {
-            p.producing = true;
-            p.targetMembrane = weakest;
-          }
-        }
-        
-        // Production process
-        if (p.producing && p.targetMembrane >= 0) {
-          const target = membrane[p.targetMembrane];
-          if (target && p.energy > 0.1) {
-            target.integrity += 0.005 * metabolicRate;
-            p.energy -= 0.002 * metabolicRate;
-            
-            if (target.integrity >= 1) {
-              target.integrity = 1;
-              target.age = 0;
-              target.maxAge = 300 + Math.random() * 200;
-              p.producing = false;
-              p.targetMembrane = -1;
-            }
-          } else {
-            p.producing = false;
-            p.targetMembrane = -1;
-          }
-        }
-        
-        p.energy = Math.max(0, Math.min(1.5, p.energy));
-      });
+      const { membrane, producers, cx, cy, radius } = system;
       
       // === RENDERING ===
-      ctx.fillStyle = '#0a0a0c';
+      ctx.fillStyle = palette.background('#0a0a0c');
       ctx.fillRect(0, 0, width, height);
       
       // Draw environmental gradient
@@ -352,7 +175,7 @@ export function AutopoiesisSim({ width, height, isMobile = false, isFullscreen =
       // Labels
       ctx.font = '10px "JetBrains Mono", monospace';
       ctx.textAlign = 'center';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.fillStyle = palette.ink(0.3);
       ctx.fillText('ENVIRONMENT (ψ)', cx, cy - radius - 30);
       ctx.fillText('INTERIOR (μ)', cx, cy);
       
@@ -361,7 +184,7 @@ export function AutopoiesisSim({ width, height, isMobile = false, isFullscreen =
         ctx.save();
         ctx.translate(cx, cy + radius + 50);
         ctx.font = '9px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.fillStyle = palette.ink(0.4);
         ctx.fillText('membrane → enables → processes → produce → membrane', 0, 0);
         ctx.restore();
       }
@@ -379,21 +202,14 @@ export function AutopoiesisSim({ width, height, isMobile = false, isFullscreen =
   }, [width, height, isAlive, metabolicRate, showFlows]);
   
   const handleDamage = useCallback(() => {
-    const system = systemRef.current;
-    if (!system) return;
-    
-    // Damage random membrane segments
-    for (let i = 0; i < 5; i++) {
-      const idx = Math.floor(Math.random() * system.membrane.length);
-      system.membrane[idx].integrity -= 0.3;
-    }
+    if (systemRef.current) model.damage(systemRef.current);
   }, []);
   
   const handleReset = useCallback(() => {
-    systemRef.current = initializeSystem(width, height);
+    if (systemRef.current) model.reset(systemRef.current);
     setIsAlive(true);
     setMetabolicRate(1.0);
-  }, [width, height]);
+  }, []);
   
   return (
     <div className="relative w-full h-full">
@@ -1,5 +1,8 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot } from '../../hooks/useSimulationHost';
+import * as model from '../../models/csp';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * CSPExperimentSim - Constraint Satisfaction as H(ω) Demonstration
@@ -16,18 +19,11 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * - Minimum memory to solve = initiation set boundary ∂I_h
  * - SOLVED = h ∈ H(ω) — operation accessible
  * - FAILURE = h ∉ H(ω) — categorical failure
+ *
+ * Solver: models/csp.js
  */
 
-// Problem definitions
-const PROBLEMS = {
-  simple3: { name: 'Simple (3)', nVars: 3, type: 'simple', minCapacity: 3, description: 'No constraints' },
-  simple5: { name: 'Simple (5)', nVars: 5, type: 'simple', minCapacity: 5, description: 'No constraints' },
-  chain4: { name: 'Chain (4)', nVars: 4, type: 'chain', minCapacity: 4, description: 'x₀ < x₁ < x₂ < x₃' },
-  queens4: { name: '4-Queens', nVars: 4, type: 'queens', minCapacity: 4, description: 'Non-attacking queens' },
-  queens5: { name: '5-Queens', nVars: 5, type: 'queens', minCapacity: 5, description: 'Non-attacking queens' },
-  queens6: { name: '6-Queens', nVars: 6, type: 'queens', minCapacity: 6, description: 'Non-attacking queens' },
-  queens7: { name: '7-Queens', nVars: 7, type: 'queens', minCapacity: 7, description: 'Non-attacking queens' },
-};
+const { PROBLEMS } = model;
 
 // Solver result types
 const RESULT_TYPES = {
@@ -37,89 +33,21 @@ const RESULT_TYPES = {
   pending: { label: 'Ready', color: '#71717a', emoji: '○' },
 };
 
-// Simple CSP solver with explicit memory limits
-function solveCSP(problem, capacity, budget = 10000) {
-  const n = problem.nVars;
-  
-  // Check if problem fits in memory at all
-  if (n > capacity) {
-    return { result: 'memory_exceeded', solution: null, opsUsed: 0, memoryUsed: n };
-  }
-  
-  let opsCount = 0;
-  let maxMemory = 0;
-  
-  // For queens, we need to find valid placement
-  if (problem.type === 'queens') {
-    const isValid = (positions, row, col) => {
-      for (let i = 0; i < row; i++) {
-        if (positions[i] === col) return false;
-        if (Math.abs(positions[i] - col) === Math.abs(i - row)) return false;
-      }
-      return true;
-    };
-    
-    const solve = (positions, row) => {
-      opsCount++;
-      maxMemory = Math.max(maxMemory, positions.length);
-      
-      if (opsCount > budget) return null;
-      if (row === n) return positions;
-      
-      for (let col = 0; col < n; col++) {
-        opsCount++;
-        if (opsCount > budget) return null;
-        
-        if (isValid(positions, row, col)) {
-          const result = solve([...positions, col], row + 1);
-          if (result) return result;
-        }
-      }
-      return null;
-    };
-    
-    const solution = solve([], 0);
-    if (opsCount > budget) {
-      return { result: 'budget_exhausted', solution: null, opsUsed: opsCount, memoryUsed: maxMemory };
-    }
-    return { 
-      result: solution ? 'success' : 'memory_exceeded', 
-      solution, 
-      opsUsed: opsCount, 
-      memoryUsed: maxMemory 
-    };
-  }
-  
-  // Simple assignment - always succeeds if capacity sufficient
-  if (problem.type === 'simple') {
-    return { 
-      result: 'success', 
-      solution: Array(n).fill(0), 
-      opsUsed: n, 
-      memoryUsed: n 
-    };
-  }
-  
-  // Chain constraint
-  if (problem.type === 'chain') {
-    return { 
-      result: 'success', 
-      solution: Array(n).fill(0).map((_, i) => i), 
-      opsUsed: n * 2, 
-      memoryUsed: n 
-    };
-  }
-  
-  return { result: 'memory_exceeded', solution: null, opsUsed: 0, memoryUsed: 0 };
-}
-
-export function CSPExperimentSim({ isFullscreen = false }) {
+export function CSPExperimentSim({ params, isFullscreen = false }) {
   const canvasRef = useRef(null);
-  const [selectedProblem, setSelectedProblem] = useState('queens5');
-  const [capacity, setCapacity] = useState(6);
+  const [selectedProblem, setSelectedProblem] = useState(params.problem);
+  const [capacity, setCapacity] = useState(params.capacity);
   const [result, setResult] = useState({ result: 'pending' });
   const [sweepResults, setSweepResults] = useState([]);
   const [isRunning, setIsRunning] = useState(false);
+  useSimulationSnapshot({
+    problem: selectedProblem,
+    capacity,
+    isRunning,
+    result: result.result,
+    opsUsed: result.opsUsed,
+    memoryUsed: result.memoryUsed
+  });
   
   const problem = PROBLEMS[selectedProblem];
   
@@ -128,7 +56,7 @@ export function CSPExperimentSim({ isFullscreen = false }) {
     setIsRunning(true);
     setSweepResults([]);
     setTimeout(() => {
-      const res = solveCSP(problem, capacity);
+      const res = model.solveCSP(problem, capacity);
       setResult(res);
       setIsRunning(false);
     }, 50);
@@ -139,12 +67,7 @@ export function CSPExperimentSim({ isFullscreen = false }) {
     setIsRunning(true);
     setResult({ result: 'pending' });
     setTimeout(() => {
-      const results = [];
-      for (let cap = 1; cap <= 10; cap++) {
-        const res = solveCSP(problem, cap);
-        results.push({ cap, result: res.result });
-      }
-      setSweepResults(results);
+      setSweepResults(model.sweepCapacity(problem));
       setIsRunning(false);
     }, 50);
   }, [problem]);
@@ -155,13 +78,14 @@ export function CSPExperimentSim({ isFullscreen = false }) {
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     const width = canvas.width;
     const height = canvas.height;
     const centerX = width / 2;
     const centerY = height / 2;
     
     // Clear
-    ctx.fillStyle = '#0a0a0f';
+    ctx.fillStyle = palette.background('#0a0a0f');
     ctx.fillRect(0, 0, width, height);
     
     // Draw configuration space representation
@@ -203,7 +127,7 @@ export function CSPExperimentSim({ isFullscreen = false }) {
       const labelRadius = maxRadius + 20;
       const labelX = centerX + Math.cos(angle) * labelRadius;
       const labelY = centerY + Math.sin(angle) * labelRadius;
-      ctx.fillStyle = key === selectedProblem ? '#e4e4e7' : '#71717a';
+      ctx.fillStyle = key === selectedProblem ? palette.ink(0.9) : '#71717a';
       ctx.font = key === selectedProblem ? 'bold 11px sans-serif' : '10px sans-serif';
       ctx.textAlign = 'center';
       ctx.fillText(prob.name, labelX, labelY);
@@ -296,7 +220,7 @@ export function CSPExperimentSim({ isFullscreen = false }) {
           <div><span className="text-glow">ω</span> = working memory capacity</div>
           <div><span className="text-glow">h</span> = problem (operation)</div>
           <div><span className="text-glow">I_h</span> = configs where h solvable</div>
-          <div className="pt-1 border-t border-white/10">
+          <div className="pt-1 border-t border-text/10">
             <span className="text-emerald-400">✓</span> h ∈ H(ω) — accessible
           </div>
           <div>
@@ -328,7 +252,7 @@ export function CSPExperimentSim({ isFullscreen = false }) {
                   className={`px-2 py-1 text-xs rounded transition-colors ${
                     selectedProblem === key
                       ? 'bg-purple-500/30 text-purple-300 border border-purple-500/50'
-                      : 'bg-white/5 text-muted hover:bg-white/10'
+                      : 'bg-text/5 text-muted hover:bg-text/10'
                   }`}
                 >
                   {prob.name}
@@ -369,7 +293,7 @@ export function CSPExperimentSim({ isFullscreen = false }) {
             <button
               onClick={runSweep}
               disabled={isRunning}
-              className="flex-1 px-3 py-2 text-xs font-medium rounded bg-white/5 text-muted border border-white/10 hover:bg-white/10 disabled:opacity-50"
+              className="flex-1 px-3 py-2 text-xs font-medium rounded bg-text/5 text-muted border border-text/10 hover:bg-text/10 disabled:opacity-50"
             >
               Find I_h
             </button>
@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/cognitiveHorizon';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * CognitiveHorizonSim - Visualizing the boundary of accessible thought
@@ -13,92 +19,23 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * Key insight: Consciousness includes awareness of what thoughts are 
  * currently thinkable vs. unreachable. The phenomenology of "I can't 
  * think clearly right now" IS the experience of a contracted H(ω).
+ *
+ * Dynamics: models/cognitiveHorizon.js
  */
 
-// Thought nodes - scattered through mental space
-const THOUGHT_CATEGORIES = [
-  { id: 'creative', label: 'Creative Ideas', color: '#a78bfa', distance: 0.7 },
-  { id: 'analytical', label: 'Analysis', color: '#60a5fa', distance: 0.5 },
-  { id: 'memory', label: 'Memories', color: '#4ade80', distance: 0.4 },
-  { id: 'planning', label: 'Planning', color: '#facc15', distance: 0.6 },
-  { id: 'empathy', label: 'Empathy', color: '#f472b6', distance: 0.65 },
-  { id: 'abstract', label: 'Abstract Thought', color: '#818cf8', distance: 0.8 },
-  { id: 'immediate', label: 'Immediate Concerns', color: '#f87171', distance: 0.2 },
-  { id: 'somatic', label: 'Body Awareness', color: '#2dd4bf', distance: 0.3 },
-];
+const { THOUGHT_CATEGORIES, CONFIGURATIONS } = model;
 
-// Configuration states and their effect on H(ω) radius
-const CONFIGURATIONS = {
-  flow: { 
-    label: 'Flow State', 
-    radius: 0.85, 
-    color: '#4ade80',
-    description: 'Expanded access — creative and analytical thoughts both available'
-  },
-  calm: { 
-    label: 'Calm', 
-    radius: 0.7, 
-    color: '#60a5fa',
-    description: 'Broad access — most thoughts reachable with effort'
-  },
-  stressed: { 
-    label: 'Stressed', 
-    radius: 0.45, 
-    color: '#facc15',
-    description: 'Narrowed access — focus on immediate concerns'
-  },
-  overwhelmed: { 
-    label: 'Overwhelmed', 
-    radius: 0.25, 
-    color: '#f87171',
-    description: 'Contracted — only survival-relevant thoughts accessible'
-  },
-};
-
-function generateThoughts(count = 24) {
-  const thoughts = [];
-  
-  THOUGHT_CATEGORIES.forEach(category => {
-    const thoughtsInCategory = Math.floor(count / THOUGHT_CATEGORIES.length);
-    for (let i = 0; i < thoughtsInCategory; i++) {
-      // Scatter thoughts at varying distances, clustered by category
-      const baseAngle = Math.random() * Math.PI * 2;
-      const angleVariance = (Math.random() - 0.5) * 0.8;
-      const angle = baseAngle + angleVariance;
-      
-      // Distance from center, based on category's typical distance + variance
-      const distVariance = (Math.random() - 0.5) * 0.3;
-      const distance = Math.max(0.1, Math.min(0.95, category.distance + distVariance));
-      
-      thoughts.push({
-        id: `${category.id}-${i}`,
-        category: category.id,
-        label: category.label,
-        color: category.color,
-        angle,
-        distance,
-        // For animation
-        pulsePhase: Math.random() * Math.PI * 2,
-        driftSpeed: 0.1 + Math.random() * 0.2,
-        driftAngle: Math.random() * Math.PI * 2,
-      });
-    }
-  });
-  
-  return thoughts;
-}
-
-export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function CognitiveHorizonSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
-  const timeRef = useRef(0);
-  const thoughtsRef = useRef(null);
-  
-  const [config, setConfig] = useState('calm');
-  const [targetRadius, setTargetRadius] = useState(CONFIGURATIONS.calm.radius);
-  const [currentRadius, setCurrentRadius] = useState(CONFIGURATIONS.calm.radius);
+  const stateRef = useRef(null);
+
+  const [config, setConfig] = useState(params.config);
+const [currentRadius, setCurrentRadius] = useState(CONFIGURATIONS[params.config].radius);
   const [hoveredThought, setHoveredThought] = useState(null);
   const [accessibleCount, setAccessibleCount] = useState(0);
+  const targetRadius = CONFIGURATIONS[config].radius;
+  useSimulationSnapshot({ config, targetRadius, currentRadius, accessibleCount });
   
   const centerX = width / 2;
   const centerY = height / 2;
@@ -106,44 +43,41 @@ export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscr
   
   // Initialize thoughts
   useEffect(() => {
-    thoughtsRef.current = generateThoughts(28);
-  }, []);
-  
-  // Update target radius when config changes
-  useEffect(() => {
-    setTargetRadius(CONFIGURATIONS[config].radius);
-  }, [config]);
-  
+    stateRef.current = model.init({ config: params.config }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [params.config, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
+
   // Animation loop
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      const thoughts = thoughtsRef.current;
-      if (!thoughts) {
+      const state = stateRef.current;
+      if (!state) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
       
-      timeRef.current += 0.016;
-      const time = timeRef.current;
-      
-      // Smooth radius transition
-      const newRadius = currentRadius + (targetRadius - currentRadius) * 0.03;
+      model.step(state, FRAME_DT, { config });
+      const { thoughts, time, radius: newRadius } = state;
+      const { accessible } = model.observe(state);
       setCurrentRadius(newRadius);
-      
+
       // Clear
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       // Draw concentric zone rings (faint)
       for (let r = 0.2; r <= 1.0; r += 0.2) {
         ctx.beginPath();
         ctx.arc(centerX, centerY, r * maxRadius, 0, Math.PI * 2);
-        ctx.strokeStyle = `rgba(255, 255, 255, ${0.03})`;
+        ctx.strokeStyle = palette.ink(0.03);
         ctx.lineWidth = 1;
         ctx.stroke();
       }
@@ -195,10 +129,7 @@ export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscr
       ctx.stroke();
       ctx.setLineDash([]);
       
-      // Count accessible thoughts
-      let accessible = 0;
-      
-      // Draw thoughts
+// Draw thoughts
       thoughts.forEach(thought => {
         // Gentle drift animation
         const driftX = Math.cos(time * thought.driftSpeed + thought.driftAngle) * 3;
@@ -208,12 +139,9 @@ export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscr
         const y = centerY + Math.sin(thought.angle) * thought.distance * maxRadius + driftY;
         
         // Is this thought accessible?
-        const distFromCenter = thought.distance;
-        const isAccessible = distFromCenter <= newRadius;
-        const isAtBoundary = Math.abs(distFromCenter - newRadius) < 0.08;
-        
-        if (isAccessible) accessible++;
-        
+        const isAccessible = model.isAccessible(thought, newRadius);
+        const isAtBoundary = model.isAtBoundary(thought, newRadius);
+
         // Boundary thoughts flicker
         let alpha = isAccessible ? 1 : 0.2;
         if (isAtBoundary) {
@@ -261,8 +189,8 @@ export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscr
       
       // Draw center point (the "self")
       const selfGradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, 25);
-      selfGradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
-      selfGradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.3)');
+      selfGradient.addColorStop(0, palette.ink(0.9));
+      selfGradient.addColorStop(0.5, palette.ink(0.3));
       selfGradient.addColorStop(1, 'transparent');
       ctx.fillStyle = selfGradient;
       ctx.beginPath();
@@ -271,12 +199,12 @@ export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscr
       
       ctx.beginPath();
       ctx.arc(centerX, centerY, 8, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
+      ctx.fillStyle = palette.ink();
       ctx.fill();
       
       // Label for center
       ctx.font = '10px "JetBrains Mono", monospace';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.fillStyle = palette.ink(0.5);
       ctx.textAlign = 'center';
       ctx.fillText('self', centerX, centerY + 22);
       
@@ -306,7 +234,7 @@ export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscr
           ctx.fillStyle = t.color;
           ctx.textAlign = 'center';
           ctx.fillText(t.label, t.screenX, t.screenY - 15);
-          ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+          ctx.fillStyle = palette.ink(0.5);
           ctx.fillText(
             t.isAccessible ? '(accessible)' : '(beyond reach)', 
             t.screenX, 
@@ -325,7 +253,7 @@ export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscr
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [width, height, centerX, centerY, maxRadius, config, targetRadius, currentRadius, hoveredThought, isMobile]);
+  }, [width, height, centerX, centerY, maxRadius, config, hoveredThought, isMobile]);
   
   // Mouse move for hover
   const handleMouseMove = useCallback((e) => {
@@ -333,9 +261,9 @@ export function CognitiveHorizonSim({ width, height, isMobile = false, isFullscr
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
     
-    const thoughts = thoughtsRef.current;
+    const thoughts = stateRef.current?.thoughts;
     if (!thoughts) return;
-    
+
     let found = null;
     thoughts.forEach(t => {
       const dx = x - t.screenX;
@@ -66,7 +66,7 @@ export function CollapsiblePanel({
       <div className={`bg-void/90 backdrop-blur-sm rounded ${isMobile ? 'p-4' : 'p-3'} ${isMobile ? 'text-sm' : 'text-xs'} ${width} relative ${className}`}>
         <button
           onClick={() => setIsOpen(false)}
-          className={`absolute ${isMobile ? 'top-2 right-2 w-8 h-8' : 'top-1.5 right-1.5 w-5 h-5'} flex items-center justify-center text-muted hover:text-text transition-colors rounded hover:bg-white/10`}
+          className={`absolute ${isMobile ? 'top-2 right-2 w-8 h-8' : 'top-1.5 right-1.5 w-5 h-5'} flex items-center justify-center text-muted hover:text-text transition-colors rounded hover:bg-text/10`}
           title="Minimize"
         >
           <svg className={isMobile ? 'w-4 h-4' : 'w-3 h-3'} fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -143,7 +143,7 @@ export function CollapsibleControlPanel({
       <div className={`bg-void/90 backdrop-blur-sm rounded ${isMobile ? 'p-5' : 'p-4'} ${responsivePanelWidth} relative`}>
         <button
           onClick={() => setIsOpen(false)}
-          className={`absolute ${isMobile ? 'top-3 right-3 w-8 h-8' : 'top-2 right-2 w-5 h-5'} flex items-center justify-center text-muted hover:text-text transition-colors rounded hover:bg-white/10`}
+          className={`absolute ${isMobile ? 'top-3 right-3 w-8 h-8' : 'top-2 right-2 w-5 h-5'} flex items-center justify-center text-muted hover:text-text transition-colors rounded hover:bg-text/10`}
           title="Minimize"
         >
           <svg className={isMobile ? 'w-4 h-4' : 'w-3 h-3'} fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/configAwareNav';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * ConfigAwareNavSim - Comparing blind vs. aware navigation of H(ω)
@@ -13,161 +19,23 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * Key insight: Self-modeling of H(ω) is adaptive — it lets you navigate
  * to configurations where desired thoughts become accessible.
  * "Taking a walk to clear your head" = strategic ω navigation.
+ *
+ * Dynamics: models/configAwareNav.js
  */
 
-// States available to agents
-const STATES = {
-  stressed: { radius: 0.3, color: '#f87171', label: 'Stressed', recovery: 0.002 },
-  neutral: { radius: 0.5, color: '#94a3b8', label: 'Neutral', recovery: 0.005 },
-  calm: { radius: 0.7, color: '#60a5fa', label: 'Calm', recovery: 0.008 },
-  flow: { radius: 0.85, color: '#4ade80', label: 'Flow', recovery: 0.01 },
-};
+const { STATES } = model;
 
-const STATE_ORDER = ['stressed', 'neutral', 'calm', 'flow'];
-
-class Agent {
-  constructor(x, y, isAware) {
-    this.x = x;
-    this.y = y;
-    this.isAware = isAware;
-    this.state = 'neutral';
-    this.stateProgress = 0.5; // 0-1 within current state band
-    this.targetThought = null;
-    this.reachedTarget = false;
-    this.attempts = 0;
-    this.successes = 0;
-    this.strategyLabel = '';
-    this.actionCooldown = 0;
-  }
-  
-  getCurrentRadius() {
-    return STATES[this.state].radius;
-  }
-  
-  // Aware agent can see where target is relative to current H(ω)
-  canSeeTargetDistance() {
-    if (!this.targetThought) return null;
-    return this.targetThought.distance - this.getCurrentRadius();
-  }
-  
-  // Strategic action: try to shift configuration
-  takeStrategicAction() {
-    if (this.actionCooldown > 0) {
-      this.actionCooldown--;
-      return;
-    }
-    
-    if (!this.targetThought || this.reachedTarget) return;
-    
-    const gap = this.canSeeTargetDistance();
-    
-    if (this.isAware && gap !== null) {
-      // Aware agent: strategic navigation
-      if (gap > 0.05) {
-        // Target is outside current H(ω) — need to expand
-        // Strategy: move toward calmer states
-        const currentIdx = STATE_ORDER.indexOf(this.state);
-        if (currentIdx < STATE_ORDER.length - 1) {
-          this.strategyLabel = 'Expanding access...';
-          this.stateProgress += 0.02 + Math.random() * 0.02;
-          
-          if (this.stateProgress >= 1) {
-            this.state = STATE_ORDER[currentIdx + 1];
-            this.stateProgress = 0;
-            this.strategyLabel = `→ ${STATES[this.state].label}`;
-            this.actionCooldown = 30;
-          }
-        } else {
-          this.strategyLabel = 'At max expansion';
-        }
-      } else {
-        // Target is accessible!
-        this.strategyLabel = 'Target in range!';
-        this.reachedTarget = true;
-        this.successes++;
-      }
-    } else {
-      // Blind agent: random walk through states
-      this.strategyLabel = 'Searching...';
-      
-      // Random state drift
-      if (Math.random() < 0.03) {
-        const currentIdx = STATE_ORDER.indexOf(this.state);
-        const direction = Math.random() > 0.5 ? 1 : -1;
-        const newIdx = Math.max(0, Math.min(STATE_ORDER.length - 1, currentIdx + direction));
-        
-        if (newIdx !== currentIdx) {
-          this.state = STATE_ORDER[newIdx];
-          this.stateProgress = 0.5;
-          this.strategyLabel = `Drifted to ${STATES[this.state].label}`;
-          this.actionCooldown = 20;
-        }
-      }
-      
-      // Check if accidentally reached target
-      const radius = this.getCurrentRadius();
-      if (this.targetThought && this.targetThought.distance <= radius) {
-        this.reachedTarget = true;
-        this.successes++;
-        this.strategyLabel = 'Found it!';
-      }
-    }
-  }
-  
-  // Assign a new target thought
-  assignTarget(thoughts) {
-    // Pick a thought that requires expansion (distance > 0.5)
-    const challengingThoughts = thoughts.filter(t => t.distance > 0.5 && t.distance < 0.9);
-    if (challengingThoughts.length > 0) {
-      this.targetThought = challengingThoughts[Math.floor(Math.random() * challengingThoughts.length)];
-    } else {
-      this.targetThought = thoughts[Math.floor(Math.random() * thoughts.length)];
-    }
-    this.reachedTarget = false;
-    this.attempts++;
-    this.state = 'stressed'; // Start in contracted state
-    this.stateProgress = 0.5;
-    this.strategyLabel = 'New target assigned';
-  }
-}
-
-function generateThoughts() {
-  const thoughts = [];
-  const categories = [
-    { color: '#a78bfa', label: 'Creative' },
-    { color: '#60a5fa', label: 'Analytical' },
-    { color: '#4ade80', label: 'Memory' },
-    { color: '#facc15', label: 'Planning' },
-  ];
-  
-  for (let i = 0; i < 16; i++) {
-    const angle = (i / 16) * Math.PI * 2 + Math.random() * 0.3;
-    const distance = 0.25 + Math.random() * 0.65;
-    const cat = categories[i % categories.length];
-    
-    thoughts.push({
-      id: i,
-      angle,
-      distance,
-      color: cat.color,
-      label: cat.label,
-    });
-  }
-  
-  return thoughts;
-}
-
-export function ConfigAwareNavSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function ConfigAwareNavSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const timeRef = useRef(0);
-  const thoughtsRef = useRef(null);
-  const agentsRef = useRef(null);
-  
+  const stateRef = useRef(null);
+
   const [blindStats, setBlindStats] = useState({ attempts: 0, successes: 0 });
   const [awareStats, setAwareStats] = useState({ attempts: 0, successes: 0 });
   const [isPaused, setIsPaused] = useState(false);
-  const [speed, setSpeed] = useState(1);
+  const [speed, setSpeed] = useState(params.speed);
+  useSimulationSnapshot({ speed, isPaused, blindStats, awareStats });
   
   const panelWidth = width / 2;
   const panelHeight = height;
@@ -175,16 +43,11 @@ export function ConfigAwareNavSim({ width, height, isMobile = false, isFullscree
   
   // Initialize
   useEffect(() => {
-    thoughtsRef.current = generateThoughts();
-    
-    const blindAgent = new Agent(panelWidth / 2, panelHeight / 2, false);
-    const awareAgent = new Agent(panelWidth / 2, panelHeight / 2, true);
-    
-    blindAgent.assignTarget(thoughtsRef.current);
-    awareAgent.assignTarget(thoughtsRef.current);
-    
-    agentsRef.current = { blind: blindAgent, aware: awareAgent };
-  }, [panelWidth, panelHeight]);
+    stateRef.current = model.init({ width: panelWidth, height: panelHeight }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [panelWidth, panelHeight, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   // Animation loop
   useEffect(() => {
@@ -192,12 +55,12 @@ export function ConfigAwareNavSim({ width, height, isMobile = false, isFullscree
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      const thoughts = thoughtsRef.current;
-      const agents = agentsRef.current;
+      const state = stateRef.current;
       
-      if (!thoughts || !agents) {
+      if (!state) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
@@ -207,29 +70,21 @@ export function ConfigAwareNavSim({ width, height, isMobile = false, isFullscree
       
       // Update agents
       if (!isPaused) {
-        for (let i = 0; i < speed; i++) {
-          agents.blind.takeStrategicAction();
-          agents.aware.takeStrategicAction();
-        }
+        model.step(state, FRAME_DT * speed);
         
-        // Check for completed targets, assign new ones
-        if (agents.blind.reachedTarget && agents.aware.reachedTarget) {
-          setTimeout(() => {
-            agents.blind.assignTarget(thoughts);
-            agents.aware.assignTarget(thoughts);
-          }, 1000 / speed);
-        }
-        
-        setBlindStats({ attempts: agents.blind.attempts, successes: agents.blind.successes });
-        setAwareStats({ attempts: agents.aware.attempts, successes: agents.aware.successes });
+        const { blind, aware } = model.observe(state);
+        setBlindStats({ attempts: blind.attempts, successes: blind.successes });
+        setAwareStats({ attempts: aware.attempts, successes: aware.successes });
       }
       
+      const { thoughts, agents } = state;
+      
       // Clear
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       // Divider
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+      ctx.strokeStyle = palette.ink(0.1);
       ctx.lineWidth = 1;
       ctx.beginPath();
       ctx.moveTo(width / 2, 0);
@@ -314,12 +169,12 @@ export function ConfigAwareNavSim({ width, height, isMobile = false, isFullscree
         // Center self
         ctx.beginPath();
         ctx.arc(cx, cy, 6, 0, Math.PI * 2);
-        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = palette.ink();
         ctx.fill();
         
         // Strategy label
         ctx.font = '10px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillStyle = palette.ink(0.6);
         ctx.textAlign = 'center';
         ctx.fillText(agent.strategyLabel, cx, panelHeight - 60);
         
@@ -335,7 +190,7 @@ export function ConfigAwareNavSim({ width, height, isMobile = false, isFullscree
         // Success rate
         const rate = agent.attempts > 0 ? (agent.successes / agent.attempts * 100).toFixed(0) : 0;
         ctx.font = '11px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = palette.ink(0.5);
         ctx.fillText(`${agent.successes}/${agent.attempts} targets (${rate}%)`, cx, panelHeight - 25);
       };
       
@@ -356,19 +211,12 @@ export function ConfigAwareNavSim({ width, height, isMobile = false, isFullscree
   
   // Reset
   const handleReset = useCallback(() => {
-    const thoughts = thoughtsRef.current;
-    if (!thoughts) return;
-    
-    const blindAgent = new Agent(panelWidth / 2, panelHeight / 2, false);
-    const awareAgent = new Agent(panelWidth / 2, panelHeight / 2, true);
-    
-    blindAgent.assignTarget(thoughts);
-    awareAgent.assignTarget(thoughts);
+    if (!stateRef.current) return;
     
-    agentsRef.current = { blind: blindAgent, aware: awareAgent };
+    model.reset(stateRef.current);
     setBlindStats({ attempts: 0, successes: 0 });
     setAwareStats({ attempts: 0, successes: 0 });
-  }, [panelWidth, panelHeight]);
+  }, []);
   
   return (
     <div className="relative w-full h-full">
@@ -1,5 +1,10 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/configurationAwareness';
+import { restoreSnapshot } from '../../models/snapshot';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * ConfigurationAwarenessSim - Why modeling H(ω) is adaptive
@@ -14,197 +19,38 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * 
  * Key insight: Self-modeling of H(ω) enables strategic state navigation —
  * "I need to calm down before I can think about this."
+ *
+ * Dynamics: models/configurationAwareness.js
  */
 
-const STATES = {
-  stressed: { radius: 0.3, color: '#f87171', label: 'Stressed' },
-  neutral: { radius: 0.55, color: '#facc15', label: 'Neutral' },
-  calm: { radius: 0.75, color: '#60a5fa', label: 'Calm' },
-  flow: { radius: 0.9, color: '#4ade80', label: 'Flow' },
-};
+const { STATES } = model;
 
-const STATE_ORDER = ['stressed', 'neutral', 'calm', 'flow'];
-
-function generateGoalThought() {
-  // Goal thought is always at a distance requiring calm or flow state
-  const angle = Math.random() * Math.PI * 2;
-  const distance = 0.6 + Math.random() * 0.25; // Requires calm or flow
-  return { angle, distance };
-}
-
-function generateThoughts(count = 16) {
-  const thoughts = [];
-  for (let i = 0; i < count; i++) {
-    thoughts.push({
-      angle: Math.random() * Math.PI * 2,
-      distance: 0.15 + Math.random() * 0.75,
-      pulsePhase: Math.random() * Math.PI * 2,
-    });
-  }
-  return thoughts;
-}
-
-class Agent {
-  constructor(x, y, isAware) {
-    this.x = x;
-    this.y = y;
-    this.isAware = isAware;
-    this.state = 'neutral';
-    this.targetState = 'neutral';
-    this.stateTransitionProgress = 1;
-    this.currentRadius = STATES.neutral.radius;
-    this.successes = 0;
-    this.attempts = 0;
-    this.lastAttemptTime = 0;
-    this.isReaching = false;
-    this.reachTarget = null;
-    this.reachProgress = 0;
-    this.waitingForStateChange = false;
-    this.stateChangeTimer = 0;
-  }
-  
-  getCurrentRadius() {
-    return this.currentRadius;
-  }
-  
-  canReach(thought) {
-    return thought.distance <= this.currentRadius;
-  }
-  
-  // Aware agent can "see" what state it needs
-  getRequiredState(thought) {
-    for (const state of STATE_ORDER) {
-      if (thought.distance <= STATES[state].radius) {
-        return state;
-      }
-    }
-    return 'flow';
-  }
-  
-  // Transition to a new state (takes time)
-  transitionTo(newState) {
-    if (this.state !== newState && !this.waitingForStateChange) {
-      this.targetState = newState;
-      this.waitingForStateChange = true;
-      this.stateChangeTimer = 0;
-    }
-  }
-  
-  update(dt, goal) {
-    // State transition logic
-    if (this.waitingForStateChange) {
-      this.stateChangeTimer += dt;
-      // State changes take ~2 seconds
-      if (this.stateChangeTimer > 2) {
-        this.state = this.targetState;
-        this.waitingForStateChange = false;
-        this.stateChangeTimer = 0;
-      }
-    }
-    
-    // Smooth radius transition
-    const targetRadius = STATES[this.state].radius;
-    this.currentRadius += (targetRadius - this.currentRadius) * 0.05;
-    
-    // Attempt logic
-    if (!this.isReaching && !this.waitingForStateChange) {
-      this.lastAttemptTime += dt;
-      
-      // Try to reach goal periodically
-      if (this.lastAttemptTime > 1.5) {
-        this.lastAttemptTime = 0;
-        
-        if (this.isAware) {
-          // Aware agent: check if goal is reachable, if not, change state first
-          const requiredState = this.getRequiredState(goal);
-          const currentStateIdx = STATE_ORDER.indexOf(this.state);
-          const requiredStateIdx = STATE_ORDER.indexOf(requiredState);
-          
-          if (requiredStateIdx > currentStateIdx) {
-            // Need a calmer state - deliberately transition
-            const nextState = STATE_ORDER[currentStateIdx + 1];
-            this.transitionTo(nextState);
-          } else if (this.canReach(goal)) {
-            // Can reach it now - go for it
-            this.isReaching = true;
-            this.reachTarget = goal;
-            this.reachProgress = 0;
-            this.attempts++;
-          }
-        } else {
-          // Blind agent: just tries randomly, state drifts randomly
-          // Random state drift
-          if (Math.random() < 0.3) {
-            const currentIdx = STATE_ORDER.indexOf(this.state);
-            const drift = Math.random() < 0.5 ? -1 : 1;
-            const newIdx = Math.max(0, Math.min(STATE_ORDER.length - 1, currentIdx + drift));
-            this.state = STATE_ORDER[newIdx];
-          }
-          
-          // Try to reach regardless of whether it's possible
-          this.isReaching = true;
-          this.reachTarget = goal;
-          this.reachProgress = 0;
-          this.attempts++;
-        }
-      }
-    }
-    
-    // Reaching animation
-    if (this.isReaching) {
-      this.reachProgress += dt * 0.8;
-      
-      if (this.reachProgress >= 1) {
-        // Check if successful
-        if (this.canReach(this.reachTarget)) {
-          this.successes++;
-        }
-        this.isReaching = false;
-        this.reachTarget = null;
-        this.reachProgress = 0;
-      }
-    }
-  }
-}
-
-export function ConfigurationAwarenessSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function ConfigurationAwarenessSim({ width, height, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const timeRef = useRef(0);
   const lastTimeRef = useRef(0);
   
-  const [goal, setGoal] = useState(() => generateGoalThought());
-  const [thoughts] = useState(() => generateThoughts(16));
-  const [blindAgent] = useState(() => new Agent(width * 0.25, height / 2, false));
-  const [awareAgent] = useState(() => new Agent(width * 0.75, height / 2, true));
+  const [state] = useState(() => {
+    const initial = model.init({ width, height }, createRandom(seed));
+    return snapshot ? restoreSnapshot(model, initial, snapshot) : initial;
+  });
   const [, forceUpdate] = useState(0);
+  useSimulationSnapshot(model.observe(state));
+  useSimulationModel(model, () => state);
   
   const panelWidth = width / 2;
   const maxRadius = Math.min(panelWidth, height) * 0.38;
   
   // Reset
   const handleReset = useCallback(() => {
-    blindAgent.state = 'neutral';
-    blindAgent.currentRadius = STATES.neutral.radius;
-    blindAgent.successes = 0;
-    blindAgent.attempts = 0;
-    blindAgent.isReaching = false;
-    blindAgent.waitingForStateChange = false;
-    
-    awareAgent.state = 'neutral';
-    awareAgent.currentRadius = STATES.neutral.radius;
-    awareAgent.successes = 0;
-    awareAgent.attempts = 0;
-    awareAgent.isReaching = false;
-    awareAgent.waitingForStateChange = false;
-    
-    setGoal(generateGoalThought());
-  }, [blindAgent, awareAgent]);
+    model.reset(state);
+  }, [state]);
   
   // New goal
   const handleNewGoal = useCallback(() => {
-    setGoal(generateGoalThought());
-  }, []);
+    model.newGoal(state);
+  }, [state]);
   
   // Animation loop
   useEffect(() => {
@@ -212,6 +58,7 @@ export function ConfigurationAwarenessSim({ width, height, isMobile = false, isF
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     lastTimeRef.current = performance.now();
     
     const animate = (timestamp) => {
@@ -221,15 +68,15 @@ export function ConfigurationAwarenessSim({ width, height, isMobile = false, isF
       const time = timeRef.current;
       
       // Update agents
-      blindAgent.update(dt, goal);
-      awareAgent.update(dt, goal);
-      
+      model.step(state, dt);
+      const { goal, thoughts, agents: { blind: blindAgent, aware: awareAgent } } = state;
+
       // Clear
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       // Draw divider
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+      ctx.strokeStyle = palette.ink(0.1);
       ctx.lineWidth = 1;
       ctx.beginPath();
       ctx.moveTo(width / 2, 0);
@@ -280,7 +127,7 @@ export function ConfigurationAwarenessSim({ width, height, isMobile = false, isF
           
           ctx.beginPath();
           ctx.arc(tx, ty, 4, 0, Math.PI * 2);
-          ctx.fillStyle = isAccessible ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.08)';
+          ctx.fillStyle = isAccessible ? palette.ink(0.3) : palette.ink(0.08);
           ctx.fill();
         });
         
@@ -335,8 +182,8 @@ export function ConfigurationAwarenessSim({ width, height, isMobile = false, isF
         
         // Center (self)
         const selfGradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, 15);
-        selfGradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
-        selfGradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.3)');
+        selfGradient.addColorStop(0, palette.ink(0.9));
+        selfGradient.addColorStop(0.5, palette.ink(0.3));
         selfGradient.addColorStop(1, 'transparent');
         ctx.fillStyle = selfGradient;
         ctx.beginPath();
@@ -345,17 +192,17 @@ export function ConfigurationAwarenessSim({ width, height, isMobile = false, isF
         
         ctx.beginPath();
         ctx.arc(cx, cy, 5, 0, Math.PI * 2);
-        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = palette.ink();
         ctx.fill();
         
         // Labels
         ctx.font = '12px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillStyle = palette.ink(0.8);
         ctx.textAlign = 'center';
         ctx.fillText(label, cx, 25);
         
         ctx.font = '10px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.fillStyle = palette.ink(0.4);
         ctx.fillText(sublabel, cx, 40);
         
         // State indicator
@@ -366,7 +213,7 @@ export function ConfigurationAwarenessSim({ width, height, isMobile = false, isF
         // Success rate
         const rate = agent.attempts > 0 ? (agent.successes / agent.attempts * 100).toFixed(0) : '—';
         ctx.font = '11px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillStyle = palette.ink(0.7);
         ctx.fillText(`${agent.successes}/${agent.attempts} (${rate}%)`, cx, height - 30);
       });
       
@@ -381,7 +228,7 @@ export function ConfigurationAwarenessSim({ width, height, isMobile = false, isF
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [width, height, panelWidth, maxRadius, goal, thoughts, blindAgent, awareAgent]);
+  }, [width, height, panelWidth, maxRadius, state]);
   
   return (
     <div className="relative w-full h-full">
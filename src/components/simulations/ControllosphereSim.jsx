@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/controllosphere';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * ControllosphereSim - Cognitive Effort and Neural Energetics
@@ -12,50 +18,39 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * - H(ω) zone: the region of mappings accessible at current configuration
  * - ACC monitoring: tracking prediction error reduction
  * - Shows the metabolic cost of accessing mappings outside H(ω)
+ *
+ * Dynamics: models/controllosphere.js
  */
 
-export function ControllosphereSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function ControllosphereSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const stateRef = useRef(null);
   const animationRef = useRef(null);
   
-  const [controlSignal, setControlSignal] = useState(0);
+  const [controlSignal, setControlSignal] = useState(params.controlSignal);
   const [metabolicCost, setMetabolicCost] = useState(0);
-  const [mode, setMode] = useState('automatic'); // 'automatic' | 'controlled'
+  const [mode, setMode] = useState(params.mode); // 'automatic' | 'controlled'
   const [wasteAccumulation, setWasteAccumulation] = useState(0);
   const [accSignal, setAccSignal] = useState(0); // ACC prediction error monitoring
   const [mappingSuccess, setMappingSuccess] = useState(true);
+  useSimulationSnapshot({ controlSignal, mode, metabolicCost, wasteAccumulation, accSignal, mappingSuccess });
   
   // Initialize state
   useEffect(() => {
-    const cx = width / 2;
-    const cy = height * 0.6;
-    
-    stateRef.current = {
-      x: cx,
-      y: cy,
-      vx: 0,
-      vy: 0,
-      energy: 100,
-      inControllosphere: false,
-      predictionError: 0,
-      accHistory: [],
-    };
-  }, [width, height]);
+    stateRef.current = model.init({ controlSignal: params.controlSignal, width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [width, height, params.controlSignal, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     let time = 0;
     
-    // Landscape parameters
-    const cx = width / 2;
-    const manifoldY = height * 0.65; // Intrinsic manifold level
-    const controllosphereY = height * 0.32; // Controllosphere level
-    const hOmegaWidth = width * 0.35; // Width of H(ω) zone
-    
     const animate = () => {
       time += 0.016;
       const state = stateRef.current;
@@ -65,76 +60,19 @@ export function ControllosphereSim({ width, height, isMobile = false, isFullscre
         return;
       }
       
-      // === PHYSICS ===
-      
-      // Gravity toward intrinsic manifold (natural attractor)
-      const gravityStrength = 0.3;
-      const manifoldPull = (manifoldY - state.y) * 0.01 * gravityStrength;
-      
-      // Control signal pushes upward into controllosphere
-      const controlPush = -controlSignal * 0.5;
-      
-      // Lateral centering (stronger within H(ω))
-      const inHOmega = Math.abs(state.x - cx) < hOmegaWidth / 2;
-      const lateralPull = (cx - state.x) * (inHOmega ? 0.008 : 0.003);
-      
-      // Apply forces
-      state.vy += manifoldPull + controlPush;
-      state.vx += lateralPull;
-      
-      // Damping
-      state.vx *= 0.95;
-      state.vy *= 0.95;
-      
-      // Random perturbation (less in H(ω))
-      const perturbScale = inHOmega ? 0.2 : 0.4;
-      state.vx += (Math.random() - 0.5) * perturbScale;
-      state.vy += (Math.random() - 0.5) * perturbScale * 0.7;
-      
-      // Update position
-      state.x += state.vx;
-      state.y += state.vy;
+      model.step(state, FRAME_DT, { controlSignal });
+      const observed = model.observe(state);
+      setMode(observed.mode);
+      setAccSignal(observed.predictionError);
+      setMappingSuccess(observed.mappingSuccess);
+      setMetabolicCost(observed.metabolicCost);
+      setWasteAccumulation(observed.waste);
       
-      // Boundaries
-      state.x = Math.max(60, Math.min(width - 60, state.x));
-      state.y = Math.max(60, Math.min(height - 50, state.y));
-      
-      // Determine if in controllosphere
-      const inControlled = state.y < (manifoldY + controllosphereY) / 2;
-      state.inControllosphere = inControlled;
-      setMode(inControlled ? 'controlled' : 'automatic');
-      
-      // ACC monitoring - prediction error based on distance from stable regions
-      const distFromManifold = Math.abs(state.y - manifoldY);
-      const distFromCenter = Math.abs(state.x - cx);
-      state.predictionError = (distFromManifold * 0.3 + distFromCenter * 0.1) / 50;
-      state.predictionError += Math.random() * 0.1; // Noise
-      state.predictionError = Math.min(1, state.predictionError);
-      
-      // Track ACC history for visualization
-      state.accHistory.push(state.predictionError);
-      if (state.accHistory.length > 60) state.accHistory.shift();
-      
-      setAccSignal(state.predictionError);
-      
-      // Mapping success (inverse of sustained high prediction error)
-      const avgError = state.accHistory.reduce((a, b) => a + b, 0) / state.accHistory.length;
-      setMappingSuccess(avgError < 0.5);
-      
-      // Metabolic cost
-      const elevationAboveManifold = Math.max(0, manifoldY - state.y);
-      const currentCost = elevationAboveManifold * 0.01;
-      setMetabolicCost(currentCost);
-      
-      // Waste accumulation (builds up in controllosphere)
-      if (inControlled) {
-        setWasteAccumulation(w => Math.min(100, w + 0.05));
-      } else {
-        setWasteAccumulation(w => Math.max(0, w - 0.02)); // Slow clearance
-      }
+      const { cx, manifoldY, controllosphereY, hOmegaWidth } = state;
+      const wasteAccumulation = observed.waste;
       
       // === RENDERING ===
-      ctx.fillStyle = '#0a0a0c';
+      ctx.fillStyle = palette.background('#0a0a0c');
       ctx.fillRect(0, 0, width, height);
       
       // Draw energy landscape
@@ -258,14 +196,14 @@ export function ControllosphereSim({ width, height, isMobile = false, isFullscre
       const accHeight = 80;
       
       // ACC background
-      ctx.fillStyle = 'rgba(30, 30, 40, 0.8)';
+      ctx.fillStyle = palette.panel('rgba(30, 30, 40, 0.8)');
       ctx.fillRect(accX - 20, accY - 10, 50, accHeight + 30);
       ctx.strokeStyle = 'rgba(100, 100, 120, 0.4)';
       ctx.strokeRect(accX - 20, accY - 10, 50, accHeight + 30);
       
       // ACC label
       ctx.font = '8px "JetBrains Mono", monospace';
-      ctx.fillStyle = 'rgba(180, 180, 200, 0.7)';
+      ctx.fillStyle = palette.ink(0.5);
       ctx.textAlign = 'center';
       ctx.fillText('ACC', accX + 5, accY);
       
@@ -309,14 +247,14 @@ export function ControllosphereSim({ width, height, isMobile = false, isFullscre
       ctx.arc(state.x, state.y, 12, 0, Math.PI * 2);
       ctx.fill();
       
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.strokeStyle = palette.ink(0.3);
       ctx.lineWidth = 2;
       ctx.stroke();
       
       // Label
       ctx.font = '9px "JetBrains Mono", monospace';
       ctx.textAlign = 'center';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.fillStyle = palette.ink(0.6);
       ctx.fillText('ω', state.x, state.y - 20);
       
       // Draw waste particles if accumulated
@@ -327,6 +265,7 @@ export function ControllosphereSim({ width, height, isMobile = false, isFullscre
           const radius = 25 + Math.sin(time * 2 + i) * 5;
           const px = state.x + Math.cos(angle) * radius;
           const py = state.y + Math.sin(angle) * radius * 0.6;
+          // Flicker is cosmetic, outside the seeded run
           ctx.fillStyle = `rgba(234, 179, 8, ${0.2 + Math.random() * 0.2})`;
           ctx.beginPath();
           ctx.arc(px, py, 2, 0, Math.PI * 2);
@@ -344,24 +283,13 @@ export function ControllosphereSim({ width, height, isMobile = false, isFullscre
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [width, height, controlSignal, wasteAccumulation]);
+  }, [width, height, controlSignal]);
   
   const handleReset = useCallback(() => {
-    const cx = width / 2;
-    const cy = height * 0.6;
-    stateRef.current = {
-      x: cx,
-      y: cy,
-      vx: 0,
-      vy: 0,
-      energy: 100,
-      inControllosphere: false,
-      predictionError: 0,
-      accHistory: [],
-    };
+    if (stateRef.current) model.reset(stateRef.current);
     setControlSignal(0);
     setWasteAccumulation(0);
-  }, [width, height]);
+  }, []);
   
   return (
     <div className="relative w-full h-full">
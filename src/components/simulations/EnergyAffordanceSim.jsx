@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/energyAffordance';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * EnergyAffordanceSim - The thermodynamic grounding of H(ω)
@@ -13,107 +19,24 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * Key insight: Configuration has costs. The horizon contracts not because
  * of abstract "stress" but because ATP reserves deplete. What cannot be
  * metabolically sustained cannot be thought.
+ *
+ * Dynamics: models/energyAffordance.js
  */
 
-// Thought categories with metabolic costs
-// Cost 1 = cheap (habitual), Cost 3 = expensive (creative/abstract)
-const THOUGHT_CATEGORIES = [
-  { id: 'creative', label: 'Creative Ideas', color: '#a78bfa', baseDistance: 0.75, cost: 3 },
-  { id: 'abstract', label: 'Abstract Thought', color: '#818cf8', baseDistance: 0.8, cost: 3 },
-  { id: 'planning', label: 'Long-term Planning', color: '#facc15', baseDistance: 0.65, cost: 2 },
-  { id: 'empathy', label: 'Complex Empathy', color: '#f472b6', baseDistance: 0.6, cost: 2 },
-  { id: 'analytical', label: 'Analysis', color: '#60a5fa', baseDistance: 0.5, cost: 2 },
-  { id: 'memory', label: 'Episodic Memory', color: '#4ade80', baseDistance: 0.45, cost: 1 },
-  { id: 'somatic', label: 'Body Awareness', color: '#2dd4bf', baseDistance: 0.3, cost: 1 },
-  { id: 'immediate', label: 'Immediate Needs', color: '#f87171', baseDistance: 0.2, cost: 1 },
-];
+const { ACTIVITY_MODES } = model;
 
-// Activity modes affecting ATP drain
-const ACTIVITY_MODES = {
-  resting: {
-    label: 'Resting',
-    drainRate: -0.15,  // Actually recovers
-    color: '#4ade80',
-    description: 'ATP regenerating — horizon expanding'
-  },
-  relaxed: {
-    label: 'Relaxed',
-    drainRate: 0.02,
-    color: '#60a5fa',
-    description: 'Minimal drain — sustainable indefinitely'
-  },
-  active: {
-    label: 'Active Thinking',
-    drainRate: 0.12,
-    color: '#facc15',
-    description: 'Moderate drain — hours of capacity'
-  },
-  demanding: {
-    label: 'Demanding Work',
-    drainRate: 0.35,
-    color: '#fb923c',
-    description: 'High drain — depletes within minutes'
-  },
-  intensive: {
-    label: 'Intensive Focus',
-    drainRate: 0.6,
-    color: '#f87171',
-    description: 'Rapid drain — unsustainable'
-  }
-};
-
-function generateThoughts(count = 28) {
-  const thoughts = [];
-  
-  THOUGHT_CATEGORIES.forEach(category => {
-    const thoughtsInCategory = Math.floor(count / THOUGHT_CATEGORIES.length);
-    for (let i = 0; i < thoughtsInCategory + 1; i++) {
-      const baseAngle = (THOUGHT_CATEGORIES.indexOf(category) / THOUGHT_CATEGORIES.length) * Math.PI * 2;
-      const angleVariance = (Math.random() - 0.5) * 1.2;
-      const angle = baseAngle + angleVariance;
-      
-      // Distance based on cost - expensive thoughts are further out
-      const costBonus = (category.cost - 1) * 0.1;
-      const distVariance = (Math.random() - 0.5) * 0.2;
-      const distance = Math.max(0.15, Math.min(0.9, category.baseDistance + costBonus + distVariance));
-      
-      thoughts.push({
-        id: `${category.id}-${i}`,
-        category: category.id,
-        label: category.label,
-        color: category.color,
-        cost: category.cost,
-        angle,
-        distance,
-        pulsePhase: Math.random() * Math.PI * 2,
-        driftSpeed: 0.08 + Math.random() * 0.15,
-        driftAngle: Math.random() * Math.PI * 2,
-      });
-    }
-  });
-  
-  return thoughts;
-}
-
-// Calculate horizon radius from ATP level
-// Using sqrt scaling so depletion feels gradual at first, then accelerates
-function atpToRadius(atp) {
-  const minRadius = 0.2;  // Always keep immediate thoughts accessible
-  const maxRadius = 0.88;
-  return minRadius + (maxRadius - minRadius) * Math.pow(atp / 100, 0.6);
-}
-
-export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function EnergyAffordanceSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const timeRef = useRef(0);
-  const thoughtsRef = useRef(null);
-  
-  const [atp, setAtp] = useState(100);
-  const [activity, setActivity] = useState('relaxed');
+  const stateRef = useRef(null);
+
+  const [atp, setAtp] = useState(params.atp);
+  const [activity, setActivity] = useState(params.activity);
   const [hoveredThought, setHoveredThought] = useState(null);
   const [accessibleCount, setAccessibleCount] = useState(0);
-  const [showCosts, setShowCosts] = useState(true);
+  const [showCosts, setShowCosts] = useState(params.showCosts);
+  useSimulationSnapshot({ atp, activity, showCosts, accessibleCount });
   
   const centerX = width / 2;
   const centerY = height / 2;
@@ -121,20 +44,11 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
   
   // Initialize thoughts
   useEffect(() => {
-    thoughtsRef.current = generateThoughts(32);
-  }, []);
-  
-  // ATP dynamics
-  useEffect(() => {
-    const interval = setInterval(() => {
-      setAtp(prev => {
-        const newAtp = prev - ACTIVITY_MODES[activity].drainRate;
-        return Math.max(0, Math.min(100, newAtp));
-      });
-    }, 50);
-    
-    return () => clearInterval(interval);
-  }, [activity]);
+    stateRef.current = model.init({ atp: params.atp, activity: params.activity }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [params.atp, params.activity, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   // Animation loop
   useEffect(() => {
@@ -142,10 +56,11 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      const thoughts = thoughtsRef.current;
-      if (!thoughts) {
+      const state = stateRef.current;
+      if (!state) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
@@ -153,17 +68,20 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
       timeRef.current += 0.016;
       const time = timeRef.current;
       
-      const currentRadius = atpToRadius(atp);
-      
+      model.step(state, FRAME_DT, { activity });
+      const { atp, radius: currentRadius, accessible } = model.observe(state);
+      const { thoughts } = state;
+      setAtp(atp);
+
       // Clear
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       // Draw concentric zone rings
       for (let r = 0.2; r <= 1.0; r += 0.2) {
         ctx.beginPath();
         ctx.arc(centerX, centerY, r * maxRadius, 0, Math.PI * 2);
-        ctx.strokeStyle = `rgba(255, 255, 255, 0.03)`;
+        ctx.strokeStyle = palette.ink(0.03);
         ctx.lineWidth = 1;
         ctx.stroke();
       }
@@ -216,10 +134,7 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
       ctx.stroke();
       ctx.setLineDash([]);
       
-      // Count accessible thoughts
-      let accessible = 0;
-      
-      // Draw thoughts
+// Draw thoughts
       thoughts.forEach(thought => {
         const driftX = Math.cos(time * thought.driftSpeed + thought.driftAngle) * 3;
         const driftY = Math.sin(time * thought.driftSpeed * 1.3 + thought.driftAngle) * 3;
@@ -227,12 +142,9 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
         const x = centerX + Math.cos(thought.angle) * thought.distance * maxRadius + driftX;
         const y = centerY + Math.sin(thought.angle) * thought.distance * maxRadius + driftY;
         
-        const distFromCenter = thought.distance;
-        const isAccessible = distFromCenter <= currentRadius;
-        const isAtBoundary = Math.abs(distFromCenter - currentRadius) < 0.07;
-        
-        if (isAccessible) accessible++;
-        
+        const isAccessible = model.isAccessible(thought, currentRadius);
+        const isAtBoundary = model.isAtBoundary(thought, currentRadius);
+
         // Boundary thoughts flicker
         let alpha = isAccessible ? 1 : 0.15;
         if (isAtBoundary) {
@@ -289,8 +201,8 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
       
       // Draw center (self)
       const selfGradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, 25);
-      selfGradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
-      selfGradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.3)');
+      selfGradient.addColorStop(0, palette.ink(0.9));
+      selfGradient.addColorStop(0.5, palette.ink(0.3));
       selfGradient.addColorStop(1, 'transparent');
       ctx.fillStyle = selfGradient;
       ctx.beginPath();
@@ -299,11 +211,11 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
       
       ctx.beginPath();
       ctx.arc(centerX, centerY, 8, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
+      ctx.fillStyle = palette.ink();
       ctx.fill();
       
       ctx.font = '10px "JetBrains Mono", monospace';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.fillStyle = palette.ink(0.5);
       ctx.textAlign = 'center';
       ctx.fillText('self', centerX, centerY + 22);
       
@@ -336,7 +248,7 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
           ctx.fillStyle = 'rgba(251, 191, 36, 0.9)';
           ctx.fillText(`Cost: ${'⚡'.repeat(t.cost)}`, t.screenX, t.screenY - 5);
           
-          ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+          ctx.fillStyle = palette.ink(0.5);
           ctx.fillText(
             t.isAccessible ? '(accessible)' : '(beyond reach)', 
             t.screenX, 
@@ -355,15 +267,15 @@ export function EnergyAffordanceSim({ width, height, isMobile = false, isFullscr
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [width, height, centerX, centerY, maxRadius, atp, hoveredThought, showCosts, isMobile]);
+  }, [width, height, centerX, centerY, maxRadius, activity, hoveredThought, showCosts, isMobile]);
   
   const handleMouseMove = useCallback((e) => {
     const rect = canvasRef.current.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
     
-    const thoughts = thoughtsRef.current;
-    if (!thoughts) return;
+    const thoughts = stateRef.current?.thoughts;
+if (!thoughts) return;
     
     let found = null;
     thoughts.forEach(t => {
@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/fatigueRecovery';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * FatigueRecoverySim - Work/Rest Cycles and Metabolic Dynamics
@@ -10,37 +16,38 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * - Capacity depletion and restoration
  * - How overwork leads to diminishing returns
  * - Learning: how repeated practice can shift mappings to intrinsic manifold
+ *
+ * Dynamics: models/fatigueRecovery.js
  */
 
-export function FatigueRecoverySim({ width, height, isMobile = false, isFullscreen = false }) {
+export function FatigueRecoverySim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const stateRef = useRef(null);
   
-  const [mode, setMode] = useState('idle'); // 'idle' | 'working' | 'resting' | 'sleeping'
+  const [mode, setMode] = useState(params.mode); // 'idle' | 'working' | 'resting' | 'sleeping'
   const [wasteLevel, setWasteLevel] = useState(0);
   const [capacity, setCapacity] = useState(100);
   const [performance, setPerformance] = useState(100);
   const [practiceLevel, setPracticeLevel] = useState(0); // 0-100, how much mapping has shifted to manifold
   const [sessionTime, setSessionTime] = useState(0);
   const [totalWorkTime, setTotalWorkTime] = useState(0);
+  useSimulationSnapshot({ mode, wasteLevel, capacity, performance, practiceLevel, sessionTime, totalWorkTime });
   
   // Initialize state
   useEffect(() => {
-    stateRef.current = {
-      waste: 0,
-      capacity: 100,
-      practice: 0,
-      particles: [], // waste particles for visualization
-      glymphatic: [], // clearance flow particles
-    };
-  }, []);
+    stateRef.current = model.init({ mode: params.mode, width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [params.mode, width, height, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     let time = 0;
     
     const animate = () => {
@@ -51,95 +58,20 @@ export function FatigueRecoverySim({ width, height, isMobile = false, isFullscre
         return;
       }
       
-      // === DYNAMICS ===
-      
-      // Work mode: accumulate waste, deplete capacity, build practice
-      if (mode === 'working') {
-        // Waste accumulates faster when capacity is low
-        const wasteRate = 0.15 * (1 + (100 - state.capacity) * 0.01);
-        state.waste = Math.min(100, state.waste + wasteRate);
-        
-        // Capacity depletes
-        state.capacity = Math.max(0, state.capacity - 0.08);
-        
-        // Practice accumulates (learning)
-        state.practice = Math.min(100, state.practice + 0.02);
-        
-        // Add waste particle
-        if (Math.random() < 0.1) {
-          state.particles.push({
-            x: width * 0.3 + Math.random() * width * 0.4,
-            y: height * 0.3 + Math.random() * height * 0.3,
-            vx: (Math.random() - 0.5) * 0.5,
-            vy: (Math.random() - 0.5) * 0.5,
-            life: 1,
-            size: 2 + Math.random() * 3,
-          });
-        }
-      }
-      
-      // Rest mode: slow clearance
-      if (mode === 'resting') {
-        state.waste = Math.max(0, state.waste - 0.03);
-        state.capacity = Math.min(100, state.capacity + 0.02);
-        
-        // Glymphatic flow visualization
-        if (Math.random() < 0.05 && state.waste > 5) {
-          state.glymphatic.push({
-            x: width * 0.2 + Math.random() * width * 0.6,
-            y: height * 0.5,
-            vy: 0.5 + Math.random() * 0.5,
-            life: 1,
-          });
-        }
-      }
-      
-      // Sleep mode: accelerated clearance
-      if (mode === 'sleeping') {
-        state.waste = Math.max(0, state.waste - 0.12);
-        state.capacity = Math.min(100, state.capacity + 0.08);
-        
-        // More glymphatic flow
-        if (Math.random() < 0.15 && state.waste > 2) {
-          state.glymphatic.push({
-            x: width * 0.2 + Math.random() * width * 0.6,
-            y: height * 0.4,
-            vy: 1 + Math.random() * 1,
-            life: 1,
-          });
-        }
-      }
-      
-      // Update particles
-      state.particles = state.particles.filter(p => {
-        p.x += p.vx;
-        p.y += p.vy;
-        p.life -= 0.005;
-        return p.life > 0;
-      });
-      
-      state.glymphatic = state.glymphatic.filter(p => {
-        p.y += p.vy;
-        p.life -= 0.02;
-        return p.life > 0 && p.y < height;
-      });
-      
-      // Performance degrades with high waste
-      const perf = Math.max(20, 100 - state.waste * 0.8);
-      
+      model.step(state, FRAME_DT, { mode });
+      const observed = model.observe(state);
+      const perf = observed.performance;
+
       // Update React state
-      setWasteLevel(state.waste);
-      setCapacity(state.capacity);
+      setWasteLevel(observed.waste);
+      setCapacity(observed.capacity);
       setPerformance(perf);
-      setPracticeLevel(state.practice);
-      
-      if (mode === 'working') {
-        setSessionTime(t => t + 0.016);
-        setTotalWorkTime(t => t + 0.016);
-      }
+      setPracticeLevel(observed.practice);
+      setSessionTime(observed.workTime);
+      setTotalWorkTime(observed.workTime);
       
       // === RENDERING ===
-      ctx.fillStyle = '#0a0a0c';
+      ctx.fillStyle = palette.background('#0a0a0c');
       ctx.fillRect(0, 0, width, height);
       
       // Draw brain region (simplified)
@@ -212,7 +144,7 @@ export function FatigueRecoverySim({ width, height, isMobile = false, isFullscre
       
       // Waste gauge
       const wasteX = 40;
-      ctx.fillStyle = 'rgba(40, 40, 50, 0.8)';
+      ctx.fillStyle = palette.panel('rgba(40, 40, 50, 0.8)');
       ctx.fillRect(wasteX, gaugeY, gaugeWidth, gaugeHeight);
       ctx.fillStyle = state.waste > 70 ? 'rgba(239, 68, 68, 0.8)' : 'rgba(234, 179, 8, 0.7)';
       ctx.fillRect(wasteX, gaugeY, gaugeWidth * (state.waste / 100), gaugeHeight);
@@ -220,34 +152,34 @@ export function FatigueRecoverySim({ width, height, isMobile = false, isFullscre
       ctx.strokeRect(wasteX, gaugeY, gaugeWidth, gaugeHeight);
       
       ctx.font = '10px "JetBrains Mono", monospace';
-      ctx.fillStyle = 'rgba(180, 180, 200, 0.8)';
+      ctx.fillStyle = palette.ink(0.58);
       ctx.textAlign = 'left';
       ctx.fillText('WASTE', wasteX, gaugeY - 5);
       ctx.fillText(`${state.waste.toFixed(0)}%`, wasteX + gaugeWidth - 30, gaugeY + 14);
       
       // Capacity gauge
       const capX = wasteX + gaugeWidth + 30;
-      ctx.fillStyle = 'rgba(40, 40, 50, 0.8)';
+      ctx.fillStyle = palette.panel('rgba(40, 40, 50, 0.8)');
       ctx.fillRect(capX, gaugeY, gaugeWidth, gaugeHeight);
       ctx.fillStyle = state.capacity < 30 ? 'rgba(239, 68, 68, 0.8)' : 'rgba(45, 212, 191, 0.7)';
       ctx.fillRect(capX, gaugeY, gaugeWidth * (state.capacity / 100), gaugeHeight);
       ctx.strokeStyle = 'rgba(100, 100, 120, 0.5)';
       ctx.strokeRect(capX, gaugeY, gaugeWidth, gaugeHeight);
       
-      ctx.fillStyle = 'rgba(180, 180, 200, 0.8)';
+      ctx.fillStyle = palette.ink(0.58);
       ctx.fillText('CAPACITY', capX, gaugeY - 5);
       ctx.fillText(`${state.capacity.toFixed(0)}%`, capX + gaugeWidth - 30, gaugeY + 14);
       
       // Practice gauge (learning)
       const practX = capX + gaugeWidth + 30;
-      ctx.fillStyle = 'rgba(40, 40, 50, 0.8)';
+      ctx.fillStyle = palette.panel('rgba(40, 40, 50, 0.8)');
       ctx.fillRect(practX, gaugeY, gaugeWidth, gaugeHeight);
       ctx.fillStyle = 'rgba(167, 139, 250, 0.7)';
       ctx.fillRect(practX, gaugeY, gaugeWidth * (state.practice / 100), gaugeHeight);
       ctx.strokeStyle = 'rgba(100, 100, 120, 0.5)';
       ctx.strokeRect(practX, gaugeY, gaugeWidth, gaugeHeight);
       
-      ctx.fillStyle = 'rgba(180, 180, 200, 0.8)';
+      ctx.fillStyle = palette.ink(0.58);
       ctx.fillText('LEARNING', practX, gaugeY - 5);
       ctx.fillText(`${state.practice.toFixed(0)}%`, practX + gaugeWidth - 30, gaugeY + 14);
       
@@ -279,7 +211,7 @@ export function FatigueRecoverySim({ width, height, isMobile = false, isFullscre
       
       // Performance indicator
       ctx.font = '11px "JetBrains Mono", monospace';
-      ctx.fillStyle = perf < 50 ? 'rgba(239, 68, 68, 0.8)' : 'rgba(180, 180, 200, 0.7)';
+      ctx.fillStyle = perf < 50 ? 'rgba(239, 68, 68, 0.8)' : palette.ink(0.5);
       ctx.fillText(`Performance: ${perf.toFixed(0)}%`, width / 2, 50);
       
       // Warning if overworked
@@ -313,13 +245,7 @@ export function FatigueRecoverySim({ width, height, isMobile = false, isFullscre
   }, [width, height, mode]);
   
   const handleReset = useCallback(() => {
-    stateRef.current = {
-      waste: 0,
-      capacity: 100,
-      practice: 0,
-      particles: [],
-      glymphatic: [],
-    };
+    if (stateRef.current) model.reset(stateRef.current);
     setMode('idle');
     setSessionTime(0);
     setTotalWorkTime(0);
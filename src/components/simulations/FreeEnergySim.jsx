@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/freeEnergy';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * FreeEnergySim - Visualization of free energy minimization
@@ -13,92 +19,25 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * The key insight: minimizing F simultaneously:
  * 1. Makes q(ψ) approximate p(ψ|s) (perception/inference)
  * 2. Drives system toward expected states (action)
+ *
+ * Dynamics: models/freeEnergy.js
  */
 
-// Generate a free energy landscape
-function generateLandscape(width, height, resolution = 4) {
-  const cols = Math.ceil(width / resolution);
-  const rows = Math.ceil(height / resolution);
-  const landscape = [];
-  
-  // Create multiple basins (attractors in state space)
-  const basins = [
-    { x: width * 0.3, y: height * 0.4, depth: 1.0, spread: 80 },
-    { x: width * 0.7, y: height * 0.6, depth: 0.8, spread: 100 },
-    { x: width * 0.5, y: height * 0.3, depth: 0.6, spread: 60 },
-  ];
-  
-  for (let row = 0; row < rows; row++) {
-    landscape[row] = [];
-    for (let col = 0; col < cols; col++) {
-      const x = col * resolution;
-      const y = row * resolution;
-      
-      // Base energy (high = surprising states)
-      let energy = 1.0;
-      
-      // Subtract basin contributions (low energy = expected states)
-      for (const basin of basins) {
-        const dx = x - basin.x;
-        const dy = y - basin.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const contribution = basin.depth * Math.exp(-(dist * dist) / (2 * basin.spread * basin.spread));
-        energy -= contribution;
-      }
-      
-      // Add some noise for texture
-      energy += (Math.random() - 0.5) * 0.05;
-      
-      landscape[row][col] = Math.max(0, Math.min(1, energy));
-    }
-  }
-  
-  return { landscape, basins, resolution, cols, rows };
-}
-
-// Calculate gradient at a point (for particle dynamics)
-function getGradient(landscape, x, y, resolution) {
-  const col = Math.floor(x / resolution);
-  const row = Math.floor(y / resolution);
-  
-  const rows = landscape.length;
-  const cols = landscape[0]?.length || 0;
-  
-  if (row < 1 || row >= rows - 1 || col < 1 || col >= cols - 1) {
-    return { dx: 0, dy: 0, value: 0.5 };
-  }
-  
-  // Central differences
-  const dx = (landscape[row][col + 1] - landscape[row][col - 1]) / 2;
-  const dy = (landscape[row + 1][col] - landscape[row - 1][col]) / 2;
-  const value = landscape[row][col];
-  
-  return { dx, dy, value };
-}
-
-// Particle representing the system state
-function createParticle(x, y) {
-  return {
-    x, y,
-    vx: 0, vy: 0,
-    trail: [],
-    energy: 0,
-  };
-}
-
-export function FreeEnergySim({ width, height, isMobile = false, isFullscreen = false }) {
+export function FreeEnergySim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
-  const landscapeRef = useRef(null);
-  const particleRef = useRef(null);
+  const stateRef = useRef(null);
   const animationRef = useRef(null);
-  const [isRunning, setIsRunning] = useState(true);
+  const [isRunning, setIsRunning] = useState(params.running);
   const [particleEnergy, setParticleEnergy] = useState(0);
+  useSimulationSnapshot({ running: isRunning, particleEnergy });
   
   // Initialize landscape and particle
   useEffect(() => {
-    landscapeRef.current = generateLandscape(width, height);
-    particleRef.current = createParticle(width * 0.2, height * 0.8);
-  }, [width, height]);
+    stateRef.current = model.init({ width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [width, height, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   // Animation loop
   useEffect(() => {
@@ -106,54 +45,27 @@ export function FreeEnergySim({ width, height, isMobile = false, isFullscreen =
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
-    const damping = 0.95;
-    const gravity = 0.15;
-    const maxTrail = 100;
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      const data = landscapeRef.current;
-      const particle = particleRef.current;
+      const state = stateRef.current;
       
-      if (!data || !particle) {
+      if (!state) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
       
-      const { landscape, resolution, cols, rows, basins } = data;
-      
       // Update particle physics
       if (isRunning) {
-        const grad = getGradient(landscape, particle.x, particle.y, resolution);
-        
-        // Apply force (negative gradient = downhill)
-        particle.vx -= grad.dx * gravity;
-        particle.vy -= grad.dy * gravity;
-        
-        // Damping
-        particle.vx *= damping;
-        particle.vy *= damping;
-        
-        // Update position
-        particle.x += particle.vx;
-        particle.y += particle.vy;
-        
-        // Boundary constraints
-        particle.x = Math.max(10, Math.min(width - 10, particle.x));
-        particle.y = Math.max(10, Math.min(height - 10, particle.y));
-        
-        // Update trail
-        particle.trail.push({ x: particle.x, y: particle.y });
-        if (particle.trail.length > maxTrail) {
-          particle.trail.shift();
-        }
-        
-        particle.energy = grad.value;
-        setParticleEnergy(grad.value);
+        model.step(state, FRAME_DT);
+        setParticleEnergy(model.observe(state).freeEnergy);
       }
       
+      const { landscape, resolution, cols, rows, basins, particle } = state;
+      
       // Draw
       // Clear
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       // Draw landscape as contour-like visualization
@@ -189,7 +101,7 @@ export function FreeEnergySim({ width, height, isMobile = false, isFullscreen =
       ctx.putImageData(imageData, 0, 0);
       
       // Draw contour lines
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+      ctx.strokeStyle = palette.ink(0.1);
       ctx.lineWidth = 1;
       const contourLevels = [0.2, 0.4, 0.6, 0.8];
       
@@ -211,11 +123,11 @@ export function FreeEnergySim({ width, height, isMobile = false, isFullscreen =
       ctx.textAlign = 'center';
       for (let i = 0; i < basins.length; i++) {
         const basin = basins[i];
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.fillStyle = palette.ink(0.3);
         ctx.beginPath();
         ctx.arc(basin.x, basin.y, 3, 0, Math.PI * 2);
         ctx.fill();
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = palette.ink(0.5);
         ctx.fillText(`attractor ${i + 1}`, basin.x, basin.y + 15);
       }
       
@@ -268,14 +180,13 @@ export function FreeEnergySim({ width, height, isMobile = false, isFullscreen =
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
     
-    particleRef.current = createParticle(x, y);
+    if (stateRef.current) model.place(stateRef.current, x, y);
   }, []);
   
   // Reset
   const handleReset = useCallback(() => {
-    landscapeRef.current = generateLandscape(width, height);
-    particleRef.current = createParticle(width * 0.2, height * 0.8);
-  }, [width, height]);
+    if (stateRef.current) model.reset(stateRef.current);
+  }, []);
   
   return (
     <div className="relative w-full h-full">
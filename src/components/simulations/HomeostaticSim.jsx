@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/homeostatic';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * HomeostaticSim - Damasio's Homeostatic Feelings Visualization
@@ -15,86 +21,11 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * - Each has an optimal setpoint (μ*) and current value (μ)
  * - The "feeling" emerges from the aggregate prediction error
  * - Demonstrates the body-brain partnership Damasio emphasizes
+ *
+ * Dynamics: models/homeostatic.js
  */
 
-const VARIABLES = [
-  { 
-    id: 'temperature', 
-    label: 'Core Temp', 
-    optimal: 37.0, 
-    min: 35.0, 
-    max: 40.0,
-    unit: '°C',
-    color: '#f87171',
-    sensitivity: 2.0,
-  },
-  { 
-    id: 'glucose', 
-    label: 'Blood Glucose', 
-    optimal: 90, 
-    min: 50, 
-    max: 150,
-    unit: 'mg/dL',
-    color: '#facc15',
-    sensitivity: 1.0,
-  },
-  { 
-    id: 'hydration', 
-    label: 'Hydration', 
-    optimal: 0.6, 
-    min: 0.3, 
-    max: 0.8,
-    unit: '%',
-    color: '#60a5fa',
-    sensitivity: 1.5,
-  },
-  { 
-    id: 'oxygen', 
-    label: 'O₂ Saturation', 
-    optimal: 98, 
-    min: 85, 
-    max: 100,
-    unit: '%',
-    color: '#4ade80',
-    sensitivity: 3.0,
-  },
-  { 
-    id: 'cortisol', 
-    label: 'Cortisol', 
-    optimal: 15, 
-    min: 5, 
-    max: 40,
-    unit: 'μg/dL',
-    color: '#a78bfa',
-    sensitivity: 0.8,
-  },
-];
-
-function initializeState() {
-  const state = {};
-  VARIABLES.forEach(v => {
-    const range = v.max - v.min;
-    state[v.id] = v.optimal + (Math.random() - 0.5) * range * 0.2;
-  });
-  return state;
-}
-
-function computeFeelingState(state) {
-  let totalError = 0;
-  const errors = {};
-  
-  VARIABLES.forEach(v => {
-    const current = state[v.id];
-    const optimal = v.optimal;
-    const range = v.max - v.min;
-    const error = Math.abs(current - optimal) / range;
-    errors[v.id] = error;
-    totalError += error * v.sensitivity;
-  });
-  
-  const feeling = Math.min(1, totalError / (VARIABLES.length * 0.5));
-  return { feeling, errors };
-}
+const { VARIABLES } = model;
 
 function getFeelingDescription(feeling) {
   if (feeling < 0.1) return { text: 'Serene wellbeing', color: '#4ade80' };
@@ -106,52 +37,45 @@ function getFeelingDescription(feeling) {
   return { text: 'Crisis', color: '#dc2626' };
 }
 
-export function HomeostaticSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function HomeostaticSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const stateRef = useRef(null);
   const animationRef = useRef(null);
   
   const [feeling, setFeeling] = useState(0);
   const [feelingDesc, setFeelingDesc] = useState({ text: 'Content', color: '#4ade80' });
-  const [autoRegulate, setAutoRegulate] = useState(false);
+  const [autoRegulate, setAutoRegulate] = useState(params.autoRegulate);
   const [selectedVar, setSelectedVar] = useState(null);
+  useSimulationSnapshot({ autoRegulate, feeling, feelingLabel: feelingDesc.text, selectedVar });
   
   useEffect(() => {
-    stateRef.current = initializeState();
-  }, []);
+    stateRef.current = model.init({ autoRegulate: params.autoRegulate }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [params.autoRegulate, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
-    let time = 0;
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      time += 0.016;
-      const state = stateRef.current;
-      if (!state) {
+      if (!stateRef.current) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
       
-      VARIABLES.forEach(v => {
-        const range = v.max - v.min;
-        state[v.id] += (Math.random() - 0.5) * range * 0.003;
-        
-        if (autoRegulate) {
-          const error = v.optimal - state[v.id];
-          state[v.id] += error * 0.02;
-        }
-        
-        state[v.id] = Math.max(v.min, Math.min(v.max, state[v.id]));
-      });
+      const state = model.step(stateRef.current, FRAME_DT, { autoRegulate });
+      const { time, values } = state;
       
-      const { feeling: f, errors } = computeFeelingState(state);
+      const { feeling: f, errors } = model.computeFeelingState(state);
       setFeeling(f);
       setFeelingDesc(getFeelingDescription(f));
       
-      ctx.fillStyle = '#0a0a0c';
+      ctx.fillStyle = palette.background('#0a0a0c');
       ctx.fillRect(0, 0, width, height);
       
       const centerX = width / 2;
@@ -176,7 +100,7 @@ export function HomeostaticSim({ width, height, isMobile = false, isFullscreen =
       const pulsePhase = Math.sin(time * 2 + f * 5) * 0.1 * f;
       const bodyRadius = maxRadius * (0.6 + pulsePhase);
       
-      ctx.strokeStyle = `rgba(255, 255, 255, ${0.1 + (1 - f) * 0.2})`;
+      ctx.strokeStyle = palette.ink(0.1 + (1 - f) * 0.2);
       ctx.lineWidth = 2;
       ctx.beginPath();
       ctx.ellipse(0, 0, bodyRadius * 0.8, bodyRadius, 0, 0, Math.PI * 2);
@@ -190,7 +114,7 @@ export function HomeostaticSim({ width, height, isMobile = false, isFullscreen =
         const gx = Math.cos(angle) * gaugeRadius;
         const gy = Math.sin(angle) * gaugeRadius;
         
-        const value = state[v.id];
+        const value = values[v.id];
         const normalized = (value - v.min) / (v.max - v.min);
         const optNormalized = (v.optimal - v.min) / (v.max - v.min);
         const error = errors[v.id];
@@ -202,7 +126,7 @@ export function HomeostaticSim({ width, height, isMobile = false, isFullscreen =
         ctx.translate(gx, gy);
         ctx.rotate(angle + Math.PI / 2);
         
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fillStyle = palette.ink(0.1);
         ctx.fillRect(-gaugeWidth / 2, -gaugeHeight / 2, gaugeWidth, gaugeHeight);
         
         const optWidth = 10;
@@ -223,9 +147,9 @@ export function HomeostaticSim({ width, height, isMobile = false, isFullscreen =
         
         ctx.font = '10px "JetBrains Mono", monospace';
         ctx.textAlign = 'center';
-        ctx.fillStyle = selectedVar === v.id ? v.color : 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = selectedVar === v.id ? v.color : palette.ink(0.5);
         ctx.fillText(v.label, lx, ly);
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.fillStyle = palette.ink(0.3);
         ctx.fillText(`${value.toFixed(1)}${v.unit}`, lx, ly + 12);
         
         ctx.strokeStyle = v.color + (error > 0.2 ? '60' : '20');
@@ -253,17 +177,17 @@ export function HomeostaticSim({ width, height, isMobile = false, isFullscreen =
       
       ctx.font = '10px "JetBrains Mono", monospace';
       ctx.textAlign = 'center';
-      ctx.fillStyle = '#0a0a0c';
+      ctx.fillStyle = palette.background('#0a0a0c');
       ctx.fillText('ε', 0, 4);
       
       ctx.restore();
       
       // Equation
       ctx.font = '12px "JetBrains Mono", monospace';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+      ctx.fillStyle = palette.ink(0.4);
       ctx.textAlign = 'center';
       ctx.fillText('ε = μ* − μ', centerX, height - 60);
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+      ctx.fillStyle = palette.ink(0.25);
       ctx.font = '10px "JetBrains Mono", monospace';
       ctx.fillText('prediction error = optimal - current', centerX, height - 45);
       
@@ -280,30 +204,11 @@ export function HomeostaticSim({ width, height, isMobile = false, isFullscreen =
   }, [width, height, autoRegulate, selectedVar]);
   
   const applyPerturbation = useCallback((type) => {
-    const state = stateRef.current;
-    if (!state) return;
-    
-    switch (type) {
-      case 'fever':
-        state.temperature += 2.0;
-        break;
-      case 'hunger':
-        state.glucose -= 25;
-        break;
-      case 'dehydration':
-        state.hydration -= 0.15;
-        break;
-      case 'stress':
-        state.cortisol += 15;
-        break;
-      case 'hypoxia':
-        state.oxygen -= 8;
-        break;
-    }
+    if (stateRef.current) model.perturb(stateRef.current, type);
   }, []);
   
   const handleReset = useCallback(() => {
-    stateRef.current = initializeState();
+    if (stateRef.current) model.reset(stateRef.current);
   }, []);
   
   return (
@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/interfaceDynamics';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * InterfaceDynamicsSim v4 - Zoomed In: Cell-Cell Interfaces
@@ -16,121 +22,38 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * - Stressed: collision, buildup, sparks, desync
  * 
  * The coupling/sync at each interface IS the proto-valence.
+ *
+ * Dynamics: models/interfaceDynamics.js
  */
 
-// Cell layout - organic cluster of ~7 cells
-const CELL_LAYOUT = [
-  { id: 0, x: 0, y: 0, radius: 1.0 },           // Center cell
-  { id: 1, x: -0.9, y: -0.5, radius: 0.85 },   // Upper left
-  { id: 2, x: 0.9, y: -0.5, radius: 0.9 },     // Upper right
-  { id: 3, x: -0.95, y: 0.55, radius: 0.8 },   // Lower left
-  { id: 4, x: 0.95, y: 0.55, radius: 0.85 },   // Lower right
-  { id: 5, x: 0, y: -1.05, radius: 0.75 },     // Top
-  { id: 6, x: 0, y: 1.1, radius: 0.8 },        // Bottom
-];
+const { INTERFACES, MODES } = model;
 
-// Which cells are adjacent (share interfaces)
-const INTERFACES = [
-  [0, 1], [0, 2], [0, 3], [0, 4], [0, 5], [0, 6],  // Center connects to all
-  [1, 5], [2, 5],  // Top neighbors
-  [3, 6], [4, 6],  // Bottom neighbors
-  [1, 3], [2, 4],  // Side neighbors
-];
-
-const MODES = [
-  {
-    id: 'healthy',
-    name: 'Healthy Tissue',
-    description: 'All cells synchronized, smooth interfaces - tissue harmony',
-    cellStates: [0.9, 0.85, 0.9, 0.85, 0.9, 0.8, 0.85],
-    syncStrength: 0.9,
-  },
-  {
-    id: 'local_stress',
-    name: 'Local Stress',
-    description: 'Center cell under stress - interfaces show strain',
-    cellStates: [0.25, 0.7, 0.7, 0.65, 0.7, 0.75, 0.7],
-    syncStrength: 0.5,
-  },
-  {
-    id: 'spreading',
-    name: 'Spreading Signal',
-    description: 'Stress propagating outward from center',
-    cellStates: [0.2, 0.4, 0.45, 0.4, 0.4, 0.5, 0.45],
-    syncStrength: 0.3,
-  },
-  {
-    id: 'inflammation',
-    name: 'Inflammation',
-    description: 'Multiple cells stressed, chaotic interfaces',
-    cellStates: [0.3, 0.25, 0.35, 0.2, 0.3, 0.4, 0.25],
-    syncStrength: 0.15,
-  },
-  {
-    id: 'recovery',
-    name: 'Recovery',
-    description: 'Re-synchronizing after stress',
-    cellStates: [0.6, 0.55, 0.6, 0.5, 0.55, 0.65, 0.6],
-    syncStrength: 0.6,
-  },
-  {
-    id: 'asymmetric',
-    name: 'Asymmetric',
-    description: 'Left side stressed, right side healthy - boundary tension',
-    cellStates: [0.5, 0.25, 0.85, 0.2, 0.9, 0.5, 0.5],
-    syncStrength: 0.4,
-  },
-];
-
-export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function InterfaceDynamicsSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
-  const [selectedMode, setSelectedMode] = useState(0);
-  const timeRef = useRef(0);
+  const [selectedMode, setSelectedMode] = useState(params.mode);
+  useSimulationSnapshot({ mode: selectedMode });
   
   // Persistent state
-  const cellsRef = useRef([]);
-  const interfaceParticlesRef = useRef([]);
-  
+  const stateRef = useRef(null);
+
   const controlHeight = isMobile ? 120 : 140;
   const mode = MODES[selectedMode];
   
   // Initialize cells
   useEffect(() => {
-    const cells = CELL_LAYOUT.map((layout, i) => ({
-      ...layout,
-      phase: Math.random() * Math.PI * 2,
-      internalParticles: Array.from({ length: 15 }, () => ({
-        angle: Math.random() * Math.PI * 2,
-        radius: Math.random() * 0.7,
-        speed: 0.5 + Math.random() * 0.5,
-        phase: Math.random() * Math.PI * 2,
-      })),
-    }));
-    cellsRef.current = cells;
-    
-    // Initialize interface particles
-    const particles = [];
-    INTERFACES.forEach(([a, b], idx) => {
-      for (let i = 0; i < 8; i++) {
-        particles.push({
-          interface: idx,
-          cellA: a,
-          cellB: b,
-          t: Math.random(),  // Position along interface (0 = at A, 1 = at B)
-          offset: (Math.random() - 0.5) * 0.3,  // Perpendicular offset
-          phase: Math.random() * Math.PI * 2,
-        });
-      }
-    });
-    interfaceParticlesRef.current = particles;
-  }, []);
+    stateRef.current = model.init({ mode: params.mode }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [params.mode, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     const canvasHeight = height - controlHeight;
     const centerX = width / 2;
     const centerY = canvasHeight / 2;
@@ -138,37 +61,15 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
     const cellBaseRadius = scale * 0.42;
     
     const animate = () => {
-      timeRef.current += 0.016;
-      const t = timeRef.current;
+      const state = stateRef.current;
+      model.step(state, FRAME_DT, { mode: selectedMode });
+      const { cells, interfaceParticles, time: t } = state;
       
-      ctx.fillStyle = '#0a0a0f';
+      ctx.fillStyle = palette.background('#0a0a0f');
       ctx.fillRect(0, 0, width, canvasHeight);
       
       const { cellStates, syncStrength } = mode;
-      const cells = cellsRef.current;
-      
-      // Update cell phases
-      cells.forEach((cell, i) => {
-        const health = cellStates[i];
-        // Healthy cells have steady rhythm, stressed cells are erratic
-        const baseSpeed = 1.5;
-        const jitter = (1 - health) * Math.sin(t * 7 + i * 3) * 0.5;
-        cell.phase += (baseSpeed + jitter) * 0.016;
-        
-        // Sync toward neighbors if sync strength is high
-        if (syncStrength > 0.3) {
-          const neighbors = INTERFACES
-            .filter(([a, b]) => a === i || b === i)
-            .map(([a, b]) => a === i ? b : a);
-          
-          neighbors.forEach(ni => {
-            const neighborPhase = cells[ni].phase;
-            const phaseDiff = neighborPhase - cell.phase;
-            cell.phase += phaseDiff * syncStrength * 0.01;
-          });
-        }
-      });
-      
+
       // Draw interfaces FIRST (behind cells)
       INTERFACES.forEach(([a, b], idx) => {
         const cellA = cells[a];
@@ -191,8 +92,7 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
         const interfaceHealth = Math.min(healthA, healthB);
         
         // Phase alignment (how in-sync are the two cells?)
-        const phaseDiff = Math.abs(Math.sin(cellA.phase) - Math.sin(cellB.phase));
-        const phaseSync = 1 - phaseDiff;
+        const phaseSync = model.getPhaseSync(cellA, cellB);
         
         // Draw interface zone
         const interfaceWidth = 12 + (1 - interfaceHealth) * 8;
@@ -241,7 +141,8 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
           ctx.stroke();
         }
         
-        // Sparks at very stressed interfaces
+        // Sparks at very stressed interfaces (cosmetic; not drawn from the
+        // seeded rng, which only the model uses)
         if (interfaceHealth < 0.35) {
           const numSparks = Math.floor((1 - interfaceHealth) * 5);
           for (let i = 0; i < numSparks; i++) {
@@ -260,7 +161,7 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
       });
       
       // Draw interface particles (exchange between cells)
-      interfaceParticlesRef.current.forEach(particle => {
+      interfaceParticles.forEach(particle => {
         const { cellA, cellB } = particle;
         const cA = cells[cellA];
         const cB = cells[cellB];
@@ -273,23 +174,7 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
         const bx = centerX + cB.x * scale;
         const by = centerY + cB.y * scale;
         
-        // Movement speed depends on interface health
-        // Healthy = smooth flow, stressed = erratic
-        const baseSpeed = 0.008 * (0.5 + interfaceHealth * 0.5);
-        const jitter = (1 - interfaceHealth) * (Math.random() - 0.5) * 0.02;
-        particle.t += baseSpeed + jitter;
-        
-        // Bounce or wrap
-        if (particle.t > 1) {
-          particle.t = 1;
-          particle.speed = -Math.abs(baseSpeed);
-        } else if (particle.t < 0) {
-          particle.t = 0;
-          particle.speed = Math.abs(baseSpeed);
-        }
-        if (particle.speed) particle.t += particle.speed;
-        
-        // Calculate position
+// Calculate position
         const px = ax + (bx - ax) * particle.t;
         const py = ay + (by - ay) * particle.t;
         
@@ -377,39 +262,27 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
         // Health indicator (small)
         if (!isMobile) {
           ctx.font = '9px system-ui';
-          ctx.fillStyle = '#ffffff50';
+          ctx.fillStyle = palette.ink(0.31);
           ctx.textAlign = 'center';
           ctx.fillText(`${Math.floor(health * 100)}%`, cx, cy + pulseRadius + 12);
         }
       });
       
       // Calculate overall tissue state (proto-valence)
-      const avgHealth = cellStates.reduce((a, b) => a + b, 0) / cellStates.length;
-      
-      // Calculate interface harmony
-      let totalInterfaceHarmony = 0;
-      INTERFACES.forEach(([a, b]) => {
-        const healthA = cellStates[a];
-        const healthB = cellStates[b];
-        const phaseDiff = Math.abs(Math.sin(cells[a].phase) - Math.sin(cells[b].phase));
-        totalInterfaceHarmony += Math.min(healthA, healthB) * (1 - phaseDiff);
-      });
-      const avgInterfaceHarmony = totalInterfaceHarmony / INTERFACES.length;
-      
-      // Proto-valence emerges from interface states
-      const protoValence = avgInterfaceHarmony;
+      const { avgHealth, protoValence } = model.observe(state);
+      const avgInterfaceHarmony = protoValence;
       
       // Stats
       const statX = 15;
       let statY = 20;
       ctx.font = '11px system-ui';
       ctx.textAlign = 'left';
-      ctx.fillStyle = '#ffffff80';
+      ctx.fillStyle = palette.ink(0.5);
       ctx.fillText(`Proto-valence: ${protoValence.toFixed(2)}`, statX, statY);
       
       if (!isMobile) {
         statY += 16;
-        ctx.fillStyle = '#ffffff50';
+        ctx.fillStyle = palette.ink(0.31);
         ctx.font = '10px system-ui';
         ctx.fillText(`Avg cell health: ${(avgHealth * 100).toFixed(0)}%`, statX, statY);
         statY += 14;
@@ -423,7 +296,7 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
         const legendX = width - 100;
         let legendY = 20;
         ctx.font = '9px system-ui';
-        ctx.fillStyle = '#ffffff60';
+        ctx.fillStyle = palette.ink(0.38);
         ctx.textAlign = 'left';
         ctx.fillText('Legend:', legendX, legendY);
         legendY += 14;
@@ -432,7 +305,7 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
         ctx.beginPath();
         ctx.arc(legendX + 5, legendY - 3, 4, 0, Math.PI * 2);
         ctx.fill();
-        ctx.fillStyle = '#ffffff50';
+        ctx.fillStyle = palette.ink(0.31);
         ctx.fillText('Healthy', legendX + 15, legendY);
         legendY += 14;
         
@@ -440,7 +313,7 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
         ctx.beginPath();
         ctx.arc(legendX + 5, legendY - 3, 4, 0, Math.PI * 2);
         ctx.fill();
-        ctx.fillStyle = '#ffffff50';
+        ctx.fillStyle = palette.ink(0.31);
         ctx.fillText('Stressed', legendX + 15, legendY);
       }
       
@@ -454,7 +327,7 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [width, height, mode, isMobile, controlHeight]);
+  }, [width, height, mode, selectedMode, isMobile, controlHeight]);
   
   return (
     <div className="flex flex-col h-full">
@@ -480,7 +353,7 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
         </CollapsiblePanel>
       </div>
       
-      <div className="p-2 sm:p-3 bg-void/90 border-t border-white/10" style={{ height: controlHeight }}>
+      <div className="p-2 sm:p-3 bg-void/90 border-t border-text/10" style={{ height: controlHeight }}>
         <div className="flex flex-wrap gap-1 mb-2">
           {MODES.map((m, idx) => (
             <button
@@ -488,8 +361,8 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
               onClick={() => setSelectedMode(idx)}
               className={`px-2 py-1 rounded text-[10px] sm:text-xs transition-all ${
                 selectedMode === idx
-                  ? 'bg-white/20 text-white border border-white/30'
-                  : 'bg-white/5 text-white/60 hover:bg-white/10 border border-transparent'
+                  ? 'bg-text/20 text-text border border-text/30'
+                  : 'bg-text/5 text-text/60 hover:bg-text/10 border border-transparent'
               }`}
             >
               {m.name}
@@ -497,8 +370,8 @@ export function InterfaceDynamicsSim({ width, height, isMobile = false, isFullsc
           ))}
         </div>
         
-        <div className="text-[10px] sm:text-xs text-white/50 bg-white/5 rounded p-2">
-          <span className="text-white/80 font-medium">{mode.name}:</span> {mode.description}
+        <div className="text-[10px] sm:text-xs text-text/50 bg-text/5 rounded p-2">
+          <span className="text-text/80 font-medium">{mode.name}:</span> {mode.description}
         </div>
       </div>
     </div>
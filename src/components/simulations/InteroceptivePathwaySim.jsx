@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/interoceptivePathway';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * InteroceptivePathwaySim - The Flow of Bodily Feeling
@@ -16,115 +22,60 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * 
  * Key insight: the pathway doesn't just transmit - it TRANSFORMS.
  * Raw signals become felt experience through integration.
+ *
+ * Dynamics: models/interoceptivePathway.js
  */
 
-const SIGNAL_TYPES = [
-  { id: 'thermal', label: 'Temperature', color: '#f87171', baseRate: 0.8 },
-  { id: 'visceral', label: 'Visceral', color: '#a78bfa', baseRate: 1.0 },
-  { id: 'cardiac', label: 'Cardiac', color: '#f472b6', baseRate: 1.2 },
-  { id: 'respiratory', label: 'Respiratory', color: '#60a5fa', baseRate: 0.9 },
-  { id: 'nociceptive', label: 'Pain', color: '#fbbf24', baseRate: 0.4 },
-];
+const { SIGNAL_TYPES, LAYERS, PRESETS } = model;
 
-const LAYERS = [
-  { id: 'body', label: 'Body', y: 0.85, description: 'Raw interoceptive signals' },
-  { id: 'primary', label: 'Primary', y: 0.6, description: 'Initial cortical representation' },
-  { id: 'integration', label: 'Integration', y: 0.38, description: 'Cross-modal binding' },
-  { id: 'now', label: 'Now', y: 0.15, description: 'Global emotional moment' },
-];
-
-function createParticle(type, x, width) {
-  const signal = SIGNAL_TYPES.find(s => s.id === type) || SIGNAL_TYPES[0];
-  return {
-    type,
-    x: x + (Math.random() - 0.5) * width * 0.15,
-    y: LAYERS[0].y,
-    layer: 0,
-    progress: 0,
-    speed: 0.3 + Math.random() * 0.2,
-    color: signal.color,
-    size: 3 + Math.random() * 2,
-    wobble: Math.random() * Math.PI * 2,
-    wobbleSpeed: 1 + Math.random(),
-    opacity: 0.7 + Math.random() * 0.3,
-    merged: false,
-  };
-}
-
-function createEfferent(x, startY) {
-  return {
-    x,
-    y: startY,
-    targetY: LAYERS[0].y + 0.05,
-    speed: 0.15 + Math.random() * 0.1,
-    opacity: 0.6,
-    size: 2,
-  };
-}
-
-export function InteroceptivePathwaySim({ width, height, isMobile = false, isFullscreen = false }) {
+export function InteroceptivePathwaySim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
-  const particlesRef = useRef([]);
-  const efferentsRef = useRef([]);
+  const stateRef = useRef(null);
   const timeRef = useRef(0);
   
   const [signalIntensity, setSignalIntensity] = useState(() => {
     const initial = {};
-    SIGNAL_TYPES.forEach(s => { initial[s.id] = 0.5; });
+    SIGNAL_TYPES.forEach(s => { initial[s.id] = params.signalIntensity; });
     return initial;
   });
   const [globalFeeling, setGlobalFeeling] = useState({ valence: 0, arousal: 0.5 });
-  const [showEfferents, setShowEfferents] = useState(true);
+  const [showEfferents, setShowEfferents] = useState(params.showEfferents);
+  useSimulationSnapshot({ showEfferents, signals: signalIntensity, globalFeeling });
   
-  // Spawn particles based on signal intensity
-  const spawnParticles = useCallback((width) => {
-    const particles = particlesRef.current;
-    
-    SIGNAL_TYPES.forEach((signal, idx) => {
-      const intensity = signalIntensity[signal.id];
-      const spawnRate = signal.baseRate * intensity * 0.15;
-      
-      if (Math.random() < spawnRate) {
-        // Spread signals across the body layer
-        const spreadX = width * (0.15 + (idx / SIGNAL_TYPES.length) * 0.7);
-        particles.push(createParticle(signal.id, spreadX, width));
-      }
-    });
-    
-    // Limit particles
-    if (particles.length > 200) {
-      particlesRef.current = particles.slice(-150);
-    }
-  }, [signalIntensity]);
-  
-  // Spawn efferent signals (regulation flowing back down)
-  const spawnEfferents = useCallback((width) => {
-    if (!showEfferents) return;
-    
-    const efferents = efferentsRef.current;
-    if (Math.random() < 0.05) {
-      const x = width * (0.3 + Math.random() * 0.4);
-      efferents.push(createEfferent(x, LAYERS[3].y + 0.05));
-    }
-    
-    if (efferents.length > 30) {
-      efferentsRef.current = efferents.slice(-20);
-    }
-  }, [showEfferents]);
+  useEffect(() => {
+    stateRef.current = model.init({
+      signalIntensity: params.signalIntensity,
+      showEfferents: params.showEfferents,
+      width,
+    }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [width, params.signalIntensity, params.showEfferents, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
+      const state = stateRef.current;
+      model.step(state, FRAME_DT, { signals: signalIntensity, showEfferents });
+      const feeling = model.observe(state);
+      setGlobalFeeling(prev => (
+        prev.valence === feeling.valence && prev.arousal === feeling.arousal
+          ? prev
+          : { valence: feeling.valence, arousal: feeling.arousal }
+      ));
+
       timeRef.current += 0.016;
       const t = timeRef.current;
       
       // Clear
-      ctx.fillStyle = '#0a0a0c';
+      ctx.fillStyle = palette.background('#0a0a0c');
       ctx.fillRect(0, 0, width, height);
       
       const marginX = width * 0.08;
@@ -143,20 +94,20 @@ export function InteroceptivePathwaySim({ width, height, isMobile = false, isFul
         // Layer background
         const gradient = ctx.createLinearGradient(0, nextY, 0, y);
         const alpha = layer.id === 'now' ? 0.15 : 0.05;
-        gradient.addColorStop(0, `rgba(255, 255, 255, ${alpha})`);
-        gradient.addColorStop(1, `rgba(255, 255, 255, ${alpha * 0.3})`);
+        gradient.addColorStop(0, palette.ink(alpha));
+        gradient.addColorStop(1, palette.ink(alpha * 0.3));
         
         ctx.fillStyle = gradient;
         ctx.fillRect(marginX, nextY, usableWidth, zoneHeight);
         
         // Layer label
         ctx.font = '10px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.fillStyle = palette.ink(0.3);
         ctx.textAlign = 'left';
         ctx.fillText(layer.label.toUpperCase(), marginX + 8, y - 8);
         
         // Horizontal guide line
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.strokeStyle = palette.ink(0.1);
         ctx.lineWidth = 1;
         ctx.beginPath();
         ctx.moveTo(marginX, y);
@@ -164,73 +115,25 @@ export function InteroceptivePathwaySim({ width, height, isMobile = false, isFul
         ctx.stroke();
       });
       
-      // Spawn new particles
-      spawnParticles(width);
-      spawnEfferents(width);
-      
-      // Update and draw efferents (behind particles)
+      // Draw efferents (behind particles)
       if (showEfferents) {
-        efferentsRef.current = efferentsRef.current.filter(e => {
-          e.y += e.speed * 0.016 * 2;
-          e.opacity -= 0.003;
-          
-          if (e.y > e.targetY || e.opacity <= 0) return false;
-          
+        state.efferents.forEach(e => {
           const screenY = marginY + e.y * usableHeight;
           ctx.beginPath();
           ctx.arc(e.x, screenY, e.size, 0, Math.PI * 2);
           ctx.fillStyle = `rgba(74, 222, 128, ${e.opacity * 0.5})`;
           ctx.fill();
-          
-          return true;
         });
       }
       
-      // Track signals reaching the top for feeling computation
-      let topSignals = { thermal: 0, visceral: 0, cardiac: 0, respiratory: 0, nociceptive: 0 };
-      let totalTop = 0;
-      
-      // Update and draw particles
-      particlesRef.current = particlesRef.current.filter(p => {
-        // Move upward
-        p.progress += p.speed * 0.016;
-        
-        // Determine current layer based on progress
-        const targetLayer = Math.min(3, Math.floor(p.progress * 4));
-        if (targetLayer > p.layer) {
-          p.layer = targetLayer;
-          // Particles converge as they rise
-          const centerX = width / 2;
-          p.x = p.x + (centerX - p.x) * 0.3;
-          // Merge effect at higher layers
-          if (p.layer >= 2) {
-            p.merged = true;
-            p.size *= 0.8;
-          }
-        }
-        
-        // Calculate Y position (interpolate between layers)
-        const fromLayer = LAYERS[Math.max(0, p.layer)];
-        const toLayer = LAYERS[Math.min(3, p.layer + 1)];
-        const layerProgress = (p.progress * 4) % 1;
-        const targetY = fromLayer.y - (fromLayer.y - toLayer.y) * layerProgress;
-        p.y = targetY;
-        
-        // Wobble
-        p.wobble += p.wobbleSpeed * 0.016;
+      // Draw particles
+      state.particles.forEach(p => {
         const wobbleX = Math.sin(p.wobble) * (8 - p.layer * 2);
         
         // Screen position
         const screenX = p.x + wobbleX;
         const screenY = marginY + p.y * usableHeight;
         
-        // Remove if past top
-        if (p.y < LAYERS[3].y - 0.1) {
-          topSignals[p.type]++;
-          totalTop++;
-          return false;
-        }
-        
         // Draw particle
         const alpha = p.opacity * (p.merged ? 0.6 : 1);
         ctx.beginPath();
@@ -247,39 +150,17 @@ export function InteroceptivePathwaySim({ width, height, isMobile = false, isFul
           ctx.lineWidth = p.size * 0.5;
           ctx.stroke();
         }
-        
-        return true;
       });
       
-      // Compute global feeling from integrated signals
-      if (totalTop > 0) {
-        const painRatio = topSignals.nociceptive / totalTop;
-        const cardiacRatio = topSignals.cardiac / totalTop;
-        const visceralRatio = topSignals.visceral / totalTop;
-        
-        // Valence: negative if pain-heavy, neutral to positive otherwise
-        const newValence = globalFeeling.valence * 0.95 + 
-          (0.5 - painRatio * 2 + (1 - visceralRatio) * 0.3) * 0.05;
-        
-        // Arousal: higher with more cardiac and overall signal density
-        const density = Math.min(1, totalTop / 10);
-        const newArousal = globalFeeling.arousal * 0.95 + 
-          (cardiacRatio * 0.5 + density * 0.5) * 0.05;
-        
-        setGlobalFeeling({ 
-          valence: Math.max(-1, Math.min(1, newValence)), 
-          arousal: Math.max(0, Math.min(1, newArousal)) 
-        });
-      }
-      
       // Draw "Now" indicator
       const nowY = marginY + LAYERS[3].y * usableHeight;
       const nowX = width / 2;
-      const nowRadius = 25 + globalFeeling.arousal * 15;
+      const { valence, arousal } = feeling;
+      const nowRadius = 25 + arousal * 15;
       
       // Feeling color based on valence
-      const r = Math.round(globalFeeling.valence < 0 ? 200 + globalFeeling.valence * -50 : 100);
-      const g = Math.round(globalFeeling.valence > 0 ? 180 + globalFeeling.valence * 40 : 120);
+      const r = Math.round(valence < 0 ? 200 + valence * -50 : 100);
+      const g = Math.round(valence > 0 ? 180 + valence * 40 : 120);
       const b = 150;
       const feelingColor = `rgb(${r}, ${g}, ${b})`;
       
@@ -312,7 +193,7 @@ export function InteroceptivePathwaySim({ width, height, isMobile = false, isFul
       
       // "Now" label
       ctx.font = 'bold 12px "JetBrains Mono", monospace';
-      ctx.fillStyle = '#ffffff90';
+      ctx.fillStyle = palette.ink(0.56);
       ctx.textAlign = 'center';
       ctx.fillText('NOW', nowX, nowY + 4);
       
@@ -330,14 +211,14 @@ export function InteroceptivePathwaySim({ width, height, isMobile = false, isFul
         
         // Label
         ctx.font = '8px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.fillStyle = palette.ink(0.4);
         ctx.textAlign = 'center';
         ctx.fillText(signal.label, x, bodyY + 35);
       });
       
       // Description
       ctx.font = '10px "JetBrains Mono", monospace';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+      ctx.fillStyle = palette.ink(0.25);
       ctx.textAlign = 'center';
       ctx.fillText('Signals converge → integrate → unified feeling', width / 2, height - 15);
       
@@ -351,27 +232,14 @@ export function InteroceptivePathwaySim({ width, height, isMobile = false, isFul
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [width, height, spawnParticles, spawnEfferents, showEfferents, globalFeeling, signalIntensity]);
+  }, [width, height, showEfferents, signalIntensity]);
   
   const handleIntensityChange = useCallback((type, value) => {
     setSignalIntensity(prev => ({ ...prev, [type]: value }));
   }, []);
   
   const applyPreset = useCallback((preset) => {
-    switch (preset) {
-      case 'calm':
-        setSignalIntensity({ thermal: 0.3, visceral: 0.2, cardiac: 0.3, respiratory: 0.3, nociceptive: 0.05 });
-        break;
-      case 'anxious':
-        setSignalIntensity({ thermal: 0.4, visceral: 0.7, cardiac: 0.9, respiratory: 0.8, nociceptive: 0.2 });
-        break;
-      case 'pain':
-        setSignalIntensity({ thermal: 0.5, visceral: 0.4, cardiac: 0.6, respiratory: 0.5, nociceptive: 0.9 });
-        break;
-      case 'exertion':
-        setSignalIntensity({ thermal: 0.8, visceral: 0.3, cardiac: 0.95, respiratory: 0.9, nociceptive: 0.3 });
-        break;
-    }
+    setSignalIntensity({ ...PRESETS[preset] });
   }, []);
   
   return (
@@ -1,5 +1,8 @@
-import { useRef, useEffect, useState, useCallback } from 'react';
+import { useRef, useEffect, useState } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot } from '../../hooks/useSimulationHost';
+import * as model from '../../models/languageController';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * LanguageControllerSim - The Open-Loop Control Critique of Fedorenko
@@ -15,128 +18,36 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * 
  * Fedorenko measures: A = β₁L + β₂H(Z)_ling
  * What she misses: The communicative uncertainty terms
+ *
+ * Model: models/languageController.js
  */
 
-// Example scenarios showing the distinction
-const SCENARIOS = [
-  {
-    id: 'fedorenko_baseline',
-    name: "Fedorenko's Paradigm",
-    description: "Sentences vs nonwords in isolation",
-    context: '"The doctor examined the patient carefully."',
-    L: 0.4,           // Moderate linguistic complexity
-    Hz_ling: 0.3,     // Some within-sentence surprisal (words have varying predictability)
-    Hz_comm: 0,       // NO communicative uncertainty - no listener, no feedback
-    feedback: false,
-    explanation: "Standard localizer: captures L and H(Z)_ling, but H(Z)_comm = 0"
-  },
-  {
-    id: 'fedorenko_surprising',
-    name: "High Surprisal (Fedorenko)",
-    description: "Surprising sentence, still isolated",
-    context: '"Colorless green ideas sleep furiously."',
-    L: 0.5,           // Moderate complexity
-    Hz_ling: 0.9,     // HIGH linguistic surprisal - very unpredictable
-    Hz_comm: 0,       // Still no communicative context
-    feedback: false,
-    explanation: "This WOULD activate more in Fedorenko's paradigm (high surprisal)"
-  },
-  {
-    id: 'naturalistic_easy',
-    name: "Easy Communication",
-    description: "Simple message to familiar listener",
-    context: 'Telling your roommate: "I\'m going to the store."',
-    L: 0.2,           // Low complexity
-    Hz_ling: 0.2,     // Low surprisal - predictable phrasing  
-    Hz_comm: 0.15,    // Low comm uncertainty - they know you, context is clear
-    feedback: true,
-    explanation: "Closed-loop, but low uncertainty on all fronts"
-  },
-  {
-    id: 'naturalistic_hard',
-    name: "Complex Communication",
-    description: "Technical explanation to novice",
-    context: 'Explaining quantum entanglement to your grandmother',
-    L: 0.8,           // High complexity
-    Hz_ling: 0.6,     // Moderate surprisal
-    Hz_comm: 0.85,    // HIGH comm uncertainty - Will she understand? How to adapt?
-    feedback: true,
-    explanation: "This is where Fedorenko's paradigm MISSES activation"
-  },
-  {
-    id: 'repair',
-    name: "Communication Repair",
-    description: "Listener signals confusion, must reformulate",
-    context: '"Wait, what do you mean?" → Rephrasing...',
-    L: 0.5,           // Moderate complexity on reformulation
-    Hz_ling: 0.4,     // Moderate surprisal
-    Hz_comm: 0.95,    // VERY HIGH - active uncertainty reduction
-    feedback: true,
-    explanation: "Maximum controller engagement - closed-loop error correction"
-  }
-];
+const { SCENARIOS } = model;
 
-// Model coefficients (based on the theoretical framework)
-const BETA = {
-  L: 0.25,            // Linguistic complexity
-  Hz_ling: 0.30,      // Linguistic uncertainty (what Fedorenko measures)
-  Hz_comm: 0.25,      // Communicative uncertainty (what she misses)
-  interaction: 0.20   // L × H(Z)_comm interaction
-};
-
-export function LanguageControllerSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function LanguageControllerSim({ width, height, params, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
-  const [mode, setMode] = useState('comparison'); // 'comparison', 'equation', 'feedback'
-  const [selectedScenario, setSelectedScenario] = useState(0);
+  const [mode, setMode] = useState(params.mode); // 'comparison', 'equation', 'feedback'
+  const [selectedScenario, setSelectedScenario] = useState(params.scenario);
+  useSimulationSnapshot({ mode, scenario: selectedScenario });
   const timeRef = useRef(0);
   
   const scenario = SCENARIOS[selectedScenario];
   
-  // Calculate activation components
-  const calculateActivation = useCallback((s) => {
-    const L_term = BETA.L * s.L;
-    const Hz_ling_term = BETA.Hz_ling * s.Hz_ling;
-    const Hz_comm_term = BETA.Hz_comm * s.Hz_comm;
-    const interaction_term = BETA.interaction * (s.L * s.Hz_comm);
-    
-    // What Fedorenko measures
-    const fedorenko_sees = L_term + Hz_ling_term;
-    
-    // What she misses
-    const fedorenko_misses = Hz_comm_term + interaction_term;
-    
-    // Full activation
-    const total = fedorenko_sees + fedorenko_misses;
-    
-    return {
-      L_term,
-      Hz_ling_term,
-      Hz_comm_term,
-      interaction_term,
-      fedorenko_sees,
-      fedorenko_misses,
-      total,
-      // Raw values for display
-      L: s.L,
-      Hz_ling: s.Hz_ling,
-      Hz_comm: s.Hz_comm
-    };
-  }, []);
-  
-  const activation = calculateActivation(scenario);
+  const activation = model.calculateActivation(scenario);
   
   // Animation loop
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
       timeRef.current += 0.016;
       const t = timeRef.current;
       
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       if (mode === 'comparison') {
@@ -157,7 +68,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
       const barX = centerX - barWidth / 2;
       
       // Title
-      ctx.fillStyle = 'rgba(200, 200, 200, 0.95)';
+      ctx.fillStyle = palette.ink(0.75);
       ctx.font = 'bold 14px monospace';
       ctx.textAlign = 'center';
       ctx.fillText('Open-Loop vs Closed-Loop Control', centerX, 28);
@@ -168,7 +79,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
       ctx.fillText(scenario.name, centerX, 52);
       
       // Description
-      ctx.fillStyle = 'rgba(160, 160, 160, 0.8)';
+      ctx.fillStyle = palette.ink(0.5);
       ctx.font = '11px monospace';
       ctx.fillText(scenario.description, centerX, 70);
       
@@ -215,7 +126,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
       const barsStartY = 145;
       
       // Section header
-      ctx.fillStyle = 'rgba(180, 180, 180, 0.9)';
+      ctx.fillStyle = palette.ink(0.64);
       ctx.font = 'bold 11px monospace';
       ctx.fillText('Activation Components', centerX, barsStartY);
       
@@ -273,7 +184,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
         }
         
         // Bar background
-        ctx.fillStyle = 'rgba(40, 40, 50, 0.8)';
+        ctx.fillStyle = palette.panel('rgba(40, 40, 50, 0.8)');
         ctx.fillRect(barX, y + 5, barWidth, barHeight);
         
         // Bar fill with animation
@@ -292,7 +203,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
         ctx.strokeRect(barX, y + 5, barWidth, barHeight);
         
         // Value
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillStyle = palette.ink(0.9);
         ctx.font = 'bold 11px monospace';
         ctx.textAlign = 'center';
         ctx.fillText(`${(comp.value * 100).toFixed(0)}%`, barX + barWidth / 2, y + 22);
@@ -317,11 +228,11 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
       ctx.fillText(`${(activation.fedorenko_misses * 100).toFixed(0)}%`, 150, summaryY + 22);
       
       // Total
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+      ctx.fillStyle = palette.ink(0.95);
       ctx.font = 'bold 12px monospace';
       ctx.fillText('TOTAL ACTIVATION:', 15, summaryY + 48);
       ctx.font = 'bold 18px monospace';
-      const totalColor = activation.total > 0.5 ? 'rgba(100, 255, 150, 1)' : 'rgba(200, 200, 200, 0.9)';
+      const totalColor = activation.total > 0.5 ? 'rgba(100, 255, 150, 1)' : palette.ink(0.71);
       ctx.fillStyle = totalColor;
       ctx.fillText(`${(activation.total * 100).toFixed(0)}%`, 170, summaryY + 48);
       
@@ -351,7 +262,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
       const centerX = width / 2;
       
       // Title
-      ctx.fillStyle = 'rgba(200, 200, 200, 0.95)';
+      ctx.fillStyle = palette.ink(0.75);
       ctx.font = 'bold 15px monospace';
       ctx.textAlign = 'center';
       ctx.fillText('The Complete Model', centerX, 35);
@@ -375,7 +286,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
         const y = 105 + i * 32;
         ctx.fillStyle = `rgb(${v.color.join(',')})`;
         ctx.fillText(v.symbol, 20, y);
-        ctx.fillStyle = 'rgba(180, 180, 180, 0.85)';
+        ctx.fillStyle = palette.ink(0.6);
         ctx.fillText('= ' + v.desc, 110, y);
       });
       
@@ -386,7 +297,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
       ctx.textAlign = 'center';
       ctx.fillText("Fedorenko's Open-Loop Problem", centerX, critiqueY);
       
-      ctx.fillStyle = 'rgba(180, 180, 180, 0.85)';
+      ctx.fillStyle = palette.ink(0.6);
       ctx.font = '11px monospace';
       const critiqueLines = [
         "Her paradigm measures:",
@@ -411,7 +322,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
           ctx.fillStyle = 'rgba(255, 150, 100, 0.9)';
           ctx.font = '12px monospace';
         } else {
-          ctx.fillStyle = 'rgba(160, 160, 160, 0.8)';
+          ctx.fillStyle = palette.ink(0.5);
           ctx.font = '11px monospace';
         }
         ctx.fillText(line, centerX, y);
@@ -431,7 +342,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
       const centerY = height / 2;
       
       // Title
-      ctx.fillStyle = 'rgba(200, 200, 200, 0.95)';
+      ctx.fillStyle = palette.ink(0.75);
       ctx.font = 'bold 14px monospace';
       ctx.textAlign = 'center';
       ctx.fillText('The Control Loop', centerX, 30);
@@ -498,7 +409,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
         
         // Label
         if (label) {
-          ctx.fillStyle = active ? 'rgba(200, 200, 200, 0.9)' : 'rgba(100, 100, 100, 0.6)';
+          ctx.fillStyle = active ? palette.ink(0.71) : 'rgba(100, 100, 100, 0.6)';
           ctx.font = '9px monospace';
           const labelX = curved ? (from.x + to.x) / 2 : (from.x + to.x) / 2;
           const labelY = curved ? (from.y + to.y) / 2 + 50 : (from.y + to.y) / 2 - 8;
@@ -527,7 +438,7 @@ export function LanguageControllerSim({ width, height, isMobile = false, isFulls
       ctx.textAlign = 'center';
       ctx.fillText('H(Z)_comm = Uncertainty about listener state', centerX, hzY);
       
-      ctx.fillStyle = 'rgba(160, 160, 160, 0.8)';
+      ctx.fillStyle = palette.ink(0.5);
       ctx.font = '10px monospace';
       if (isClosed) {
         ctx.fillText('Closed loop: Controller actively reduces H(Z)_comm', centerX, hzY + 18);
@@ -1,6 +1,11 @@
 import { useRef, useEffect, useCallback, useState } from 'react';
-import Matter from 'matter-js';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/markovBlanket';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * MarkovBlanketSim - Physics-based visualization of Markov blanket dynamics
@@ -13,399 +18,52 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * The blanket is now a real physical structure - a ring of connected particles
  * that separates internal from external, with sensory particles on the outside
  * and active particles on the inside of the membrane.
+ *
+ * Dynamics: models/markovBlanket.js
  */
 
-const { Engine, Bodies, Body, Composite, Constraint } = Matter;
+const { TYPES } = model;
 
-// Particle type configurations
-const TYPES = {
-  internal: { 
-    color: '#60a5fa', 
-    label: 'μ (internal)',
-    radius: 8,
-    count: 12,
-  },
-  external: { 
-    color: '#f87171', 
-    label: 'ψ (external)',
-    radius: 8,
-    count: 16,
-  },
-  sensory: { 
-    color: '#4ade80', 
-    label: 's (sensory)',
-    radius: 7,
-    count: 16,
-  },
-  active: { 
-    color: '#facc15', 
-    label: 'a (active)',
-    radius: 7,
-    count: 16,
-  },
-};
-
-// Create the physics world
-function createWorld(width, height) {
-  const engine = Engine.create({
-    gravity: { x: 0, y: 0 },
-  });
-  
-  const cx = width / 2;
-  const cy = height / 2;
-  const blanketRadius = Math.min(width, height) * 0.32;
-  
-  const bodies = {
-    internal: [],
-    external: [],
-    sensory: [],
-    active: [],
-  };
-  
-  const constraints = [];
-  
-  // Create boundary walls (invisible)
-  const wallThickness = 50;
-  const walls = [
-    Bodies.rectangle(width / 2, -wallThickness / 2, width, wallThickness, { isStatic: true }),
-    Bodies.rectangle(width / 2, height + wallThickness / 2, width, wallThickness, { isStatic: true }),
-    Bodies.rectangle(-wallThickness / 2, height / 2, wallThickness, height, { isStatic: true }),
-    Bodies.rectangle(width + wallThickness / 2, height / 2, wallThickness, height, { isStatic: true }),
-  ];
-  Composite.add(engine.world, walls);
-  
-  // Create sensory particles (outer ring of blanket)
-  const sensoryCount = TYPES.sensory.count;
-  for (let i = 0; i < sensoryCount; i++) {
-    const angle = (i / sensoryCount) * Math.PI * 2;
-    const x = cx + Math.cos(angle) * (blanketRadius + 12);
-    const y = cy + Math.sin(angle) * (blanketRadius + 12);
-    
-    const body = Bodies.circle(x, y, TYPES.sensory.radius, {
-      friction: 0.1,
-      frictionAir: 0.02,
-      restitution: 0.6,
-    });
-    body.particleType = 'sensory';
-    body.originalAngle = angle;
-    bodies.sensory.push(body);
-  }
-  
-  // Create active particles (inner ring of blanket)
-  const activeCount = TYPES.active.count;
-  for (let i = 0; i < activeCount; i++) {
-    const angle = (i / activeCount) * Math.PI * 2;
-    const x = cx + Math.cos(angle) * (blanketRadius - 12);
-    const y = cy + Math.sin(angle) * (blanketRadius - 12);
-    
-    const body = Bodies.circle(x, y, TYPES.active.radius, {
-      friction: 0.1,
-      frictionAir: 0.02,
-      restitution: 0.6,
-    });
-    body.particleType = 'active';
-    body.originalAngle = angle;
-    bodies.active.push(body);
-  }
-  
-  // Connect sensory particles to form outer membrane
-  for (let i = 0; i < sensoryCount; i++) {
-    const next = (i + 1) % sensoryCount;
-    const c = Constraint.create({
-      bodyA: bodies.sensory[i],
-      bodyB: bodies.sensory[next],
-      stiffness: 0.2,
-      damping: 0.1,
-    });
-    c.constraintType = 'sensory-ring';
-    constraints.push(c);
-  }
-  
-  // Connect active particles to form inner membrane
-  for (let i = 0; i < activeCount; i++) {
-    const next = (i + 1) % activeCount;
-    const c = Constraint.create({
-      bodyA: bodies.active[i],
-      bodyB: bodies.active[next],
-      stiffness: 0.2,
-      damping: 0.1,
-    });
-    c.constraintType = 'active-ring';
-    constraints.push(c);
-  }
-  
-  // Connect sensory to active (radial connections through blanket)
-  for (let i = 0; i < Math.min(sensoryCount, activeCount); i++) {
-    const c = Constraint.create({
-      bodyA: bodies.sensory[i],
-      bodyB: bodies.active[i],
-      stiffness: 0.08,
-      damping: 0.1,
-      length: 24,
-    });
-    c.constraintType = 'radial';
-    constraints.push(c);
-  }
-  
-  // Anchor blanket to center (soft constraint to maintain shape)
-  const centerAnchor = Bodies.circle(cx, cy, 5, { isStatic: true });
-  Composite.add(engine.world, centerAnchor);
-  
-  // Soft radial constraints to keep blanket roughly circular
-  bodies.sensory.forEach((body) => {
-    const c = Constraint.create({
-      bodyA: centerAnchor,
-      bodyB: body,
-      stiffness: 0.005,
-      damping: 0.05,
-      length: blanketRadius + 12,
-    });
-    c.constraintType = 'anchor';
-    constraints.push(c);
-  });
-  
-  bodies.active.forEach((body) => {
-    const c = Constraint.create({
-      bodyA: centerAnchor,
-      bodyB: body,
-      stiffness: 0.005,
-      damping: 0.05,
-      length: blanketRadius - 12,
-    });
-    c.constraintType = 'anchor';
-    constraints.push(c);
-  });
-  
-  // Create internal particles
-  for (let i = 0; i < TYPES.internal.count; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const r = Math.random() * (blanketRadius - 40);
-    const x = cx + Math.cos(angle) * r;
-    const y = cy + Math.sin(angle) * r;
-    
-    const body = Bodies.circle(x, y, TYPES.internal.radius, {
-      friction: 0.05,
-      frictionAir: 0.015,
-      restitution: 0.8,
-    });
-    body.particleType = 'internal';
-    bodies.internal.push(body);
-  }
-  
-  // Create external particles
-  for (let i = 0; i < TYPES.external.count; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const minR = blanketRadius + 35;
-    const maxR = Math.min(width, height) / 2 - 30;
-    const r = minR + Math.random() * (maxR - minR);
-    const x = cx + Math.cos(angle) * r;
-    const y = cy + Math.sin(angle) * r;
-    
-    const body = Bodies.circle(x, y, TYPES.external.radius, {
-      friction: 0.05,
-      frictionAir: 0.015,
-      restitution: 0.8,
-    });
-    body.particleType = 'external';
-    bodies.external.push(body);
-  }
-  
-  // Add all bodies to world
-  Composite.add(engine.world, [...bodies.internal, ...bodies.external, ...bodies.sensory, ...bodies.active]);
-  Composite.add(engine.world, constraints);
-  
-  return { engine, bodies, constraints, cx, cy, blanketRadius, centerAnchor };
-}
-
-// Custom forces for information flow and containment
-function applyCustomForces(bodies, cx, cy, blanketRadius, flowEnabled, perturbation, width, height) {
-  const forceMagnitude = 0.0003;
-  const containmentForce = 0.001;
-  
-  // Internal particles: stay inside, interact with active states
-  bodies.internal.forEach(body => {
-    const dx = body.position.x - cx;
-    const dy = body.position.y - cy;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    
-    // Soft containment inside blanket
-    if (dist > blanketRadius - 30) {
-      const pushBack = (dist - blanketRadius + 30) * containmentForce;
-      Body.applyForce(body, body.position, {
-        x: -dx / dist * pushBack,
-        y: -dy / dist * pushBack,
-      });
-    }
-    
-    // Random Brownian motion
-    Body.applyForce(body, body.position, {
-      x: (Math.random() - 0.5) * forceMagnitude,
-      y: (Math.random() - 0.5) * forceMagnitude,
-    });
-    
-    // If flow enabled, internal states influence active states
-    if (flowEnabled) {
-      bodies.active.forEach(active => {
-        const adx = active.position.x - body.position.x;
-        const ady = active.position.y - body.position.y;
-        const adist = Math.sqrt(adx * adx + ady * ady);
-        
-        if (adist < 60 && adist > 0) {
-          const influence = 0.00005 * (60 - adist) / 60;
-          Body.applyForce(active, active.position, {
-            x: adx / adist * influence,
-            y: ady / adist * influence,
-          });
-        }
-      });
-    }
-  });
-  
-  // External particles: stay outside, interact with sensory states
-  bodies.external.forEach(body => {
-    const dx = body.position.x - cx;
-    const dy = body.position.y - cy;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    
-    // Soft containment outside blanket
-    if (dist < blanketRadius + 30) {
-      const pushOut = (blanketRadius + 30 - dist) * containmentForce;
-      Body.applyForce(body, body.position, {
-        x: dx / dist * pushOut,
-        y: dy / dist * pushOut,
-      });
-    }
-    
-    // Keep in bounds
-    const maxDist = Math.min(width, height) / 2 - 20;
-    if (dist > maxDist) {
-      Body.applyForce(body, body.position, {
-        x: -dx / dist * containmentForce * 2,
-        y: -dy / dist * containmentForce * 2,
-      });
-    }
-    
-    // Random motion
-    Body.applyForce(body, body.position, {
-      x: (Math.random() - 0.5) * forceMagnitude,
-      y: (Math.random() - 0.5) * forceMagnitude,
-    });
-    
-    // If flow enabled, external states influence sensory states
-    if (flowEnabled) {
-      bodies.sensory.forEach(sensory => {
-        const sdx = sensory.position.x - body.position.x;
-        const sdy = sensory.position.y - body.position.y;
-        const sdist = Math.sqrt(sdx * sdx + sdy * sdy);
-        
-        if (sdist < 60 && sdist > 0) {
-          const influence = 0.00005 * (60 - sdist) / 60;
-          Body.applyForce(sensory, sensory.position, {
-            x: -sdx / sdist * influence,
-            y: -sdy / sdist * influence,
-          });
-        }
-      });
-    }
-  });
-  
-  // Sensory -> Internal flow (perception)
-  if (flowEnabled) {
-    bodies.sensory.forEach(sensory => {
-      bodies.internal.forEach(internal => {
-        const dx = internal.position.x - sensory.position.x;
-        const dy = internal.position.y - sensory.position.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        
-        if (dist < 50 && dist > 0) {
-          const influence = 0.00002 * (50 - dist) / 50;
-          Body.applyForce(internal, internal.position, {
-            x: -dx / dist * influence,
-            y: -dy / dist * influence,
-          });
-        }
-      });
-    });
-  }
-  
-  // Apply perturbation if active
-  if (perturbation) {
-    const { x, y, radius } = perturbation;
-    [...bodies.internal, ...bodies.external, ...bodies.sensory, ...bodies.active].forEach(body => {
-      const pdx = body.position.x - x;
-      const pdy = body.position.y - y;
-      const pdist = Math.sqrt(pdx * pdx + pdy * pdy);
-      
-      if (pdist < radius && pdist > 0) {
-        const force = 0.003 * (radius - pdist) / radius;
-        Body.applyForce(body, body.position, {
-          x: pdx / pdist * force,
-          y: pdy / pdist * force,
-        });
-      }
-    });
-  }
-}
-
-export function MarkovBlanketSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function MarkovBlanketSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
-  const worldRef = useRef(null);
+  const stateRef = useRef(null);
   const animationRef = useRef(null);
   const [hoveredType, setHoveredType] = useState(null);
-  const [flowEnabled, setFlowEnabled] = useState(true);
-  const [perturbation, setPerturbation] = useState(null);
+  const [flowEnabled, setFlowEnabled] = useState(params.flowEnabled);
   const [stats, setStats] = useState({ membrane: 0, flow: 0 });
+  useSimulationSnapshot({ flowEnabled, ...stats });
   
   // Initialize physics world
   useEffect(() => {
     if (!width || !height) return;
     
-    worldRef.current = createWorld(width, height);
+    const state = model.init({ flowEnabled: params.flowEnabled, width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, state, snapshot);
+    stateRef.current = state;
     
-    return () => {
-      if (worldRef.current) {
-        Composite.clear(worldRef.current.engine.world);
-        Engine.clear(worldRef.current.engine);
-      }
-    };
-  }, [width, height]);
+    return () => model.dispose(state);
+  }, [width, height, params.flowEnabled, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   // Animation loop
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (!canvas || !worldRef.current) return;
+    if (!canvas || !stateRef.current) return;
     
     const ctx = canvas.getContext('2d');
-    const { engine, bodies, constraints, cx, cy, blanketRadius } = worldRef.current;
+    const palette = getCanvasPalette(canvas);
+    const state = stateRef.current;
+    const { bodies, constraints, cx, cy, blanketRadius } = state;
     
     let frameCount = 0;
     
     const animate = () => {
-      // Apply custom forces
-      applyCustomForces(bodies, cx, cy, blanketRadius, flowEnabled, perturbation, width, height);
-      
-      // Step physics
-      Engine.update(engine, 1000 / 60);
-      
-      // Calculate membrane stress
-      let membraneStress = 0;
-      let visibleConstraints = 0;
-      constraints.forEach(c => {
-        if (c.constraintType === 'anchor') return;
-        if (c.bodyA && c.bodyB) {
-          const dx = c.bodyA.position.x - c.bodyB.position.x;
-          const dy = c.bodyA.position.y - c.bodyB.position.y;
-          const currentLength = Math.sqrt(dx * dx + dy * dy);
-          const restLength = c.length || 30;
-          const strain = Math.abs(currentLength - restLength) / restLength;
-          membraneStress += strain;
-          visibleConstraints++;
-        }
-      });
-      if (visibleConstraints > 0) membraneStress /= visibleConstraints;
+      model.step(state, FRAME_DT, { flowEnabled });
+      const { perturbation } = state;
       
       // Draw
-      ctx.fillStyle = '#0a0a0c';
+      ctx.fillStyle = palette.background('#0a0a0c');
       ctx.fillRect(0, 0, width, height);
       
       // Draw background regions
@@ -545,21 +203,16 @@ export function MarkovBlanketSim({ width, height, isMobile = false, isFullscreen
       
       // Draw perturbation ripple
       if (perturbation) {
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.strokeStyle = palette.ink(0.4);
         ctx.lineWidth = 2;
         ctx.beginPath();
         ctx.arc(perturbation.x, perturbation.y, perturbation.radius * (1 - perturbation.life), 0, Math.PI * 2);
         ctx.stroke();
-        
-        perturbation.life = (perturbation.life || 0) + 0.05;
-        if (perturbation.life > 1) {
-          setPerturbation(null);
-        }
       }
       
       // Labels
       ctx.font = '10px "JetBrains Mono", monospace';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.fillStyle = palette.ink(0.3);
       ctx.textAlign = 'center';
       ctx.fillText('EXTERNAL STATES (ψ)', cx, 25);
       ctx.fillText('INTERNAL STATES (μ)', cx, cy + 4);
@@ -568,7 +221,7 @@ export function MarkovBlanketSim({ width, height, isMobile = false, isFullscreen
       frameCount++;
       if (frameCount % 10 === 0) {
         setStats({
-          membrane: Math.min(100, membraneStress * 200).toFixed(0),
+          membrane: model.observe(state).membrane.toFixed(0),
           flow: flowEnabled ? 'Active' : 'Blocked',
         });
       }
@@ -583,7 +236,7 @@ export function MarkovBlanketSim({ width, height, isMobile = false, isFullscreen
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [width, height, hoveredType, flowEnabled, perturbation]);
+  }, [width, height, hoveredType, flowEnabled, params.flowEnabled]);
   
   // Handle click for perturbation
   const handleClick = useCallback((e) => {
@@ -591,17 +244,13 @@ export function MarkovBlanketSim({ width, height, isMobile = false, isFullscreen
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
     
-    setPerturbation({ x, y, radius: 100, life: 0 });
+    if (stateRef.current) model.perturb(stateRef.current, x, y);
   }, []);
   
   // Reset
   const handleReset = useCallback(() => {
-    if (worldRef.current) {
-      Composite.clear(worldRef.current.engine.world);
-      Engine.clear(worldRef.current.engine);
-    }
-    worldRef.current = createWorld(width, height);
-  }, [width, height]);
+    if (stateRef.current) model.reset(stateRef.current);
+  }, []);
   
   return (
     <div className="relative w-full h-full">
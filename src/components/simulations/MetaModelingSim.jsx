@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/metaModeling';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * MetaModelingSim - Consciousness as recursive self-modeling
@@ -11,155 +17,11 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * 
  * Key insight: Consciousness may arise when modeling achieves 
  * sufficient depth to include the modeler in the model
+ *
+ * Dynamics: models/metaModeling.js
  */
 
-// Agent class - each agent models its environment (including other agents)
-class Agent {
-  constructor(x, y, level = 0, parent = null) {
-    this.x = x;
-    this.y = y;
-    this.level = level;
-    this.parent = parent;
-    this.velocity = { x: 0, y: 0 };
-    this.target = { x, y };
-    this.model = null; // Internal model of environment
-    this.modelAccuracy = 0;
-    this.attention = 0; // Where attention is focused
-    this.innerAgents = []; // Models of other agents (recursive!)
-    this.color = level === 0 ? '#4ade80' : level === 1 ? '#60a5fa' : '#a78bfa';
-    this.id = Math.random().toString(36).substr(2, 9);
-  }
-  
-  // Create internal model of another agent
-  modelAgent(other, depth = 0) {
-    if (depth >= 2) return null; // Limit recursion
-    
-    const modeled = new Agent(
-      other.x + (Math.random() - 0.5) * 20, // Imperfect model
-      other.y + (Math.random() - 0.5) * 20,
-      this.level + 1,
-      this
-    );
-    modeled.modelAccuracy = 0.7 - depth * 0.2;
-    return modeled;
-  }
-}
-
-function initializeAgents(width, height, count = 3) {
-  const agents = [];
-  const centerX = width / 2;
-  const centerY = height / 2;
-  const radius = Math.min(width, height) * 0.25;
-  
-  for (let i = 0; i < count; i++) {
-    const angle = (i / count) * Math.PI * 2;
-    const x = centerX + Math.cos(angle) * radius;
-    const y = centerY + Math.sin(angle) * radius;
-    agents.push(new Agent(x, y, 0));
-  }
-  
-  // Each agent models the others
-  agents.forEach((agent, i) => {
-    agents.forEach((other, j) => {
-      if (i !== j) {
-        const model = agent.modelAgent(other, 0);
-        if (model) {
-          agent.innerAgents.push(model);
-          
-          // Recursive: the model also models (theory of mind)
-          agents.forEach((other2, k) => {
-            if (k !== j && k !== i) {
-              const metaModel = model.modelAgent(other2, 1);
-              if (metaModel) {
-                model.innerAgents.push(metaModel);
-              }
-            }
-          });
-        }
-      }
-    });
-    
-    // Self-model (the crucial piece for consciousness)
-    const selfModel = agent.modelAgent(agent, 0);
-    if (selfModel) {
-      selfModel.isSelfModel = true;
-      agent.innerAgents.push(selfModel);
-    }
-  });
-  
-  return agents;
-}
-
-function updateAgents(agents, width, height, time) {
-  const damping = 0.95;
-  const cohesion = 0.001;
-  const separation = 50;
-  const separationForce = 0.5;
-  
-  agents.forEach(agent => {
-    // Gentle wandering
-    agent.target.x = width/2 + Math.cos(time * 0.5 + agent.x * 0.01) * width * 0.3;
-    agent.target.y = height/2 + Math.sin(time * 0.7 + agent.y * 0.01) * height * 0.3;
-    
-    // Move toward target
-    agent.velocity.x += (agent.target.x - agent.x) * cohesion;
-    agent.velocity.y += (agent.target.y - agent.y) * cohesion;
-    
-    // Separation from others
-    agents.forEach(other => {
-      if (other.id === agent.id) return;
-      const dx = agent.x - other.x;
-      const dy = agent.y - other.y;
-      const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-      
-      if (dist < separation) {
-        agent.velocity.x += (dx / dist) * separationForce * (separation - dist) / separation;
-        agent.velocity.y += (dy / dist) * separationForce * (separation - dist) / separation;
-      }
-    });
-    
-    // Damping
-    agent.velocity.x *= damping;
-    agent.velocity.y *= damping;
-    
-    // Update position
-    agent.x += agent.velocity.x;
-    agent.y += agent.velocity.y;
-    
-    // Boundary
-    agent.x = Math.max(50, Math.min(width - 50, agent.x));
-    agent.y = Math.max(50, Math.min(height - 50, agent.y));
-    
-    // Update internal models (they track with noise)
-    agent.innerAgents.forEach(inner => {
-      const targetX = inner.isSelfModel ? agent.x : 
-        agents.find(a => a.id !== agent.id)?.x || agent.x;
-      const targetY = inner.isSelfModel ? agent.y : 
-        agents.find(a => a.id !== agent.id)?.y || agent.y;
-      
-      // Models are imperfect - they lag and have noise
-      inner.x += (targetX - inner.x) * 0.1 * inner.modelAccuracy;
-      inner.y += (targetY - inner.y) * 0.1 * inner.modelAccuracy;
-      inner.x += (Math.random() - 0.5) * 2 * (1 - inner.modelAccuracy);
-      inner.y += (Math.random() - 0.5) * 2 * (1 - inner.modelAccuracy);
-      
-      // Recursive update
-      inner.innerAgents.forEach(meta => {
-        meta.x += (inner.x - meta.x) * 0.05 * meta.modelAccuracy;
-        meta.y += (inner.y - meta.y) * 0.05 * meta.modelAccuracy;
-        meta.x += (Math.random() - 0.5) * 3 * (1 - meta.modelAccuracy);
-        meta.y += (Math.random() - 0.5) * 3 * (1 - meta.modelAccuracy);
-      });
-    });
-    
-    // Attention cycles between models
-    agent.attention = (agent.attention + 0.02) % agent.innerAgents.length;
-  });
-  
-  return agents;
-}
-
-function drawAgent(ctx, agent, scale = 1, showInternals = true, depth = 0) {
+function drawAgent(ctx, palette, agent, scale = 1, showInternals = true, depth = 0) {
   const radius = (20 - depth * 5) * scale;
   
   // Outer glow
@@ -200,7 +62,7 @@ function drawAgent(ctx, agent, scale = 1, showInternals = true, depth = 0) {
   if (showInternals && depth < 2) {
     agent.innerAgents.forEach((inner, i) => {
       // Connection line to internal model
-      ctx.strokeStyle = inner.isSelfModel ? 'rgba(250, 204, 21, 0.3)' : 'rgba(255, 255, 255, 0.15)';
+      ctx.strokeStyle = inner.isSelfModel ? 'rgba(250, 204, 21, 0.3)' : palette.ink(0.15);
       ctx.lineWidth = 1;
       ctx.beginPath();
       ctx.moveTo(agent.x, agent.y);
@@ -208,24 +70,27 @@ function drawAgent(ctx, agent, scale = 1, showInternals = true, depth = 0) {
       ctx.stroke();
       
       // Draw the internal model (smaller, offset toward parent)
-      drawAgent(ctx, inner, scale * 0.6, showInternals, depth + 1);
+      drawAgent(ctx, palette, inner, scale * 0.6, showInternals, depth + 1);
     });
   }
 }
 
-export function MetaModelingSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function MetaModelingSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
-  const agentsRef = useRef(null);
+  const stateRef = useRef(null);
   const animationRef = useRef(null);
-  const timeRef = useRef(0);
   const [selectedAgent, setSelectedAgent] = useState(null);
-  const [showInternals, setShowInternals] = useState(true);
-  const [recursionDepth, setRecursionDepth] = useState(2);
+  const [showInternals, setShowInternals] = useState(params.showInternals);
+  const [recursionDepth, setRecursionDepth] = useState(params.recursionDepth);
+  useSimulationSnapshot({ showInternals, recursionDepth, selectedAgent });
   
   // Initialize
   useEffect(() => {
-    agentsRef.current = initializeAgents(width, height, 3);
-  }, [width, height]);
+    stateRef.current = model.init({ width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [width, height, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   // Animation loop
   useEffect(() => {
@@ -233,28 +98,28 @@ export function MetaModelingSim({ width, height, isMobile = false, isFullscreen
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      const agents = agentsRef.current;
+      const state = stateRef.current;
       
-      if (!agents) {
+      if (!state) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
       
-      timeRef.current += 0.016;
-      
       // Update
-      agentsRef.current = updateAgents(agents, width, height, timeRef.current);
+      model.step(state, FRAME_DT);
+      const { agents } = state;
       
       // Draw
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       // Draw "mind space" indicator for selected agent
       if (selectedAgent !== null && agents[selectedAgent]) {
         const agent = agents[selectedAgent];
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.strokeStyle = palette.ink(0.1);
         ctx.lineWidth = 1;
         ctx.setLineDash([5, 5]);
         ctx.beginPath();
@@ -263,7 +128,7 @@ export function MetaModelingSim({ width, height, isMobile = false, isFullscreen
         ctx.setLineDash([]);
         
         ctx.font = '10px "JetBrains Mono", monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.fillStyle = palette.ink(0.3);
         ctx.textAlign = 'center';
         ctx.fillText('internal model space', agent.x, agent.y - 110);
       }
@@ -271,16 +136,16 @@ export function MetaModelingSim({ width, height, isMobile = false, isFullscreen
       // Draw agents
       agents.forEach((agent, i) => {
         const isSelected = selectedAgent === i;
-        drawAgent(ctx, agent, 1, showInternals && isSelected, 0);
+        drawAgent(ctx, palette, agent, 1, showInternals && isSelected, 0);
         
         // Label
         ctx.font = '11px "JetBrains Mono", monospace';
         ctx.textAlign = 'center';
-        ctx.fillStyle = isSelected ? agent.color : 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = isSelected ? agent.color : palette.ink(0.5);
         ctx.fillText(`Agent ${i + 1}`, agent.x, agent.y + 35);
         
         if (isSelected) {
-          ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+          ctx.fillStyle = palette.ink(0.4);
           ctx.fillText(`(${agent.innerAgents.length} internal models)`, agent.x, agent.y + 48);
         }
       });
@@ -293,17 +158,17 @@ export function MetaModelingSim({ width, height, isMobile = false, isFullscreen
       
       ctx.fillStyle = '#4ade80';
       ctx.fillRect(legendX, legendY, 12, 12);
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.fillStyle = palette.ink(0.7);
       ctx.fillText('Agent (level 0)', legendX + 20, legendY + 10);
       
       ctx.fillStyle = '#60a5fa';
       ctx.fillRect(legendX, legendY + 18, 10, 10);
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.fillStyle = palette.ink(0.7);
       ctx.fillText('Model of other (level 1)', legendX + 20, legendY + 27);
       
       ctx.fillStyle = '#a78bfa';
       ctx.fillRect(legendX, legendY + 34, 8, 8);
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.fillStyle = palette.ink(0.7);
       ctx.fillText('Meta-model (level 2)', legendX + 20, legendY + 42);
       
       ctx.strokeStyle = '#facc15';
@@ -313,7 +178,7 @@ export function MetaModelingSim({ width, height, isMobile = false, isFullscreen
       ctx.arc(legendX + 5, legendY + 58, 6, 0, Math.PI * 2);
       ctx.stroke();
       ctx.setLineDash([]);
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.fillStyle = palette.ink(0.7);
       ctx.fillText('Self-model', legendX + 20, legendY + 62);
       
       animationRef.current = requestAnimationFrame(animate);
@@ -334,8 +199,10 @@ export function MetaModelingSim({ width, height, isMobile = false, isFullscreen
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
     
-    const agents = agentsRef.current;
-    if (!agents) return;
+    const state = stateRef.current;
+    if (!state) return;
+    
+    const { agents } = state;
     
     // Find clicked agent
     let found = null;
@@ -352,9 +219,9 @@ export function MetaModelingSim({ width, height, isMobile = false, isFullscreen
   
   // Reset
   const handleReset = useCallback(() => {
-    agentsRef.current = initializeAgents(width, height, 3);
+    model.reset(stateRef.current);
     setSelectedAgent(null);
-  }, [width, height]);
+  }, []);
   
   return (
     <div className="relative w-full h-full">
@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/morphogenesis';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * MorphogenesisSim - Bioelectric pattern formation and regeneration
@@ -14,174 +20,21 @@ import { CollapsiblePanel } from './CollapsiblePanel';
  * Key insight: Cells collectively compute toward a goal state
  * encoded in bioelectric patterns, not just genetic programs.
  * Damaged cells can only learn the pattern from healthy neighbors.
+ *
+ * Dynamics: models/morphogenesis.js
  */
 
-const CELL_SIZE = 8;
+const { CELL_SIZE } = model;
 
-// Target patterns - what the tissue "wants" to become
-const PATTERNS = {
-  circle: (x, y, cols, rows) => {
-    const cx = cols / 2;
-    const cy = rows / 2;
-    const r = Math.min(cols, rows) * 0.35;
-    const dist = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
-    return dist < r ? 0.8 : 0.2;
-  },
-  gradient: (x, y, cols, rows) => {
-    return 0.2 + 0.6 * (x / cols);
-  },
-  stripes: (x, y, cols, rows) => {
-    return Math.sin(x / cols * Math.PI * 4) > 0 ? 0.8 : 0.2;
-  },
-  spots: (x, y, cols, rows) => {
-    const freq = 6;
-    const val = Math.sin(x / cols * Math.PI * freq) * Math.sin(y / rows * Math.PI * freq);
-    return val > 0 ? 0.8 : 0.2;
-  },
-};
-
-function initializeGrid(cols, rows, pattern = 'circle') {
-  const grid = [];
-  const target = [];
-  const patternFn = PATTERNS[pattern];
-  
-  for (let y = 0; y < rows; y++) {
-    grid[y] = [];
-    target[y] = [];
-    for (let x = 0; x < cols; x++) {
-      // Start with noise
-      grid[y][x] = 0.5 + (Math.random() - 0.5) * 0.3;
-      // Target pattern
-      target[y][x] = patternFn(x, y, cols, rows);
-    }
-  }
-  
-  return { grid, target };
-}
-
-// Check if a cell has any healthy (non-damaged) neighbors
-// Returns null if no healthy neighbors or if inputs are invalid
-function getHealthyNeighborInfo(x, y, cols, rows, grid, target, damaged) {
-  // Safety check for null/undefined inputs
-  if (!grid || !target) return null;
-  
-  let healthyTargetSum = 0;
-  let healthyVoltageSum = 0;
-  let healthyCount = 0;
-  
-  for (let dy = -1; dy <= 1; dy++) {
-    for (let dx = -1; dx <= 1; dx++) {
-      if (dx === 0 && dy === 0) continue;
-      const nx = x + dx;
-      const ny = y + dy;
-      if (nx >= 0 && nx < cols && ny >= 0 && ny < rows) {
-        // Safety check for row existence
-        if (!grid[ny] || !target[ny]) continue;
-        
-        // A neighbor is "healthy" if it's not damaged
-        if (!damaged[ny]?.[nx]) {
-          healthyTargetSum += target[ny][nx];
-          healthyVoltageSum += grid[ny][nx];
-          healthyCount++;
-        }
-      }
-    }
-  }
-  
-  if (healthyCount > 0) {
-    return {
-      targetAvg: healthyTargetSum / healthyCount,
-      voltageAvg: healthyVoltageSum / healthyCount,
-      count: healthyCount
-    };
-  }
-  return null;
-}
-
-function updateGrid(grid, target, cols, rows, damaged, gapJunctionStrength, targetAttraction, noise) {
-  const newGrid = [];
-  const cellsToHeal = []; // Track cells that should be marked as healed
-  
-  for (let y = 0; y < rows; y++) {
-    newGrid[y] = [];
-    for (let x = 0; x < cols; x++) {
-      let voltage = grid[y][x];
-      
-      // Gap junction diffusion - average with neighbors (all neighbors, damaged or not)
-      let neighborSum = 0;
-      let neighborCount = 0;
-      
-      for (let dy = -1; dy <= 1; dy++) {
-        for (let dx = -1; dx <= 1; dx++) {
-          if (dx === 0 && dy === 0) continue;
-          const nx = x + dx;
-          const ny = y + dy;
-          if (nx >= 0 && nx < cols && ny >= 0 && ny < rows) {
-            neighborSum += grid[ny][nx];
-            neighborCount++;
-          }
-        }
-      }
-      
-      if (neighborCount > 0) {
-        const neighborAvg = neighborSum / neighborCount;
-        voltage += (neighborAvg - voltage) * gapJunctionStrength;
-      }
-      
-      // Attraction toward target pattern
-      const isDamaged = damaged[y]?.[x];
-      
-      if (isDamaged) {
-        // Damaged cells can ONLY learn from healthy neighbors
-        // They've lost their direct connection to the bioelectric "memory"
-        const healthyInfo = getHealthyNeighborInfo(x, y, cols, rows, grid, target, damaged);
-        
-        if (healthyInfo && healthyInfo.count >= 2) {
-          // Learn target from healthy neighbors (they "teach" the pattern)
-          // Much slower than healthy cells — damaged tissue heals gradually
-          voltage += (healthyInfo.targetAvg - voltage) * targetAttraction * 0.15;
-          
-          // If we're close enough to the healthy neighbor's target, we're healed
-          // Tight threshold — must really match before graduating
-          const errorFromTarget = Math.abs(voltage - healthyInfo.targetAvg);
-          if (errorFromTarget < 0.05) {
-            cellsToHeal.push({ x, y });
-          }
-        }
-        // If no healthy neighbors, cell stays damaged and just diffuses
-      } else {
-        // Healthy cells know the target directly
-        voltage += (target[y][x] - voltage) * targetAttraction;
-      }
-      
-      // Small noise for dynamics
-      voltage += (Math.random() - 0.5) * noise;
-      
-      // Clamp
-      newGrid[y][x] = Math.max(0, Math.min(1, voltage));
-    }
-  }
-  
-  return { newGrid, cellsToHeal };
-}
-
-function computePatternError(grid, target, cols, rows) {
-  let totalError = 0;
-  for (let y = 0; y < rows; y++) {
-    for (let x = 0; x < cols; x++) {
-      totalError += Math.abs(grid[y][x] - target[y][x]);
-    }
-  }
-  return totalError / (cols * rows);
-}
-
-export function MorphogenesisSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function MorphogenesisSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
-  const gridRef = useRef(null);
-  const targetRef = useRef(null);
-  const damagedRef = useRef({});
+  const stateRef = useRef(null);
   const animationRef = useRef(null);
-  const [pattern, setPattern] = useState('circle');
+  const [pattern, setPattern] = useState(params.pattern);
+  // A linked snapshot holds the pattern it was taken with, so it only
+  // applies until the reader picks another one
+  const [patternChosen, setPatternChosen] = useState(false);
+  const linkedSnapshot = patternChosen ? null : snapshot;
   const [showTarget, setShowTarget] = useState(false);
   const [isDrawing, setIsDrawing] = useState(false);
   const [tool, setTool] = useState('damage'); // 'damage' or 'heal'
@@ -190,20 +43,21 @@ export function MorphogenesisSim({ width, height, isMobile = false, isFullscreen
   const [damageCount, setDamageCount] = useState(0);
   
   // Interactive parameters - slower defaults for visible wave propagation
-  const [gapJunctionStrength, setGapJunctionStrength] = useState(0.12);
-  const [targetAttraction, setTargetAttraction] = useState(0.08);
-  const [noise, setNoise] = useState(0.003);
+  const [gapJunctionStrength, setGapJunctionStrength] = useState(params.gapJunctionStrength);
+  const [targetAttraction, setTargetAttraction] = useState(params.targetAttraction);
+  const [noise, setNoise] = useState(params.noise);
+  useSimulationSnapshot({ pattern, gapJunctionStrength, targetAttraction, noise, error, damageCount });
   
   const cols = Math.floor(width / CELL_SIZE);
   const rows = Math.floor(height / CELL_SIZE);
   
-  // Initialize
+  // Initialize (the sliders reach the model on every step)
   useEffect(() => {
-    const { grid, target } = initializeGrid(cols, rows, pattern);
-    gridRef.current = grid;
-    targetRef.current = target;
-    damagedRef.current = {};
-  }, [cols, rows, pattern]);
+    stateRef.current = model.init({ pattern, width: cols * CELL_SIZE, height: rows * CELL_SIZE }, createRandom(seed));
+    if (linkedSnapshot) restoreSnapshot(model, stateRef.current, linkedSnapshot);
+  }, [cols, rows, pattern, seed, linkedSnapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   // Animation loop
   useEffect(() => {
@@ -211,65 +65,34 @@ export function MorphogenesisSim({ width, height, isMobile = false, isFullscreen
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      const grid = gridRef.current;
-      const target = targetRef.current;
-      
       // Safety check - don't proceed if not initialized
-      if (!grid || !target || !grid[0] || !target[0]) {
+      if (!stateRef.current) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
       
-      // Update grid
-      const { newGrid, cellsToHeal } = updateGrid(
-        grid, target, cols, rows, damagedRef.current, 
-        gapJunctionStrength, targetAttraction, noise
-      );
-      gridRef.current = newGrid;
-      
-      // Heal cells that have recovered (propagation effect)
-      // Limit healing to a few cells per frame for visible wave effect
-      const maxHealPerFrame = 3;
-      cellsToHeal.slice(0, maxHealPerFrame).forEach(({ x, y }) => {
-        if (damagedRef.current[y]) {
-          delete damagedRef.current[y][x];
-        }
-      });
-      
-      // Count damaged cells
-      let dCount = 0;
-      for (const row of Object.values(damagedRef.current)) {
-        dCount += Object.keys(row).length;
-      }
-      setDamageCount(dCount);
-      
-      // Compute error
-      const err = computePatternError(gridRef.current, target, cols, rows);
+      const state = model.step(stateRef.current, FRAME_DT, { gapJunctionStrength, targetAttraction, noise });
+      const { error: err, damagedCells } = model.observe(state);
+      setDamageCount(damagedCells);
       setError(err);
       
       // Draw
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
-      const displayGrid = showTarget ? target : gridRef.current;
+      const displayGrid = showTarget ? state.target : state.grid;
       
       for (let y = 0; y < rows; y++) {
         for (let x = 0; x < cols; x++) {
           const voltage = displayGrid[y]?.[x] ?? 0.5;
-          const isDamaged = damagedRef.current[y]?.[x];
+          const isDamaged = state.damaged[y]?.[x];
           
           // Check if this damaged cell has healthy neighbors (is on healing edge)
           // Only compute this if damaged to avoid unnecessary work
-          let isHealingEdge = false;
-          if (isDamaged && !showTarget && gridRef.current && targetRef.current) {
-            const healthyInfo = getHealthyNeighborInfo(
-              x, y, cols, rows, 
-              gridRef.current, targetRef.current, damagedRef.current
-            );
-            isHealingEdge = healthyInfo && healthyInfo.count >= 2;
-          }
+          const isHealingEdge = isDamaged && !showTarget && model.isHealingEdge(state, x, y);
           
           // Color based on voltage and damage state
           let r, g, b;
@@ -298,7 +121,7 @@ export function MorphogenesisSim({ width, height, isMobile = false, isFullscreen
       }
       
       // Draw grid lines (subtle)
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.03)';
+      ctx.strokeStyle = palette.ink(0.03);
       ctx.lineWidth = 1;
       for (let x = 0; x <= cols; x++) {
         ctx.beginPath();
@@ -334,31 +157,14 @@ export function MorphogenesisSim({ width, height, isMobile = false, isFullscreen
     const x = Math.floor((e.clientX - rect.left) / CELL_SIZE);
     const y = Math.floor((e.clientY - rect.top) / CELL_SIZE);
     
-    // Apply to a small radius
-    const radius = 3;
+    if (!stateRef.current) return;
     
-    for (let dy = -radius; dy <= radius; dy++) {
-      for (let dx = -radius; dx <= radius; dx++) {
-        const nx = x + dx;
-        const ny = y + dy;
-        if (nx >= 0 && nx < cols && ny >= 0 && ny < rows) {
-          if (dx * dx + dy * dy <= radius * radius) {
-            if (!damagedRef.current[ny]) damagedRef.current[ny] = {};
-            
-            if (tool === 'damage') {
-              damagedRef.current[ny][nx] = true;
-              // Aggressively scramble the voltage
-              if (gridRef.current?.[ny]) {
-                gridRef.current[ny][nx] = Math.random();
-              }
-            } else {
-              delete damagedRef.current[ny][nx];
-            }
-          }
-        }
-      }
+    if (tool === 'damage') {
+      model.damage(stateRef.current, x, y);
+    } else {
+      model.heal(stateRef.current, x, y);
     }
-  }, [cols, rows, tool]);
+  }, [tool]);
   
   const handleMouseDown = useCallback((e) => {
     setIsDrawing(true);
@@ -377,11 +183,8 @@ export function MorphogenesisSim({ width, height, isMobile = false, isFullscreen
   
   // Reset
   const handleReset = useCallback(() => {
-    const { grid, target } = initializeGrid(cols, rows, pattern);
-    gridRef.current = grid;
-    targetRef.current = target;
-    damagedRef.current = {};
-  }, [cols, rows, pattern]);
+    if (stateRef.current) model.reset(stateRef.current);
+  }, []);
   
   return (
     <div className="relative w-full h-full">
@@ -422,10 +225,10 @@ export function MorphogenesisSim({ width, height, isMobile = false, isFullscreen
       {/* Controls */}
       <div className="absolute top-4 right-4 flex flex-col gap-2">
         <div className="flex gap-2">
-          {Object.keys(PATTERNS).map(p => (
+          {Object.keys(model.PATTERNS).map(p => (
             <button
               key={p}
-              onClick={() => setPattern(p)}
+              onClick={() => { setPattern(p); setPatternChosen(true); }}
               className={`px-2 py-1 border rounded text-xs font-mono transition-colors ${
                 pattern === p
                   ? 'bg-glow/20 border-glow text-glow'
@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/nestedBlankets';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * NestedBlanketsSim - Scale-Free Nested Markov Blankets
@@ -16,82 +22,36 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * - Information flow constrained by blanket boundaries
  * - Zoom capability to explore different scales
  * - The same μ ⊥⊥ ψ | b structure at each level
+ *
+ * Dynamics: models/nestedBlankets.js
  */
 
-const SCALES = [
-  { 
-    id: 'molecular', 
-    label: 'Molecular', 
-    color: '#4ade80',
-    innerLabel: 'protein states',
-    blanketLabel: 'membrane channels',
-    outerLabel: 'cytoplasm',
-  },
-  { 
-    id: 'cellular', 
-    label: 'Cellular', 
-    color: '#60a5fa',
-    innerLabel: 'organelles',
-    blanketLabel: 'cell membrane',
-    outerLabel: 'tissue matrix',
-  },
-  { 
-    id: 'tissue', 
-    label: 'Tissue', 
-    color: '#a78bfa',
-    innerLabel: 'cell collectives',
-    blanketLabel: 'tissue boundary',
-    outerLabel: 'organ system',
-  },
-  { 
-    id: 'organism', 
-    label: 'Organism', 
-    color: '#f87171',
-    innerLabel: 'neural states',
-    blanketLabel: 'sensory/motor',
-    outerLabel: 'environment',
-  },
-  { 
-    id: 'social', 
-    label: 'Social', 
-    color: '#facc15',
-    innerLabel: 'individual minds',
-    blanketLabel: 'language/gesture',
-    outerLabel: 'culture',
-  },
-];
+const { SCALES, blanketRadius } = model;
 
-export function NestedBlanketsSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function NestedBlanketsSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
+  const stateRef = useRef(null);
   
-  const [activeScale, setActiveScale] = useState(3); // Start at organism level
-  const [showLabels, setShowLabels] = useState(true);
-  const [animateFlow, setAnimateFlow] = useState(true);
-  const [particles, setParticles] = useState([]);
+  const [activeScale, setActiveScale] = useState(params.activeScale); // Start at organism level
+  const [showLabels, setShowLabels] = useState(params.showLabels);
+  const [animateFlow, setAnimateFlow] = useState(params.animateFlow);
+  useSimulationSnapshot({ activeScale, showLabels, animateFlow });
   
   // Initialize particles for information flow
   useEffect(() => {
-    const newParticles = [];
-    for (let i = 0; i < 40; i++) {
-      const scaleIdx = Math.floor(Math.random() * SCALES.length);
-      const angle = Math.random() * Math.PI * 2;
-      newParticles.push({
-        scaleIdx,
-        angle,
-        radialOffset: (Math.random() - 0.5) * 0.3,
-        speed: 0.01 + Math.random() * 0.02,
-        type: Math.random() > 0.5 ? 'sensory' : 'active',
-      });
-    }
-    setParticles(newParticles);
-  }, []);
+    stateRef.current = model.init({ animateFlow: params.animateFlow }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [params.animateFlow, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     let time = 0;
     
     const cx = width / 2;
@@ -99,16 +59,17 @@ export function NestedBlanketsSim({ width, height, isMobile = false, isFullscree
     const maxRadius = Math.min(width, height) * 0.42;
     
     const animate = () => {
+      const state = stateRef.current;
+      model.step(state, FRAME_DT, { animateFlow });
       time += 0.016;
       
-      ctx.fillStyle = '#0a0a0c';
+      ctx.fillStyle = palette.background('#0a0a0c');
       ctx.fillRect(0, 0, width, height);
       
       // Draw nested blankets from outside in
       SCALES.slice().reverse().forEach((scale, reverseIdx) => {
         const idx = SCALES.length - 1 - reverseIdx;
-        const radiusFraction = (idx + 1) / SCALES.length;
-        const radius = maxRadius * radiusFraction;
+        const radius = maxRadius * blanketRadius(idx);
         const isActive = idx === activeScale;
         
         // Outer region (external states ψ)
@@ -168,7 +129,7 @@ export function NestedBlanketsSim({ width, height, isMobile = false, isFullscree
           
           // Component labels
           ctx.font = '9px "JetBrains Mono", monospace';
-          ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+          ctx.fillStyle = palette.ink(0.5);
           
           // Interior
           ctx.fillText(`μ: ${scale.innerLabel}`, cx, cy);
@@ -184,7 +145,7 @@ export function NestedBlanketsSim({ width, height, isMobile = false, isFullscree
           
           // Exterior
           if (idx < SCALES.length - 1) {
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.fillStyle = palette.ink(0.4);
             ctx.fillText(`ψ: ${scale.outerLabel}`, cx, cy + radius + 35);
           }
         }
@@ -192,12 +153,8 @@ export function NestedBlanketsSim({ width, height, isMobile = false, isFullscree
       
       // Draw information flow particles
       if (animateFlow) {
-        particles.forEach(p => {
-          p.angle += p.speed * (p.type === 'sensory' ? -1 : 1);
-          
-          const scale = SCALES[p.scaleIdx];
-          const radiusFraction = (p.scaleIdx + 1) / SCALES.length;
-          const baseRadius = maxRadius * radiusFraction;
+        state.particles.forEach(p => {
+          const baseRadius = maxRadius * blanketRadius(p.scaleIdx);
           const actualRadius = baseRadius + p.radialOffset * 20;
           
           const px = cx + Math.cos(p.angle) * actualRadius;
@@ -231,13 +188,13 @@ export function NestedBlanketsSim({ width, height, isMobile = false, isFullscree
         ctx.fill();
         
         ctx.font = `${isActive ? '11' : '10'}px "JetBrains Mono", monospace`;
-        ctx.fillStyle = isActive ? '#ffffff' : 'rgba(255, 255, 255, 0.4)';
+        ctx.fillStyle = isActive ? palette.ink() : palette.ink(0.4);
         ctx.textAlign = 'left';
         ctx.fillText(scale.label, indicatorX + 15, y + 4);
         
         // Connection line
         if (idx < SCALES.length - 1) {
-          ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+          ctx.strokeStyle = palette.ink(0.2);
           ctx.lineWidth = 1;
           ctx.beginPath();
           ctx.moveTo(indicatorX, y + 10);
@@ -252,7 +209,7 @@ export function NestedBlanketsSim({ width, height, isMobile = false, isFullscree
       ctx.textAlign = 'center';
       ctx.fillText('μ ⊥⊥ ψ | b', cx, height - 30);
       ctx.font = '9px "JetBrains Mono", monospace';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.fillStyle = palette.ink(0.3);
       ctx.fillText('same structure at every scale', cx, height - 15);
       
       animationRef.current = requestAnimationFrame(animate);
@@ -265,7 +222,7 @@ export function NestedBlanketsSim({ width, height, isMobile = false, isFullscree
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [width, height, activeScale, showLabels, animateFlow, particles]);
+  }, [width, height, activeScale, showLabels, animateFlow]);
   
   const cycleScale = useCallback((direction) => {
     setActiveScale(s => {
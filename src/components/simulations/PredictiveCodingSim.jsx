@@ -1,5 +1,11 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
+import { useSimulationSnapshot, useSimulationModel } from '../../hooks/useSimulationHost';
+import * as model from '../../models/predictiveCoding';
+import { restoreSnapshot } from '../../models/snapshot';
+import { FRAME_DT } from '../../models/clock';
+import { createRandom } from '../../utils/random';
+import { getCanvasPalette } from '../../utils/canvasPalette';
 
 /**
  * PredictiveCodingSim - Visualization of hierarchical predictive coding
@@ -12,110 +18,28 @@ import { CollapsiblePanel, CollapsibleControlPanel } from './CollapsiblePanel';
  * 
  * Key equation: ε_i = x_i - g_i(μ_{i+1})
  * Where ε is prediction error, x is actual activity, g is prediction function
+ *
+ * Dynamics: models/predictiveCoding.js
  */
 
-const LEVELS = 4;
-const NODES_PER_LEVEL = [8, 6, 4, 2]; // More nodes at bottom (sensory), fewer at top (abstract)
-const LEVEL_LABELS = ['Sensory Input', 'Feature Detection', 'Object Representation', 'Abstract Concepts'];
+const { LEVELS, LEVEL_LABELS, getNodesAtLevel, connectionWeight } = model;
 
-function createNode(x, y, level, index) {
-  return {
-    x, y, level, index,
-    activity: Math.random() * 0.5, // Current activity
-    prediction: 0, // Prediction from level above
-    error: 0, // Prediction error
-    targetActivity: Math.random() * 0.5,
-  };
-}
-
-function initializeNetwork(width, height) {
-  const nodes = [];
-  const levelHeight = height / (LEVELS + 1);
-  
-  for (let level = 0; level < LEVELS; level++) {
-    const nodeCount = NODES_PER_LEVEL[level];
-    const levelY = height - levelHeight * (level + 1);
-    const levelWidth = width * 0.7;
-    const startX = (width - levelWidth) / 2;
-    
-    for (let i = 0; i < nodeCount; i++) {
-      const x = startX + (levelWidth / (nodeCount + 1)) * (i + 1);
-      nodes.push(createNode(x, levelY, level, i));
-    }
-  }
-  
-  return nodes;
-}
-
-function getNodesAtLevel(nodes, level) {
-  return nodes.filter(n => n.level === level);
-}
-
-// Simulate one step of predictive coding
-function updateNetwork(nodes, inputPattern, learningRate = 0.1) {
-  // 1. Set sensory input (level 0)
-  const sensoryNodes = getNodesAtLevel(nodes, 0);
-  sensoryNodes.forEach((node, i) => {
-    node.targetActivity = inputPattern[i % inputPattern.length];
-    node.activity = node.activity * 0.8 + node.targetActivity * 0.2;
-  });
-  
-  // 2. Bottom-up pass: compute prediction errors
-  for (let level = 0; level < LEVELS - 1; level++) {
-    const currentNodes = getNodesAtLevel(nodes, level);
-    const upperNodes = getNodesAtLevel(nodes, level + 1);
-    
-    // Each upper node predicts a pattern in the level below
-    currentNodes.forEach(node => {
-      // Simple prediction: weighted average of upper level
-      let prediction = 0;
-      upperNodes.forEach(upper => {
-        const dist = Math.abs(node.index - upper.index * (NODES_PER_LEVEL[level] / NODES_PER_LEVEL[level + 1]));
-        const weight = Math.exp(-dist * dist / 4);
-        prediction += upper.activity * weight;
-      });
-      prediction /= upperNodes.length;
-      
-      node.prediction = prediction;
-      node.error = node.activity - prediction;
-    });
-  }
-  
-  // 3. Top-down pass: update beliefs to reduce error
-  for (let level = LEVELS - 1; level >= 1; level--) {
-    const currentNodes = getNodesAtLevel(nodes, level);
-    const lowerNodes = getNodesAtLevel(nodes, level - 1);
-    
-    currentNodes.forEach(upper => {
-      // Adjust activity based on prediction errors from below
-      let totalError = 0;
-      lowerNodes.forEach(lower => {
-        const dist = Math.abs(lower.index - upper.index * (NODES_PER_LEVEL[level - 1] / NODES_PER_LEVEL[level]));
-        const weight = Math.exp(-dist * dist / 4);
-        totalError += lower.error * weight;
-      });
-      
-      upper.activity += learningRate * totalError / lowerNodes.length;
-      upper.activity = Math.max(0, Math.min(1, upper.activity));
-    });
-  }
-  
-  return nodes;
-}
-
-export function PredictiveCodingSim({ width, height, isMobile = false, isFullscreen = false }) {
+export function PredictiveCodingSim({ width, height, params, seed, snapshot, isMobile = false, isFullscreen = false }) {
   const canvasRef = useRef(null);
-  const nodesRef = useRef(null);
+  const stateRef = useRef(null);
   const animationRef = useRef(null);
-  const [inputType, setInputType] = useState('sine');
-  const timeRef = useRef(0);
-  const [showErrors, setShowErrors] = useState(true);
-  const [showPredictions, setShowPredictions] = useState(true);
+  const [inputType, setInputType] = useState(params.inputType);
+  const [showErrors, setShowErrors] = useState(params.showErrors);
+  const [showPredictions, setShowPredictions] = useState(params.showPredictions);
+  useSimulationSnapshot({ inputType, showErrors, showPredictions });
   
   // Initialize
   useEffect(() => {
-    nodesRef.current = initializeNetwork(width, height);
-  }, [width, height]);
+    stateRef.current = model.init({ inputType: params.inputType, width, height }, createRandom(seed));
+    if (snapshot) restoreSnapshot(model, stateRef.current, snapshot);
+  }, [width, height, params.inputType, seed, snapshot]);
+
+  useSimulationModel(model, () => stateRef.current);
   
   // Animation loop
   useEffect(() => {
@@ -123,46 +47,21 @@ export function PredictiveCodingSim({ width, height, isMobile = false, isFullscr
     if (!canvas) return;
     
     const ctx = canvas.getContext('2d');
+    const palette = getCanvasPalette(canvas);
     
     const animate = () => {
-      const nodes = nodesRef.current;
-      if (!nodes) {
+      const state = stateRef.current;
+      if (!state) {
         animationRef.current = requestAnimationFrame(animate);
         return;
       }
       
-      timeRef.current += 0.02;
-      const t = timeRef.current;
-      
-      // Generate input pattern based on type
-      let inputPattern = [];
-      const sensoryCount = NODES_PER_LEVEL[0];
-      
-      if (inputType === 'sine') {
-        for (let i = 0; i < sensoryCount; i++) {
-          inputPattern.push(0.5 + 0.4 * Math.sin(t * 2 + i * 0.5));
-        }
-      } else if (inputType === 'step') {
-        const active = Math.floor((t % 4) / 4 * sensoryCount);
-        for (let i = 0; i < sensoryCount; i++) {
-          inputPattern.push(i === active ? 0.9 : 0.1);
-        }
-      } else if (inputType === 'random') {
-        for (let i = 0; i < sensoryCount; i++) {
-          inputPattern.push(nodesRef.current[i]?.targetActivity || 0.5);
-        }
-        // Occasionally change random pattern
-        if (Math.random() < 0.02) {
-          const idx = Math.floor(Math.random() * sensoryCount);
-          inputPattern[idx] = Math.random();
-        }
-      }
-      
       // Update network
-      nodesRef.current = updateNetwork(nodes, inputPattern);
+      model.step(state, FRAME_DT, { inputType });
+      const { nodes } = state;
       
       // Draw
-      ctx.fillStyle = '#111114';
+      ctx.fillStyle = palette.background('#111114');
       ctx.fillRect(0, 0, width, height);
       
       // Draw level labels
@@ -172,11 +71,11 @@ export function PredictiveCodingSim({ width, height, isMobile = false, isFullscr
       
       for (let level = 0; level < LEVELS; level++) {
         const y = height - levelHeight * (level + 1);
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.fillStyle = palette.ink(0.3);
         ctx.fillText(LEVEL_LABELS[level], 80, y + 4);
         
         // Level line
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.strokeStyle = palette.ink(0.05);
         ctx.beginPath();
         ctx.moveTo(90, y);
         ctx.lineTo(width - 20, y);
@@ -199,8 +98,7 @@ export function PredictiveCodingSim({ width, height, isMobile = false, isFullscr
         
         upperNodes.forEach(upper => {
           currentNodes.forEach(lower => {
-            const dist = Math.abs(lower.index - upper.index * (NODES_PER_LEVEL[level] / NODES_PER_LEVEL[level + 1]));
-            const weight = Math.exp(-dist * dist / 4);
+            const weight = connectionWeight(level, lower.index, upper.index);
             
             if (weight > 0.1) {
               // Prediction line (top-down, yellow)
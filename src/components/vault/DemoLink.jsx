@@ -1,14 +1,14 @@
 import { useNavigate } from 'react-router-dom';
 import { getDemoForNote } from '../../utils/demoMapping';
 
-export default function DemoLink({ noteId }) {
+export default function DemoLink({ vaultData, noteId }) {
   const navigate = useNavigate();
-  const demo = getDemoForNote(noteId);
+  const demo = getDemoForNote(vaultData, noteId);
   
   if (!demo) return null;
 
   const handleClick = () => {
-    navigate(`/explore/${demo.section}`);
+    navigate(`/explore/${demo.section.slug}`);
   };
 
   return (
@@ -26,7 +26,7 @@ export default function DemoLink({ noteId }) {
             Interactive Demo Available
           </h3>
           <p className="text-sm text-secondary leading-relaxed mb-3">
-            {demo.description}
+            {describeDemo(demo)}
           </p>
           
           <button
@@ -49,4 +49,13 @@ export default function DemoLink({ noteId }) {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+function describeDemo({ section, simulations }) {
+  const place = section.number ? `Section ${section.number}: ${section.title}` : section.title;
+  if (!simulations.length) return `Explore ${place} in the interactive Explorer.`;
+
+  const titles = simulations.map(simulation => simulation.title);
+  const list = titles.length > 1 ? `${titles.slice(0, -1).join(', ')} and ${titles[titles.length - 1]}` : titles[0];
+  return `Try ${list} in ${place}.`;
+}
@@ -0,0 +1,69 @@
+/**
+ * HistoryPanel - A note's git history: created and last-modified dates,
+ * contributors and recent commits (recorded when the manifest is built
+ * with --history)
+ */
+export default function HistoryPanel({ history }) {
+  if (!history) {
+    return (
+      <div className="bg-surface/30 rounded-lg border border-border p-4">
+        <h3 className="text-sm font-semibold text-foreground mb-3">History</h3>
+        <p className="text-xs text-secondary italic">No version history for this note.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-surface/30 rounded-lg border border-border p-4">
+      <h3 className="text-sm font-semibold text-foreground mb-3">History</h3>
+      <div className="space-y-2 text-sm">
+        <div className="flex justify-between">
+          <span className="text-secondary">Created:</span>
+          <span className="text-foreground">{formatDate(history.created)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-secondary">Modified:</span>
+          <span className="text-foreground" title={formatDate(history.modified)}>
+            {formatRelative(history.modified)}
+          </span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-secondary">Contributors:</span>
+          <span className="text-foreground">{history.contributors}</span>
+        </div>
+      </div>
+
+      {history.commits.length > 0 && (
+        <ul className="mt-4 pt-3 border-t border-border space-y-2">
+          {history.commits.map(commit => (
+            <li key={commit.hash} className="text-xs">
+              <p className="text-foreground leading-snug">{commit.message}</p>
+              <p className="text-secondary mt-0.5">
+                {commit.author} · {formatDate(commit.date)} · <code className="font-mono">{commit.hash}</code>
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * "today", "3 days ago", "5 months ago"...
+ */
+function formatRelative(date) {
+  const days = Math.floor((Date.now() - new Date(date).getTime()) / 86400000);
+  if (days < 1) return 'today';
+
+  const [value, unit] =
+    days < 30 ? [days, 'day'] :
+    days < 365 ? [Math.floor(days / 30), 'month'] :
+    [Math.floor(days / 365), 'year'];
+
+  return `${value} ${unit}${value === 1 ? '' : 's'} ago`;
+}
@@ -0,0 +1,106 @@
+import { useNavigate } from 'react-router-dom';
+
+/**
+ * MentionGroups - Mentions of a note grouped by source note, each shown in
+ * context; clicking a mention jumps to that spot in the source note
+ * Used for backlinks and unlinked mentions ({ source, count, mentions })
+ */
+export default function MentionGroups({ groups, notes, linked = true }) {
+  const navigate = useNavigate();
+
+  // Jump to the paragraph's block or heading anchor in the source note
+  const handleMentionClick = (source, anchor) => {
+    navigate(`/vault/${source}${anchor ? `#${encodeURIComponent(anchor)}` : ''}`);
+  };
+
+  return (
+    <div className="space-y-3">
+      {groups.map(({ source, count, mentions }) => {
+        const sourceNote = notes[source];
+        if (!sourceNote) return null;
+
+        return (
+          <div key={source}>
+            <button
+              onClick={() => handleMentionClick(source, null)}
+              className="w-full flex items-center gap-2 mb-1 text-left group"
+            >
+              <div 
+                className="w-1.5 h-1.5 rounded-full flex-shrink-0" 
+                style={{ background: getFolderColor(sourceNote.folder) }}
+              ></div>
+              <span className="text-sm font-medium text-foreground group-hover:text-accent transition-colors truncate">
+                {sourceNote.title}
+              </span>
+              {count > 1 && (
+                <span className="ml-auto text-xs text-secondary flex-shrink-0">×{count}</span>
+              )}
+            </button>
+
+            {mentions.length === 0 ? (
+              <p className="text-xs text-secondary leading-relaxed ml-3.5">
+                {sourceNote.excerpt}
+              </p>
+            ) : (
+              <div className="ml-3.5 space-y-1">
+                {mentions.map((mention, i) => (
+                  <button
+                    key={i}
+                    onClick={() => handleMentionClick(source, mention.anchor)}
+                    className="w-full text-left p-2 rounded hover:bg-surface/50 transition-colors"
+                  >
+                    {mention.heading && (
+                      <div className="text-[10px] uppercase tracking-wide text-secondary/70 mb-0.5 truncate">
+                        {mention.heading}
+                      </div>
+                    )}
+                    <p className="text-xs text-secondary leading-relaxed">
+                      <MentionContext {...mention} linked={linked} />
+                    </p>
+                  </button>
+                ))}
+                {count > mentions.length && (
+                  <p className="text-[10px] text-secondary/70 px-2">
+                    +{count - mentions.length} more in this note
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Render a mention's context with the linked (or linkable) text highlighted
+ */
+function MentionContext({ context, highlight, embed, linked }) {
+  const [start, end] = highlight;
+  const markClass = linked
+    ? 'bg-accent/20 text-accent rounded-sm px-0.5'
+    : 'bg-transparent text-foreground border-b border-dashed border-amber-400';
+
+  return (
+    <>
+      {context.slice(0, start)}
+      <mark className={markClass}>
+        {embed && '⧉ '}
+        {context.slice(start, end)}
+      </mark>
+      {context.slice(end)}
+    </>
+  );
+}
+
+function getFolderColor(folder) {
+  const colors = {
+    canonical: '#3b82f6',
+    concepts: '#8b5cf6', 
+    research: '#10b981',
+    evidence: '#f59e0b',
+    meta: '#6b7280'
+  };
+  return colors[folder] || '#9ca3af';
+}
\ No newline at end of file
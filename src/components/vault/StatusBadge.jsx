@@ -0,0 +1,35 @@
+/**
+ * StatusBadge - A note's frontmatter status (draft / review / stable) and
+ * embargo, if any; renders nothing for a note with neither
+ */
+
+const STATUS_STYLES = {
+  draft: 'text-amber-400 border-amber-400/40 bg-amber-400/10',
+  review: 'text-blue-400 border-blue-400/40 bg-blue-400/10',
+  stable: 'text-green-400 border-green-400/40 bg-green-400/10'
+};
+
+const BADGE_CLASS = 'inline-flex items-center px-2 py-0.5 rounded-full border text-xs font-medium';
+
+export default function StatusBadge({ note, className = '' }) {
+  if (!note?.status && !note?.embargoed) return null;
+
+  return (
+    <span className={`inline-flex items-center gap-2 ${className}`}>
+      {note.status && (
+        <span className={`${BADGE_CLASS} capitalize ${STATUS_STYLES[note.status]}`}>
+          {note.status}
+        </span>
+      )}
+      {note.embargoed && (
+        <span className={`${BADGE_CLASS} text-red-400 border-red-400/40 bg-red-400/10`}>
+          Embargoed until {formatDate(note.embargo)}
+        </span>
+      )}
+    </span>
+  );
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
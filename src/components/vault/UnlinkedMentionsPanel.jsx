@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import MentionGroups from './MentionGroups';
+
+/**
+ * UnlinkedMentionsPanel - Notes that name this note (by title or alias)
+ * in plain text without linking to it; collapsed by default
+ */
+export default function UnlinkedMentionsPanel({ mentions, notes }) {
+  const [expanded, setExpanded] = useState(false);
+  const hasMentions = mentions && mentions.length > 0;
+
+  return (
+    <div className="bg-surface/30 rounded-lg border border-border p-4">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        disabled={!hasMentions}
+        className="w-full flex items-center justify-between text-left"
+      >
+        <h3 className="text-sm font-semibold text-foreground">
+          Unlinked mentions{hasMentions && ` (${mentions.length})`}
+        </h3>
+        {hasMentions && (
+          <svg
+            className={`w-4 h-4 text-secondary transition-transform ${expanded ? 'rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        )}
+      </button>
+
+      {!hasMentions && (
+        <p className="mt-3 text-xs text-secondary italic">No unlinked mentions.</p>
+      )}
+
+      {hasMentions && expanded && (
+        <div className="mt-3">
+          <MentionGroups groups={mentions} notes={notes} linked={false} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,17 +1,53 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { getAnchorId, getExcerpt, suggestNoteIds } from '../../utils/vaultParser';
+import { extractHeadingSection } from '../../utils/vaultContent';
+import { useNoteContent } from '../../hooks/useVault';
+import StatusBadge from './StatusBadge';
 
-export default function WikiLink({ target, display, notes }) {
+/**
+ * Get preview text for a link: the referenced heading section or block,
+ * falling back to the note excerpt
+ */
+function getPreviewText(note, anchor, { content, blocks }) {
+  if (anchor?.type === 'block') {
+    const block = blocks[anchor.id];
+    if (block) return getExcerpt(block, 300);
+  } else if (anchor?.type === 'heading' && content) {
+    const section = extractHeadingSection(content, anchor.text);
+    if (section) return getExcerpt(section, 300);
+  }
+  return note.excerpt;
+}
+
+/**
+ * Preview text, loading the note's content only for heading/block links
+ */
+function PreviewText({ note, anchor }) {
+  const noteContent = useNoteContent(anchor ? note : null);
+  return getPreviewText(note, anchor, noteContent);
+}
+
+export default function WikiLink({ target, anchor = null, display, candidates = null, notes }) {
   const [showPreview, setShowPreview] = useState(false);
   const navigate = useNavigate();
 
   const targetNote = notes ? notes[target] : null;
   const linkText = display || target;
+  const anchorId = getAnchorId(anchor);
+
+  // [[#Heading]] points inside the current page
+  const isLocalAnchor = !target && anchorId;
+  const isUnresolved = notes && target && !targetNote;
+  // Other notes a shorthand link could have meant (see resolveLink)
+  const otherCandidates = candidates ? candidates.filter(id => id !== target) : [];
 
   const handleClick = (e) => {
     e.preventDefault();
     if (targetNote) {
-      navigate(`/vault/${target}`);
+      navigate(`/vault/${target}${anchorId ? `#${encodeURIComponent(anchorId)}` : ''}`);
+    } else if (isLocalAnchor) {
+      document.getElementById(anchorId)?.scrollIntoView({ behavior: 'smooth' });
     }
   };
 
@@ -24,16 +60,19 @@ export default function WikiLink({ target, display, notes }) {
   };
 
   return (
-    <span className="relative inline-block">
+    <span
+      className="relative inline-block"
+      onMouseEnter={handleMouseEnter}
+      onMouseLeave={handleMouseLeave}
+    >
       <button
         onClick={handleClick}
-        onMouseEnter={handleMouseEnter}
-        onMouseLeave={handleMouseLeave}
         className={`
           text-accent hover:text-accent/80 transition-colors font-medium
-          ${targetNote ? 'cursor-pointer' : 'cursor-default opacity-60'}
+          ${targetNote || isLocalAnchor ? 'cursor-pointer' : 'cursor-default opacity-60'}
+          ${otherCandidates.length ? 'underline decoration-dotted decoration-amber-500/60 underline-offset-4' : ''}
         `}
-        disabled={!targetNote}
+        disabled={!targetNote && !isLocalAnchor}
       >
         [[{linkText}]]
       </button>
@@ -45,22 +84,68 @@ export default function WikiLink({ target, display, notes }) {
               className="w-2 h-2 rounded-full flex-shrink-0" 
               style={{ background: getFolderColor(targetNote.folder) }}
             ></div>
-            <h3 className="font-semibold text-foreground text-sm">{targetNote.title}</h3>
+            <h3 className="font-semibold text-foreground text-sm">
+              {targetNote.title}
+              {anchor?.type === 'heading' && <span className="text-secondary font-normal"> › {anchor.text}</span>}
+            </h3>
           </div>
-          <p className="text-xs text-secondary mb-2 capitalize">{targetNote.folder}</p>
-          <p className="text-sm text-secondary leading-relaxed">
-            {targetNote.excerpt}
-          </p>
-          <div className="flex items-center gap-4 mt-3 text-xs text-secondary">
-            <span>{targetNote.wordCount} words</span>
-            <span>{targetNote.links?.length || 0} links</span>
+          <div className="flex items-center gap-2 mb-2">
+            <p className="text-xs text-secondary capitalize">{targetNote.folder}</p>
+            <StatusBadge note={targetNote} />
           </div>
+          {targetNote.stub ? (
+            <p className="text-sm text-secondary italic">Not published yet.</p>
+          ) : (
+            <>
+              <p className="text-sm text-secondary leading-relaxed">
+                <PreviewText note={targetNote} anchor={anchor} />
+              </p>
+              <div className="flex items-center gap-4 mt-3 text-xs text-secondary">
+                <span>{targetNote.wordCount} words</span>
+                <span>{targetNote.links?.length || 0} links</span>
+              </div>
+            </>
+          )}
+          {otherCandidates.length > 0 && (
+            <p className="mt-3 pt-2 border-t border-border text-xs text-amber-500/90">
+              Ambiguous link — also matches {otherCandidates.join(', ')}
+            </p>
+          )}
         </div>
       )}
+
+      {showPreview && isUnresolved && (
+        <UnresolvedPreview target={target} notes={notes} />
+      )}
     </span>
   );
 }
 
+/**
+ * Hover card for a link with no matching note, with "did you mean" suggestions
+ */
+function UnresolvedPreview({ target, notes }) {
+  const suggestions = suggestNoteIds(target, notes);
+
+  return (
+    <div className="absolute bottom-full left-0 mb-2 w-72 bg-surface border border-border rounded-lg shadow-lg p-4 z-50">
+      <p className="text-sm text-secondary">
+        No note named <span className="font-medium text-foreground">{target}</span>
+      </p>
+      {suggestions.length > 0 && (
+        <>
+          <p className="text-xs text-secondary mt-3 mb-1">Did you mean</p>
+          <ul className="text-sm space-y-1">
+            {suggestions.map(id => (
+              <li key={id} className="text-accent">{notes[id].title}</li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
 function getFolderColor(folder) {
   const colors = {
     canonical: '#3b82f6',
@@ -1,5 +1,6 @@
 // Section configuration for the Explorer
-// Each section defines its content, simulation, and bibliography references
+// Each section defines its content and bibliography references; the
+// simulations it shows declare their sections in data/simulations.js
 // UPDATED: Section numbers now match vault file numbers
 
 export const SECTIONS = [
@@ -9,7 +10,6 @@ export const SECTIONS = [
     number: null,
     title: 'The Dynamics of Cognition',
     subtitle: 'Scale-free biological intelligence from cells to societies',
-    simulation: null, // Intro has no simulation
     references: ['friston2010', 'friston2023', 'levin2021', 'damasio2021'],
     isIntro: true,
   },
@@ -19,8 +19,6 @@ export const SECTIONS = [
     number: 1,
     title: 'Free Energy Minimization',
     subtitle: 'The mathematical foundation of self-organization',
-    simulation: 'markov-blanket',
-    additionalSims: ['free-energy'],
     references: ['friston2010', 'friston2013', 'friston2023', 'kirchhoff2018', 'bruineberg2022'],
   },
   {
@@ -29,7 +27,6 @@ export const SECTIONS = [
     number: 2,
     title: 'Bioelectric Networks',
     subtitle: 'Scaling cellular intelligence into anatomical cognition',
-    simulation: 'morphogenesis',
     references: ['levin2021', 'levin-dennett2020', 'durant2017', 'vandenberg2012', 'murugan2022', 'friston2015'],
   },
   {
@@ -38,8 +35,6 @@ export const SECTIONS = [
     number: 3,
     title: 'Homeostatic Feelings',
     subtitle: 'The phenomenal substrate of consciousness',
-    simulation: 'homeostatic',
-    additionalSims: ['interoceptive-pathway'],
     references: [
       'damasio1994', 'damasio2021', 'damasio2022', 'damasio2024',
       'seth2013', 'seth-friston2016',
@@ -54,7 +49,6 @@ export const SECTIONS = [
     number: 4,
     title: 'Autopoiesis',
     subtitle: 'Self-producing organization as the ground of intelligence',
-    simulation: 'autopoiesis',
     references: ['maturana-varela1980', 'varela1991', 'thompson2007', 'kirchhoff2018'],
   },
   {
@@ -63,7 +57,6 @@ export const SECTIONS = [
     number: 5,
     title: 'Language Networks',
     subtitle: 'Somatic simulation for communication',
-    simulation: 'language-controller',
     references: ['fedorenko2011', 'fedorenko2024a', 'fedorenko2024b', 'shain2020', 'paunov2019', 'tuckute2024'],
   },
   {
@@ -72,7 +65,6 @@ export const SECTIONS = [
     number: 6,
     title: 'The Controllosphere',
     subtitle: 'Expertise as manifold migration',
-    simulation: 'controllosphere',
     references: ['holroyd2024'],
   },
   {
@@ -81,7 +73,6 @@ export const SECTIONS = [
     number: 7,
     title: 'The Configuration Constraint',
     subtitle: 'H(ω) and the bridging problem',
-    simulation: 'annealing',
     references: [
       'vangelder1995', 'kelso1995', 'thelen-smith1994', 'tognoli-kelso2014',
       'chemero2009', 'noe2004', 'gibson1979', 'varela1991',
@@ -97,7 +88,6 @@ export const SECTIONS = [
     number: 8,
     title: 'Empirical Predictions',
     subtitle: 'Testing the framework',
-    simulation: 'predictive-coding',
     references: [
       'vanderkolk2014', 'vanderkolk-yoga2014', 'ogden2006', 'levine2010', 'payne-levine2015',
       'carhart-harris2014', 'carhart-harris-friston2019',
@@ -111,7 +101,6 @@ export const SECTIONS = [
     number: 9,
     title: 'Nested Markov Blankets',
     subtitle: 'Scale-free architecture from molecules to societies',
-    simulation: 'nested-blankets',
     references: ['palacios2020', 'ciaunica2023', 'kirchhoff2018'],
   },
   {
@@ -120,7 +109,6 @@ export const SECTIONS = [
     number: 10,
     title: 'Consciousness & Meta-Modeling',
     subtitle: 'When the model models itself',
-    simulation: 'meta-modeling',
     references: ['damasio2021', 'damasio2022', 'friston2023'],
   },
   {
@@ -129,7 +117,6 @@ export const SECTIONS = [
     number: 11,
     title: 'Critical Perspectives',
     subtitle: 'Honest gap acknowledgment',
-    simulation: null,
     references: ['bruineberg2022'],
   },
   {
@@ -138,7 +125,6 @@ export const SECTIONS = [
     number: 12,
     title: 'Synthesis',
     subtitle: 'The unified picture',
-    simulation: null,
     references: [
       'friston2010', 'friston2023', 'levin2021', 'damasio2021',
       'kelso1995', 'kelso2021', 'holroyd2024', 'barrett2017', 'sutton1999',
@@ -148,24 +134,6 @@ export const SECTIONS = [
   },
 ];
 
-// Map simulation IDs to components (for lazy loading)
-export const SIMULATION_MAP = {
-  'markov-blanket': 'MarkovBlanketSim',
-  'free-energy': 'FreeEnergySim',
-  'morphogenesis': 'MorphogenesisSim',
-  'homeostatic': 'HomeostaticSim',
-  'interface-dynamics': 'InterfaceDynamicsSim',
-  'interoceptive-pathway': 'InteroceptivePathwaySim',
-  'autopoiesis': 'AutopoiesisSim',
-  'language-controller': 'LanguageControllerSim',
-  'controllosphere': 'ControllosphereSim',
-  'annealing': 'AnnealingSim',
-  'predictive-coding': 'PredictiveCodingSim',
-  'nested-blankets': 'NestedBlanketsSim',
-  'meta-modeling': 'MetaModelingSim',
-  'attractor': 'AttractorSim',
-};
-
 export function getSectionBySlug(slug) {
   return SECTIONS.find(s => s.slug === slug);
 }
@@ -0,0 +1,202 @@
+/**
+ * Simulation Registry
+ * Every interactive simulation, keyed by the ID used in ::sim[id] markers,
+ * section configs and /sims URLs:
+ *   title, description - what the simulation shows
+ *   instructions       - how to interact with it, shown above the canvas
+ *   tags               - topics, in references.json's tag vocabulary: the
+ *                        /sims gallery filters on them and a simulation's
+ *                        page lists the references sharing one
+ *   sections           - Explorer sections (ids) that show it, in order
+ *   params             - default parameters, the component's initial controls
+ *   load               - lazy loader resolving to the component
+ *
+ * Plain data apart from the loaders (which nothing calls at build time), so
+ * build scripts (vault health checks, the search index) can read it too.
+ * Related vault notes come from the notes' demos: frontmatter, not from
+ * here (see getNotesForSimulation in utils/demoMapping.js).
+ */
+
+export const SIMULATIONS = {
+  'markov-blanket': {
+    title: 'Markov Blanket',
+    description: 'A system maintaining statistical separation from its environment through sensory and active states.',
+    instructions: 'Physical membrane separating internal from external states. Drag particles to see the statistical boundary in action.',
+    tags: ['markov-blankets', 'free-energy', 'active-inference'],
+    sections: ['free-energy'],
+    params: { flowEnabled: true },
+    load: () => import('../components/simulations/MarkovBlanketSim').then(m => m.MarkovBlanketSim)
+  },
+  'free-energy': {
+    title: 'Free Energy Minimization',
+    description: 'Watch how a system minimizes variational free energy through perception and action.',
+    instructions: 'Click anywhere to place a system—watch it minimize free energy by descending to attractor basins.',
+    tags: ['free-energy', 'active-inference'],
+    sections: ['free-energy'],
+    params: { running: true },
+    load: () => import('../components/simulations/FreeEnergySim').then(m => m.FreeEnergySim)
+  },
+  'morphogenesis': {
+    title: 'Morphogenetic Computation',
+    description: 'Bioelectric networks guide cells toward target morphology through collective inference.',
+    instructions: 'Draw damage on the tissue to see goal-directed regeneration in action.',
+    tags: ['morphogenesis', 'bioelectricity', 'cellular-intelligence'],
+    sections: ['morphogenesis'],
+    params: { pattern: 'circle', gapJunctionStrength: 0.12, targetAttraction: 0.08, noise: 0.003 },
+    load: () => import('../components/simulations/MorphogenesisSim').then(m => m.MorphogenesisSim)
+  },
+  'homeostatic': {
+    title: 'Homeostatic Regulation',
+    description: 'Feelings as sentinels of bodily state, driving regulatory action.',
+    instructions: 'Watch how bodily prediction errors become feelings as the system maintains homeostasis.',
+    tags: ['homeostasis', 'feelings', 'interoception'],
+    sections: ['homeostatic'],
+    params: { autoRegulate: false },
+    load: () => import('../components/simulations/HomeostaticSim').then(m => m.HomeostaticSim)
+  },
+  'interoceptive-pathway': {
+    title: 'Interoceptive Pathway',
+    description: 'How internal body signals shape perception and cognition.',
+    instructions: 'Signals flow from body through integration layers to the unified "now" — your global emotional moment.',
+    tags: ['interoception', 'feelings', 'insula'],
+    sections: ['homeostatic'],
+    params: { signalIntensity: 0.5, showEfferents: true },
+    load: () => import('../components/simulations/InteroceptivePathwaySim').then(m => m.InteroceptivePathwaySim)
+  },
+  'autopoiesis': {
+    title: 'Autopoietic Organization',
+    description: 'Self-producing networks that maintain their own boundaries.',
+    instructions: 'Watch circular causality maintain the living boundary as the system self-produces.',
+    tags: ['autopoiesis', 'enactivism', 'self-organization'],
+    sections: ['autopoiesis'],
+    params: { metabolicRate: 1.0, showFlows: true },
+    load: () => import('../components/simulations/AutopoiesisSim').then(m => m.AutopoiesisSim)
+  },
+  'language-controller': {
+    title: 'Language as Controller',
+    description: 'Language networks minimizing communicative uncertainty.',
+    instructions: 'Compare what Fedorenko measures vs what real communication requires.',
+    tags: ['language', 'communication'],
+    sections: ['language'],
+    params: { mode: 'comparison', scenario: 0 },
+    load: () => import('../components/simulations/LanguageControllerSim').then(m => m.LanguageControllerSim)
+  },
+  'controllosphere': {
+    title: 'The Controllosphere',
+    description: 'Cognitive effort as metabolic expenditure beyond the intrinsic manifold.',
+    instructions: 'Adjust DLPFC signal to push neural state into the controllosphere. Watch metabolic costs and waste accumulation.',
+    tags: ['controllosphere', 'cognitive-effort', 'DLPFC'],
+    sections: ['controllosphere'],
+    params: { controlSignal: 0, mode: 'automatic' },
+    load: () => import('../components/simulations/ControllosphereSim').then(m => m.ControllosphereSim)
+  },
+  'annealing': {
+    title: 'Configuration Annealing',
+    description: 'The body annealing through configuration space, with cognitive accessibility as a function of state.',
+    instructions: 'Adjust temperature to see how configurations become accessible or trapped. Click to relocate.',
+    tags: ['configuration', 'annealing', 'dynamical-systems'],
+    sections: ['configuration'],
+    params: { precision: 0.75, showTrajectory: true },
+    load: () => import('../components/simulations/AnnealingSim').then(m => m.AnnealingSim)
+  },
+  'predictive-coding': {
+    title: 'Predictive Coding',
+    description: 'Hierarchical prediction error minimization in action.',
+    instructions: 'Hierarchical prediction error minimization in action.',
+    tags: ['predictive-coding', 'predictive-processing', 'hierarchy'],
+    sections: ['predictions'],
+    params: { inputType: 'sine', showErrors: true, showPredictions: true },
+    load: () => import('../components/simulations/PredictiveCodingSim').then(m => m.PredictiveCodingSim)
+  },
+  'nested-blankets': {
+    title: 'Nested Markov Blankets',
+    description: 'The same mathematical structure repeating at every scale of organization.',
+    instructions: 'Explore the same mathematical structure repeating at every scale of organization.',
+    tags: ['nested-blankets', 'markov-blankets', 'scale-free'],
+    sections: ['nested'],
+    params: { activeScale: 3, showLabels: true, animateFlow: true },
+    load: () => import('../components/simulations/NestedBlanketsSim').then(m => m.NestedBlanketsSim)
+  },
+  'cognitive-horizon': {
+    title: 'Cognitive Horizon',
+    description: 'Your body configuration determines which thoughts are accessible. Change state to watch the horizon expand or contract.',
+    tags: ['configuration', 'affordances', 'embodiment'],
+    sections: [],
+    params: { config: 'calm' },
+    load: () => import('../components/simulations/CognitiveHorizonSim').then(m => m.CognitiveHorizonSim)
+  },
+  'configuration-awareness': {
+    title: 'Configuration Awareness',
+    description: 'Two agents try to reach the same goal. The aware agent can model its own H(ω) and strategically shift states.',
+    tags: ['configuration', 'metacognition', 'self'],
+    sections: [],
+    params: {},
+    load: () => import('../components/simulations/ConfigurationAwarenessSim').then(m => m.ConfigurationAwarenessSim)
+  },
+  'config-aware-nav': {
+    title: 'Configuration-Aware Navigation',
+    description: 'Blind and aware agents race for the same thought; the aware one shifts its own configuration to bring it within reach.',
+    tags: ['configuration', 'metacognition'],
+    sections: [],
+    params: { speed: 1 },
+    load: () => import('../components/simulations/ConfigAwareNavSim').then(m => m.ConfigAwareNavSim)
+  },
+  'meta-modeling': {
+    title: 'Meta-Modeling',
+    description: 'When the model models itself—the emergence of self-awareness.',
+    instructions: 'Click agents to explore nested models of models—the recursive structure of self-awareness.',
+    tags: ['consciousness', 'metacognition', 'self'],
+    sections: ['consciousness'],
+    params: { showInternals: true, recursionDepth: 2 },
+    load: () => import('../components/simulations/MetaModelingSim').then(m => m.MetaModelingSim)
+  },
+  'attractor': {
+    title: 'Attractor Dynamics',
+    description: 'Cognitive states as attractors in a dynamical landscape.',
+    tags: ['dynamical-systems', 'metastability'],
+    sections: [],
+    params: { showBasins: true },
+    load: () => import('../components/simulations/AttractorSim').then(m => m.AttractorSim)
+  },
+  'interface-dynamics': {
+    title: 'Interface Dynamics',
+    description: 'Feelings emerge at the boundaries where Markov blankets meet.',
+    tags: ['markov-blankets', 'feelings', 'interoception'],
+    sections: [],
+    params: { mode: 0 },
+    load: () => import('../components/simulations/InterfaceDynamicsSim').then(m => m.InterfaceDynamicsSim)
+  },
+  'energy-affordance': {
+    title: 'Energy & Affordances',
+    description: 'How metabolic state shapes the cognitive affordance field.',
+    tags: ['affordances', 'configuration', 'embodiment'],
+    sections: [],
+    params: { atp: 100, activity: 'relaxed', showCosts: true },
+    load: () => import('../components/simulations/EnergyAffordanceSim').then(m => m.EnergyAffordanceSim)
+  },
+  'fatigue-recovery': {
+    title: 'Fatigue & Recovery',
+    description: 'H(ω) contraction under fatigue and expansion during recovery.',
+    tags: ['cognitive-effort', 'controllosphere', 'configuration'],
+    sections: [],
+    params: { mode: 'idle' },
+    load: () => import('../components/simulations/FatigueRecoverySim').then(m => m.FatigueRecoverySim)
+  },
+  'csp-experiment': {
+    title: 'CSP Categorical Accessibility',
+    description: 'Testing whether cognitive operations are categorically gated by configuration.',
+    tags: ['configuration', 'empirical'],
+    sections: [],
+    params: { problem: 'queens5', capacity: 6 },
+    load: () => import('../components/simulations/CSPExperimentSim').then(m => m.CSPExperimentSim)
+  }
+};
+
+export const SIMULATION_IDS = Object.keys(SIMULATIONS);
+
+/**
+ * Simulations shown in an Explorer section, in registry order
+ */
+export function getSectionSimulationIds(sectionId) {
+  return SIMULATION_IDS.filter(id => SIMULATIONS[id].sections.includes(sectionId));
+}
@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react';
+import { DEFAULT_SAMPLE_RATE, createRecording, recordSample } from '../utils/recording';
+
+/**
+ * Record a simulation's observables (utils/recording.js) while it runs
+ *
+ * getModel returns the { model, getState } the sim registered
+ * (useSimulationModel), or null; it should be stable. The recording samples
+ * the state every animation frame, keeping those that reach the next
+ * sample time, until stop(); the last one stopped stays available. Frames
+ * a background tab skips can step past sample times, which the recording
+ * counts as dropped.
+ *
+ * Returns { sampleRate, setSampleRate, isRecording, sampleCount, recording,
+ * start(meta), stop() }; start says false when the sim declares nothing to
+ * record.
+ */
+export function useRecorder(getModel) {
+  const [sampleRate, setSampleRate] = useState(DEFAULT_SAMPLE_RATE);
+  const [active, setActive] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const [sampleCount, setSampleCount] = useState(0);
+
+  useEffect(() => {
+    if (!active) return;
+    let frame;
+
+    const sample = () => {
+      const sim = getModel();
+      const state = sim?.getState();
+      if (state) recordSample(active, sim.model, state);
+      frame = requestAnimationFrame(sample);
+    };
+    frame = requestAnimationFrame(sample);
+    const interval = setInterval(() => setSampleCount(active.samples.length), 250);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      clearInterval(interval);
+    };
+  }, [active, getModel]);
+
+  const start = (meta) => {
+    const observables = getModel()?.model.OBSERVABLES;
+    if (!observables) return false;
+
+    setActive(createRecording(observables, { ...meta, sampleRate }));
+    setFinished(null);
+    setSampleCount(0);
+    return true;
+  };
+
+  const stop = () => {
+    if (!active) return;
+    setFinished(active);
+    setSampleCount(active.samples.length);
+    setActive(null);
+  };
+
+  return {
+    sampleRate,
+    setSampleRate,
+    isRecording: Boolean(active),
+    sampleCount,
+    recording: finished,
+    start,
+    stop,
+  };
+}
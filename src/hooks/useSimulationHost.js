@@ -0,0 +1,46 @@
+import { createContext, useContext, useEffect } from 'react';
+
+/**
+ * Receives state snapshots from the simulation rendered inside it
+ * The value is a function called with each snapshot; the /embed route
+ * provides one, and so does Simulation (its links carry the current
+ * params); elsewhere there is no host
+ */
+export const SimulationHostContext = createContext(null);
+
+/**
+ * Report a simulation's user-facing state to its host
+ * snapshot is a plain JSON-serializable object, usually the current params
+ * (under their registry names) plus the readouts the sim displays; it is
+ * reported again whenever its contents change
+ */
+export function useSimulationSnapshot(snapshot) {
+  const onSnapshot = useContext(SimulationHostContext);
+  const json = onSnapshot ? JSON.stringify(snapshot) : null;
+
+  useEffect(() => {
+    if (json !== null) onSnapshot(JSON.parse(json));
+  }, [onSnapshot, json]);
+}
+
+/**
+ * Where the simulation rendered inside it registers its model and state,
+ * so the host can snapshot the run (models/snapshot.js) or record its
+ * observables (utils/recording.js); the value is a ref, set to
+ * { model, getState } while the sim is mounted
+ */
+export const SimulationModelContext = createContext(null);
+
+/**
+ * Register a sim's model with its host
+ * getState returns the model's current state (null before there is one)
+ */
+export function useSimulationModel(model, getState) {
+  const ref = useContext(SimulationModelContext);
+
+  useEffect(() => {
+    if (!ref) return;
+    ref.current = { model, getState };
+    return () => { ref.current = null; };
+  });
+}
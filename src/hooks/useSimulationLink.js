@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { decodeSnapshot, hasSnapshot, parseSimulationQuery } from '../utils/permalink';
+
+/**
+ * The state snapshot in the page URL's hash (#state=..., see
+ * utils/permalink.js): { snapshot, loading, error }
+ * snapshot is null when there's none, or it can't be read (error says why);
+ * with `enabled` false the hash isn't looked at
+ */
+export function useLinkedSnapshot(enabled = true) {
+  const location = useLocation();
+  const [hash] = useState(() => enabled && hasSnapshot(location.hash) ? location.hash : null);
+  const [result, setResult] = useState({ snapshot: null, loading: Boolean(hash), error: null });
+
+  useEffect(() => {
+    if (!hash) return;
+    let cancelled = false;
+
+    decodeSnapshot(hash).then(
+      snapshot => { if (!cancelled) setResult({ snapshot, loading: false, error: null }); },
+      error => { if (!cancelled) setResult({ snapshot: null, loading: false, error }); }
+    );
+
+    return () => { cancelled = true; };
+  }, [hash]);
+
+  return result;
+}
+
+/**
+ * The setup a permalink gives a simulation, when the page was opened from
+ * a link to it (?sim=<simId>...): { params, seed, snapshot, loading }
+ * Otherwise null
+ *
+ * Read once, on mount, so that what the reader changes afterwards isn't
+ * overridden by the URL. `loading` is true while a snapshot is decoded;
+ * one that can't be is reported and left out.
+ */
+export function useSimulationLink(simId) {
+  const location = useLocation();
+  const [link] = useState(() => {
+    const query = new URLSearchParams(location.search);
+    if (query.get('sim') !== simId) return null;
+
+    const { params, seed, errors } = parseSimulationQuery(simId, query);
+    errors.forEach(error => console.warn(`Link to ${simId}: ${error}`));
+    return { params, seed };
+  });
+  const { snapshot, loading, error } = useLinkedSnapshot(Boolean(link));
+
+  useEffect(() => {
+    if (link && error) console.warn(`Link to ${simId}: could not read its state snapshot:`, error);
+  }, [simId, link, error]);
+
+  return link && { ...link, snapshot, loading };
+}
@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { loadVaultIndex, loadNoteContent, getCachedNoteContent } from '../utils/vaultLoader';
+
+/**
+ * Load the vault index (notes without content, graph, stats)
+ * Returns { vaultData, loading, error }
+ */
+export function useVaultIndex() {
+  const [state, setState] = useState({ vaultData: null, loading: true, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadVaultIndex()
+      .then(vaultData => {
+        if (!cancelled) setState({ vaultData, loading: false, error: null });
+      })
+      .catch(error => {
+        console.warn('Failed to load vault manifest:', error);
+        if (!cancelled) setState({ vaultData: null, loading: false, error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+}
+
+/**
+ * Load one note's content chunk; pass null to load nothing
+ * Returns { content, blocks, loading, error }
+ */
+export function useNoteContent(note) {
+  const [loaded, setLoaded] = useState({ chunk: null, data: null, error: null });
+  const chunk = note?.chunk || null;
+  const cached = getCachedNoteContent(note);
+
+  useEffect(() => {
+    if (!note?.chunk || getCachedNoteContent(note)) return;
+    let cancelled = false;
+
+    loadNoteContent(note)
+      .then(data => {
+        if (!cancelled) setLoaded({ chunk: note.chunk, data, error: null });
+      })
+      .catch(error => {
+        console.warn(`Failed to load note content: ${note.id}`, error);
+        if (!cancelled) setLoaded({ chunk: note.chunk, data: null, error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [note]);
+
+  // Ignore results for a previous note while the next one loads
+  const current = loaded.chunk === chunk ? loaded : { data: null, error: null };
+  const data = cached || current.data;
+
+  return {
+    content: data?.content ?? null,
+    blocks: data?.blocks ?? {},
+    loading: Boolean(chunk) && !data && !current.error,
+    error: current.error
+  };
+}
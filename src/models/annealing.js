@@ -0,0 +1,302 @@
+/**
+ * Annealing model - whole-body configuration in an autonomic energy landscape
+ *
+ * A state ball moves through five physiological basins under their pull
+ * plus thermal noise. Precision is inverse temperature: high precision
+ * damps the noise and traps the state where it is; low precision lets it
+ * wander between basins. Quench drops it into the sympathetic basin, as
+ * trauma does.
+ *
+ * params: { precision, width, height } (canvas px)
+ * inputs: { precision, panelWidth } (the state stays left of a side panel
+ *   panelWidth px wide)
+ */
+
+import { advance } from './clock.js';
+
+// Physiological basins based on autonomic states
+export const BASIN_TYPES = [
+  {
+    id: 'ventral',
+    label: 'Ventral Vagal',
+    subtitle: 'Safe & Social',
+    color: '#4ade80',
+    depth: 0.7,
+    bodyState: {
+      heartRate: 65,
+      muscleTension: 0.2,
+      breathingRate: 12,
+      cognitiveAccess: 0.95,
+      description: 'Calm, connected, full cognitive flexibility'
+    }
+  },
+  {
+    id: 'sympathetic',
+    label: 'Sympathetic',
+    subtitle: 'Fight / Flight',
+    color: '#f87171',
+    depth: 1.0,
+    bodyState: {
+      heartRate: 110,
+      muscleTension: 0.8,
+      breathingRate: 22,
+      cognitiveAccess: 0.4,
+      description: 'Mobilized, threat-focused, narrowed attention'
+    }
+  },
+  {
+    id: 'dorsal',
+    label: 'Dorsal Vagal',
+    subtitle: 'Shutdown',
+    color: '#64748b',
+    depth: 1.2,
+    bodyState: {
+      heartRate: 55,
+      muscleTension: 0.1,
+      breathingRate: 8,
+      cognitiveAccess: 0.15,
+      description: 'Collapsed, dissociated, minimal cognitive access'
+    }
+  },
+  {
+    id: 'flow',
+    label: 'Flow State',
+    subtitle: 'Engaged',
+    color: '#a78bfa',
+    depth: 0.5,
+    bodyState: {
+      heartRate: 75,
+      muscleTension: 0.3,
+      breathingRate: 14,
+      cognitiveAccess: 0.9,
+      description: 'Absorbed, effortless action, high integration'
+    }
+  },
+  {
+    id: 'hypervigilance',
+    label: 'Hypervigilance',
+    subtitle: 'Frozen Alert',
+    color: '#fb923c',
+    depth: 0.9,
+    bodyState: {
+      heartRate: 95,
+      muscleTension: 0.9,
+      breathingRate: 18,
+      cognitiveAccess: 0.25,
+      description: 'Scanning, rigid, unable to settle'
+    }
+  },
+];
+
+export const DEFAULT_BODY_STATE = {
+  heartRate: 72,
+  muscleTension: 0.4,
+  breathingRate: 14,
+  cognitiveAccess: 0.6,
+  description: 'Transitioning between states...'
+};
+
+const TRAIL_LENGTH = 150;
+const MARGIN = 40;
+
+function initializeBasins(width, height) {
+  const cx = width / 2;
+  const cy = height / 2 - 20;
+
+  const positions = [
+    { x: cx, y: cy - 70 },
+    { x: cx + 110, y: cy + 30 },
+    { x: cx, y: cy + 100 },
+    { x: cx - 110, y: cy - 20 },
+    { x: cx + 60, y: cy + 60 },
+  ];
+
+  return BASIN_TYPES.map((type, i) => ({
+    ...type,
+    x: positions[i].x,
+    y: positions[i].y,
+    radius: 45 + type.depth * 15,
+  }));
+}
+
+/**
+ * Pull of all basins at a point, and the energy there
+ */
+export function getForceAndEnergy(basins, x, y) {
+  let fx = 0, fy = 0, energy = 2;
+
+  basins.forEach(basin => {
+    const dx = basin.x - x;
+    const dy = basin.y - y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+    const wellDepth = basin.depth * 1.5;
+    const wellWidth = basin.radius;
+    const gaussFactor = Math.exp(-(dist * dist) / (2 * wellWidth * wellWidth));
+    const gradientMag = (wellDepth * dist / (wellWidth * wellWidth)) * gaussFactor;
+
+    fx += (dx / dist) * gradientMag;
+    fy += (dy / dist) * gradientMag;
+    energy -= wellDepth * gaussFactor;
+  });
+
+  return { fx, fy, energy: Math.max(0, energy) };
+}
+
+function findBasin(basins, x, y) {
+  let closest = null;
+  let minDist = Infinity;
+
+  basins.forEach((basin, idx) => {
+    const dx = basin.x - x;
+    const dy = basin.y - y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    if (dist < basin.radius * 1.2 && dist < minDist) {
+      minDist = dist;
+      closest = { basin, index: idx, proximity: 1 - (dist / basin.radius) };
+    }
+  });
+
+  return closest;
+}
+
+function interpolateBodyState(currentBasin, proximity, defaultState) {
+  if (!currentBasin) return defaultState;
+
+  const target = currentBasin.basin.bodyState;
+  const t = Math.min(1, proximity * 1.5);
+
+  return {
+    heartRate: Math.round(defaultState.heartRate + (target.heartRate - defaultState.heartRate) * t),
+    muscleTension: defaultState.muscleTension + (target.muscleTension - defaultState.muscleTension) * t,
+    breathingRate: Math.round(defaultState.breathingRate + (target.breathingRate - defaultState.breathingRate) * t),
+    cognitiveAccess: defaultState.cognitiveAccess + (target.cognitiveAccess - defaultState.cognitiveAccess) * t,
+    description: t > 0.5 ? target.description : 'Transitioning...'
+  };
+}
+
+/**
+ * The basin the state is in ({ basin, index, proximity }), or null
+ */
+export function getCurrentBasin(state) {
+  return findBasin(state.basins, state.x, state.y);
+}
+
+/**
+ * Body readouts for where the state is, blended towards its basin's
+ */
+export function getBodyState(state) {
+  const inBasin = getCurrentBasin(state);
+  return interpolateBodyState(inBasin, inBasin?.proximity || 0, DEFAULT_BODY_STATE);
+}
+
+export function init(params, rng) {
+  const { width, height } = params;
+  const basins = initializeBasins(width, height);
+  const ventral = basins[0];
+
+  return {
+    basins,
+    width,
+    height,
+    panelWidth: 0,
+    precision: params.precision,
+    x: ventral.x + (rng() - 0.5) * 20,
+    y: ventral.y + (rng() - 0.5) * 20,
+    vx: 0,
+    vy: 0,
+    trail: [],
+    rng,
+  };
+}
+
+function tick(state) {
+  const { basins, precision, rng } = state;
+  const { fx, fy } = getForceAndEnergy(basins, state.x, state.y);
+
+  const temperature = 1 - precision;
+  const noise = temperature * 4;
+  state.vx += fx * 0.12 + (rng() - 0.5) * noise;
+  state.vy += fy * 0.12 + (rng() - 0.5) * noise;
+
+  const damping = 0.8 + precision * 0.15;
+  state.vx *= damping;
+  state.vy *= damping;
+
+  state.x += state.vx;
+  state.y += state.vy;
+
+  state.x = Math.max(MARGIN, Math.min(state.width - state.panelWidth - MARGIN, state.x));
+  state.y = Math.max(MARGIN, Math.min(state.height - MARGIN, state.y));
+
+  state.trail.push({ x: state.x, y: state.y });
+  if (state.trail.length > TRAIL_LENGTH) state.trail.shift();
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.precision !== undefined) state.precision = inputs.precision;
+  if (inputs.panelWidth !== undefined) state.panelWidth = inputs.panelWidth;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  energy: 'Energy of the state on the landscape',
+  basin: 'Basin the state is in (id; empty between basins)',
+  x: 'State x (px)',
+  y: 'State y (px)',
+  heartRate: 'Heart rate (bpm)',
+  muscleTension: 'Muscle tension (0-1)',
+  breathingRate: 'Breathing rate (breaths/min)',
+  cognitiveAccess: 'Cognitive access (0-1)',
+};
+
+export function observe(state) {
+  const inBasin = getCurrentBasin(state);
+  const { heartRate, muscleTension, breathingRate, cognitiveAccess } = getBodyState(state);
+
+  return {
+    x: state.x,
+    y: state.y,
+    energy: getForceAndEnergy(state.basins, state.x, state.y).energy,
+    basin: inBasin ? inBasin.basin.id : null,
+    heartRate,
+    muscleTension,
+    breathingRate,
+    cognitiveAccess,
+  };
+}
+
+/**
+ * Move the state to a point, at rest
+ */
+export function relocate(state, x, y) {
+  state.x = x;
+  state.y = y;
+  state.vx = 0;
+  state.vy = 0;
+  state.trail = [{ x, y }];
+}
+
+/**
+ * Trauma: drop the state into the sympathetic basin
+ * (the component also raises precision, freezing it there)
+ */
+export function quench(state) {
+  const sympathetic = state.basins[1];
+  relocate(
+    state,
+    sympathetic.x + (state.rng() - 0.5) * 30,
+    sympathetic.y + (state.rng() - 0.5) * 30
+  );
+  state.trail = [];
+}
+
+/**
+ * Back to the ventral (safe) basin
+ */
+export function reset(state) {
+  const ventral = state.basins[0];
+  relocate(state, ventral.x, ventral.y);
+  state.trail = [];
+}
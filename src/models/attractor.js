@@ -0,0 +1,253 @@
+/**
+ * Attractor model - memory recall as descent into an attractor
+ *
+ * Five memories are point attractors of random strength. A cue placed
+ * anywhere is pulled by all of them and, damped, rolls downhill until it
+ * comes to rest on one: a partial cue completes to a whole memory. The
+ * pulls are long-range, so far from every memory they can balance and a
+ * cue rests between memories (a spurious state) without recalling any.
+ * The landscape grid marks each point with the memory whose basin it lies in.
+ *
+ * params: { width, height } (canvas px)
+ */
+
+import { advance } from './clock.js';
+import { restoreData } from './snapshot.js';
+
+const DAMPING = 0.92;
+const TRAIL_LENGTH = 150;
+
+// A cue this slow and this close to a memory has recalled it
+const SETTLE_SPEED = 0.5;
+const SETTLE_DISTANCE = 20;
+
+export const NUM_ATTRACTORS = 5;
+// The energy landscape follows from the attractors, so snapshots leave it out
+export const SNAPSHOT_SKIP = ['landscape', 'basins'];
+
+export const ATTRACTOR_COLORS = [
+  '#60a5fa', // blue
+  '#f87171', // red
+  '#4ade80', // green
+  '#facc15', // yellow
+  '#a78bfa', // purple
+];
+
+export function memoryLabel(index) {
+  return `Memory ${index + 1}`;
+}
+
+function initializeAttractors(width, height, rng) {
+  const attractors = [];
+  const margin = 60;
+  const usableWidth = width - margin * 2;
+  const usableHeight = height - margin * 2;
+
+  // Place attractors with some spacing
+  for (let i = 0; i < NUM_ATTRACTORS; i++) {
+    let x, y;
+    let attempts = 0;
+
+    do {
+      x = margin + rng() * usableWidth;
+      y = margin + rng() * usableHeight;
+      attempts++;
+    } while (
+      attempts < 50 &&
+      attractors.some(a => {
+        const dx = a.x - x;
+        const dy = a.y - y;
+        return Math.sqrt(dx * dx + dy * dy) < 100;
+      })
+    );
+
+    attractors.push({
+      x, y,
+      strength: 0.5 + rng() * 0.5,
+      label: memoryLabel(i),
+      color: ATTRACTOR_COLORS[i],
+    });
+  }
+
+  return attractors;
+}
+
+function computeEnergyLandscape(width, height, attractors, resolution = 4) {
+  const cols = Math.ceil(width / resolution);
+  const rows = Math.ceil(height / resolution);
+  const landscape = [];
+  const basins = []; // Which attractor each point belongs to
+
+  for (let row = 0; row < rows; row++) {
+    landscape[row] = [];
+    basins[row] = [];
+
+    for (let col = 0; col < cols; col++) {
+      const x = col * resolution;
+      const y = row * resolution;
+
+      let minEnergy = Infinity;
+      let closestAttractor = -1;
+
+      attractors.forEach((attractor, idx) => {
+        const dx = x - attractor.x;
+        const dy = y - attractor.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const energy = dist / (attractor.strength * 100);
+
+        if (energy < minEnergy) {
+          minEnergy = energy;
+          closestAttractor = idx;
+        }
+      });
+
+      landscape[row][col] = Math.min(1, minEnergy / 5);
+      basins[row][col] = closestAttractor;
+    }
+  }
+
+  return { landscape, basins, resolution, cols, rows };
+}
+
+function getGradient(attractors, x, y) {
+  let fx = 0, fy = 0;
+  let totalEnergy = 0;
+
+  attractors.forEach(attractor => {
+    const dx = attractor.x - x;
+    const dy = attractor.y - y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+    // Attraction force (inverse square, capped)
+    const force = attractor.strength * 50 / (dist + 10);
+    fx += (dx / dist) * force;
+    fy += (dy / dist) * force;
+
+    totalEnergy += dist / attractor.strength;
+  });
+
+  return { fx, fy, energy: totalEnergy };
+}
+
+export function findNearestAttractor(attractors, x, y) {
+  let minDist = Infinity;
+  let nearest = null;
+
+  attractors.forEach((a, idx) => {
+    const dx = a.x - x;
+    const dy = a.y - y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist < minDist) {
+      minDist = dist;
+      nearest = { attractor: a, index: idx, distance: dist };
+    }
+  });
+
+  return nearest;
+}
+
+export function init(params, rng) {
+  const { width, height } = params;
+  const attractors = initializeAttractors(width, height, rng);
+
+  return {
+    width,
+    height,
+    attractors,
+    ...computeEnergyLandscape(width, height, attractors),
+    particle: null,
+    recalling: false,
+    recalled: null,
+    rng,
+  };
+}
+
+function tick(state) {
+  const { particle, attractors } = state;
+  if (!particle || !state.recalling) return;
+
+  const grad = getGradient(attractors, particle.x, particle.y);
+
+  particle.vx += grad.fx * 0.01;
+  particle.vy += grad.fy * 0.01;
+  particle.vx *= DAMPING;
+  particle.vy *= DAMPING;
+
+  particle.x += particle.vx;
+  particle.y += particle.vy;
+
+  // Add to trail
+  particle.trail.push({ x: particle.x, y: particle.y });
+  if (particle.trail.length > TRAIL_LENGTH) particle.trail.shift();
+
+  // Check if settled into an attractor
+  const speed = Math.sqrt(particle.vx * particle.vx + particle.vy * particle.vy);
+  const nearest = findNearestAttractor(attractors, particle.x, particle.y);
+
+  if (speed < SETTLE_SPEED && nearest.distance < SETTLE_DISTANCE) {
+    state.recalled = nearest.index;
+    state.recalling = false;
+  }
+}
+
+export function step(state, dt) {
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  recalling: 'A cue is settling into a memory',
+  recalled: 'Index of the memory recalled (empty until one is)',
+  x: 'Cue x (px)',
+  y: 'Cue y (px)',
+};
+
+export function observe(state) {
+  const { particle } = state;
+  return {
+    recalling: state.recalling,
+    recalled: state.recalled,
+    x: particle ? particle.x : null,
+    y: particle ? particle.y : null,
+  };
+}
+
+/**
+ * The memory whose basin a point lies in, by the landscape grid
+ */
+export function basinAt(state, x, y) {
+  const col = Math.min(state.cols - 1, Math.max(0, Math.floor(x / state.resolution)));
+  const row = Math.min(state.rows - 1, Math.max(0, Math.floor(y / state.resolution)));
+  return state.basins[row][col];
+}
+
+/**
+ * Place a cue at rest at a point and start recall from it
+ */
+export function cue(state, x, y) {
+  state.particle = {
+    x, y,
+    vx: 0, vy: 0,
+    trail: [{ x, y }],
+  };
+  state.recalling = true;
+  state.recalled = null;
+}
+
+/**
+ * New memories, and no cue
+ */
+export function reset(state) {
+  state.attractors = initializeAttractors(state.width, state.height, state.rng);
+  Object.assign(state, computeEnergyLandscape(state.width, state.height, state.attractors));
+  state.particle = null;
+  state.recalling = false;
+  state.recalled = null;
+}
+
+/**
+ * Restore a snapshot (models/snapshot.js), recomputing the landscape
+ */
+export function restore(state, data) {
+  restoreData(state, data);
+  Object.assign(state, computeEnergyLandscape(state.width, state.height, state.attractors));
+}
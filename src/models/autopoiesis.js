@@ -0,0 +1,267 @@
+/**
+ * Autopoiesis model - a membrane kept alive by what it encloses
+ *
+ * Membrane segments age and decay. Producers inside the membrane eat
+ * nutrients that leak in through weak spots, and spend that energy
+ * repairing the weakest segments. The membrane enables the producers and
+ * the producers produce the membrane; if its integrity falls below 0.3
+ * the cycle is broken and the system dies for good.
+ *
+ * params: { metabolicRate, width, height } (canvas px)
+ * inputs: { metabolicRate }
+ */
+
+import { advance } from './clock.js';
+
+const MEMBRANE_PARTICLES = 24;
+const INTERNAL_PRODUCERS = 8;
+const DEATH_THRESHOLD = 0.3;
+
+function initializeSystem(width, height, rng) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const radius = Math.min(width, height) * 0.28;
+
+  // Membrane particles forming the boundary
+  const membrane = [];
+  for (let i = 0; i < MEMBRANE_PARTICLES; i++) {
+    const angle = (i / MEMBRANE_PARTICLES) * Math.PI * 2;
+    membrane.push({
+      angle,
+      radius: radius,
+      integrity: 1.0, // 1 = healthy, 0 = broken
+      age: 0,
+      maxAge: 300 + rng() * 200,
+    });
+  }
+
+  // Internal producer units
+  const producers = [];
+  for (let i = 0; i < INTERNAL_PRODUCERS; i++) {
+    const angle = rng() * Math.PI * 2;
+    const r = rng() * radius * 0.6;
+    producers.push({
+      x: cx + Math.cos(angle) * r,
+      y: cy + Math.sin(angle) * r,
+      vx: (rng() - 0.5) * 0.5,
+      vy: (rng() - 0.5) * 0.5,
+      energy: 1.0,
+      producing: false,
+      targetMembrane: -1,
+    });
+  }
+
+  // Resources from environment
+  const resources = [];
+
+  return { membrane, producers, resources, cx, cy, radius };
+}
+
+export function init(params, rng) {
+  const { width, height } = params;
+
+  return {
+    ...initializeSystem(width, height, rng),
+    width,
+    height,
+    metabolicRate: params.metabolicRate,
+    integrity: 1,
+    alive: true,
+    frame: 0,
+    rng,
+  };
+}
+
+function tick(state) {
+  state.frame++;
+  const { membrane, producers, resources, cx, cy, radius, width, height, metabolicRate, rng } = state;
+
+  // 1. Membrane degradation (entropy)
+  let totalIntegrity = 0;
+  membrane.forEach(m => {
+    m.age += metabolicRate;
+
+    // Natural decay
+    if (m.age > m.maxAge * 0.7) {
+      m.integrity -= 0.001 * metabolicRate;
+    }
+
+    m.integrity = Math.max(0, Math.min(1, m.integrity));
+    totalIntegrity += m.integrity;
+  });
+
+  const avgIntegrity = totalIntegrity / membrane.length;
+  state.integrity = avgIntegrity;
+
+  // Check death condition
+  if (avgIntegrity < DEATH_THRESHOLD) {
+    state.alive = false;
+  }
+
+  // 2. Spawn environmental resources
+  if (state.frame % 30 === 0 && resources.length < 20) {
+    const angle = rng() * Math.PI * 2;
+    const dist = radius * 1.5 + rng() * 50;
+    resources.push({
+      x: cx + Math.cos(angle) * dist,
+      y: cy + Math.sin(angle) * dist,
+      vx: (rng() - 0.5) * 0.3,
+      vy: (rng() - 0.5) * 0.3,
+      type: 'nutrient',
+    });
+  }
+
+  // 3. Resources drift and can pass through membrane
+  resources.forEach(r => {
+    r.x += r.vx;
+    r.y += r.vy;
+
+    // Drift toward center slightly (concentration gradient)
+    const dx = cx - r.x;
+    const dy = cy - r.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    r.vx += dx / dist * 0.01;
+    r.vy += dy / dist * 0.01;
+
+    // Check if passes through weak membrane spot
+    const angle = Math.atan2(r.y - cy, r.x - cx);
+    const normalizedAngle = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    const membraneIdx = Math.floor((normalizedAngle / (Math.PI * 2)) * membrane.length);
+
+    if (dist < radius + 10 && dist > radius - 30) {
+      // Near membrane - can pass through based on integrity
+      const membraneStrength = membrane[membraneIdx]?.integrity || 0;
+      if (rng() > membraneStrength * 0.8) {
+        // Passes through
+        r.x += dx / dist * 5;
+        r.y += dy / dist * 5;
+      }
+    }
+  });
+
+  // Remove resources that left bounds
+  state.resources = resources.filter(r => {
+    const d = Math.sqrt((r.x - cx) ** 2 + (r.y - cy) ** 2);
+    return d < radius * 2 && r.x > 0 && r.x < width && r.y > 0 && r.y < height;
+  });
+
+  // 4. Producers move and work
+  producers.forEach(p => {
+    if (!state.alive) {
+      p.energy *= 0.99;
+      return;
+    }
+
+    // Brownian motion inside
+    p.vx += (rng() - 0.5) * 0.1;
+    p.vy += (rng() - 0.5) * 0.1;
+    p.vx *= 0.95;
+    p.vy *= 0.95;
+
+    p.x += p.vx;
+    p.y += p.vy;
+
+    // Stay inside membrane
+    const d = Math.sqrt((p.x - cx) ** 2 + (p.y - cy) ** 2);
+    if (d > radius - 20) {
+      const angle = Math.atan2(p.y - cy, p.x - cx);
+      p.x = cx + Math.cos(angle) * (radius - 25);
+      p.y = cy + Math.sin(angle) * (radius - 25);
+      p.vx *= -0.5;
+      p.vy *= -0.5;
+    }
+
+    // Consume nearby resources
+    state.resources = state.resources.filter(r => {
+      const rd = Math.sqrt((r.x - p.x) ** 2 + (r.y - p.y) ** 2);
+      if (rd < 20 && p.energy < 1.5) {
+        p.energy += 0.3;
+        return false;
+      }
+      return true;
+    });
+
+    // If energized, repair nearest weak membrane segment
+    if (p.energy > 0.5 && !p.producing) {
+      let weakest = -1;
+      let weakestIntegrity = 1;
+
+      membrane.forEach((m, i) => {
+        if (m.integrity < weakestIntegrity && m.integrity < 0.8) {
+          weakest = i;
+          weakestIntegrity = m.integrity;
+        }
+      });
+
+      if (weakest >= 0) {
+        p.producing = true;
+        p.targetMembrane = weakest;
+      }
+    }
+
+    // Production process
+    if (p.producing && p.targetMembrane >= 0) {
+      const target = membrane[p.targetMembrane];
+      if (target && p.energy > 0.1) {
+        target.integrity += 0.005 * metabolicRate;
+        p.energy -= 0.002 * metabolicRate;
+
+        if (target.integrity >= 1) {
+          target.integrity = 1;
+          target.age = 0;
+          target.maxAge = 300 + rng() * 200;
+          p.producing = false;
+          p.targetMembrane = -1;
+        }
+      } else {
+        p.producing = false;
+        p.targetMembrane = -1;
+      }
+    }
+
+    p.energy = Math.max(0, Math.min(1.5, p.energy));
+  });
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.metabolicRate !== undefined) state.metabolicRate = inputs.metabolicRate;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  integrity: 'Membrane integrity (0-1)',
+  alive: 'The system still maintains itself',
+  producerEnergy: 'Mean energy of the internal producers',
+  resources: 'Free resources in the system',
+};
+
+export function observe(state) {
+  const { producers } = state;
+  return {
+    integrity: state.integrity,
+    alive: state.alive,
+    producerEnergy: producers.reduce((sum, p) => sum + p.energy, 0) / producers.length,
+    resources: state.resources.length,
+  };
+}
+
+/**
+ * Damage five random membrane segments
+ */
+export function damage(state) {
+  for (let i = 0; i < 5; i++) {
+    const idx = Math.floor(state.rng() * state.membrane.length);
+    state.membrane[idx].integrity -= 0.3;
+  }
+}
+
+/**
+ * A fresh, living system
+ */
+export function reset(state) {
+  Object.assign(state, initializeSystem(state.width, state.height, state.rng), {
+    integrity: 1,
+    alive: true,
+    frame: 0,
+  });
+}
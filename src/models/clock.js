@@ -0,0 +1,40 @@
+/**
+ * Fixed-tick clock shared by the simulation models
+ *
+ * The dynamics were written as one update per animation frame, so models
+ * keep that tick and step(state, dt) runs however many ticks dt covers.
+ * The components step once per frame with FRAME_DT; tests can step whole
+ * seconds at once and get the same trajectory. Ticks are counted in
+ * state.ticks, so a state knows how much simulated time it has run.
+ */
+
+export const TICKS_PER_SECOND = 60;
+export const FRAME_DT = 1 / TICKS_PER_SECOND;
+
+// Leftover fractions of a tick closer to whole than this count as whole,
+// so sums of FRAME_DT don't drift a tick behind
+const EPSILON = 1e-6;
+
+/**
+ * Run tick(state) once per FRAME_DT in dt, carrying the remainder in
+ * state.pendingTicks, and return state
+ */
+export function advance(state, dt, tick) {
+  let pending = (state.pendingTicks || 0) + dt / FRAME_DT;
+
+  while (pending >= 1 - EPSILON) {
+    tick(state);
+    state.ticks = (state.ticks || 0) + 1;
+    pending -= 1;
+  }
+
+  state.pendingTicks = Math.max(0, pending);
+  return state;
+}
+
+/**
+ * Simulated time a state has run, in seconds
+ */
+export function elapsed(state) {
+  return (state.ticks || 0) / TICKS_PER_SECOND;
+}
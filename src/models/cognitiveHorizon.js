@@ -0,0 +1,137 @@
+/**
+ * Cognitive horizon model - H(ω) as a radius in thought space
+ *
+ * Thoughts sit at fixed distances from the self, clustered by category.
+ * The configuration sets a target horizon radius and the horizon eases
+ * towards it; a thought is accessible while it lies inside the horizon,
+ * and flickers while it's within 0.08 of it.
+ *
+ * params: { config }
+ * inputs: { config }
+ */
+
+import { advance, FRAME_DT } from './clock.js';
+
+// How far either side of the horizon a thought flickers
+const BOUNDARY_WIDTH = 0.08;
+
+// Thought nodes - scattered through mental space
+export const THOUGHT_CATEGORIES = [
+  { id: 'creative', label: 'Creative Ideas', color: '#a78bfa', distance: 0.7 },
+  { id: 'analytical', label: 'Analysis', color: '#60a5fa', distance: 0.5 },
+  { id: 'memory', label: 'Memories', color: '#4ade80', distance: 0.4 },
+  { id: 'planning', label: 'Planning', color: '#facc15', distance: 0.6 },
+  { id: 'empathy', label: 'Empathy', color: '#f472b6', distance: 0.65 },
+  { id: 'abstract', label: 'Abstract Thought', color: '#818cf8', distance: 0.8 },
+  { id: 'immediate', label: 'Immediate Concerns', color: '#f87171', distance: 0.2 },
+  { id: 'somatic', label: 'Body Awareness', color: '#2dd4bf', distance: 0.3 },
+];
+
+// Configuration states and their effect on H(ω) radius
+export const CONFIGURATIONS = {
+  flow: {
+    label: 'Flow State',
+    radius: 0.85,
+    color: '#4ade80',
+    description: 'Expanded access — creative and analytical thoughts both available'
+  },
+  calm: {
+    label: 'Calm',
+    radius: 0.7,
+    color: '#60a5fa',
+    description: 'Broad access — most thoughts reachable with effort'
+  },
+  stressed: {
+    label: 'Stressed',
+    radius: 0.45,
+    color: '#facc15',
+    description: 'Narrowed access — focus on immediate concerns'
+  },
+  overwhelmed: {
+    label: 'Overwhelmed',
+    radius: 0.25,
+    color: '#f87171',
+    description: 'Contracted — only survival-relevant thoughts accessible'
+  },
+};
+
+function generateThoughts(rng, count = 24) {
+  const thoughts = [];
+
+  THOUGHT_CATEGORIES.forEach(category => {
+    const thoughtsInCategory = Math.floor(count / THOUGHT_CATEGORIES.length);
+    for (let i = 0; i < thoughtsInCategory; i++) {
+      // Scatter thoughts at varying distances, clustered by category
+      const baseAngle = rng() * Math.PI * 2;
+      const angleVariance = (rng() - 0.5) * 0.8;
+      const angle = baseAngle + angleVariance;
+
+      // Distance from center, based on category's typical distance + variance
+      const distVariance = (rng() - 0.5) * 0.3;
+      const distance = Math.max(0.1, Math.min(0.95, category.distance + distVariance));
+
+      thoughts.push({
+        id: `${category.id}-${i}`,
+        category: category.id,
+        label: category.label,
+        color: category.color,
+        angle,
+        distance,
+        // For animation
+        pulsePhase: rng() * Math.PI * 2,
+        driftSpeed: 0.1 + rng() * 0.2,
+        driftAngle: rng() * Math.PI * 2,
+      });
+    }
+  });
+
+  return thoughts;
+}
+
+export function isAccessible(thought, radius) {
+  return thought.distance <= radius;
+}
+
+export function isAtBoundary(thought, radius) {
+  return Math.abs(thought.distance - radius) < BOUNDARY_WIDTH;
+}
+
+export function init(params, rng) {
+  return {
+    thoughts: generateThoughts(rng, 28),
+    config: params.config,
+    radius: CONFIGURATIONS[params.config].radius,
+    time: 0,
+    rng,
+  };
+}
+
+function tick(state) {
+  state.time += FRAME_DT;
+
+  // Smooth radius transition
+  const targetRadius = CONFIGURATIONS[state.config].radius;
+  state.radius += (targetRadius - state.radius) * 0.03;
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.config !== undefined) state.config = inputs.config;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  radius: 'Horizon radius (fraction of the space)',
+  targetRadius: 'Radius the configuration settles to',
+  accessible: 'Thoughts inside the horizon',
+  atBoundary: 'Thoughts at its edge',
+};
+
+export function observe(state) {
+  const { thoughts, radius } = state;
+  return {
+    radius,
+    targetRadius: CONFIGURATIONS[state.config].radius,
+    accessible: thoughts.filter(t => isAccessible(t, radius)).length,
+    atBoundary: thoughts.filter(t => isAtBoundary(t, radius)).length,
+  };
+}
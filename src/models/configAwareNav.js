@@ -0,0 +1,232 @@
+/**
+ * Configuration-aware navigation model - blind vs. aware agents in H(ω)
+ *
+ * Both agents start stressed, with a contracted horizon, and are given the
+ * same target thought beyond it. The aware agent models its own horizon
+ * and steps towards calmer states until the target is in range; the blind
+ * agent drifts between states at random and only finds the target by
+ * luck. Once both have it, new targets follow a second later.
+ *
+ * One tick is one agent action; the component runs `speed` ticks a frame.
+ *
+ * params: { width, height } (one agent's panel, px)
+ */
+
+import { advance } from './clock.js';
+
+// Ticks between both agents reaching the target and the next one
+const RETARGET_DELAY = 60;
+
+// States available to agents
+export const STATES = {
+  stressed: { radius: 0.3, color: '#f87171', label: 'Stressed', recovery: 0.002 },
+  neutral: { radius: 0.5, color: '#94a3b8', label: 'Neutral', recovery: 0.005 },
+  calm: { radius: 0.7, color: '#60a5fa', label: 'Calm', recovery: 0.008 },
+  flow: { radius: 0.85, color: '#4ade80', label: 'Flow', recovery: 0.01 },
+};
+
+export const STATE_ORDER = ['stressed', 'neutral', 'calm', 'flow'];
+
+export class Agent {
+  constructor(x, y, isAware, rng) {
+    this.rng = rng;
+    this.x = x;
+    this.y = y;
+    this.isAware = isAware;
+    this.state = 'neutral';
+    this.stateProgress = 0.5; // 0-1 within current state band
+    this.targetThought = null;
+    this.reachedTarget = false;
+    this.attempts = 0;
+    this.successes = 0;
+    this.strategyLabel = '';
+    this.actionCooldown = 0;
+  }
+
+  getCurrentRadius() {
+    return STATES[this.state].radius;
+  }
+
+  // Aware agent can see where target is relative to current H(ω)
+  canSeeTargetDistance() {
+    if (!this.targetThought) return null;
+    return this.targetThought.distance - this.getCurrentRadius();
+  }
+
+  // Strategic action: try to shift configuration
+  takeStrategicAction() {
+    if (this.actionCooldown > 0) {
+      this.actionCooldown--;
+      return;
+    }
+
+    if (!this.targetThought || this.reachedTarget) return;
+
+    const gap = this.canSeeTargetDistance();
+
+    if (this.isAware && gap !== null) {
+      // Aware agent: strategic navigation
+      if (gap > 0.05) {
+        // Target is outside current H(ω) — need to expand
+        // Strategy: move toward calmer states
+        const currentIdx = STATE_ORDER.indexOf(this.state);
+        if (currentIdx < STATE_ORDER.length - 1) {
+          this.strategyLabel = 'Expanding access...';
+          this.stateProgress += 0.02 + this.rng() * 0.02;
+
+          if (this.stateProgress >= 1) {
+            this.state = STATE_ORDER[currentIdx + 1];
+            this.stateProgress = 0;
+            this.strategyLabel = `→ ${STATES[this.state].label}`;
+            this.actionCooldown = 30;
+          }
+        } else {
+          this.strategyLabel = 'At max expansion';
+        }
+      } else {
+        // Target is accessible!
+        this.strategyLabel = 'Target in range!';
+        this.reachedTarget = true;
+        this.successes++;
+      }
+    } else {
+      // Blind agent: random walk through states
+      this.strategyLabel = 'Searching...';
+
+      // Random state drift
+      if (this.rng() < 0.03) {
+        const currentIdx = STATE_ORDER.indexOf(this.state);
+        const direction = this.rng() > 0.5 ? 1 : -1;
+        const newIdx = Math.max(0, Math.min(STATE_ORDER.length - 1, currentIdx + direction));
+
+        if (newIdx !== currentIdx) {
+          this.state = STATE_ORDER[newIdx];
+          this.stateProgress = 0.5;
+          this.strategyLabel = `Drifted to ${STATES[this.state].label}`;
+          this.actionCooldown = 20;
+        }
+      }
+
+      // Check if accidentally reached target
+      const radius = this.getCurrentRadius();
+      if (this.targetThought && this.targetThought.distance <= radius) {
+        this.reachedTarget = true;
+        this.successes++;
+        this.strategyLabel = 'Found it!';
+      }
+    }
+  }
+
+  // Assign a new target thought
+  assignTarget(thoughts) {
+    // Pick a thought that requires expansion (distance > 0.5)
+    const challengingThoughts = thoughts.filter(t => t.distance > 0.5 && t.distance < 0.9);
+    if (challengingThoughts.length > 0) {
+      this.targetThought = challengingThoughts[Math.floor(this.rng() * challengingThoughts.length)];
+    } else {
+      this.targetThought = thoughts[Math.floor(this.rng() * thoughts.length)];
+    }
+    this.reachedTarget = false;
+    this.attempts++;
+    this.state = 'stressed'; // Start in contracted state
+    this.stateProgress = 0.5;
+    this.strategyLabel = 'New target assigned';
+  }
+}
+
+function generateThoughts(rng) {
+  const thoughts = [];
+  const categories = [
+    { color: '#a78bfa', label: 'Creative' },
+    { color: '#60a5fa', label: 'Analytical' },
+    { color: '#4ade80', label: 'Memory' },
+    { color: '#facc15', label: 'Planning' },
+  ];
+
+  for (let i = 0; i < 16; i++) {
+    const angle = (i / 16) * Math.PI * 2 + rng() * 0.3;
+    const distance = 0.25 + rng() * 0.65;
+    const cat = categories[i % categories.length];
+
+    thoughts.push({
+      id: i,
+      angle,
+      distance,
+      color: cat.color,
+      label: cat.label,
+    });
+  }
+
+  return thoughts;
+}
+
+function assignTargets(state) {
+  state.agents.blind.assignTarget(state.thoughts);
+  state.agents.aware.assignTarget(state.thoughts);
+  state.retargetIn = null;
+}
+
+function createAgents(state) {
+  const { width, height, rng } = state;
+  state.agents = {
+    blind: new Agent(width / 2, height / 2, false, rng),
+    aware: new Agent(width / 2, height / 2, true, rng),
+  };
+  assignTargets(state);
+}
+
+export function init(params, rng) {
+  const state = {
+    width: params.width,
+    height: params.height,
+    thoughts: generateThoughts(rng),
+    retargetIn: null,
+    rng,
+  };
+  createAgents(state);
+  return state;
+}
+
+function tick(state) {
+  const { blind, aware } = state.agents;
+  blind.takeStrategicAction();
+  aware.takeStrategicAction();
+
+  // Check for completed targets, assign new ones
+  if (blind.reachedTarget && aware.reachedTarget) {
+    if (state.retargetIn === null) state.retargetIn = RETARGET_DELAY;
+    if (--state.retargetIn <= 0) assignTargets(state);
+  }
+}
+
+export function step(state, dt) {
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  'blind.state': 'Configuration of the blind agent',
+  'blind.attempts': 'Attempts by the blind agent',
+  'blind.successes': 'Successes of the blind agent',
+  'blind.reachedTarget': 'The blind agent reached the target',
+  'aware.state': 'Configuration of the aware agent',
+  'aware.attempts': 'Attempts by the aware agent',
+  'aware.successes': 'Successes of the aware agent',
+  'aware.reachedTarget': 'The aware agent reached the target',
+};
+
+export function observe(state) {
+  const stats = agent => ({
+    state: agent.state,
+    attempts: agent.attempts,
+    successes: agent.successes,
+    reachedTarget: agent.reachedTarget,
+  });
+  return { blind: stats(state.agents.blind), aware: stats(state.agents.aware) };
+}
+
+/**
+ * Fresh agents with a new target, in the same thought space
+ */
+export function reset(state) {
+  createAgents(state);
+}
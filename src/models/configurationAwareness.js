@@ -0,0 +1,231 @@
+/**
+ * Configuration awareness model - why modelling H(ω) is adaptive
+ *
+ * Two agents try, every 1.5 s, to reach a goal thought that needs a calm
+ * or flow configuration. The aware agent knows which state the goal needs
+ * and steps towards it (each change takes 2 s) before trying; the blind
+ * agent tries regardless while its state drifts at random, so most of its
+ * attempts fail.
+ *
+ * params: { width, height } (canvas px)
+ */
+
+import { advance, FRAME_DT } from './clock.js';
+
+export const STATES = {
+  stressed: { radius: 0.3, color: '#f87171', label: 'Stressed' },
+  neutral: { radius: 0.55, color: '#facc15', label: 'Neutral' },
+  calm: { radius: 0.75, color: '#60a5fa', label: 'Calm' },
+  flow: { radius: 0.9, color: '#4ade80', label: 'Flow' },
+};
+
+export const STATE_ORDER = ['stressed', 'neutral', 'calm', 'flow'];
+
+function generateGoalThought(rng) {
+  // Goal thought is always at a distance requiring calm or flow state
+  const angle = rng() * Math.PI * 2;
+  const distance = 0.6 + rng() * 0.25; // Requires calm or flow
+  return { angle, distance };
+}
+
+function generateThoughts(rng, count = 16) {
+  const thoughts = [];
+  for (let i = 0; i < count; i++) {
+    thoughts.push({
+      angle: rng() * Math.PI * 2,
+      distance: 0.15 + rng() * 0.75,
+      pulsePhase: rng() * Math.PI * 2,
+    });
+  }
+  return thoughts;
+}
+
+export class Agent {
+  constructor(x, y, isAware, rng) {
+    this.rng = rng;
+    this.x = x;
+    this.y = y;
+    this.isAware = isAware;
+    this.state = 'neutral';
+    this.targetState = 'neutral';
+    this.stateTransitionProgress = 1;
+    this.currentRadius = STATES.neutral.radius;
+    this.successes = 0;
+    this.attempts = 0;
+    this.lastAttemptTime = 0;
+    this.isReaching = false;
+    this.reachTarget = null;
+    this.reachProgress = 0;
+    this.waitingForStateChange = false;
+    this.stateChangeTimer = 0;
+  }
+
+  getCurrentRadius() {
+    return this.currentRadius;
+  }
+
+  canReach(thought) {
+    return thought.distance <= this.currentRadius;
+  }
+
+  // Aware agent can "see" what state it needs
+  getRequiredState(thought) {
+    for (const state of STATE_ORDER) {
+      if (thought.distance <= STATES[state].radius) {
+        return state;
+      }
+    }
+    return 'flow';
+  }
+
+  // Transition to a new state (takes time)
+  transitionTo(newState) {
+    if (this.state !== newState && !this.waitingForStateChange) {
+      this.targetState = newState;
+      this.waitingForStateChange = true;
+      this.stateChangeTimer = 0;
+    }
+  }
+
+  update(dt, goal) {
+    // State transition logic
+    if (this.waitingForStateChange) {
+      this.stateChangeTimer += dt;
+      // State changes take ~2 seconds
+      if (this.stateChangeTimer > 2) {
+        this.state = this.targetState;
+        this.waitingForStateChange = false;
+        this.stateChangeTimer = 0;
+      }
+    }
+
+    // Smooth radius transition
+    const targetRadius = STATES[this.state].radius;
+    this.currentRadius += (targetRadius - this.currentRadius) * 0.05;
+
+    // Attempt logic
+    if (!this.isReaching && !this.waitingForStateChange) {
+      this.lastAttemptTime += dt;
+
+      // Try to reach goal periodically
+      if (this.lastAttemptTime > 1.5) {
+        this.lastAttemptTime = 0;
+
+        if (this.isAware) {
+          // Aware agent: check if goal is reachable, if not, change state first
+          const requiredState = this.getRequiredState(goal);
+          const currentStateIdx = STATE_ORDER.indexOf(this.state);
+          const requiredStateIdx = STATE_ORDER.indexOf(requiredState);
+
+          if (requiredStateIdx > currentStateIdx) {
+            // Need a calmer state - deliberately transition
+            const nextState = STATE_ORDER[currentStateIdx + 1];
+            this.transitionTo(nextState);
+          } else if (this.canReach(goal)) {
+            // Can reach it now - go for it
+            this.isReaching = true;
+            this.reachTarget = goal;
+            this.reachProgress = 0;
+            this.attempts++;
+          }
+        } else {
+          // Blind agent: just tries randomly, state drifts randomly
+          // Random state drift
+          if (this.rng() < 0.3) {
+            const currentIdx = STATE_ORDER.indexOf(this.state);
+            const drift = this.rng() < 0.5 ? -1 : 1;
+            const newIdx = Math.max(0, Math.min(STATE_ORDER.length - 1, currentIdx + drift));
+            this.state = STATE_ORDER[newIdx];
+          }
+
+          // Try to reach regardless of whether it's possible
+          this.isReaching = true;
+          this.reachTarget = goal;
+          this.reachProgress = 0;
+          this.attempts++;
+        }
+      }
+    }
+
+    // Reaching animation
+    if (this.isReaching) {
+      this.reachProgress += dt * 0.8;
+
+      if (this.reachProgress >= 1) {
+        // Check if successful
+        if (this.canReach(this.reachTarget)) {
+          this.successes++;
+        }
+        this.isReaching = false;
+        this.reachTarget = null;
+        this.reachProgress = 0;
+      }
+    }
+  }
+}
+
+export function init(params, rng) {
+  const { width, height } = params;
+
+  return {
+    width,
+    height,
+    goal: generateGoalThought(rng),
+    thoughts: generateThoughts(rng, 16),
+    agents: {
+      blind: new Agent(width * 0.25, height / 2, false, rng),
+      aware: new Agent(width * 0.75, height / 2, true, rng),
+    },
+    rng,
+  };
+}
+
+function tick(state) {
+  state.agents.blind.update(FRAME_DT, state.goal);
+  state.agents.aware.update(FRAME_DT, state.goal);
+}
+
+export function step(state, dt) {
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  'blind.state': 'Configuration of the blind agent',
+  'blind.attempts': 'Attempts by the blind agent',
+  'blind.successes': 'Successes of the blind agent',
+  'aware.state': 'Configuration of the aware agent',
+  'aware.attempts': 'Attempts by the aware agent',
+  'aware.successes': 'Successes of the aware agent',
+};
+
+export function observe(state) {
+  const stats = agent => ({
+    state: agent.state,
+    attempts: agent.attempts,
+    successes: agent.successes,
+  });
+  return {
+    goal: state.goal,
+    blind: stats(state.agents.blind),
+    aware: stats(state.agents.aware),
+  };
+}
+
+/**
+ * Move the goal thought somewhere else
+ */
+export function newGoal(state) {
+  state.goal = generateGoalThought(state.rng);
+}
+
+/**
+ * Both agents back to neutral with no attempts, and a new goal
+ */
+export function reset(state) {
+  const { width, height, rng } = state;
+  state.agents = {
+    blind: new Agent(width * 0.25, height / 2, false, rng),
+    aware: new Agent(width * 0.75, height / 2, true, rng),
+  };
+  newGoal(state);
+}
@@ -0,0 +1,150 @@
+/**
+ * Controllosphere model - cognitive effort as climbing out of a manifold
+ *
+ * The configuration ω is pulled down towards the intrinsic manifold
+ * (automatic processing) and towards the centre, where H(ω) is. A control
+ * signal pushes it up into the controllosphere (controlled processing),
+ * which costs energy in proportion to the climb and builds up metabolic
+ * waste that clears more slowly than it accumulates. ACC tracks the
+ * prediction error of being away from the stable region.
+ *
+ * params: { controlSignal, width, height } (canvas px)
+ * inputs: { controlSignal }
+ */
+
+import { advance } from './clock.js';
+
+const ACC_HISTORY_LENGTH = 60;
+
+// Landscape geometry
+function createLandscape(width, height) {
+  return {
+    cx: width / 2,
+    manifoldY: height * 0.65, // Intrinsic manifold level
+    controllosphereY: height * 0.32, // Controllosphere level
+    hOmegaWidth: width * 0.35, // Width of H(ω) zone
+  };
+}
+
+function initialConfiguration(width, height) {
+  return {
+    x: width / 2,
+    y: height * 0.6,
+    vx: 0,
+    vy: 0,
+    inControllosphere: false,
+    predictionError: 0,
+    accHistory: [],
+    waste: 0,
+  };
+}
+
+export function init(params, rng) {
+  const { width, height } = params;
+
+  return {
+    width,
+    height,
+    ...createLandscape(width, height),
+    ...initialConfiguration(width, height),
+    controlSignal: params.controlSignal,
+    rng,
+  };
+}
+
+function tick(state) {
+  const { width, height, cx, manifoldY, controllosphereY, hOmegaWidth, controlSignal, rng } = state;
+
+  // Gravity toward intrinsic manifold (natural attractor)
+  const gravityStrength = 0.3;
+  const manifoldPull = (manifoldY - state.y) * 0.01 * gravityStrength;
+
+  // Control signal pushes upward into controllosphere
+  const controlPush = -controlSignal * 0.5;
+
+  // Lateral centering (stronger within H(ω))
+  const inHOmega = Math.abs(state.x - cx) < hOmegaWidth / 2;
+  const lateralPull = (cx - state.x) * (inHOmega ? 0.008 : 0.003);
+
+  // Apply forces
+  state.vy += manifoldPull + controlPush;
+  state.vx += lateralPull;
+
+  // Damping
+  state.vx *= 0.95;
+  state.vy *= 0.95;
+
+  // Random perturbation (less in H(ω))
+  const perturbScale = inHOmega ? 0.2 : 0.4;
+  state.vx += (rng() - 0.5) * perturbScale;
+  state.vy += (rng() - 0.5) * perturbScale * 0.7;
+
+  // Update position
+  state.x += state.vx;
+  state.y += state.vy;
+
+  // Boundaries
+  state.x = Math.max(60, Math.min(width - 60, state.x));
+  state.y = Math.max(60, Math.min(height - 50, state.y));
+
+  // Determine if in controllosphere
+  state.inControllosphere = state.y < (manifoldY + controllosphereY) / 2;
+
+  // ACC monitoring - prediction error based on distance from stable regions
+  const distFromManifold = Math.abs(state.y - manifoldY);
+  const distFromCenter = Math.abs(state.x - cx);
+  state.predictionError = (distFromManifold * 0.3 + distFromCenter * 0.1) / 50;
+  state.predictionError += rng() * 0.1; // Noise
+  state.predictionError = Math.min(1, state.predictionError);
+
+  // Track ACC history for visualization
+  state.accHistory.push(state.predictionError);
+  if (state.accHistory.length > ACC_HISTORY_LENGTH) state.accHistory.shift();
+
+  // Waste accumulation (builds up in controllosphere)
+  if (state.inControllosphere) {
+    state.waste = Math.min(100, state.waste + 0.05);
+  } else {
+    state.waste = Math.max(0, state.waste - 0.02); // Slow clearance
+  }
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.controlSignal !== undefined) state.controlSignal = inputs.controlSignal;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  predictionError: 'ACC signal: prediction error (0-1)',
+  metabolicCost: 'Metabolic cost of holding control',
+  waste: 'Accumulated metabolic waste (0-100)',
+  mode: 'controlled or automatic',
+  mappingSuccess: 'Recent prediction error is low',
+};
+
+export function observe(state) {
+  const { accHistory } = state;
+
+  // Mapping success (inverse of sustained high prediction error)
+  const avgError = accHistory.length
+    ? accHistory.reduce((a, b) => a + b, 0) / accHistory.length
+    : 0;
+
+  // Metabolic cost
+  const elevationAboveManifold = Math.max(0, state.manifoldY - state.y);
+
+  return {
+    mode: state.inControllosphere ? 'controlled' : 'automatic',
+    metabolicCost: elevationAboveManifold * 0.01,
+    waste: state.waste,
+    predictionError: state.predictionError,
+    mappingSuccess: avgError < 0.5,
+  };
+}
+
+/**
+ * Back to rest on the manifold, with no waste
+ */
+export function reset(state) {
+  Object.assign(state, initialConfiguration(state.width, state.height));
+}
@@ -0,0 +1,160 @@
+/**
+ * CSP model - constraint satisfaction under a working memory limit
+ *
+ * A backtracking solver whose search may hold at most `capacity` variables.
+ * It returns a valid solution or a categorical failure (memory exceeded,
+ * budget exhausted), never a wrong answer: whether a problem is solvable
+ * is a step at its minimum capacity, not a gradual decline.
+ *
+ * There is no time in this model; step only applies inputs, and solve and
+ * sweep are the actions.
+ *
+ * params: { problem, capacity }
+ * inputs: { problem, capacity }
+ */
+
+// Problem definitions
+export const PROBLEMS = {
+  simple3: { name: 'Simple (3)', nVars: 3, type: 'simple', minCapacity: 3, description: 'No constraints' },
+  simple5: { name: 'Simple (5)', nVars: 5, type: 'simple', minCapacity: 5, description: 'No constraints' },
+  chain4: { name: 'Chain (4)', nVars: 4, type: 'chain', minCapacity: 4, description: 'x₀ < x₁ < x₂ < x₃' },
+  queens4: { name: '4-Queens', nVars: 4, type: 'queens', minCapacity: 4, description: 'Non-attacking queens' },
+  queens5: { name: '5-Queens', nVars: 5, type: 'queens', minCapacity: 5, description: 'Non-attacking queens' },
+  queens6: { name: '6-Queens', nVars: 6, type: 'queens', minCapacity: 6, description: 'Non-attacking queens' },
+  queens7: { name: '7-Queens', nVars: 7, type: 'queens', minCapacity: 7, description: 'Non-attacking queens' },
+};
+
+/**
+ * Simple CSP solver with explicit memory limits
+ * Returns { result, solution, opsUsed, memoryUsed }
+ */
+export function solveCSP(problem, capacity, budget = 10000) {
+  const n = problem.nVars;
+
+  // Check if problem fits in memory at all
+  if (n > capacity) {
+    return { result: 'memory_exceeded', solution: null, opsUsed: 0, memoryUsed: n };
+  }
+
+  let opsCount = 0;
+  let maxMemory = 0;
+
+  // For queens, we need to find valid placement
+  if (problem.type === 'queens') {
+    const isValid = (positions, row, col) => {
+      for (let i = 0; i < row; i++) {
+        if (positions[i] === col) return false;
+        if (Math.abs(positions[i] - col) === Math.abs(i - row)) return false;
+      }
+      return true;
+    };
+
+    const solve = (positions, row) => {
+      opsCount++;
+      maxMemory = Math.max(maxMemory, positions.length);
+
+      if (opsCount > budget) return null;
+      if (row === n) return positions;
+
+      for (let col = 0; col < n; col++) {
+        opsCount++;
+        if (opsCount > budget) return null;
+
+        if (isValid(positions, row, col)) {
+          const result = solve([...positions, col], row + 1);
+          if (result) return result;
+        }
+      }
+      return null;
+    };
+
+    const solution = solve([], 0);
+    if (opsCount > budget) {
+      return { result: 'budget_exhausted', solution: null, opsUsed: opsCount, memoryUsed: maxMemory };
+    }
+    return {
+      result: solution ? 'success' : 'memory_exceeded',
+      solution,
+      opsUsed: opsCount,
+      memoryUsed: maxMemory
+    };
+  }
+
+  // Simple assignment - always succeeds if capacity sufficient
+  if (problem.type === 'simple') {
+    return {
+      result: 'success',
+      solution: Array(n).fill(0),
+      opsUsed: n,
+      memoryUsed: n
+    };
+  }
+
+  // Chain constraint
+  if (problem.type === 'chain') {
+    return {
+      result: 'success',
+      solution: Array(n).fill(0).map((_, i) => i),
+      opsUsed: n * 2,
+      memoryUsed: n
+    };
+  }
+
+  return { result: 'memory_exceeded', solution: null, opsUsed: 0, memoryUsed: 0 };
+}
+
+/**
+ * Solve a problem at every capacity from 1 to maxCapacity
+ */
+export function sweepCapacity(problem, maxCapacity = 10) {
+  const results = [];
+  for (let cap = 1; cap <= maxCapacity; cap++) {
+    const res = solveCSP(problem, cap);
+    results.push({ cap, result: res.result });
+  }
+  return results;
+}
+
+export function init(params) {
+  return {
+    problem: params.problem,
+    capacity: params.capacity,
+    result: { result: 'pending' },
+    sweep: [],
+  };
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.problem !== undefined && inputs.problem !== state.problem) {
+    state.problem = inputs.problem;
+    state.result = { result: 'pending' };
+    state.sweep = [];
+  }
+  if (inputs.capacity !== undefined && inputs.capacity !== state.capacity) {
+    state.capacity = inputs.capacity;
+    state.result = { result: 'pending' };
+  }
+  return state;
+}
+
+export function observe(state) {
+  const { result, opsUsed = 0, memoryUsed = 0 } = state.result;
+  const threshold = state.sweep.find(r => r.result === 'success')?.cap ?? null;
+  return { result, opsUsed, memoryUsed, threshold };
+}
+
+/**
+ * Run the solver at the current capacity
+ */
+export function solve(state) {
+  state.result = solveCSP(PROBLEMS[state.problem], state.capacity);
+  state.sweep = [];
+}
+
+/**
+ * Run the solver at every capacity, to find the I_h boundary
+ */
+export function sweep(state) {
+  state.result = { result: 'pending' };
+  state.sweep = sweepCapacity(PROBLEMS[state.problem]);
+}
@@ -0,0 +1,152 @@
+/**
+ * Energy affordance model - ATP as the driver of the cognitive horizon
+ *
+ * The activity mode drains ATP (or, resting, restores it) and the horizon
+ * radius follows ATP. Thoughts sit further out the more they cost, so as
+ * ATP depletes the expensive ones (creative, abstract) become
+ * inaccessible first and the cheap ones (immediate needs) never do.
+ *
+ * params: { atp, activity }
+ * inputs: { activity }
+ */
+
+import { advance, FRAME_DT } from './clock.js';
+
+// Drain rates are per ATP_INTERVAL seconds
+const ATP_INTERVAL = 0.05;
+
+// How far either side of the horizon a thought flickers
+const BOUNDARY_WIDTH = 0.07;
+
+// Thought categories with metabolic costs
+// Cost 1 = cheap (habitual), Cost 3 = expensive (creative/abstract)
+export const THOUGHT_CATEGORIES = [
+  { id: 'creative', label: 'Creative Ideas', color: '#a78bfa', baseDistance: 0.75, cost: 3 },
+  { id: 'abstract', label: 'Abstract Thought', color: '#818cf8', baseDistance: 0.8, cost: 3 },
+  { id: 'planning', label: 'Long-term Planning', color: '#facc15', baseDistance: 0.65, cost: 2 },
+  { id: 'empathy', label: 'Complex Empathy', color: '#f472b6', baseDistance: 0.6, cost: 2 },
+  { id: 'analytical', label: 'Analysis', color: '#60a5fa', baseDistance: 0.5, cost: 2 },
+  { id: 'memory', label: 'Episodic Memory', color: '#4ade80', baseDistance: 0.45, cost: 1 },
+  { id: 'somatic', label: 'Body Awareness', color: '#2dd4bf', baseDistance: 0.3, cost: 1 },
+  { id: 'immediate', label: 'Immediate Needs', color: '#f87171', baseDistance: 0.2, cost: 1 },
+];
+
+// Activity modes affecting ATP drain
+export const ACTIVITY_MODES = {
+  resting: {
+    label: 'Resting',
+    drainRate: -0.15,  // Actually recovers
+    color: '#4ade80',
+    description: 'ATP regenerating — horizon expanding'
+  },
+  relaxed: {
+    label: 'Relaxed',
+    drainRate: 0.02,
+    color: '#60a5fa',
+    description: 'Minimal drain — sustainable indefinitely'
+  },
+  active: {
+    label: 'Active Thinking',
+    drainRate: 0.12,
+    color: '#facc15',
+    description: 'Moderate drain — hours of capacity'
+  },
+  demanding: {
+    label: 'Demanding Work',
+    drainRate: 0.35,
+    color: '#fb923c',
+    description: 'High drain — depletes within minutes'
+  },
+  intensive: {
+    label: 'Intensive Focus',
+    drainRate: 0.6,
+    color: '#f87171',
+    description: 'Rapid drain — unsustainable'
+  }
+};
+
+function generateThoughts(rng, count = 28) {
+  const thoughts = [];
+
+  THOUGHT_CATEGORIES.forEach(category => {
+    const thoughtsInCategory = Math.floor(count / THOUGHT_CATEGORIES.length);
+    for (let i = 0; i < thoughtsInCategory + 1; i++) {
+      const baseAngle = (THOUGHT_CATEGORIES.indexOf(category) / THOUGHT_CATEGORIES.length) * Math.PI * 2;
+      const angleVariance = (rng() - 0.5) * 1.2;
+      const angle = baseAngle + angleVariance;
+
+      // Distance based on cost - expensive thoughts are further out
+      const costBonus = (category.cost - 1) * 0.1;
+      const distVariance = (rng() - 0.5) * 0.2;
+      const distance = Math.max(0.15, Math.min(0.9, category.baseDistance + costBonus + distVariance));
+
+      thoughts.push({
+        id: `${category.id}-${i}`,
+        category: category.id,
+        label: category.label,
+        color: category.color,
+        cost: category.cost,
+        angle,
+        distance,
+        pulsePhase: rng() * Math.PI * 2,
+        driftSpeed: 0.08 + rng() * 0.15,
+        driftAngle: rng() * Math.PI * 2,
+      });
+    }
+  });
+
+  return thoughts;
+}
+
+// Calculate horizon radius from ATP level
+// Using sqrt scaling so depletion feels gradual at first, then accelerates
+export function atpToRadius(atp) {
+  const minRadius = 0.2;  // Always keep immediate thoughts accessible
+  const maxRadius = 0.88;
+  return minRadius + (maxRadius - minRadius) * Math.pow(atp / 100, 0.6);
+}
+
+export function isAccessible(thought, radius) {
+  return thought.distance <= radius;
+}
+
+export function isAtBoundary(thought, radius) {
+  return Math.abs(thought.distance - radius) < BOUNDARY_WIDTH;
+}
+
+export function init(params, rng) {
+  return {
+    thoughts: generateThoughts(rng, 32),
+    atp: params.atp,
+    activity: params.activity,
+    rng,
+  };
+}
+
+function tick(state) {
+  const drain = ACTIVITY_MODES[state.activity].drainRate * FRAME_DT / ATP_INTERVAL;
+  state.atp = Math.max(0, Math.min(100, state.atp - drain));
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.activity !== undefined) state.activity = inputs.activity;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  atp: 'ATP level (0-100)',
+  radius: 'Affordance radius (fraction of the space)',
+  accessible: 'Thoughts within reach',
+  accessibleCost: 'Total energy cost of the thoughts within reach',
+};
+
+export function observe(state) {
+  const radius = atpToRadius(state.atp);
+  const accessible = state.thoughts.filter(t => isAccessible(t, radius));
+  return {
+    atp: state.atp,
+    radius,
+    accessible: accessible.length,
+    accessibleCost: accessible.reduce((sum, t) => sum + t.cost, 0),
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Fatigue recovery model - work/rest cycles and metabolic waste
+ *
+ * Working builds up waste (faster as capacity runs down), depletes
+ * capacity and slowly builds practice. Resting clears waste and restores
+ * capacity slowly; sleep does both four times as fast. Performance falls
+ * with waste, to a floor of 20%.
+ *
+ * params: { mode, width, height } (canvas px, for the particles)
+ * inputs: { mode } ('idle' | 'working' | 'resting' | 'sleeping')
+ */
+
+import { advance, FRAME_DT } from './clock.js';
+
+function initialState() {
+  return {
+    waste: 0,
+    capacity: 100,
+    practice: 0,
+    workTime: 0,
+    particles: [], // waste particles for visualization
+    glymphatic: [], // clearance flow particles
+  };
+}
+
+/**
+ * Performance (%) at a waste level
+ */
+export function getPerformance(waste) {
+  return Math.max(20, 100 - waste * 0.8);
+}
+
+export function init(params, rng) {
+  return {
+    width: params.width,
+    height: params.height,
+    mode: params.mode,
+    ...initialState(),
+    rng,
+  };
+}
+
+function tick(state) {
+  const { mode, width, height, rng } = state;
+
+  // Work mode: accumulate waste, deplete capacity, build practice
+  if (mode === 'working') {
+    // Waste accumulates faster when capacity is low
+    const wasteRate = 0.15 * (1 + (100 - state.capacity) * 0.01);
+    state.waste = Math.min(100, state.waste + wasteRate);
+
+    // Capacity depletes
+    state.capacity = Math.max(0, state.capacity - 0.08);
+
+    // Practice accumulates (learning)
+    state.practice = Math.min(100, state.practice + 0.02);
+
+    // Add waste particle
+    if (rng() < 0.1) {
+      state.particles.push({
+        x: width * 0.3 + rng() * width * 0.4,
+        y: height * 0.3 + rng() * height * 0.3,
+        vx: (rng() - 0.5) * 0.5,
+        vy: (rng() - 0.5) * 0.5,
+        life: 1,
+        size: 2 + rng() * 3,
+      });
+    }
+  }
+
+  // Rest mode: slow clearance
+  if (mode === 'resting') {
+    state.waste = Math.max(0, state.waste - 0.03);
+    state.capacity = Math.min(100, state.capacity + 0.02);
+
+    // Glymphatic flow visualization
+    if (rng() < 0.05 && state.waste > 5) {
+      state.glymphatic.push({
+        x: width * 0.2 + rng() * width * 0.6,
+        y: height * 0.5,
+        vy: 0.5 + rng() * 0.5,
+        life: 1,
+      });
+    }
+  }
+
+  // Sleep mode: accelerated clearance
+  if (mode === 'sleeping') {
+    state.waste = Math.max(0, state.waste - 0.12);
+    state.capacity = Math.min(100, state.capacity + 0.08);
+
+    // More glymphatic flow
+    if (rng() < 0.15 && state.waste > 2) {
+      state.glymphatic.push({
+        x: width * 0.2 + rng() * width * 0.6,
+        y: height * 0.4,
+        vy: 1 + rng() * 1,
+        life: 1,
+      });
+    }
+  }
+
+  // Update particles
+  state.particles = state.particles.filter(p => {
+    p.x += p.vx;
+    p.y += p.vy;
+    p.life -= 0.005;
+    return p.life > 0;
+  });
+
+  state.glymphatic = state.glymphatic.filter(p => {
+    p.y += p.vy;
+    p.life -= 0.02;
+    return p.life > 0 && p.y < height;
+  });
+
+  if (mode === 'working') state.workTime += FRAME_DT;
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.mode !== undefined) state.mode = inputs.mode;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  waste: 'Metabolic waste (0-100)',
+  capacity: 'Capacity (0-100)',
+  performance: 'Performance (fraction of full)',
+  practice: 'Practice (0-100)',
+  mode: 'working, resting or sleeping',
+  workTime: 'Time spent working (s)',
+};
+
+export function observe(state) {
+  return {
+    mode: state.mode,
+    waste: state.waste,
+    capacity: state.capacity,
+    practice: state.practice,
+    performance: getPerformance(state.waste),
+    workTime: state.workTime,
+  };
+}
+
+/**
+ * Fresh and idle
+ */
+export function reset(state) {
+  Object.assign(state, initialState(), { mode: 'idle' });
+}
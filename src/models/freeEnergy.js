@@ -0,0 +1,174 @@
+/**
+ * Free energy model - a system descending a free energy landscape
+ *
+ * The landscape is variational free energy F over state space, with three
+ * basins (attractors, expected states) and a little texture. The system is
+ * a damped particle rolling downhill, so F along its path falls until it
+ * settles in a basin.
+ *
+ * params: { width, height } (canvas px)
+ */
+
+import { advance } from './clock.js';
+import { restoreData } from './snapshot.js';
+import { createRandom } from '../utils/random.js';
+
+const DAMPING = 0.95;
+const GRAVITY = 0.15;
+const TRAIL_LENGTH = 100;
+const MARGIN = 10;
+
+// The landscape is redrawn from its texture seed, so snapshots leave it out
+export const SNAPSHOT_SKIP = ['landscape'];
+
+// Generate a free energy landscape. Its texture is the next draws from rng;
+// textureSeed is where those started, so they can be drawn again
+function generateLandscape(width, height, rng, resolution = 4) {
+  const textureSeed = rng.position();
+  const cols = Math.ceil(width / resolution);
+  const rows = Math.ceil(height / resolution);
+  const landscape = [];
+
+  // Create multiple basins (attractors in state space)
+  const basins = [
+    { x: width * 0.3, y: height * 0.4, depth: 1.0, spread: 80 },
+    { x: width * 0.7, y: height * 0.6, depth: 0.8, spread: 100 },
+    { x: width * 0.5, y: height * 0.3, depth: 0.6, spread: 60 },
+  ];
+
+  for (let row = 0; row < rows; row++) {
+    landscape[row] = [];
+    for (let col = 0; col < cols; col++) {
+      const x = col * resolution;
+      const y = row * resolution;
+
+      // Base energy (high = surprising states)
+      let energy = 1.0;
+
+      // Subtract basin contributions (low energy = expected states)
+      for (const basin of basins) {
+        const dx = x - basin.x;
+        const dy = y - basin.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const contribution = basin.depth * Math.exp(-(dist * dist) / (2 * basin.spread * basin.spread));
+        energy -= contribution;
+      }
+
+      // Add some noise for texture
+      energy += (rng() - 0.5) * 0.05;
+
+      landscape[row][col] = Math.max(0, Math.min(1, energy));
+    }
+  }
+
+  return { landscape, basins, resolution, cols, rows, textureSeed };
+}
+
+// Calculate gradient at a point (for particle dynamics)
+function getGradient(landscape, x, y, resolution) {
+  const col = Math.floor(x / resolution);
+  const row = Math.floor(y / resolution);
+
+  const rows = landscape.length;
+  const cols = landscape[0]?.length || 0;
+
+  if (row < 1 || row >= rows - 1 || col < 1 || col >= cols - 1) {
+    return { dx: 0, dy: 0, value: 0.5 };
+  }
+
+  // Central differences
+  const dx = (landscape[row][col + 1] - landscape[row][col - 1]) / 2;
+  const dy = (landscape[row + 1][col] - landscape[row - 1][col]) / 2;
+  const value = landscape[row][col];
+
+  return { dx, dy, value };
+}
+
+// Particle representing the system state
+function createParticle(x, y) {
+  return {
+    x, y,
+    vx: 0, vy: 0,
+    trail: [],
+    energy: 0,
+  };
+}
+
+export function init(params, rng) {
+  const { width, height } = params;
+
+  return {
+    width,
+    height,
+    ...generateLandscape(width, height, rng),
+    particle: createParticle(width * 0.2, height * 0.8),
+    rng,
+  };
+}
+
+function tick(state) {
+  const { particle, landscape, resolution } = state;
+  const grad = getGradient(landscape, particle.x, particle.y, resolution);
+
+  // Apply force (negative gradient = downhill)
+  particle.vx -= grad.dx * GRAVITY;
+  particle.vy -= grad.dy * GRAVITY;
+
+  // Damping
+  particle.vx *= DAMPING;
+  particle.vy *= DAMPING;
+
+  // Update position
+  particle.x += particle.vx;
+  particle.y += particle.vy;
+
+  // Boundary constraints
+  particle.x = Math.max(MARGIN, Math.min(state.width - MARGIN, particle.x));
+  particle.y = Math.max(MARGIN, Math.min(state.height - MARGIN, particle.y));
+
+  // Update trail
+  particle.trail.push({ x: particle.x, y: particle.y });
+  if (particle.trail.length > TRAIL_LENGTH) {
+    particle.trail.shift();
+  }
+
+  particle.energy = grad.value;
+}
+
+export function step(state, dt) {
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  freeEnergy: 'Free energy at the particle (height of the landscape)',
+  x: 'Particle x (px)',
+  y: 'Particle y (px)',
+};
+
+export function observe(state) {
+  const { x, y, energy } = state.particle;
+  return { x, y, freeEnergy: energy };
+}
+
+/**
+ * Put the system at rest at a point
+ */
+export function place(state, x, y) {
+  state.particle = createParticle(x, y);
+}
+
+/**
+ * A fresh landscape, with the system back at its starting point
+ */
+export function reset(state) {
+  Object.assign(state, generateLandscape(state.width, state.height, state.rng));
+  state.particle = createParticle(state.width * 0.2, state.height * 0.8);
+}
+
+/**
+ * Restore a snapshot (models/snapshot.js), redrawing the landscape
+ */
+export function restore(state, data) {
+  restoreData(state, data);
+  state.landscape = generateLandscape(state.width, state.height, createRandom(state.textureSeed)).landscape;
+}
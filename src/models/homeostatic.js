@@ -0,0 +1,167 @@
+/**
+ * Homeostatic model - feelings as homeostatic prediction error
+ *
+ * Five bodily variables drift randomly around their setpoints. With
+ * regulation on, each is pulled back towards its optimum. The feeling is
+ * the aggregate prediction error ε = μ* − μ, weighted by each variable's
+ * sensitivity: near 0 while homeostasis holds, rising towards 1 as it fails.
+ *
+ * params: { autoRegulate }
+ * inputs: { autoRegulate }
+ */
+
+import { advance, FRAME_DT } from './clock.js';
+
+export const VARIABLES = [
+  {
+    id: 'temperature',
+    label: 'Core Temp',
+    optimal: 37.0,
+    min: 35.0,
+    max: 40.0,
+    unit: '°C',
+    color: '#f87171',
+    sensitivity: 2.0,
+  },
+  {
+    id: 'glucose',
+    label: 'Blood Glucose',
+    optimal: 90,
+    min: 50,
+    max: 150,
+    unit: 'mg/dL',
+    color: '#facc15',
+    sensitivity: 1.0,
+  },
+  {
+    id: 'hydration',
+    label: 'Hydration',
+    optimal: 0.6,
+    min: 0.3,
+    max: 0.8,
+    unit: '%',
+    color: '#60a5fa',
+    sensitivity: 1.5,
+  },
+  {
+    id: 'oxygen',
+    label: 'O₂ Saturation',
+    optimal: 98,
+    min: 85,
+    max: 100,
+    unit: '%',
+    color: '#4ade80',
+    sensitivity: 3.0,
+  },
+  {
+    id: 'cortisol',
+    label: 'Cortisol',
+    optimal: 15,
+    min: 5,
+    max: 40,
+    unit: 'μg/dL',
+    color: '#a78bfa',
+    sensitivity: 0.8,
+  },
+];
+
+// Perturbation buttons: which variable each pushes, and how far
+export const PERTURBATIONS = {
+  fever: { variable: 'temperature', delta: 2.0 },
+  hunger: { variable: 'glucose', delta: -25 },
+  dehydration: { variable: 'hydration', delta: -0.15 },
+  stress: { variable: 'cortisol', delta: 15 },
+  hypoxia: { variable: 'oxygen', delta: -8 },
+};
+
+function initializeValues(rng) {
+  const values = {};
+  VARIABLES.forEach(v => {
+    const range = v.max - v.min;
+    values[v.id] = v.optimal + (rng() - 0.5) * range * 0.2;
+  });
+  return values;
+}
+
+/**
+ * The aggregate feeling (0 pleasant .. 1 crisis), the sensitivity-weighted
+ * aggregate error ε it is scaled from, and each variable's normalised error
+ */
+export function computeFeelingState(state) {
+  let totalError = 0;
+  const errors = {};
+
+  VARIABLES.forEach(v => {
+    const current = state.values[v.id];
+    const optimal = v.optimal;
+    const range = v.max - v.min;
+    const error = Math.abs(current - optimal) / range;
+    errors[v.id] = error;
+    totalError += error * v.sensitivity;
+  });
+
+  const feeling = Math.min(1, totalError / (VARIABLES.length * 0.5));
+  return { feeling, error: totalError, errors };
+}
+
+export function init(params, rng) {
+  return {
+    values: initializeValues(rng),
+    autoRegulate: params.autoRegulate,
+    time: 0,
+    rng,
+  };
+}
+
+function tick(state) {
+  const { values, rng } = state;
+  state.time += FRAME_DT;
+
+  VARIABLES.forEach(v => {
+    const range = v.max - v.min;
+    values[v.id] += (rng() - 0.5) * range * 0.003;
+
+    if (state.autoRegulate) {
+      const error = v.optimal - values[v.id];
+      values[v.id] += error * 0.02;
+    }
+
+    values[v.id] = Math.max(v.min, Math.min(v.max, values[v.id]));
+  });
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.autoRegulate !== undefined) state.autoRegulate = inputs.autoRegulate;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  error: 'Aggregate error ε: distance of each variable from its setpoint, as a fraction of its range, weighted by sensitivity',
+  feeling: 'Feeling: aggregate error scaled to 0 (fine) - 1 (worst)',
+  temperature: 'Core temperature (°C)',
+  glucose: 'Blood glucose (mg/dL)',
+  hydration: 'Hydration (%)',
+  oxygen: 'Blood oxygen saturation (%)',
+  cortisol: 'Cortisol (μg/dL)',
+};
+
+export function observe(state) {
+  const { feeling, error } = computeFeelingState(state);
+  return {
+    feeling,
+    error,
+    ...state.values,
+  };
+}
+
+/**
+ * Push one variable away from its setpoint (see PERTURBATIONS)
+ */
+export function perturb(state, type) {
+  const { variable, delta } = PERTURBATIONS[type];
+  state.values[variable] += delta;
+}
+
+export function reset(state) {
+  state.values = initializeValues(state.rng);
+}
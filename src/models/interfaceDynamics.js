@@ -0,0 +1,213 @@
+/**
+ * Interface dynamics model - proto-valence at the interfaces between cells
+ *
+ * Seven cells, each a Markov blanket with its own homeostatic rhythm. The
+ * mode fixes each cell's health and how strongly neighbours pull each
+ * other's phase into sync. Each interface's harmony is the weaker cell's
+ * health times how in phase the two are; proto-valence is the mean
+ * harmony over all interfaces. Particles carry exchange across each
+ * interface, smoothly when it's healthy and erratically when it isn't.
+ *
+ * params: { mode } (index into MODES)
+ * inputs: { mode }
+ */
+
+import { advance, FRAME_DT } from './clock.js';
+
+// Cell layout - organic cluster of ~7 cells
+export const CELL_LAYOUT = [
+  { id: 0, x: 0, y: 0, radius: 1.0 },           // Center cell
+  { id: 1, x: -0.9, y: -0.5, radius: 0.85 },   // Upper left
+  { id: 2, x: 0.9, y: -0.5, radius: 0.9 },     // Upper right
+  { id: 3, x: -0.95, y: 0.55, radius: 0.8 },   // Lower left
+  { id: 4, x: 0.95, y: 0.55, radius: 0.85 },   // Lower right
+  { id: 5, x: 0, y: -1.05, radius: 0.75 },     // Top
+  { id: 6, x: 0, y: 1.1, radius: 0.8 },        // Bottom
+];
+
+// Which cells are adjacent (share interfaces)
+export const INTERFACES = [
+  [0, 1], [0, 2], [0, 3], [0, 4], [0, 5], [0, 6],  // Center connects to all
+  [1, 5], [2, 5],  // Top neighbors
+  [3, 6], [4, 6],  // Bottom neighbors
+  [1, 3], [2, 4],  // Side neighbors
+];
+
+export const MODES = [
+  {
+    id: 'healthy',
+    name: 'Healthy Tissue',
+    description: 'All cells synchronized, smooth interfaces - tissue harmony',
+    cellStates: [0.9, 0.85, 0.9, 0.85, 0.9, 0.8, 0.85],
+    syncStrength: 0.9,
+  },
+  {
+    id: 'local_stress',
+    name: 'Local Stress',
+    description: 'Center cell under stress - interfaces show strain',
+    cellStates: [0.25, 0.7, 0.7, 0.65, 0.7, 0.75, 0.7],
+    syncStrength: 0.5,
+  },
+  {
+    id: 'spreading',
+    name: 'Spreading Signal',
+    description: 'Stress propagating outward from center',
+    cellStates: [0.2, 0.4, 0.45, 0.4, 0.4, 0.5, 0.45],
+    syncStrength: 0.3,
+  },
+  {
+    id: 'inflammation',
+    name: 'Inflammation',
+    description: 'Multiple cells stressed, chaotic interfaces',
+    cellStates: [0.3, 0.25, 0.35, 0.2, 0.3, 0.4, 0.25],
+    syncStrength: 0.15,
+  },
+  {
+    id: 'recovery',
+    name: 'Recovery',
+    description: 'Re-synchronizing after stress',
+    cellStates: [0.6, 0.55, 0.6, 0.5, 0.55, 0.65, 0.6],
+    syncStrength: 0.6,
+  },
+  {
+    id: 'asymmetric',
+    name: 'Asymmetric',
+    description: 'Left side stressed, right side healthy - boundary tension',
+    cellStates: [0.5, 0.25, 0.85, 0.2, 0.9, 0.5, 0.5],
+    syncStrength: 0.4,
+  },
+];
+
+function createCells(rng) {
+  return CELL_LAYOUT.map(layout => ({
+    ...layout,
+    phase: rng() * Math.PI * 2,
+    internalParticles: Array.from({ length: 15 }, () => ({
+      angle: rng() * Math.PI * 2,
+      radius: rng() * 0.7,
+      speed: 0.5 + rng() * 0.5,
+      phase: rng() * Math.PI * 2,
+    })),
+  }));
+}
+
+function createInterfaceParticles(rng) {
+  const particles = [];
+  INTERFACES.forEach(([a, b], idx) => {
+    for (let i = 0; i < 8; i++) {
+      particles.push({
+        interface: idx,
+        cellA: a,
+        cellB: b,
+        t: rng(),  // Position along interface (0 = at A, 1 = at B)
+        offset: (rng() - 0.5) * 0.3,  // Perpendicular offset
+        phase: rng() * Math.PI * 2,
+      });
+    }
+  });
+  return particles;
+}
+
+/**
+ * How in phase two cells are (1 = in step)
+ */
+export function getPhaseSync(cellA, cellB) {
+  return 1 - Math.abs(Math.sin(cellA.phase) - Math.sin(cellB.phase));
+}
+
+export function init(params, rng) {
+  return {
+    mode: params.mode,
+    cells: createCells(rng),
+    interfaceParticles: createInterfaceParticles(rng),
+    time: 0,
+    rng,
+  };
+}
+
+function tick(state) {
+  const { cells, rng } = state;
+  const { cellStates, syncStrength } = MODES[state.mode];
+  state.time += FRAME_DT;
+  const t = state.time;
+
+  // Update cell phases
+  cells.forEach((cell, i) => {
+    const health = cellStates[i];
+    // Healthy cells have steady rhythm, stressed cells are erratic
+    const baseSpeed = 1.5;
+    const jitter = (1 - health) * Math.sin(t * 7 + i * 3) * 0.5;
+    cell.phase += (baseSpeed + jitter) * FRAME_DT;
+
+    // Sync toward neighbors if sync strength is high
+    if (syncStrength > 0.3) {
+      const neighbors = INTERFACES
+        .filter(([a, b]) => a === i || b === i)
+        .map(([a, b]) => a === i ? b : a);
+
+      neighbors.forEach(ni => {
+        const neighborPhase = cells[ni].phase;
+        const phaseDiff = neighborPhase - cell.phase;
+        cell.phase += phaseDiff * syncStrength * 0.01;
+      });
+    }
+  });
+
+  // Move exchange particles along their interfaces
+  state.interfaceParticles.forEach(particle => {
+    const interfaceHealth = Math.min(cellStates[particle.cellA], cellStates[particle.cellB]);
+
+    // Movement speed depends on interface health
+    // Healthy = smooth flow, stressed = erratic
+    const baseSpeed = 0.008 * (0.5 + interfaceHealth * 0.5);
+    const jitter = (1 - interfaceHealth) * (rng() - 0.5) * 0.02;
+    particle.t += baseSpeed + jitter;
+
+    // Bounce or wrap
+    if (particle.t > 1) {
+      particle.t = 1;
+      particle.speed = -Math.abs(baseSpeed);
+    } else if (particle.t < 0) {
+      particle.t = 0;
+      particle.speed = Math.abs(baseSpeed);
+    }
+    if (particle.speed) particle.t += particle.speed;
+  });
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.mode !== undefined) state.mode = inputs.mode;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  protoValence: 'Proto-valence: harmony across cell interfaces',
+  phaseSync: 'Mean phase synchrony across interfaces',
+  avgHealth: 'Mean cell health in this mode',
+  syncStrength: 'Coupling strength of this mode',
+};
+
+export function observe(state) {
+  const { cells } = state;
+  const { cellStates, syncStrength } = MODES[state.mode];
+
+  // Calculate overall tissue state
+  const avgHealth = cellStates.reduce((a, b) => a + b, 0) / cellStates.length;
+
+  // Calculate interface harmony
+  let totalInterfaceHarmony = 0;
+  let totalPhaseSync = 0;
+  INTERFACES.forEach(([a, b]) => {
+    const phaseSync = getPhaseSync(cells[a], cells[b]);
+    totalInterfaceHarmony += Math.min(cellStates[a], cellStates[b]) * phaseSync;
+    totalPhaseSync += phaseSync;
+  });
+
+  return {
+    avgHealth,
+    syncStrength,
+    phaseSync: totalPhaseSync / INTERFACES.length,
+    // Proto-valence emerges from interface states
+    protoValence: totalInterfaceHarmony / INTERFACES.length,
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Interoceptive pathway model - bodily signals rising into a feeling
+ *
+ * Each signal type spawns particles at the body layer at a rate set by its
+ * intensity. They rise through the primary and integration layers,
+ * converging as they go, and on reaching "now" they update the global
+ * feeling: pain pulls valence down, cardiac signals and overall density
+ * push arousal up. Efferent regulation flows back down from the top.
+ *
+ * params: { signalIntensity, showEfferents, width } (canvas px)
+ * inputs: { signals } (intensity 0..1 per signal type), { showEfferents }
+ */
+
+import { advance, FRAME_DT } from './clock.js';
+
+const MAX_PARTICLES = 200;
+const MAX_EFFERENTS = 30;
+
+export const SIGNAL_TYPES = [
+  { id: 'thermal', label: 'Temperature', color: '#f87171', baseRate: 0.8 },
+  { id: 'visceral', label: 'Visceral', color: '#a78bfa', baseRate: 1.0 },
+  { id: 'cardiac', label: 'Cardiac', color: '#f472b6', baseRate: 1.2 },
+  { id: 'respiratory', label: 'Respiratory', color: '#60a5fa', baseRate: 0.9 },
+  { id: 'nociceptive', label: 'Pain', color: '#fbbf24', baseRate: 0.4 },
+];
+
+export const LAYERS = [
+  { id: 'body', label: 'Body', y: 0.85, description: 'Raw interoceptive signals' },
+  { id: 'primary', label: 'Primary', y: 0.6, description: 'Initial cortical representation' },
+  { id: 'integration', label: 'Integration', y: 0.38, description: 'Cross-modal binding' },
+  { id: 'now', label: 'Now', y: 0.15, description: 'Global emotional moment' },
+];
+
+function createParticle(type, x, width, rng) {
+  const signal = SIGNAL_TYPES.find(s => s.id === type) || SIGNAL_TYPES[0];
+  return {
+    type,
+    x: x + (rng() - 0.5) * width * 0.15,
+    y: LAYERS[0].y,
+    layer: 0,
+    progress: 0,
+    speed: 0.3 + rng() * 0.2,
+    color: signal.color,
+    size: 3 + rng() * 2,
+    wobble: rng() * Math.PI * 2,
+    wobbleSpeed: 1 + rng(),
+    opacity: 0.7 + rng() * 0.3,
+    merged: false,
+  };
+}
+
+function createEfferent(x, startY, rng) {
+  return {
+    x,
+    y: startY,
+    targetY: LAYERS[0].y + 0.05,
+    speed: 0.15 + rng() * 0.1,
+    opacity: 0.6,
+    size: 2,
+  };
+}
+
+// Signal intensities for the preset buttons
+export const PRESETS = {
+  calm: { thermal: 0.3, visceral: 0.2, cardiac: 0.3, respiratory: 0.3, nociceptive: 0.05 },
+  anxious: { thermal: 0.4, visceral: 0.7, cardiac: 0.9, respiratory: 0.8, nociceptive: 0.2 },
+  pain: { thermal: 0.5, visceral: 0.4, cardiac: 0.6, respiratory: 0.5, nociceptive: 0.9 },
+  exertion: { thermal: 0.8, visceral: 0.3, cardiac: 0.95, respiratory: 0.9, nociceptive: 0.3 },
+};
+
+export function init(params, rng) {
+  const signals = {};
+  SIGNAL_TYPES.forEach(s => { signals[s.id] = params.signalIntensity; });
+
+  return {
+    width: params.width,
+    signals,
+    showEfferents: params.showEfferents,
+    particles: [],
+    efferents: [],
+    feeling: { valence: 0, arousal: 0.5 },
+    rng,
+  };
+}
+
+// Spawn particles based on signal intensity
+function spawnParticles(state) {
+  const { width, signals, rng } = state;
+
+  SIGNAL_TYPES.forEach((signal, idx) => {
+    const spawnRate = signal.baseRate * signals[signal.id] * 0.15;
+
+    if (rng() < spawnRate) {
+      // Spread signals across the body layer
+      const spreadX = width * (0.15 + (idx / SIGNAL_TYPES.length) * 0.7);
+      state.particles.push(createParticle(signal.id, spreadX, width, rng));
+    }
+  });
+
+  // Limit particles
+  if (state.particles.length > MAX_PARTICLES) {
+    state.particles = state.particles.slice(-150);
+  }
+}
+
+// Spawn efferent signals (regulation flowing back down)
+function spawnEfferents(state) {
+  const { width, rng } = state;
+
+  if (rng() < 0.05) {
+    const x = width * (0.3 + rng() * 0.4);
+    state.efferents.push(createEfferent(x, LAYERS[3].y + 0.05, rng));
+  }
+
+  if (state.efferents.length > MAX_EFFERENTS) {
+    state.efferents = state.efferents.slice(-20);
+  }
+}
+
+function tick(state) {
+  spawnParticles(state);
+
+  if (state.showEfferents) {
+    spawnEfferents(state);
+    state.efferents = state.efferents.filter(e => {
+      e.y += e.speed * FRAME_DT * 2;
+      e.opacity -= 0.003;
+      return e.y <= e.targetY && e.opacity > 0;
+    });
+  }
+
+  // Track signals reaching the top for feeling computation
+  const topSignals = { thermal: 0, visceral: 0, cardiac: 0, respiratory: 0, nociceptive: 0 };
+  let totalTop = 0;
+
+  state.particles = state.particles.filter(p => {
+    // Move upward
+    p.progress += p.speed * FRAME_DT;
+
+    // Determine current layer based on progress
+    const targetLayer = Math.min(3, Math.floor(p.progress * 4));
+    if (targetLayer > p.layer) {
+      p.layer = targetLayer;
+      // Particles converge as they rise
+      const centerX = state.width / 2;
+      p.x = p.x + (centerX - p.x) * 0.3;
+      // Merge effect at higher layers
+      if (p.layer >= 2) {
+        p.merged = true;
+        p.size *= 0.8;
+      }
+    }
+
+    // Calculate Y position (interpolate between layers)
+    const fromLayer = LAYERS[Math.max(0, p.layer)];
+    const toLayer = LAYERS[Math.min(3, p.layer + 1)];
+    const layerProgress = (p.progress * 4) % 1;
+    p.y = fromLayer.y - (fromLayer.y - toLayer.y) * layerProgress;
+
+    // Wobble
+    p.wobble += p.wobbleSpeed * FRAME_DT;
+
+    // Absorbed into the "now" once it has completed the pathway (y stops
+    // at the top layer, so progress is what tells us it got there)
+    if (p.progress >= 1) {
+      topSignals[p.type]++;
+      totalTop++;
+      return false;
+    }
+    return true;
+  });
+
+  // Compute global feeling from integrated signals
+  if (totalTop > 0) {
+    const { feeling } = state;
+    const painRatio = topSignals.nociceptive / totalTop;
+    const cardiacRatio = topSignals.cardiac / totalTop;
+    const visceralRatio = topSignals.visceral / totalTop;
+
+    // Valence: negative if pain-heavy, neutral to positive otherwise
+    const newValence = feeling.valence * 0.95 +
+      (0.5 - painRatio * 2 + (1 - visceralRatio) * 0.3) * 0.05;
+
+    // Arousal: higher with more cardiac and overall signal density
+    const density = Math.min(1, totalTop / 10);
+    const newArousal = feeling.arousal * 0.95 +
+      (cardiacRatio * 0.5 + density * 0.5) * 0.05;
+
+    state.feeling = {
+      valence: Math.max(-1, Math.min(1, newValence)),
+      arousal: Math.max(0, Math.min(1, newArousal)),
+    };
+  }
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.signals !== undefined) state.signals = { ...inputs.signals };
+  if (inputs.showEfferents !== undefined) state.showEfferents = inputs.showEfferents;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  valence: 'Feeling valence (-1 to 1)',
+  arousal: 'Feeling arousal (0-1)',
+  particles: 'Afferent signals in flight',
+  efferents: 'Efferent signals in flight',
+};
+
+export function observe(state) {
+  return {
+    ...state.feeling,
+    particles: state.particles.length,
+    efferents: state.efferents.length,
+  };
+}
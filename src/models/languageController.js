@@ -0,0 +1,134 @@
+/**
+ * Language controller model - open-loop vs closed-loop language activation
+ *
+ * Activation is A = β₁L + β₂H(Z)_ling + β₃H(Z)_comm + β₄(L × H(Z)_comm).
+ * Fedorenko's paradigm measures the first two terms; with no listener and
+ * no feedback, H(Z)_comm is zero and the last two vanish. Naturalistic,
+ * closed-loop communication is where the missed activation lives.
+ *
+ * There is no time in this model; step only applies inputs.
+ *
+ * params: { scenario } (index into SCENARIOS)
+ * inputs: { scenario }
+ */
+
+// Example scenarios showing the distinction
+export const SCENARIOS = [
+  {
+    id: 'fedorenko_baseline',
+    name: "Fedorenko's Paradigm",
+    description: "Sentences vs nonwords in isolation",
+    context: '"The doctor examined the patient carefully."',
+    L: 0.4,           // Moderate linguistic complexity
+    Hz_ling: 0.3,     // Some within-sentence surprisal (words have varying predictability)
+    Hz_comm: 0,       // NO communicative uncertainty - no listener, no feedback
+    feedback: false,
+    explanation: "Standard localizer: captures L and H(Z)_ling, but H(Z)_comm = 0"
+  },
+  {
+    id: 'fedorenko_surprising',
+    name: "High Surprisal (Fedorenko)",
+    description: "Surprising sentence, still isolated",
+    context: '"Colorless green ideas sleep furiously."',
+    L: 0.5,           // Moderate complexity
+    Hz_ling: 0.9,     // HIGH linguistic surprisal - very unpredictable
+    Hz_comm: 0,       // Still no communicative context
+    feedback: false,
+    explanation: "This WOULD activate more in Fedorenko's paradigm (high surprisal)"
+  },
+  {
+    id: 'naturalistic_easy',
+    name: "Easy Communication",
+    description: "Simple message to familiar listener",
+    context: 'Telling your roommate: "I\'m going to the store."',
+    L: 0.2,           // Low complexity
+    Hz_ling: 0.2,     // Low surprisal - predictable phrasing
+    Hz_comm: 0.15,    // Low comm uncertainty - they know you, context is clear
+    feedback: true,
+    explanation: "Closed-loop, but low uncertainty on all fronts"
+  },
+  {
+    id: 'naturalistic_hard',
+    name: "Complex Communication",
+    description: "Technical explanation to novice",
+    context: 'Explaining quantum entanglement to your grandmother',
+    L: 0.8,           // High complexity
+    Hz_ling: 0.6,     // Moderate surprisal
+    Hz_comm: 0.85,    // HIGH comm uncertainty - Will she understand? How to adapt?
+    feedback: true,
+    explanation: "This is where Fedorenko's paradigm MISSES activation"
+  },
+  {
+    id: 'repair',
+    name: "Communication Repair",
+    description: "Listener signals confusion, must reformulate",
+    context: '"Wait, what do you mean?" → Rephrasing...',
+    L: 0.5,           // Moderate complexity on reformulation
+    Hz_ling: 0.4,     // Moderate surprisal
+    Hz_comm: 0.95,    // VERY HIGH - active uncertainty reduction
+    feedback: true,
+    explanation: "Maximum controller engagement - closed-loop error correction"
+  }
+];
+
+// Model coefficients (based on the theoretical framework)
+export const BETA = {
+  L: 0.25,            // Linguistic complexity
+  Hz_ling: 0.30,      // Linguistic uncertainty (what Fedorenko measures)
+  Hz_comm: 0.25,      // Communicative uncertainty (what she misses)
+  interaction: 0.20   // L × H(Z)_comm interaction
+};
+
+/**
+ * Activation terms for a scenario, split into what Fedorenko's paradigm
+ * measures and what it misses
+ */
+export function calculateActivation(s) {
+  const L_term = BETA.L * s.L;
+  const Hz_ling_term = BETA.Hz_ling * s.Hz_ling;
+  const Hz_comm_term = BETA.Hz_comm * s.Hz_comm;
+  const interaction_term = BETA.interaction * (s.L * s.Hz_comm);
+
+  // What Fedorenko measures
+  const fedorenko_sees = L_term + Hz_ling_term;
+
+  // What she misses
+  const fedorenko_misses = Hz_comm_term + interaction_term;
+
+  // Full activation
+  const total = fedorenko_sees + fedorenko_misses;
+
+  return {
+    L_term,
+    Hz_ling_term,
+    Hz_comm_term,
+    interaction_term,
+    fedorenko_sees,
+    fedorenko_misses,
+    total,
+    // Raw values for display
+    L: s.L,
+    Hz_ling: s.Hz_ling,
+    Hz_comm: s.Hz_comm
+  };
+}
+
+export function init(params) {
+  return { scenario: params.scenario };
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.scenario !== undefined) state.scenario = inputs.scenario;
+  return state;
+}
+
+export function observe(state) {
+  const { fedorenko_sees, fedorenko_misses, total } = calculateActivation(SCENARIOS[state.scenario]);
+  return {
+    scenario: SCENARIOS[state.scenario].id,
+    feedback: SCENARIOS[state.scenario].feedback,
+    measured: fedorenko_sees,
+    missed: fedorenko_misses,
+    total,
+  };
+}
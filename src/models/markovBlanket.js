@@ -0,0 +1,510 @@
+/**
+ * Markov blanket model - a physical membrane between internal and external
+ *
+ * Matter.js bodies: internal states (μ) inside a two-ring blanket of sensory
+ * (s, outer) and active (a, inner) states held together by springs, and
+ * external states (ψ) outside it. Containment forces keep μ and ψ on their
+ * own sides, so they only ever influence each other through the blanket.
+ * With flow on, ψ pulls on s, s on μ, and μ pushes on a.
+ *
+ * params: { flowEnabled, width, height } (canvas px)
+ * inputs: { flowEnabled }
+ */
+
+import Matter from 'matter-js';
+import { advance } from './clock.js';
+
+const { Engine, Bodies, Body, Bounds, Composite, Constraint } = Matter;
+
+// Particle type configurations
+export const TYPES = {
+  internal: {
+    color: '#60a5fa',
+    label: 'μ (internal)',
+    radius: 8,
+    count: 12,
+  },
+  external: {
+    color: '#f87171',
+    label: 'ψ (external)',
+    radius: 8,
+    count: 16,
+  },
+  sensory: {
+    color: '#4ade80',
+    label: 's (sensory)',
+    radius: 7,
+    count: 16,
+  },
+  active: {
+    color: '#facc15',
+    label: 'a (active)',
+    radius: 7,
+    count: 16,
+  },
+};
+
+// Create the physics world
+function createWorld(width, height, rng) {
+  const engine = Engine.create({
+    gravity: { x: 0, y: 0 },
+  });
+
+  const cx = width / 2;
+  const cy = height / 2;
+  const blanketRadius = Math.min(width, height) * 0.32;
+
+  const bodies = {
+    internal: [],
+    external: [],
+    sensory: [],
+    active: [],
+  };
+
+  const constraints = [];
+
+  // Create boundary walls (invisible)
+  const wallThickness = 50;
+  const walls = [
+    Bodies.rectangle(width / 2, -wallThickness / 2, width, wallThickness, { isStatic: true }),
+    Bodies.rectangle(width / 2, height + wallThickness / 2, width, wallThickness, { isStatic: true }),
+    Bodies.rectangle(-wallThickness / 2, height / 2, wallThickness, height, { isStatic: true }),
+    Bodies.rectangle(width + wallThickness / 2, height / 2, wallThickness, height, { isStatic: true }),
+  ];
+  Composite.add(engine.world, walls);
+
+  // Create sensory particles (outer ring of blanket)
+  const sensoryCount = TYPES.sensory.count;
+  for (let i = 0; i < sensoryCount; i++) {
+    const angle = (i / sensoryCount) * Math.PI * 2;
+    const x = cx + Math.cos(angle) * (blanketRadius + 12);
+    const y = cy + Math.sin(angle) * (blanketRadius + 12);
+
+    const body = Bodies.circle(x, y, TYPES.sensory.radius, {
+      friction: 0.1,
+      frictionAir: 0.02,
+      restitution: 0.6,
+    });
+    body.particleType = 'sensory';
+    body.originalAngle = angle;
+    bodies.sensory.push(body);
+  }
+
+  // Create active particles (inner ring of blanket)
+  const activeCount = TYPES.active.count;
+  for (let i = 0; i < activeCount; i++) {
+    const angle = (i / activeCount) * Math.PI * 2;
+    const x = cx + Math.cos(angle) * (blanketRadius - 12);
+    const y = cy + Math.sin(angle) * (blanketRadius - 12);
+
+    const body = Bodies.circle(x, y, TYPES.active.radius, {
+      friction: 0.1,
+      frictionAir: 0.02,
+      restitution: 0.6,
+    });
+    body.particleType = 'active';
+    body.originalAngle = angle;
+    bodies.active.push(body);
+  }
+
+  // Connect sensory particles to form outer membrane
+  for (let i = 0; i < sensoryCount; i++) {
+    const next = (i + 1) % sensoryCount;
+    const c = Constraint.create({
+      bodyA: bodies.sensory[i],
+      bodyB: bodies.sensory[next],
+      stiffness: 0.2,
+      damping: 0.1,
+    });
+    c.constraintType = 'sensory-ring';
+    constraints.push(c);
+  }
+
+  // Connect active particles to form inner membrane
+  for (let i = 0; i < activeCount; i++) {
+    const next = (i + 1) % activeCount;
+    const c = Constraint.create({
+      bodyA: bodies.active[i],
+      bodyB: bodies.active[next],
+      stiffness: 0.2,
+      damping: 0.1,
+    });
+    c.constraintType = 'active-ring';
+    constraints.push(c);
+  }
+
+  // Connect sensory to active (radial connections through blanket)
+  for (let i = 0; i < Math.min(sensoryCount, activeCount); i++) {
+    const c = Constraint.create({
+      bodyA: bodies.sensory[i],
+      bodyB: bodies.active[i],
+      stiffness: 0.08,
+      damping: 0.1,
+      length: 24,
+    });
+    c.constraintType = 'radial';
+    constraints.push(c);
+  }
+
+  // Anchor blanket to center (soft constraint to maintain shape)
+  const centerAnchor = Bodies.circle(cx, cy, 5, { isStatic: true });
+  Composite.add(engine.world, centerAnchor);
+
+  // Soft radial constraints to keep blanket roughly circular
+  bodies.sensory.forEach((body) => {
+    const c = Constraint.create({
+      bodyA: centerAnchor,
+      bodyB: body,
+      stiffness: 0.005,
+      damping: 0.05,
+      length: blanketRadius + 12,
+    });
+    c.constraintType = 'anchor';
+    constraints.push(c);
+  });
+
+  bodies.active.forEach((body) => {
+    const c = Constraint.create({
+      bodyA: centerAnchor,
+      bodyB: body,
+      stiffness: 0.005,
+      damping: 0.05,
+      length: blanketRadius - 12,
+    });
+    c.constraintType = 'anchor';
+    constraints.push(c);
+  });
+
+  // Create internal particles
+  for (let i = 0; i < TYPES.internal.count; i++) {
+    const angle = rng() * Math.PI * 2;
+    const r = rng() * (blanketRadius - 40);
+    const x = cx + Math.cos(angle) * r;
+    const y = cy + Math.sin(angle) * r;
+
+    const body = Bodies.circle(x, y, TYPES.internal.radius, {
+      friction: 0.05,
+      frictionAir: 0.015,
+      restitution: 0.8,
+    });
+    body.particleType = 'internal';
+    bodies.internal.push(body);
+  }
+
+  // Create external particles
+  for (let i = 0; i < TYPES.external.count; i++) {
+    const angle = rng() * Math.PI * 2;
+    const minR = blanketRadius + 35;
+    const maxR = Math.min(width, height) / 2 - 30;
+    const r = minR + rng() * (maxR - minR);
+    const x = cx + Math.cos(angle) * r;
+    const y = cy + Math.sin(angle) * r;
+
+    const body = Bodies.circle(x, y, TYPES.external.radius, {
+      friction: 0.05,
+      frictionAir: 0.015,
+      restitution: 0.8,
+    });
+    body.particleType = 'external';
+    bodies.external.push(body);
+  }
+
+  // Add all bodies to world
+  Composite.add(engine.world, [...bodies.internal, ...bodies.external, ...bodies.sensory, ...bodies.active]);
+  Composite.add(engine.world, constraints);
+
+  return { engine, bodies, constraints, cx, cy, blanketRadius, centerAnchor };
+}
+
+// Custom forces for information flow and containment
+function applyCustomForces(state) {
+  const { bodies, cx, cy, blanketRadius, flowEnabled, perturbation, width, height, rng } = state;
+  const forceMagnitude = 0.0003;
+  const containmentForce = 0.001;
+
+  // Internal particles: stay inside, interact with active states
+  bodies.internal.forEach(body => {
+    const dx = body.position.x - cx;
+    const dy = body.position.y - cy;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    // Soft containment inside blanket
+    if (dist > blanketRadius - 30) {
+      const pushBack = (dist - blanketRadius + 30) * containmentForce;
+      Body.applyForce(body, body.position, {
+        x: -dx / dist * pushBack,
+        y: -dy / dist * pushBack,
+      });
+    }
+
+    // Random Brownian motion
+    Body.applyForce(body, body.position, {
+      x: (rng() - 0.5) * forceMagnitude,
+      y: (rng() - 0.5) * forceMagnitude,
+    });
+
+    // If flow enabled, internal states influence active states
+    if (flowEnabled) {
+      bodies.active.forEach(active => {
+        const adx = active.position.x - body.position.x;
+        const ady = active.position.y - body.position.y;
+        const adist = Math.sqrt(adx * adx + ady * ady);
+
+        if (adist < 60 && adist > 0) {
+          const influence = 0.00005 * (60 - adist) / 60;
+          Body.applyForce(active, active.position, {
+            x: adx / adist * influence,
+            y: ady / adist * influence,
+          });
+        }
+      });
+    }
+  });
+
+  // External particles: stay outside, interact with sensory states
+  bodies.external.forEach(body => {
+    const dx = body.position.x - cx;
+    const dy = body.position.y - cy;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    // Soft containment outside blanket
+    if (dist < blanketRadius + 30) {
+      const pushOut = (blanketRadius + 30 - dist) * containmentForce;
+      Body.applyForce(body, body.position, {
+        x: dx / dist * pushOut,
+        y: dy / dist * pushOut,
+      });
+    }
+
+    // Keep in bounds
+    const maxDist = Math.min(width, height) / 2 - 20;
+    if (dist > maxDist) {
+      Body.applyForce(body, body.position, {
+        x: -dx / dist * containmentForce * 2,
+        y: -dy / dist * containmentForce * 2,
+      });
+    }
+
+    // Random motion
+    Body.applyForce(body, body.position, {
+      x: (rng() - 0.5) * forceMagnitude,
+      y: (rng() - 0.5) * forceMagnitude,
+    });
+
+    // If flow enabled, external states influence sensory states
+    if (flowEnabled) {
+      bodies.sensory.forEach(sensory => {
+        const sdx = sensory.position.x - body.position.x;
+        const sdy = sensory.position.y - body.position.y;
+        const sdist = Math.sqrt(sdx * sdx + sdy * sdy);
+
+        if (sdist < 60 && sdist > 0) {
+          const influence = 0.00005 * (60 - sdist) / 60;
+          Body.applyForce(sensory, sensory.position, {
+            x: -sdx / sdist * influence,
+            y: -sdy / sdist * influence,
+          });
+        }
+      });
+    }
+  });
+
+  // Sensory -> Internal flow (perception)
+  if (flowEnabled) {
+    bodies.sensory.forEach(sensory => {
+      bodies.internal.forEach(internal => {
+        const dx = internal.position.x - sensory.position.x;
+        const dy = internal.position.y - sensory.position.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (dist < 50 && dist > 0) {
+          const influence = 0.00002 * (50 - dist) / 50;
+          Body.applyForce(internal, internal.position, {
+            x: -dx / dist * influence,
+            y: -dy / dist * influence,
+          });
+        }
+      });
+    });
+  }
+
+  // Apply perturbation if active
+  if (perturbation) {
+    const { x, y, radius } = perturbation;
+    [...bodies.internal, ...bodies.external, ...bodies.sensory, ...bodies.active].forEach(body => {
+      const pdx = body.position.x - x;
+      const pdy = body.position.y - y;
+      const pdist = Math.sqrt(pdx * pdx + pdy * pdy);
+
+      if (pdist < radius && pdist > 0) {
+        const force = 0.003 * (radius - pdist) / radius;
+        Body.applyForce(body, body.position, {
+          x: pdx / pdist * force,
+          y: pdy / pdist * force,
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Mean strain of the blanket's springs (0 at rest)
+ */
+export function getMembraneStress(state) {
+  let membraneStress = 0;
+  let visibleConstraints = 0;
+  state.constraints.forEach(c => {
+    if (c.constraintType === 'anchor') return;
+    if (c.bodyA && c.bodyB) {
+      const dx = c.bodyA.position.x - c.bodyB.position.x;
+      const dy = c.bodyA.position.y - c.bodyB.position.y;
+      const currentLength = Math.sqrt(dx * dx + dy * dy);
+      const restLength = c.length || 30;
+      const strain = Math.abs(currentLength - restLength) / restLength;
+      membraneStress += strain;
+      visibleConstraints++;
+    }
+  });
+  return visibleConstraints > 0 ? membraneStress / visibleConstraints : 0;
+}
+
+// Fraction of bodies of a type on their own side of the blanket
+function fractionOnSide(state, type, inside) {
+  const { cx, cy, blanketRadius } = state;
+  const onSide = state.bodies[type].filter(body => {
+    const dist = Math.hypot(body.position.x - cx, body.position.y - cy);
+    return inside ? dist < blanketRadius : dist > blanketRadius;
+  });
+  return onSide.length / state.bodies[type].length;
+}
+
+export function init(params, rng) {
+  const { width, height } = params;
+
+  return {
+    ...createWorld(width, height, rng),
+    width,
+    height,
+    flowEnabled: params.flowEnabled,
+    perturbation: null,
+    rng,
+  };
+}
+
+function tick(state) {
+  applyCustomForces(state);
+  Engine.update(state.engine, 1000 / 60);
+
+  // The perturbation's ripple expands over 20 ticks, then it's spent
+  if (state.perturbation) {
+    state.perturbation.life += 0.05;
+    if (state.perturbation.life > 1) state.perturbation = null;
+  }
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.flowEnabled !== undefined) state.flowEnabled = inputs.flowEnabled;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  membrane: 'Membrane stress (0-100)',
+  internalInside: 'Fraction of internal states inside the blanket',
+  externalOutside: 'Fraction of external states outside it',
+  flowEnabled: 'Sensory/active flow is on',
+};
+
+export function observe(state) {
+  return {
+    membrane: Math.min(100, getMembraneStress(state) * 200),
+    flowEnabled: state.flowEnabled,
+    internalInside: fractionOnSide(state, 'internal', true),
+    externalOutside: fractionOnSide(state, 'external', false),
+  };
+}
+
+/**
+ * Push everything within 100px of (x, y) outwards
+ */
+export function perturb(state, x, y) {
+  state.perturbation = { x, y, radius: 100, life: 0 };
+}
+
+/**
+ * Release the physics engine
+ */
+export function dispose(state) {
+  Composite.clear(state.engine.world);
+  Engine.clear(state.engine);
+}
+
+/**
+ * The bodies' motion and geometry and the run's settings, for
+ * models/snapshot.js (the engine itself isn't data). Matter.js's contact
+ * caches aren't kept, so a snapshot taken mid-collision can resume slightly
+ * differently.
+ */
+export function snapshot(state) {
+  const motion = body => ({
+    position: { ...body.position },
+    positionPrev: { ...body.positionPrev },
+    velocity: { ...body.velocity },
+    angle: body.angle,
+    anglePrev: body.anglePrev,
+    angularVelocity: body.angularVelocity,
+    constraintImpulse: { ...body.constraintImpulse },
+    positionImpulse: { ...body.positionImpulse },
+    vertices: body.vertices.map(({ x, y }) => ({ x, y })),
+    axes: body.axes.map(({ x, y }) => ({ x, y })),
+  });
+  const bodies = {};
+  for (const [type, list] of Object.entries(state.bodies)) {
+    bodies[type] = list.map(motion);
+  }
+
+  return {
+    bodies,
+    flowEnabled: state.flowEnabled,
+    perturbation: state.perturbation,
+    pendingTicks: state.pendingTicks,
+    ticks: state.ticks,
+  };
+}
+
+/**
+ * Put the bodies of a fresh world (same size) where a snapshot had them
+ */
+export function restore(state, data) {
+  for (const [type, list] of Object.entries(data.bodies)) {
+    list.forEach((motion, i) => {
+      const body = state.bodies[type][i];
+      // Moves the axes and bounds too; then pin the exact values it rounds
+      Body.setPosition(body, motion.position);
+      Body.setAngle(body, motion.angle);
+      Object.assign(body.position, motion.position);
+      body.angle = motion.angle;
+      motion.vertices.forEach((vertex, j) => Object.assign(body.vertices[j], vertex));
+      motion.axes.forEach((axis, j) => Object.assign(body.axes[j], axis));
+      Object.assign(body.positionPrev, motion.positionPrev);
+      Object.assign(body.velocity, motion.velocity);
+      body.anglePrev = motion.anglePrev;
+      body.angularVelocity = motion.angularVelocity;
+      Object.assign(body.constraintImpulse, motion.constraintImpulse);
+      Object.assign(body.positionImpulse, motion.positionImpulse);
+      Bounds.update(body.bounds, body.vertices, body.velocity);
+    });
+  }
+
+  state.flowEnabled = data.flowEnabled;
+  state.perturbation = data.perturbation;
+  state.pendingTicks = data.pendingTicks;
+  state.ticks = data.ticks;
+}
+
+/**
+ * A fresh world, with the flow setting kept
+ */
+export function reset(state) {
+  dispose(state);
+  Object.assign(state, createWorld(state.width, state.height, state.rng), { perturbation: null });
+}
@@ -0,0 +1,222 @@
+/**
+ * Meta-modeling model - agents that model each other and themselves
+ *
+ * Three agents wander the space. Each holds noisy, lagging models of the
+ * others (theory of mind) and of itself. Each model of another agent holds
+ * a meta-model, which follows the model it sits in. Accuracy falls with
+ * depth, so meta-models lag and jitter more than first-order models.
+ *
+ * params: { width, height } (canvas px)
+ */
+
+import { advance, FRAME_DT } from './clock.js';
+
+// References between agents, rebuilt by init rather than snapshotted
+export const SNAPSHOT_SKIP = ['parent', 'subject'];
+
+// Agent class - each agent models its environment (including other agents)
+export class Agent {
+  constructor(x, y, level, parent, rng) {
+    this.x = x;
+    this.y = y;
+    this.level = level;
+    this.parent = parent;
+    this.velocity = { x: 0, y: 0 };
+    this.target = { x, y };
+    this.model = null; // Internal model of environment
+    this.modelAccuracy = 0;
+    this.attention = 0; // Where attention is focused
+    this.innerAgents = []; // Models of other agents (recursive!)
+    this.color = level === 0 ? '#4ade80' : level === 1 ? '#60a5fa' : '#a78bfa';
+    this.id = rng().toString(36).substr(2, 9);
+    this.rng = rng;
+  }
+
+  // Create internal model of another agent
+  modelAgent(other, depth = 0) {
+    if (depth >= 2) return null; // Limit recursion
+
+    const modeled = new Agent(
+      other.x + (this.rng() - 0.5) * 20, // Imperfect model
+      other.y + (this.rng() - 0.5) * 20,
+      this.level + 1,
+      this,
+      this.rng
+    );
+    modeled.modelAccuracy = 0.7 - depth * 0.2;
+    modeled.subject = other; // Who this is a model of
+    return modeled;
+  }
+}
+
+function initializeAgents(width, height, rng, count = 3) {
+  const agents = [];
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.min(width, height) * 0.25;
+
+  for (let i = 0; i < count; i++) {
+    const angle = (i / count) * Math.PI * 2;
+    const x = centerX + Math.cos(angle) * radius;
+    const y = centerY + Math.sin(angle) * radius;
+    agents.push(new Agent(x, y, 0, null, rng));
+  }
+
+  // Each agent models the others
+  agents.forEach((agent, i) => {
+    agents.forEach((other, j) => {
+      if (i !== j) {
+        const model = agent.modelAgent(other, 0);
+        if (model) {
+          agent.innerAgents.push(model);
+
+          // Recursive: the model also models (theory of mind)
+          agents.forEach((other2, k) => {
+            if (k !== j && k !== i) {
+              const metaModel = model.modelAgent(other2, 1);
+              if (metaModel) {
+                model.innerAgents.push(metaModel);
+              }
+            }
+          });
+        }
+      }
+    });
+
+    // Self-model (the crucial piece for consciousness)
+    const selfModel = agent.modelAgent(agent, 0);
+    if (selfModel) {
+      selfModel.isSelfModel = true;
+      agent.innerAgents.push(selfModel);
+    }
+  });
+
+  return agents;
+}
+
+function updateAgents(state) {
+  const { agents, width, height, time, rng } = state;
+  const damping = 0.95;
+  const cohesion = 0.001;
+  const separation = 50;
+  const separationForce = 0.5;
+
+  agents.forEach(agent => {
+    // Gentle wandering
+    agent.target.x = width/2 + Math.cos(time * 0.5 + agent.x * 0.01) * width * 0.3;
+    agent.target.y = height/2 + Math.sin(time * 0.7 + agent.y * 0.01) * height * 0.3;
+
+    // Move toward target
+    agent.velocity.x += (agent.target.x - agent.x) * cohesion;
+    agent.velocity.y += (agent.target.y - agent.y) * cohesion;
+
+    // Separation from others
+    agents.forEach(other => {
+      if (other.id === agent.id) return;
+      const dx = agent.x - other.x;
+      const dy = agent.y - other.y;
+      const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+      if (dist < separation) {
+        agent.velocity.x += (dx / dist) * separationForce * (separation - dist) / separation;
+        agent.velocity.y += (dy / dist) * separationForce * (separation - dist) / separation;
+      }
+    });
+
+    // Damping
+    agent.velocity.x *= damping;
+    agent.velocity.y *= damping;
+
+    // Update position
+    agent.x += agent.velocity.x;
+    agent.y += agent.velocity.y;
+
+    // Boundary
+    agent.x = Math.max(50, Math.min(width - 50, agent.x));
+    agent.y = Math.max(50, Math.min(height - 50, agent.y));
+
+    // Update internal models (they track their subject with noise)
+    agent.innerAgents.forEach(inner => {
+      const targetX = inner.subject.x;
+      const targetY = inner.subject.y;
+
+      // Models are imperfect - they lag and have noise
+      inner.x += (targetX - inner.x) * 0.1 * inner.modelAccuracy;
+      inner.y += (targetY - inner.y) * 0.1 * inner.modelAccuracy;
+      inner.x += (rng() - 0.5) * 2 * (1 - inner.modelAccuracy);
+      inner.y += (rng() - 0.5) * 2 * (1 - inner.modelAccuracy);
+
+      // Recursive update
+      inner.innerAgents.forEach(meta => {
+        meta.x += (inner.x - meta.x) * 0.05 * meta.modelAccuracy;
+        meta.y += (inner.y - meta.y) * 0.05 * meta.modelAccuracy;
+        meta.x += (rng() - 0.5) * 3 * (1 - meta.modelAccuracy);
+        meta.y += (rng() - 0.5) * 3 * (1 - meta.modelAccuracy);
+      });
+    });
+
+    // Attention cycles between models
+    agent.attention = (agent.attention + 0.02) % agent.innerAgents.length;
+  });
+}
+
+function distance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+}
+
+export function init(params, rng) {
+  const { width, height } = params;
+  return {
+    width,
+    height,
+    agents: initializeAgents(width, height, rng),
+    time: 0,
+    rng,
+  };
+}
+
+function tick(state) {
+  state.time += FRAME_DT;
+  updateAgents(state);
+}
+
+export function step(state, dt) {
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  selfModelError: 'Mean error of agents modelling themselves (px)',
+  otherModelError: 'Mean error of agents modelling others (px)',
+  metaModelError: 'Mean error of models of those models (px)',
+};
+
+/**
+ * Mean distance (px) between each kind of model and what it tracks: the
+ * agent it models, or for meta-models the model holding them
+ */
+export function observe(state) {
+  const errors = { self: [], other: [], meta: [] };
+
+  state.agents.forEach(agent => {
+    agent.innerAgents.forEach(inner => {
+      errors[inner.isSelfModel ? 'self' : 'other'].push(distance(inner, inner.subject));
+      inner.innerAgents.forEach(meta => {
+        errors.meta.push(distance(meta, meta.parent));
+      });
+    });
+  });
+
+  const mean = xs => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  return {
+    selfModelError: mean(errors.self),
+    otherModelError: mean(errors.other),
+    metaModelError: mean(errors.meta),
+  };
+}
+
+/**
+ * Fresh agents, back in their starting ring
+ */
+export function reset(state) {
+  state.agents = initializeAgents(state.width, state.height, state.rng);
+}
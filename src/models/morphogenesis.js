@@ -0,0 +1,307 @@
+/**
+ * Morphogenesis model - bioelectric pattern formation and regeneration
+ *
+ * A grid of cells holds voltages. Gap junctions diffuse voltage between
+ * neighbours and healthy cells are drawn towards a target pattern, so the
+ * tissue settles into it. Damaged cells have lost the pattern: they only
+ * learn it from at least two healthy neighbours, and rejoin the healthy
+ * tissue once they match it, so healing propagates from the edge of a
+ * wound inwards.
+ *
+ * params: { pattern, gapJunctionStrength, targetAttraction, noise,
+ *   width, height } (canvas px, one cell per CELL_SIZE)
+ * inputs: { gapJunctionStrength, targetAttraction, noise }
+ */
+
+import { advance } from './clock.js';
+import { restoreData } from './snapshot.js';
+
+export const CELL_SIZE = 8;
+
+// The target pattern follows from the pattern name, so snapshots leave it out
+export const SNAPSHOT_SKIP = ['target'];
+
+// Damaged cells rejoin the healthy tissue a few at a time, so the healing
+// wave is visible
+const MAX_HEAL_PER_TICK = 3;
+
+// Target patterns - what the tissue "wants" to become
+export const PATTERNS = {
+  circle: (x, y, cols, rows) => {
+    const cx = cols / 2;
+    const cy = rows / 2;
+    const r = Math.min(cols, rows) * 0.35;
+    const dist = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
+    return dist < r ? 0.8 : 0.2;
+  },
+  gradient: (x, y, cols) => {
+    return 0.2 + 0.6 * (x / cols);
+  },
+  stripes: (x, y, cols) => {
+    return Math.sin(x / cols * Math.PI * 4) > 0 ? 0.8 : 0.2;
+  },
+  spots: (x, y, cols, rows) => {
+    const freq = 6;
+    const val = Math.sin(x / cols * Math.PI * freq) * Math.sin(y / rows * Math.PI * freq);
+    return val > 0 ? 0.8 : 0.2;
+  },
+};
+
+// The voltage each cell should settle at
+function targetPattern(cols, rows, pattern) {
+  const patternFn = PATTERNS[pattern];
+  const target = [];
+  for (let y = 0; y < rows; y++) {
+    target[y] = [];
+    for (let x = 0; x < cols; x++) {
+      target[y][x] = patternFn(x, y, cols, rows);
+    }
+  }
+  return target;
+}
+
+function initializeGrid(cols, rows, pattern, rng) {
+  const grid = [];
+
+  for (let y = 0; y < rows; y++) {
+    grid[y] = [];
+    for (let x = 0; x < cols; x++) {
+      // Start with noise
+      grid[y][x] = 0.5 + (rng() - 0.5) * 0.3;
+    }
+  }
+
+  return { grid, target: targetPattern(cols, rows, pattern) };
+}
+
+/**
+ * What a cell's healthy (non-damaged) neighbours hold
+ * Returns { targetAvg, voltageAvg, count }, or null if it has none
+ */
+export function getHealthyNeighborInfo(state, x, y) {
+  const { cols, rows, grid, target, damaged } = state;
+  let healthyTargetSum = 0;
+  let healthyVoltageSum = 0;
+  let healthyCount = 0;
+
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx >= 0 && nx < cols && ny >= 0 && ny < rows) {
+        // A neighbor is "healthy" if it's not damaged
+        if (!damaged[ny]?.[nx]) {
+          healthyTargetSum += target[ny][nx];
+          healthyVoltageSum += grid[ny][nx];
+          healthyCount++;
+        }
+      }
+    }
+  }
+
+  if (healthyCount > 0) {
+    return {
+      targetAvg: healthyTargetSum / healthyCount,
+      voltageAvg: healthyVoltageSum / healthyCount,
+      count: healthyCount
+    };
+  }
+  return null;
+}
+
+/**
+ * Whether a damaged cell borders enough healthy tissue to heal
+ */
+export function isHealingEdge(state, x, y) {
+  const healthyInfo = getHealthyNeighborInfo(state, x, y);
+  return Boolean(healthyInfo && healthyInfo.count >= 2);
+}
+
+function updateGrid(state) {
+  const { grid, target, cols, rows, damaged, gapJunctionStrength, targetAttraction, noise, rng } = state;
+  const newGrid = [];
+  const cellsToHeal = []; // Track cells that should be marked as healed
+
+  for (let y = 0; y < rows; y++) {
+    newGrid[y] = [];
+    for (let x = 0; x < cols; x++) {
+      let voltage = grid[y][x];
+
+      // Gap junction diffusion - average with neighbors (all neighbors, damaged or not)
+      let neighborSum = 0;
+      let neighborCount = 0;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && nx < cols && ny >= 0 && ny < rows) {
+            neighborSum += grid[ny][nx];
+            neighborCount++;
+          }
+        }
+      }
+
+      if (neighborCount > 0) {
+        const neighborAvg = neighborSum / neighborCount;
+        voltage += (neighborAvg - voltage) * gapJunctionStrength;
+      }
+
+      // Attraction toward target pattern
+      if (damaged[y]?.[x]) {
+        // Damaged cells can ONLY learn from healthy neighbors
+        // They've lost their direct connection to the bioelectric "memory"
+        const healthyInfo = getHealthyNeighborInfo(state, x, y);
+
+        if (healthyInfo && healthyInfo.count >= 2) {
+          // Learn target from healthy neighbors (they "teach" the pattern)
+          // Much slower than healthy cells — damaged tissue heals gradually
+          voltage += (healthyInfo.targetAvg - voltage) * targetAttraction * 0.15;
+
+          // If we're close enough to the healthy neighbor's target, we're healed
+          // Tight threshold — must really match before graduating
+          const errorFromTarget = Math.abs(voltage - healthyInfo.targetAvg);
+          if (errorFromTarget < 0.05) {
+            cellsToHeal.push({ x, y });
+          }
+        }
+        // If no healthy neighbors, cell stays damaged and just diffuses
+      } else {
+        // Healthy cells know the target directly
+        voltage += (target[y][x] - voltage) * targetAttraction;
+      }
+
+      // Small noise for dynamics
+      voltage += (rng() - 0.5) * noise;
+
+      // Clamp
+      newGrid[y][x] = Math.max(0, Math.min(1, voltage));
+    }
+  }
+
+  return { newGrid, cellsToHeal };
+}
+
+/**
+ * Mean absolute difference between the tissue and its target pattern
+ */
+export function computePatternError(state) {
+  const { grid, target, cols, rows } = state;
+  let totalError = 0;
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      totalError += Math.abs(grid[y][x] - target[y][x]);
+    }
+  }
+  return totalError / (cols * rows);
+}
+
+export function countDamaged(state) {
+  let count = 0;
+  for (const row of Object.values(state.damaged)) {
+    count += Object.keys(row).length;
+  }
+  return count;
+}
+
+export function init(params, rng) {
+  const cols = Math.floor(params.width / CELL_SIZE);
+  const rows = Math.floor(params.height / CELL_SIZE);
+  const { grid, target } = initializeGrid(cols, rows, params.pattern, rng);
+
+  return {
+    cols,
+    rows,
+    pattern: params.pattern,
+    gapJunctionStrength: params.gapJunctionStrength,
+    targetAttraction: params.targetAttraction,
+    noise: params.noise,
+    grid,
+    target,
+    // damaged[y][x] is true for damaged cells
+    damaged: {},
+    rng,
+  };
+}
+
+function tick(state) {
+  const { newGrid, cellsToHeal } = updateGrid(state);
+  state.grid = newGrid;
+
+  // Heal cells that have recovered (propagation effect)
+  cellsToHeal.slice(0, MAX_HEAL_PER_TICK).forEach(({ x, y }) => {
+    delete state.damaged[y]?.[x];
+  });
+}
+
+export function step(state, dt, inputs = {}) {
+  for (const key of ['gapJunctionStrength', 'targetAttraction', 'noise']) {
+    if (inputs[key] !== undefined) state[key] = inputs[key];
+  }
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  error: 'Mean distance of the tissue from its target pattern',
+  damagedCells: 'Damaged cells',
+};
+
+export function observe(state) {
+  return {
+    error: computePatternError(state),
+    damagedCells: countDamaged(state),
+  };
+}
+
+function forEachCellInRadius(state, x, y, radius, fn) {
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx >= 0 && nx < state.cols && ny >= 0 && ny < state.rows && dx * dx + dy * dy <= radius * radius) {
+        fn(nx, ny);
+      }
+    }
+  }
+}
+
+/**
+ * Damage the cells within radius of cell (x, y), scrambling their voltage
+ */
+export function damage(state, x, y, radius = 3) {
+  forEachCellInRadius(state, x, y, radius, (nx, ny) => {
+    if (!state.damaged[ny]) state.damaged[ny] = {};
+    state.damaged[ny][nx] = true;
+    // Aggressively scramble the voltage
+    state.grid[ny][nx] = state.rng();
+  });
+}
+
+/**
+ * Restore the cells within radius of cell (x, y) to the healthy tissue
+ */
+export function heal(state, x, y, radius = 3) {
+  forEachCellInRadius(state, x, y, radius, (nx, ny) => {
+    delete state.damaged[ny]?.[nx];
+  });
+}
+
+/**
+ * Start over from noise, with no damage
+ */
+export function reset(state) {
+  const { grid, target } = initializeGrid(state.cols, state.rows, state.pattern, state.rng);
+  state.grid = grid;
+  state.target = target;
+  state.damaged = {};
+}
+
+/**
+ * Restore a snapshot (models/snapshot.js), redrawing the target pattern
+ */
+export function restore(state, data) {
+  restoreData(state, data);
+  state.target = targetPattern(state.cols, state.rows, state.pattern);
+}
@@ -0,0 +1,123 @@
+/**
+ * Nested blankets model - information flow on blankets at every scale
+ *
+ * Five nested Markov blankets, molecular to social. Information flow is
+ * particles circulating on a blanket: sensory states one way, active
+ * states the other. Flow stays on its own blanket and never crosses into
+ * the interior or exterior, which is the μ ⊥⊥ ψ | b structure, the same at
+ * every scale.
+ *
+ * params: { animateFlow }
+ * inputs: { animateFlow }
+ */
+
+import { advance } from './clock.js';
+
+const PARTICLE_COUNT = 40;
+
+export const SCALES = [
+  {
+    id: 'molecular',
+    label: 'Molecular',
+    color: '#4ade80',
+    innerLabel: 'protein states',
+    blanketLabel: 'membrane channels',
+    outerLabel: 'cytoplasm',
+  },
+  {
+    id: 'cellular',
+    label: 'Cellular',
+    color: '#60a5fa',
+    innerLabel: 'organelles',
+    blanketLabel: 'cell membrane',
+    outerLabel: 'tissue matrix',
+  },
+  {
+    id: 'tissue',
+    label: 'Tissue',
+    color: '#a78bfa',
+    innerLabel: 'cell collectives',
+    blanketLabel: 'tissue boundary',
+    outerLabel: 'organ system',
+  },
+  {
+    id: 'organism',
+    label: 'Organism',
+    color: '#f87171',
+    innerLabel: 'neural states',
+    blanketLabel: 'sensory/motor',
+    outerLabel: 'environment',
+  },
+  {
+    id: 'social',
+    label: 'Social',
+    color: '#facc15',
+    innerLabel: 'individual minds',
+    blanketLabel: 'language/gesture',
+    outerLabel: 'culture',
+  },
+];
+
+/**
+ * Radius of a scale's blanket, as a fraction of the outermost
+ */
+export function blanketRadius(scaleIdx) {
+  return (scaleIdx + 1) / SCALES.length;
+}
+
+function createParticles(rng) {
+  const particles = [];
+  for (let i = 0; i < PARTICLE_COUNT; i++) {
+    const scaleIdx = Math.floor(rng() * SCALES.length);
+    const angle = rng() * Math.PI * 2;
+    particles.push({
+      scaleIdx,
+      angle,
+      radialOffset: (rng() - 0.5) * 0.3,
+      speed: 0.01 + rng() * 0.02,
+      type: rng() > 0.5 ? 'sensory' : 'active',
+    });
+  }
+  return particles;
+}
+
+export function init(params, rng) {
+  return {
+    animateFlow: params.animateFlow,
+    particles: createParticles(rng),
+    rng,
+  };
+}
+
+function tick(state) {
+  if (!state.animateFlow) return;
+
+  state.particles.forEach(p => {
+    p.angle += p.speed * (p.type === 'sensory' ? -1 : 1);
+  });
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.animateFlow !== undefined) state.animateFlow = inputs.animateFlow;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  sensoryFlow: 'Mean angle travelled by the sensory flow (rad)',
+  activeFlow: 'Mean angle travelled by the active flow (rad)',
+};
+
+/**
+ * Mean (unwrapped) angle of the sensory and the active flow, in radians:
+ * sensory runs down and active runs up while the flow is animated
+ */
+export function observe(state) {
+  const meanAngle = type => {
+    const angles = state.particles.filter(p => p.type === type).map(p => p.angle);
+    return angles.reduce((sum, a) => sum + a, 0) / angles.length;
+  };
+  return {
+    sensoryFlow: meanAngle('sensory'),
+    activeFlow: meanAngle('active'),
+  };
+}
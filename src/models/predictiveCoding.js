@@ -0,0 +1,182 @@
+/**
+ * Predictive coding model - a hierarchy minimising prediction error
+ *
+ * Four levels, from sensory input up to abstract concepts. Each level
+ * predicts the activity of the one below as a weighted sum of its own;
+ * the prediction errors ε_i = x_i - g_i(μ_{i+1}) flow back up and nudge
+ * the higher levels' activity to reduce them.
+ *
+ * params: { inputType, learningRate (default 0.1), width, height } (canvas px)
+ * inputs: { inputType } ('sine', 'step' or 'random')
+ */
+
+import { advance } from './clock.js';
+
+// Input time per tick: the input patterns run a little faster than real time
+const INPUT_TIME_STEP = 0.02;
+
+export const LEVELS = 4;
+export const NODES_PER_LEVEL = [8, 6, 4, 2]; // More nodes at bottom (sensory), fewer at top (abstract)
+export const LEVEL_LABELS = ['Sensory Input', 'Feature Detection', 'Object Representation', 'Abstract Concepts'];
+
+function createNode(x, y, level, index, rng) {
+  return {
+    x, y, level, index,
+    activity: rng() * 0.5, // Current activity
+    prediction: 0, // Prediction from level above
+    error: 0, // Prediction error
+    targetActivity: rng() * 0.5,
+  };
+}
+
+function initializeNetwork(width, height, rng) {
+  const nodes = [];
+  const levelHeight = height / (LEVELS + 1);
+
+  for (let level = 0; level < LEVELS; level++) {
+    const nodeCount = NODES_PER_LEVEL[level];
+    const levelY = height - levelHeight * (level + 1);
+    const levelWidth = width * 0.7;
+    const startX = (width - levelWidth) / 2;
+
+    for (let i = 0; i < nodeCount; i++) {
+      const x = startX + (levelWidth / (nodeCount + 1)) * (i + 1);
+      nodes.push(createNode(x, levelY, level, i, rng));
+    }
+  }
+
+  return nodes;
+}
+
+export function getNodesAtLevel(nodes, level) {
+  return nodes.filter(n => n.level === level);
+}
+
+/**
+ * Strength of the connection between node lowerIndex at level and node
+ * upperIndex at level + 1: strongest where they line up
+ */
+export function connectionWeight(level, lowerIndex, upperIndex) {
+  const dist = Math.abs(lowerIndex - upperIndex * (NODES_PER_LEVEL[level] / NODES_PER_LEVEL[level + 1]));
+  return Math.exp(-dist * dist / 4);
+}
+
+// Simulate one step of predictive coding
+function updateNetwork(nodes, inputPattern, learningRate) {
+  // 1. Set sensory input (level 0)
+  const sensoryNodes = getNodesAtLevel(nodes, 0);
+  sensoryNodes.forEach((node, i) => {
+    node.targetActivity = inputPattern[i % inputPattern.length];
+    node.activity = node.activity * 0.8 + node.targetActivity * 0.2;
+  });
+
+  // 2. Bottom-up pass: compute prediction errors
+  for (let level = 0; level < LEVELS - 1; level++) {
+    const currentNodes = getNodesAtLevel(nodes, level);
+    const upperNodes = getNodesAtLevel(nodes, level + 1);
+
+    // Each upper node predicts a pattern in the level below
+    currentNodes.forEach(node => {
+      // Simple prediction: weighted average of upper level
+      let prediction = 0;
+      let totalWeight = 0;
+      upperNodes.forEach(upper => {
+        const weight = connectionWeight(level, node.index, upper.index);
+        prediction += upper.activity * weight;
+        totalWeight += weight;
+      });
+      prediction /= totalWeight;
+
+      node.prediction = prediction;
+      node.error = node.activity - prediction;
+    });
+  }
+
+  // 3. Top-down pass: update beliefs to reduce error
+  for (let level = LEVELS - 1; level >= 1; level--) {
+    const currentNodes = getNodesAtLevel(nodes, level);
+    const lowerNodes = getNodesAtLevel(nodes, level - 1);
+
+    currentNodes.forEach(upper => {
+      // Adjust activity based on prediction errors from below
+      let totalError = 0;
+      lowerNodes.forEach(lower => {
+        totalError += lower.error * connectionWeight(level - 1, lower.index, upper.index);
+      });
+
+      upper.activity += learningRate * totalError / lowerNodes.length;
+      upper.activity = Math.max(0, Math.min(1, upper.activity));
+    });
+  }
+}
+
+// Sensory input pattern for the current input type
+function generateInput(state) {
+  const { inputType, time: t, nodes, rng } = state;
+  const inputPattern = [];
+  const sensoryCount = NODES_PER_LEVEL[0];
+
+  if (inputType === 'sine') {
+    for (let i = 0; i < sensoryCount; i++) {
+      inputPattern.push(0.5 + 0.4 * Math.sin(t * 2 + i * 0.5));
+    }
+  } else if (inputType === 'step') {
+    const active = Math.floor((t % 4) / 4 * sensoryCount);
+    for (let i = 0; i < sensoryCount; i++) {
+      inputPattern.push(i === active ? 0.9 : 0.1);
+    }
+  } else if (inputType === 'random') {
+    for (let i = 0; i < sensoryCount; i++) {
+      inputPattern.push(nodes[i]?.targetActivity || 0.5);
+    }
+    // Occasionally change random pattern
+    if (rng() < 0.02) {
+      const idx = Math.floor(rng() * sensoryCount);
+      inputPattern[idx] = rng();
+    }
+  }
+
+  return inputPattern;
+}
+
+export function init(params, rng) {
+  return {
+    inputType: params.inputType,
+    learningRate: params.learningRate ?? 0.1,
+    nodes: initializeNetwork(params.width, params.height, rng),
+    time: 0,
+    rng,
+  };
+}
+
+function tick(state) {
+  state.time += INPUT_TIME_STEP;
+  updateNetwork(state.nodes, generateInput(state), state.learningRate);
+}
+
+export function step(state, dt, inputs = {}) {
+  if (inputs.inputType !== undefined) state.inputType = inputs.inputType;
+  return advance(state, dt, tick);
+}
+
+export const OBSERVABLES = {
+  totalError: 'Total prediction error across levels',
+  'errors.0': 'Mean prediction error at level 0 (sensory)',
+  'errors.1': 'Mean prediction error at level 1',
+  'errors.2': 'Mean prediction error at level 2',
+};
+
+/**
+ * Mean absolute prediction error at each predicted level (all but the top)
+ */
+export function observe(state) {
+  const errors = [];
+  for (let level = 0; level < LEVELS - 1; level++) {
+    const levelNodes = getNodesAtLevel(state.nodes, level);
+    errors.push(levelNodes.reduce((sum, n) => sum + Math.abs(n.error), 0) / levelNodes.length);
+  }
+  return {
+    errors,
+    totalError: errors.reduce((sum, e) => sum + e, 0),
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Snapshots of a model's state, to pick a run up again later or elsewhere
+ *
+ * takeSnapshot returns plain JSON: the state's data, and where its rng is in
+ * its sequence. restoreSnapshot writes one into a fresh init() of the same
+ * params, so whatever init wired up stays put: class instances are filled
+ * in place (keeping their methods and the references between them), plain
+ * objects and arrays are replaced, and the rng is moved on to where the
+ * snapshot left it. Stepping the restored state then follows the original
+ * run.
+ *
+ * A model can shape its snapshots by exporting
+ *   SNAPSHOT_SKIP - keys left out: references to other parts of the state,
+ *                   which the fresh init already has, or data the model
+ *                   can derive again (landscapes)
+ *   restore(state, data) - used instead of the plain restore, e.g. to
+ *                   derive what was skipped after calling restoreData
+ *   snapshot(state) - used instead of the plain snapshot, for state that
+ *                   isn't data at all (a physics engine)
+ */
+
+// Copy the data out of a state, leaving functions and skipped keys behind
+function toData(value, skip) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => toData(item, skip));
+
+  const data = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item === 'function' || skip.includes(key)) continue;
+    data[key] = toData(item, skip);
+  }
+  return data;
+}
+
+function isInstance(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Object.getPrototypeOf(value) !== Object.prototype;
+}
+
+// The snapshot's data, built on the fresh state's value where that matters
+function rebuild(current, data) {
+  if (data === null || typeof data !== 'object') return data;
+
+  if (isInstance(current)) {
+    restoreData(current, data);
+    return current;
+  }
+
+  if (Array.isArray(data)) {
+    return data.map((item, i) => rebuild(Array.isArray(current) ? current[i] : undefined, item));
+  }
+
+  // Keep what the snapshot left out (functions, skipped references)
+  const result = current && typeof current === 'object' && !Array.isArray(current) ? { ...current } : {};
+  for (const [key, item] of Object.entries(data)) {
+    result[key] = rebuild(result[key], item);
+  }
+  return result;
+}
+
+/**
+ * Write snapshot data into a state in place (the plain restore)
+ */
+export function restoreData(state, data) {
+  for (const [key, item] of Object.entries(data)) {
+    state[key] = rebuild(state[key], item);
+  }
+}
+
+/**
+ * The state as plain JSON: { data, rng }
+ */
+export function takeSnapshot(model, state) {
+  const data = model.snapshot
+    ? model.snapshot(state)
+    : toData(state, ['rng', ...(model.SNAPSHOT_SKIP || [])]);
+  return { data, rng: state.rng.position() };
+}
+
+/**
+ * Put a fresh state (from model.init) where a snapshot left off, and return
+ * it; the snapshot itself is left untouched, so it can be restored again
+ */
+export function restoreSnapshot(model, state, snapshot) {
+  const data = structuredClone(snapshot.data);
+  if (model.restore) {
+    model.restore(state, data);
+  } else {
+    restoreData(state, data);
+  }
+  state.rng.seek(snapshot.rng);
+  return state;
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { MarkdownViewer } from '../components/MarkdownViewer';
+import { loadVaultIndex, loadNoteContent } from '../utils/vaultLoader';
 
 /**
  * AboutPage - Display meta/README.md content from vault
@@ -16,11 +17,12 @@ export default function AboutPage() {
     async function loadAboutContent() {
       try {
         // Try to load from vault manifest first
-        const manifest = await import('../data/vault-manifest.json');
+        const manifest = await loadVaultIndex();
         const aboutNote = manifest.notes['README'] || manifest.notes['meta/README'];
+        const aboutContent = aboutNote ? (await loadNoteContent(aboutNote)).content : null;
         
-        if (aboutNote?.content) {
-          setContent(aboutNote.content);
+        if (aboutContent) {
+          setContent(aboutContent);
         } else {
           throw new Error('About content not found in vault manifest');
         }
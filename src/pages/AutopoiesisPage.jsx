@@ -1,8 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { AutopoiesisSim } from '../components/simulations/AutopoiesisSim';
 
 export function AutopoiesisPage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -55,14 +54,11 @@ export function AutopoiesisPage({ section, prevSection, nextSection, onNavigate
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="autopoiesis"
           title="Autopoietic System"
           description="Watch circular causality maintain the living boundary as the system self-produces."
-        >
-          {({ width, height }) => (
-            <AutopoiesisSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <KeyInsight>
           Friston explicitly connects autopoiesis to Markov blankets: simulations show 
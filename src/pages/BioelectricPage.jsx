@@ -1,8 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { MorphogenesisSim } from '../components/simulations/MorphogenesisSim';
 
 export function BioelectricPage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -95,14 +94,11 @@ export function BioelectricPage({ section, prevSection, nextSection, onNavigate
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="morphogenesis"
           title="Bioelectric Morphogenesis"
           description="Draw damage on the tissue to see goal-directed regeneration in action."
-        >
-          {({ width, height }) => (
-            <MorphogenesisSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <KeyInsight>
           The genome is hardware; bioelectric patterns are software—explaining how identical 
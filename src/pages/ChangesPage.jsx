@@ -0,0 +1,356 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link, Navigate, useNavigate, useParams } from 'react-router-dom';
+import releaseIndex from '../data/vault-releases.json';
+import { loadRelease } from '../utils/vaultLoader';
+import { diffReleases, getPreviousRelease } from '../utils/releaseDiff';
+
+// Words of unchanged text kept on each side of a change
+const CONTEXT_WORDS = 30;
+
+const SECTION_STATUS_STYLES = {
+  added: 'text-green-400 border-green-400/40 bg-green-400/10',
+  removed: 'text-red-400 border-red-400/40 bg-red-400/10',
+  modified: 'text-amber-400 border-amber-400/40 bg-amber-400/10'
+};
+
+/**
+ * ChangesPage - What changed between two releases of the paper: notes
+ * added, removed and modified, word-level diffs of the canonical
+ * sections, and graph edges that appeared or disappeared
+ * /changes opens the latest release against the one before it.
+ */
+export default function ChangesPage() {
+  const { fromVersion, toVersion } = useParams();
+  const navigate = useNavigate();
+  const { releases, current } = releaseIndex;
+  const [result, setResult] = useState({ key: null, from: null, to: null, error: null });
+
+  const fromRelease = releases.find(release => release.version === fromVersion);
+  const toRelease = releases.find(release => release.version === toVersion);
+  const key = `${fromVersion}\n${toVersion}`;
+
+  useEffect(() => {
+    if (!fromRelease || !toRelease) return;
+    let cancelled = false;
+
+    Promise.all([loadRelease(fromRelease), loadRelease(toRelease)])
+      .then(([from, to]) => {
+        if (!cancelled) setResult({ key, from, to, error: null });
+      })
+      .catch(error => {
+        console.error('Failed to load releases:', error);
+        if (!cancelled) setResult({ key, from: null, to: null, error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, fromRelease, toRelease]);
+
+  const loaded = result.key === key ? result : null;
+  const diff = useMemo(() => (loaded && !loaded.error ? diffReleases(loaded.from, loaded.to) : null), [loaded]);
+
+  if (!fromVersion || !toVersion) {
+    const latest = releases.find(release => release.version === current) || releases[releases.length - 1];
+    const previous = latest && getPreviousRelease(releases, latest.version);
+    if (previous) {
+      return <Navigate to={getChangesPath(previous.version, latest.version)} replace />;
+    }
+  }
+
+  const selectVersions = (from, to) => navigate(getChangesPath(from, to));
+
+  return (
+    <div className="min-h-screen bg-background text-foreground">
+      {/* Header */}
+      <div className="border-b border-border bg-surface/50 backdrop-blur-sm sticky top-0 z-50">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16 gap-4">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => navigate('/')}
+                className="flex items-center gap-2 text-sm text-secondary hover:text-foreground transition-colors"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+                Back to Paper
+              </button>
+              <h1 className="text-xl font-semibold text-foreground">What Changed</h1>
+            </div>
+
+            {releases.length > 1 && (
+              <div className="flex items-center gap-2 text-sm">
+                <VersionSelect
+                  label="From"
+                  value={fromVersion}
+                  releases={releases}
+                  onChange={version => selectVersions(version, toVersion || current)}
+                />
+                <span className="text-secondary">→</span>
+                <VersionSelect
+                  label="To"
+                  value={toVersion}
+                  releases={releases}
+                  onChange={version => selectVersions(fromVersion || version, version)}
+                />
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <ChangesBody
+          releases={releases}
+          fromVersion={fromVersion}
+          toVersion={toVersion}
+          fromRelease={fromRelease}
+          toRelease={toRelease}
+          loaded={loaded}
+          diff={diff}
+        />
+      </div>
+    </div>
+  );
+}
+
+function getChangesPath(from, to) {
+  return `/changes/${encodeURIComponent(from)}/${encodeURIComponent(to)}`;
+}
+
+function VersionSelect({ label, value, releases, onChange }) {
+  return (
+    <label className="flex items-center gap-2">
+      <span className="text-secondary">{label}</span>
+      <select
+        value={value || ''}
+        onChange={event => onChange(event.target.value)}
+        className="bg-surface border border-border rounded px-2 py-1 text-foreground font-mono"
+      >
+        {!value && <option value="" disabled>—</option>}
+        {releases.map(release => (
+          <option key={release.version} value={release.version}>
+            {release.version}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * The page body for the current state: missing releases, loading, or the diff
+ */
+function ChangesBody({ releases, fromVersion, toVersion, fromRelease, toRelease, loaded, diff }) {
+  if (releases.length < 2) {
+    return (
+      <p className="text-center text-secondary">
+        Only one release has been built so far. Tag the vault (or bump the version) to compare drafts.
+      </p>
+    );
+  }
+
+  const missing = [fromVersion, toVersion].filter((version, index) => version && ![fromRelease, toRelease][index]);
+  if (missing.length) {
+    return (
+      <p className="text-center text-secondary">
+        No release {missing.join(' or ')}. Available: {releases.map(release => release.version).join(', ')}.
+      </p>
+    );
+  }
+
+  if (!loaded) {
+    return <p className="text-center text-secondary">Loading releases...</p>;
+  }
+
+  if (loaded.error) {
+    return <p className="text-center text-red-400">Failed to load releases: {loaded.error}</p>;
+  }
+
+  const { from, to } = loaded;
+  const titleOf = id => to.notes[id]?.title || from.notes[id]?.title || id;
+  const changedSections = diff.sections.filter(section => section.status !== 'unchanged');
+  const unchangedSections = diff.sections.filter(section => section.status === 'unchanged');
+
+  const summary = [
+    ['Notes added', diff.notes.added.length, '#notes'],
+    ['Notes removed', diff.notes.removed.length, '#notes'],
+    ['Notes modified', diff.notes.modified.length, '#notes'],
+    ['Sections changed', changedSections.length, '#sections'],
+    ['Edges appeared', diff.edges.added.length, '#edges'],
+    ['Edges disappeared', diff.edges.removed.length, '#edges']
+  ];
+
+  return (
+    <>
+      <p className="text-sm text-secondary mb-6">
+        {from.version} ({formatDate(from.date)}) → {to.version} ({formatDate(to.date)})
+      </p>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 mb-10">
+        {summary.map(([title, count, href]) => (
+          <a
+            key={title}
+            href={href}
+            className={`p-4 rounded-lg border transition-colors ${
+              count > 0 ? 'border-accent/40 bg-accent/5' : 'border-border bg-surface/30'
+            }`}
+          >
+            <div className="text-2xl font-semibold">{count}</div>
+            <div className="text-sm text-secondary">{title}</div>
+          </a>
+        ))}
+      </div>
+
+      {/* Notes */}
+      <section id="notes" className="mb-10">
+        <h2 className="text-lg font-semibold mb-4">Notes</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <NoteList title="Added" notes={diff.notes.added} linked />
+          <NoteList title="Removed" notes={diff.notes.removed} />
+          <NoteList title="Modified" notes={diff.notes.modified} linked />
+        </div>
+      </section>
+
+      {/* Canonical sections */}
+      <section id="sections" className="mb-10">
+        <h2 className="text-lg font-semibold mb-1">Paper sections</h2>
+        <p className="text-sm text-secondary mb-4">
+          Word-level changes to each canonical section; long unchanged passages are shortened.
+        </p>
+        {changedSections.length === 0 && (
+          <p className="text-sm text-secondary italic mb-4">No section changed.</p>
+        )}
+        <div className="space-y-6">
+          {changedSections.map(section => (
+            <article key={section.noteId} className="border border-border rounded-lg bg-surface/30">
+              <header className="flex items-center gap-3 px-4 py-3 border-b border-border">
+                <h3 className="font-medium">{section.heading || section.title}</h3>
+                <span className={`px-2 py-0.5 rounded-full border text-xs capitalize ${SECTION_STATUS_STYLES[section.status]}`}>
+                  {section.status}
+                </span>
+              </header>
+              <div className="px-4 py-3">
+                <DiffText parts={section.parts} />
+              </div>
+            </article>
+          ))}
+        </div>
+        {unchangedSections.length > 0 && (
+          <p className="text-sm text-secondary mt-4">
+            Unchanged: {unchangedSections.map(section => section.heading || section.title).join(', ')}
+          </p>
+        )}
+      </section>
+
+      {/* Graph edges */}
+      <section id="edges" className="mb-10">
+        <h2 className="text-lg font-semibold mb-4">Graph edges</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <EdgeList title="Appeared" edges={diff.edges.added} titleOf={titleOf} className="text-green-400" />
+          <EdgeList title="Disappeared" edges={diff.edges.removed} titleOf={titleOf} className="text-red-400" />
+        </div>
+      </section>
+    </>
+  );
+}
+
+function NoteList({ title, notes, linked = false }) {
+  return (
+    <div className="border border-border rounded-lg bg-surface/30 p-4">
+      <h3 className="text-sm font-semibold mb-3">
+        {title} <span className="text-secondary font-normal">({notes.length})</span>
+      </h3>
+      {notes.length === 0 ? (
+        <p className="text-xs text-secondary italic">None</p>
+      ) : (
+        <ul className="space-y-1.5 text-sm">
+          {notes.map(note => (
+            <li key={note.id}>
+              {linked ? (
+                <Link to={`/vault/${note.id}`} className="text-accent hover:text-accent/80">{note.title}</Link>
+              ) : (
+                <span>{note.title}</span>
+              )}
+              <span className="text-xs text-secondary capitalize"> · {note.folder}</span>
+              {note.wordDelta ? (
+                <span className={`text-xs ${note.wordDelta > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {' '}{note.wordDelta > 0 ? '+' : ''}{note.wordDelta} words
+                </span>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function EdgeList({ title, edges, titleOf, className }) {
+  return (
+    <div className="border border-border rounded-lg bg-surface/30 p-4">
+      <h3 className="text-sm font-semibold mb-3">
+        {title} <span className="text-secondary font-normal">({edges.length})</span>
+      </h3>
+      {edges.length === 0 ? (
+        <p className="text-xs text-secondary italic">None</p>
+      ) : (
+        <ul className="space-y-1.5 text-sm">
+          {edges.map(edge => (
+            <li key={`${edge.source}\n${edge.target}\n${edge.type}\n${edge.relation}`}>
+              {titleOf(edge.source)} <span className={className}>→</span> {titleOf(edge.target)}
+              {(edge.relation || edge.type !== 'link') && (
+                <span className="text-xs text-secondary"> ({edge.relation || edge.type})</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Inline word diff: insertions and deletions marked, unchanged text dimmed
+ */
+function DiffText({ parts }) {
+  return (
+    <div className="whitespace-pre-wrap text-sm leading-relaxed">
+      {parts.map((part, index) => {
+        if (part.type === 'added') {
+          return <ins key={index} className="bg-green-500/15 text-green-300 no-underline rounded-sm">{part.text}</ins>;
+        }
+        if (part.type === 'removed') {
+          return <del key={index} className="bg-red-500/15 text-red-300 rounded-sm">{part.text}</del>;
+        }
+        return (
+          <span key={index} className="text-secondary">
+            {shortenUnchanged(part.text, { keepStart: index > 0, keepEnd: index < parts.length - 1 })}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Cut an unchanged passage down to the context around its neighbouring
+ * changes: keepStart keeps its first words (a change precedes it),
+ * keepEnd its last words (a change follows it)
+ */
+function shortenUnchanged(text, { keepStart, keepEnd }) {
+  const tokens = text.match(/\s+|[^\s]+/g) || [];
+  // Each word comes with the whitespace next to it
+  const keep = CONTEXT_WORDS * 2;
+  if (tokens.length <= keep * (Number(keepStart) + Number(keepEnd)) + keep) return text;
+
+  const start = keepStart ? tokens.slice(0, keep).join('') : '';
+  const end = keepEnd ? tokens.slice(-keep).join('') : '';
+  return `${start}…${end}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
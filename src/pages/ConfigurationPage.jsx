@@ -1,10 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math, MathBlock } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { AnnealingSim } from '../components/simulations/AnnealingSim';
-import { EnergyAffordanceSim } from '../components/simulations/EnergyAffordanceSim';
-import { CSPExperimentSim } from '../components/simulations/CSPExperimentSim';
 
 export function ConfigurationPage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -100,14 +97,11 @@ export function ConfigurationPage({ section, prevSection, nextSection, onNavigat
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="annealing"
           title="Configuration Constraint: Annealing Dynamics"
           description="Adjust temperature to see how configurations become accessible or trapped. Click to relocate."
-        >
-          {({ width, height }) => (
-            <AnnealingSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
       </Subsection>
 
       <Subsection number="7.3" title="Radical Embodiment: The Identity Claim">
@@ -141,14 +135,11 @@ export function ConfigurationPage({ section, prevSection, nextSection, onNavigat
           "being in a bodily state" is an artifact of introspection, not a feature of the system.
         </KeyInsight>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="csp-experiment"
           title="H(ω) Demonstration: Categorical Accessibility"
           description="CSP solver with limited memory demonstrates categorical accessibility - operations either succeed or fail, never degrade continuously."
-        >
-          {({ width, height }) => (
-            <CSPExperimentSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
       </Subsection>
 
       <Subsection number="7.4" title="Autonomic State Constrains Psychological Possibility">
@@ -416,14 +407,11 @@ export function ConfigurationPage({ section, prevSection, nextSection, onNavigat
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="energy-affordance"
           title="Energy & Affordances"
           description="Watch the cognitive horizon contract as ATP depletes. Expensive thoughts (⚡⚡⚡) become inaccessible first. Rest to recover."
-        >
-          {({ width, height }) => (
-            <EnergyAffordanceSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <KeyInsight title="The Thermodynamic Grounding">
           <Math>{`H(\\omega)`}</Math> isn't just about what's computationally possible—it's 
@@ -1,10 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { CognitiveHorizonSim } from '../components/simulations/CognitiveHorizonSim';
-import { ConfigurationAwarenessSim } from '../components/simulations/ConfigurationAwarenessSim';
-import { MetaModelingSim } from '../components/simulations/MetaModelingSim';
 
 export function ConsciousnessPage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -55,14 +52,11 @@ export function ConsciousnessPage({ section, prevSection, nextSection, onNavigat
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="cognitive-horizon"
           title="Cognitive Horizon"
           description="Your body configuration determines which thoughts are accessible. Change state to watch the horizon expand or contract."
-        >
-          {({ width, height }) => (
-            <CognitiveHorizonSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <KeyInsight>
           The sense of mental "spaciousness" or "narrowness" isn't metaphorical—it tracks 
@@ -102,14 +96,11 @@ export function ConsciousnessPage({ section, prevSection, nextSection, onNavigat
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="configuration-awareness"
           title="Configuration Awareness"
           description="Two agents try to reach the same goal. The aware agent can model its own H(ω) and strategically shift states."
-        >
-          {({ width, height }) => (
-            <ConfigurationAwarenessSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <KeyInsight title="The Meta in Meta-Cognition">
           The "meta" in meta-cognition may refer specifically to modeling one's own 
@@ -147,14 +138,11 @@ export function ConsciousnessPage({ section, prevSection, nextSection, onNavigat
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="meta-modeling"
           title="Recursive Meta-Modeling"
           description="Click agents to explore nested models of models—the recursive structure of self-awareness."
-        >
-          {({ width, height }) => (
-            <MetaModelingSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <KeyInsight>
           We don't have experiences; we infer that we have experiences. The subject is 
@@ -1,9 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math, MathBlock } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { ControllosphereSim } from '../components/simulations/ControllosphereSim';
-import { FatigueRecoverySim } from '../components/simulations/FatigueRecoverySim';
 
 export function ControllospherePage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -66,14 +64,11 @@ export function ControllospherePage({ section, prevSection, nextSection, onNavig
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="controllosphere"
           title="Controllosphere Dynamics"
           description="Adjust DLPFC signal to push neural state into the controllosphere. Watch metabolic costs and waste accumulation."
-        >
-          {({ width, height }) => (
-            <ControllosphereSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <Prose>
           <p>
@@ -139,14 +134,11 @@ export function ControllospherePage({ section, prevSection, nextSection, onNavig
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="fatigue-recovery"
           title="Fatigue and Recovery Dynamics"
           description="Simulate task blocks requiring effortful control, then observe recovery during rest."
-        >
-          {({ width, height }) => (
-            <FatigueRecoverySim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <Prose>
           <p>
@@ -0,0 +1,215 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { SimulationComponent, SimulationErrorBoundary } from '../components/Simulation';
+import { SIMULATIONS } from '../data/simulations';
+import { SimulationHostContext } from '../hooks/useSimulationHost';
+import { useLinkedSnapshot } from '../hooks/useSimulationLink';
+import { parseSimulationParams } from '../utils/simulationParams';
+import { parseSeed, randomSeed } from '../utils/random';
+import { parseSimulationQuery } from '../utils/permalink';
+
+// Query keys the embed route reads itself; besides these and a permalink's
+// own (sim, seed), every key is a sim param
+const EMBED_OPTIONS = ['width', 'height', 'theme', 'autoplay', 'origin'];
+const THEMES = ['dark', 'light'];
+// Snapshots are posted at most this often
+const SNAPSHOT_INTERVAL_MS = 250;
+// Identifies our messages among everything else a host page receives
+const MESSAGE_SOURCE = 'dynamics-of-cognition';
+
+function parseSize(value) {
+  const size = parseInt(value, 10);
+  return size > 0 ? size : null;
+}
+
+/**
+ * Track the window size (the iframe's, when embedded)
+ */
+function useWindowSize() {
+  const [size, setSize] = useState({ width: window.innerWidth, height: window.innerHeight });
+
+  useEffect(() => {
+    const update = () => setSize({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener('resize', update);
+    return () => window.removeEventListener('resize', update);
+  }, []);
+
+  return size;
+}
+
+/**
+ * EmbedPage - A simulation with no site chrome, for iframes and slides
+ * (/embed/:simId)
+ *
+ * Query string:
+ *   width, height - Size in px (default: fill the frame)
+ *   theme         - dark (default) or light
+ *   autoplay      - 0/false to wait for a click or a play message
+ *   origin        - Host origin to post to and accept messages from
+ *                   (default: any)
+ *   seed          - Random seed, to replay a run exactly (default: random)
+ *   anything else - Initial params, e.g. ?pattern=stripes&noise=0.2
+ * so a simulation's permalink (utils/permalink.js) works here too, including
+ * a #state=... snapshot in its hash; the run then starts from the snapshot,
+ * at the size it was taken at unless width/height say otherwise.
+ *
+ * Messages posted to the host, all { source: 'dynamics-of-cognition', type, simId, ... }:
+ *   ready   - { params, seed, errors } once the page has parsed its options
+ *             (and the snapshot, if any)
+ *   playing - { params, seed } when the simulation (re)starts
+ *   state   - { state } snapshots of what the simulation shows, as it changes
+ *   error   - { errors } for params the sim doesn't have or can't take
+ *
+ * Messages accepted from the host, as { type, ... }:
+ *   play                 - Start a sim embedded with autoplay=0
+ *   restart { seed }     - Start over with the current params, and the
+ *                          given seed if any (otherwise the current one,
+ *                          from the linked snapshot if there is one)
+ *   setParams { params } - Merge params and restart with them (from the
+ *                          beginning)
+ *   getState             - Post the latest state snapshot now
+ */
+export default function EmbedPage() {
+  const { simId } = useParams();
+  const [searchParams] = useSearchParams();
+  const windowSize = useWindowSize();
+  const sim = SIMULATIONS[simId];
+
+  const linked = useLinkedSnapshot();
+  // Dropped once the run no longer matches it (new seed or params)
+  const [keepSnapshot, setKeepSnapshot] = useState(true);
+  const snapshot = keepSnapshot ? linked.snapshot : null;
+
+  const width = parseSize(searchParams.get('width')) || snapshot?.width || windowSize.width;
+  const height = parseSize(searchParams.get('height')) || snapshot?.height || windowSize.height;
+  const theme = THEMES.includes(searchParams.get('theme')) ? searchParams.get('theme') : 'dark';
+  const targetOrigin = searchParams.get('origin') || '*';
+
+  const [initial] = useState(() => {
+    const { params, seed, errors } = parseSimulationQuery(simId, searchParams, { ignore: EMBED_OPTIONS });
+    return { params, errors, seed: seed ?? randomSeed() };
+  });
+  const [params, setParams] = useState(initial.params);
+  const [seed, setSeed] = useState(initial.seed);
+  const [isPlaying, setIsPlaying] = useState(() => !/^(0|false|no|off)$/i.test(searchParams.get('autoplay') || ''));
+  // Bumped to remount the simulation, since params only set its initial state
+  const [runId, setRunId] = useState(0);
+
+  const latestStateRef = useRef(null);
+  const pendingTimerRef = useRef(null);
+  const lastPostRef = useRef(0);
+
+  const post = useCallback((type, payload = {}) => {
+    if (window.parent === window) return;
+    window.parent.postMessage({ source: MESSAGE_SOURCE, type, simId, ...payload }, targetOrigin);
+  }, [simId, targetOrigin]);
+
+  // Throttle snapshots, always delivering the latest one
+  const handleSnapshot = useCallback((state) => {
+    latestStateRef.current = state;
+    if (pendingTimerRef.current) return;
+
+    const wait = Math.max(0, lastPostRef.current + SNAPSHOT_INTERVAL_MS - performance.now());
+    pendingTimerRef.current = setTimeout(() => {
+      pendingTimerRef.current = null;
+      lastPostRef.current = performance.now();
+      post('state', { state: latestStateRef.current });
+    }, wait);
+  }, [post]);
+
+  useEffect(() => () => clearTimeout(pendingTimerRef.current), []);
+
+  useEffect(() => {
+    if (linked.loading) return;
+    const errors = sim ? [...initial.errors] : [`Unknown simulation: ${simId}`];
+    if (linked.error) errors.push(`Could not read the state snapshot: ${linked.error.message}`);
+    post('ready', { params: { ...sim?.params, ...initial.params }, seed: initial.seed, errors });
+  }, [post, sim, simId, initial, linked.loading, linked.error]);
+
+  useEffect(() => {
+    if (sim && isPlaying) post('playing', { params: { ...sim.params, ...params }, seed });
+  }, [post, sim, isPlaying, params, seed, runId]);
+
+  // Let the host drive the simulation
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.source !== window.parent) return;
+      if (targetOrigin !== '*' && event.origin !== targetOrigin) return;
+
+      const { type, params: update, seed: requestedSeed } = event.data || {};
+      switch (type) {
+        case 'play':
+          setIsPlaying(true);
+          break;
+        case 'restart': {
+          if (requestedSeed !== undefined) {
+            const parsed = parseSeed(requestedSeed);
+            if (parsed === undefined) {
+              post('error', { errors: [`Invalid seed: ${requestedSeed}`] });
+            } else {
+              setSeed(parsed);
+              setKeepSnapshot(false);
+            }
+          }
+          setIsPlaying(true);
+          setRunId(id => id + 1);
+          break;
+        }
+        case 'setParams': {
+          const { params: parsed, errors } = parseSimulationParams(simId, update);
+          if (errors.length > 0) post('error', { errors });
+          setParams(current => ({ ...current, ...parsed }));
+          setKeepSnapshot(false);
+          setRunId(id => id + 1);
+          break;
+        }
+        case 'getState':
+          post('state', { state: latestStateRef.current });
+          break;
+        default:
+          break;
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [post, simId, targetOrigin]);
+
+  if (!sim) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-void text-muted text-sm">
+        Unknown simulation: {simId}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`embed-theme-${theme} overflow-hidden bg-void`} style={{ width, height }}>
+      {linked.loading ? null : isPlaying ? (
+        <SimulationHostContext.Provider value={handleSnapshot}>
+          <SimulationErrorBoundary simId={simId}>
+            <SimulationComponent
+              key={runId}
+              simId={simId}
+              width={width}
+              height={height}
+              params={params}
+              seed={seed}
+              snapshot={snapshot}
+            />
+          </SimulationErrorBoundary>
+        </SimulationHostContext.Provider>
+      ) : (
+        <button
+          onClick={() => setIsPlaying(true)}
+          className="w-full h-full flex flex-col items-center justify-center gap-3 text-text hover:text-glow transition-colors"
+        >
+          <svg className="w-12 h-12" fill="currentColor" viewBox="0 0 24 24">
+            <path d="M8 5v14l11-7z" />
+          </svg>
+          <span className="font-display text-lg">{sim.title}</span>
+        </button>
+      )}
+    </div>
+  );
+}
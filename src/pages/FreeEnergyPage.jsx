@@ -1,9 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math, MathBlock } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { MarkovBlanketSim } from '../components/simulations/MarkovBlanketSim';
-import { FreeEnergySim } from '../components/simulations/FreeEnergySim';
 import VaultLinks from '../components/explorer/VaultLinks';
 
 export function FreeEnergyPage({ section, prevSection, nextSection, onNavigate }) {
@@ -60,14 +58,11 @@ export function FreeEnergyPage({ section, prevSection, nextSection, onNavigate }
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="markov-blanket"
           title="Markov Blanket Dynamics"
           description="Physical membrane separating internal from external states. Drag particles to see the statistical boundary in action."
-        >
-          {({ width, height }) => (
-            <MarkovBlanketSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
       </Subsection>
 
       <Subsection number="1.2" title="Variational Free Energy">
@@ -98,14 +93,11 @@ export function FreeEnergyPage({ section, prevSection, nextSection, onNavigate }
           inference about the causes of its sensory states.
         </KeyInsight>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="free-energy"
           title="Free Energy Landscape"
           description="Click anywhere to place a system—watch it minimize free energy by descending to attractor basins."
-        >
-          {({ width, height }) => (
-            <FreeEnergySim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <Prose>
           <p>
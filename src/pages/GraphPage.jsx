@@ -1,21 +1,24 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import VaultGraph from '../components/graph/VaultGraph';
+import SearchOverlay, { SearchButton } from '../components/search/SearchOverlay';
 import { buildGraphData } from '../utils/vaultParser';
+import { loadVaultIndex } from '../utils/vaultLoader';
 
 export default function GraphPage() {
   const [vaultData, setVaultData] = useState(null);
   const [graphData, setGraphData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [colorBy, setColorBy] = useState('folder');
   const navigate = useNavigate();
 
   useEffect(() => {
     const loadVaultData = async () => {
       try {
-        // Import the vault manifest
-        const manifestModule = await import('../data/vault-manifest.json');
-        const manifest = manifestModule.default;
+        // Load the vault index (the graph needs no note content)
+        const manifest = await loadVaultIndex();
         
         setVaultData(manifest);
         setGraphData(manifest.graph);
@@ -39,6 +42,8 @@ export default function GraphPage() {
     navigate('/');
   };
 
+  const hasHistory = Boolean(graphData?.nodes?.some(node => node.lastModified));
+
   if (loading) {
     return (
       <div className="min-h-screen bg-background text-foreground flex items-center justify-center">
@@ -87,13 +92,22 @@ export default function GraphPage() {
               <h1 className="text-xl font-semibold text-foreground">Knowledge Graph</h1>
             </div>
             
-            <div className="text-sm text-secondary">
-              {vaultData?.stats?.totalNotes} notes • {vaultData?.stats?.totalLinks} connections
+            <div className="flex items-center gap-4 text-sm text-secondary">
+              <span>{vaultData?.stats?.totalNotes} notes • {vaultData?.stats?.totalLinks} connections</span>
+              <SearchButton onClick={() => setSearchOpen(true)} className="hover:text-foreground" />
+              <button
+                onClick={() => navigate('/vault-health')}
+                className="hover:text-foreground transition-colors"
+              >
+                Vault health
+              </button>
             </div>
           </div>
         </div>
       </div>
 
+      <SearchOverlay open={searchOpen} onOpenChange={setSearchOpen} />
+
       {/* Graph Container */}
       <div className="p-6">
         <div className="max-w-7xl mx-auto">
@@ -120,11 +134,32 @@ export default function GraphPage() {
             ))}
           </div>
 
+          {/* Node coloring (recency needs a manifest built with --history) */}
+          <div className="mb-4 flex justify-end items-center gap-2 text-xs text-secondary">
+            <span>Color by</span>
+            <div className="flex rounded-md border border-border overflow-hidden">
+              {['folder', 'recency'].map(option => (
+                <button
+                  key={option}
+                  onClick={() => setColorBy(option)}
+                  disabled={option === 'recency' && !hasHistory}
+                  title={option === 'recency' && !hasHistory ? 'No git history in this build' : undefined}
+                  className={`px-3 py-1 capitalize transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                    colorBy === option ? 'bg-glow/20 text-glow' : 'hover:text-foreground'
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {/* Graph */}
           <div className="bg-surface/30 rounded-lg border border-border">
             <VaultGraph
               graphData={graphData}
               onNodeClick={handleNodeClick}
+              colorBy={colorBy}
               width={1200}
               height={700}
               className="mx-auto"
@@ -1,9 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math, MathBlock } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { HomeostaticSim } from '../components/simulations/HomeostaticSim';
-import { InteroceptivePathwaySim } from '../components/simulations/InteroceptivePathwaySim';
 
 export function HomeostaticPage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -61,14 +59,11 @@ export function HomeostaticPage({ section, prevSection, nextSection, onNavigate
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="homeostatic"
           title="Homeostatic Feelings"
           description="Watch how bodily prediction errors become feelings as the system maintains homeostasis."
-        >
-          {({ width, height }) => (
-            <HomeostaticSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
 
         <KeyInsight>
           Feelings are not responses to cognition—they guide it. Damasio's clinical evidence 
@@ -164,14 +159,11 @@ export function HomeostaticPage({ section, prevSection, nextSection, onNavigate
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="interoceptive-pathway"
           title="Interoceptive Pathway"
           description="Signals flow from body through integration layers to the unified 'now' — your global emotional moment."
-        >
-          {({ width, height }) => (
-            <InteroceptivePathwaySim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
       </Subsection>
 
       <Subsection number="3.4" title="Empirical Evidence">
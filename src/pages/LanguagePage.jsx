@@ -1,8 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math, MathBlock } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { LanguageControllerSim } from '../components/simulations/LanguageControllerSim';
 
 export function LanguagePage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -60,14 +59,11 @@ export function LanguagePage({ section, prevSection, nextSection, onNavigate })
           </p>
         </Prose>
 
-        <SimulationCanvas
+        <Simulation
+          simId="language-controller"
           title="Open-Loop vs Closed-Loop Control"
           description="Compare what Fedorenko measures vs what real communication requires."
-        >
-          {({ width, height }) => (
-            <LanguageControllerSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
       </Subsection>
 
       <Subsection number="5.2" title="The Missing Activation">
@@ -1,8 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { NestedBlanketsSim } from '../components/simulations/NestedBlanketsSim';
 
 export function NestedBlanketsPage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -37,14 +36,11 @@ export function NestedBlanketsPage({ section, prevSection, nextSection, onNaviga
         </p>
       </Prose>
 
-      <SimulationCanvas 
+      <Simulation
+        simId="nested-blankets"
         title="Nested Markov Blankets"
         description="Explore the same mathematical structure repeating at every scale of organization."
-      >
-        {({ width, height }) => (
-          <NestedBlanketsSim width={width} height={height} />
-        )}
-      </SimulationCanvas>
+      />
 
       <Subsection number="9.1" title="H(ω) at Each Scale">
         <Prose>
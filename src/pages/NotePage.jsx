@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import remarkMath from 'remark-math';
@@ -9,15 +9,18 @@ import 'katex/dist/katex.min.css';
 import { SectionMarkdownViewer } from '../components/SectionMarkdownViewer';
 import WikiLink from '../components/vault/WikiLink';
 import BacklinksPanel from '../components/vault/BacklinksPanel';
+import UnlinkedMentionsPanel from '../components/vault/UnlinkedMentionsPanel';
+import HistoryPanel from '../components/vault/HistoryPanel';
 import DemoLink from '../components/vault/DemoLink';
+import StatusBadge from '../components/vault/StatusBadge';
 import { parseWikiLinks, getFolderColor } from '../utils/vaultParser';
+import { loadVaultIndex, loadNoteContent } from '../utils/vaultLoader';
 
 export default function NotePage() {
-  const { folder, noteId } = useParams();
+  // The note ID is its whole vault path, slashes and all
+  const { '*': fullNoteId } = useParams();
   const navigate = useNavigate();
-  
-  // Reconstruct the full note ID
-  const fullNoteId = `${folder}/${noteId}`;
+  const location = useLocation();
   
   const [vaultData, setVaultData] = useState(null);
   const [note, setNote] = useState(null);
@@ -28,9 +31,8 @@ export default function NotePage() {
   useEffect(() => {
     const loadVaultAndNote = async () => {
       try {
-        // Load vault manifest
-        const manifestModule = await import('../data/vault-manifest.json');
-        const manifest = manifestModule.default;
+        // Load the vault index
+        const manifest = await loadVaultIndex();
         setVaultData(manifest);
 
         // Find the note
@@ -43,9 +45,17 @@ export default function NotePage() {
 
         setNote(foundNote);
 
-        // Use the full content from the manifest
+        // Stubs (drafts, embargoed notes) ship without a content chunk
+        if (foundNote.stub) {
+          setNoteContent('');
+          setLoading(false);
+          return;
+        }
+
+        // Load only this note's content chunk
         // Content is password-protected at the app level
-        let content = foundNote.content || `# ${foundNote.title}\n\n${foundNote.excerpt}\n\n*Content not available.*`;
+        const { content: fullContent } = await loadNoteContent(foundNote);
+        let content = fullContent || `# ${foundNote.title}\n\n${foundNote.excerpt}\n\n*Content not available.*`;
         
         // Remove the title line since we're displaying it separately
         const lines = content.split('\n');
@@ -77,6 +87,23 @@ export default function NotePage() {
     }
   }, [fullNoteId]);
 
+  // Scroll to the heading or block referenced in the URL hash
+  // ([[note#Heading]] and [[note#^block-id]] links)
+  useEffect(() => {
+    if (loading) return;
+
+    if (!location.hash) {
+      window.scrollTo({ top: 0, behavior: 'instant' });
+      return;
+    }
+
+    const anchorId = decodeURIComponent(location.hash.slice(1));
+    const frame = requestAnimationFrame(() => {
+      document.getElementById(anchorId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [loading, location.hash, noteContent]);
+
   const handleBackClick = () => {
     navigate(-1);
   };
@@ -139,6 +166,11 @@ export default function NotePage() {
             </div>
             
             <div className="flex items-center gap-3">
+              {vaultData?.meta?.reviewer && (
+                <span className="text-xs text-amber-400" title="Drafts and embargoed notes are included in this build">
+                  Reviewer build
+                </span>
+              )}
               <button
                 onClick={() => navigate('/graph')}
                 className="flex items-center gap-2 px-3 py-1.5 bg-accent/10 hover:bg-accent/20 text-accent border border-accent/30 rounded-lg transition-colors text-sm"
@@ -160,7 +192,7 @@ export default function NotePage() {
           {/* Main content */}
           <div className="lg:col-span-3">
             {/* Interactive demo link */}
-            <DemoLink noteId={fullNoteId} />
+            <DemoLink vaultData={vaultData} noteId={fullNoteId} />
             
             {/* Note title - using same styling as Explorer sections */}
             <div className="mb-8">
@@ -170,15 +202,28 @@ export default function NotePage() {
                   style={{ background: getFolderColor(note.folder) }}
                 ></div>
                 <span className="text-sm text-secondary capitalize">{note.folder}</span>
+                <StatusBadge note={note} />
               </div>
               <h1 className="font-display text-3xl sm:text-4xl text-glow font-light leading-tight">
                 {note.title}
               </h1>
             </div>
             
-            <div className="max-w-none">
-              <SectionMarkdownViewer content={noteContent} />
-            </div>
+            {note.stub ? (
+              <div className="bg-surface/30 rounded-lg border border-border p-6 text-secondary">
+                {note.embargoed
+                  ? 'This note is under embargo and will be published when it lifts.'
+                  : 'This note is a draft and has not been published yet.'}
+              </div>
+            ) : (
+              <div className="max-w-none">
+                <SectionMarkdownViewer 
+                  content={noteContent} 
+                  vaultData={vaultData}
+                  noteId={fullNoteId}
+                />
+              </div>
+            )}
           </div>
 
           {/* Sidebar */}
@@ -202,11 +247,20 @@ export default function NotePage() {
               </div>
             </div>
 
+            {/* Git history */}
+            <HistoryPanel history={note.history} />
+
             {/* Backlinks panel */}
             <BacklinksPanel 
               backlinks={note.backlinks || []} 
               notes={vaultData?.notes || {}}
             />
+
+            {/* Unlinked mentions */}
+            <UnlinkedMentionsPanel
+              mentions={note.unlinkedMentions || []}
+              notes={vaultData?.notes || {}}
+            />
           </div>
         </div>
       </div>
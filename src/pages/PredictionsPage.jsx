@@ -1,8 +1,7 @@
 import { Section, SectionHeader, Subsection, Prose, KeyInsight, PageNavigation } from '../components/Section';
 import { Math, MathBlock } from '../components/Math';
-import { SimulationCanvas } from '../components/SimulationCanvas';
+import { Simulation } from '../components/Simulation';
 import { Bibliography } from '../components/Bibliography';
-import { PredictiveCodingSim } from '../components/simulations/PredictiveCodingSim';
 
 export function PredictionsPage({ section, prevSection, nextSection, onNavigate }) {
   return (
@@ -87,14 +86,11 @@ export function PredictionsPage({ section, prevSection, nextSection, onNavigate
           </p>
         </Prose>
 
-        <SimulationCanvas 
+        <Simulation
+          simId="predictive-coding"
           title="Predictive Coding"
           description="Hierarchical prediction error minimization in action."
-        >
-          {({ width, height }) => (
-            <PredictiveCodingSim width={width} height={height} />
-          )}
-        </SimulationCanvas>
+        />
       </Subsection>
 
       <Subsection number="8.3" title="Specific Testable Predictions">
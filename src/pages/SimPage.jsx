@@ -0,0 +1,147 @@
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Simulation } from '../components/Simulation';
+import { Bibliography } from '../components/Bibliography';
+import { SIMULATIONS } from '../data/simulations';
+import { getSectionById } from '../data/sections';
+import references from '../data/references.json';
+import { getNotesForDemo, getNotesForSimulation, getSectionNoteId } from '../utils/demoMapping';
+import { getFolderColor } from '../utils/vaultParser';
+import { useVaultIndex } from '../hooks/useVault';
+
+/**
+ * References sharing a tag with a simulation
+ */
+function getSimulationReferenceIds(sim) {
+  return Object.values(references)
+    .filter(ref => ref.tags?.some(tag => sim.tags.includes(tag)))
+    .map(ref => ref.id);
+}
+
+/**
+ * Notes demoing the simulation, then notes about the sections showing it
+ */
+function getRelatedNoteIds(vaultData, simId) {
+  const sectionNotes = SIMULATIONS[simId].sections.flatMap(sectionId => [
+    getSectionNoteId(vaultData, sectionId),
+    ...getNotesForDemo(vaultData, sectionId)
+  ]);
+  return [...new Set([...getNotesForSimulation(vaultData, simId), ...sectionNotes])].filter(Boolean);
+}
+
+/**
+ * SimPage - A single simulation, full page (/sims/:simId)
+ */
+export default function SimPage() {
+  const { simId } = useParams();
+  const navigate = useNavigate();
+  const { vaultData } = useVaultIndex();
+  const sim = SIMULATIONS[simId];
+
+  if (!sim) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-secondary mb-4">Simulation not found: {simId}</p>
+          <button
+            onClick={() => navigate('/sims')}
+            className="px-4 py-2 rounded-lg bg-accent text-white hover:bg-accent/90 transition-colors"
+          >
+            All Simulations
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const sections = sim.sections.map(getSectionById).filter(Boolean);
+  const noteIds = getRelatedNoteIds(vaultData, simId);
+
+  return (
+    <div className="min-h-screen bg-background text-foreground">
+      {/* Header */}
+      <div className="border-b border-border bg-surface/50 backdrop-blur-sm sticky top-0 z-50">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <button
+              onClick={() => navigate('/sims')}
+              className="flex items-center gap-2 text-sm text-secondary hover:text-foreground transition-colors"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              All Simulations
+            </button>
+            <h1 className="text-xl font-semibold text-foreground truncate">{sim.title}</h1>
+            <a
+              href={`/embed/${simId}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="ml-auto text-sm text-secondary hover:text-foreground transition-colors"
+            >
+              Embed view
+            </a>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <p className="text-secondary mb-6">{sim.description}</p>
+
+        <Simulation key={simId} simId={simId} aspectRatio={16 / 9} minHeight={400} maxHeight={800} />
+
+        <div className="flex flex-wrap gap-1.5 mt-6">
+          {sim.tags.map(tag => (
+            <Link
+              key={tag}
+              to={`/sims?tag=${encodeURIComponent(tag)}`}
+              className="px-2 py-0.5 rounded-full border border-border text-xs text-secondary hover:text-foreground transition-colors"
+            >
+              {tag}
+            </Link>
+          ))}
+        </div>
+
+        {sections.length > 0 && (
+          <p className="text-sm text-secondary mt-4">
+            Shown in{' '}
+            {sections.map((section, index) => (
+              <span key={section.id}>
+                {index > 0 && ', '}
+                <Link to={`/explore/${section.slug}`} className="text-accent hover:underline">
+                  {section.number ? `Section ${section.number}: ` : ''}{section.title}
+                </Link>
+              </span>
+            ))}
+          </p>
+        )}
+
+        {noteIds.length > 0 && (
+          <div className="mt-10">
+            <h2 className="text-lg font-semibold text-foreground mb-3">Related Notes</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {noteIds.map(noteId => {
+                const note = vaultData?.notes[noteId];
+                const folder = note?.folder || noteId.split('/')[0];
+                return (
+                  <Link
+                    key={noteId}
+                    to={`/vault/${noteId}`}
+                    className="flex items-center gap-2 p-2 rounded border border-border/50 hover:bg-surface/50 transition-colors group"
+                  >
+                    <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ background: getFolderColor(folder) }} />
+                    <span className="text-sm text-foreground group-hover:text-accent transition-colors">
+                      {note?.title || noteId}
+                    </span>
+                    <span className="text-xs text-secondary capitalize ml-auto">{folder}</span>
+                  </Link>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        <Bibliography referenceIds={getSimulationReferenceIds(sim)} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { SIMULATIONS, SIMULATION_IDS } from '../data/simulations';
+import { getSectionById } from '../data/sections';
+import { getNotesForSimulation } from '../utils/demoMapping';
+import { useVaultIndex } from '../hooks/useVault';
+import { SimulationThumbnail } from '../components/SimulationThumbnail';
+
+// Every tag in the registry, most used first
+const ALL_TAGS = Object.entries(
+  SIMULATION_IDS.flatMap(simId => SIMULATIONS[simId].tags)
+    .reduce((counts, tag) => ({ ...counts, [tag]: (counts[tag] || 0) + 1 }), {})
+)
+  .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+  .map(([tag]) => tag);
+
+/**
+ * Check a simulation against the search words and the selected tag
+ */
+function matchesFilter(simId, words, tag) {
+  const sim = SIMULATIONS[simId];
+  if (tag && !sim.tags.includes(tag)) return false;
+
+  const text = [simId, sim.title, sim.description, sim.instructions, ...sim.tags]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return words.every(word => text.includes(word));
+}
+
+/**
+ * SimsPage - Gallery of every simulation in the registry, searchable and
+ * filterable by tag (?q=...&tag=... so filtered views can be linked)
+ */
+export default function SimsPage() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { vaultData } = useVaultIndex();
+
+  const query = searchParams.get('q') || '';
+  const tag = searchParams.get('tag') || '';
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const simIds = SIMULATION_IDS.filter(simId => matchesFilter(simId, words, tag));
+
+  const updateFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(key, value);
+    } else {
+      next.delete(key);
+    }
+    setSearchParams(next, { replace: true });
+  };
+
+  return (
+    <div className="min-h-screen bg-background text-foreground">
+      {/* Header */}
+      <div className="border-b border-border bg-surface/50 backdrop-blur-sm sticky top-0 z-50">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16 gap-4">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => navigate('/')}
+                className="flex items-center gap-2 text-sm text-secondary hover:text-foreground transition-colors"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+                Back to Paper
+              </button>
+              <h1 className="text-xl font-semibold text-foreground">Simulations</h1>
+            </div>
+
+            <input
+              type="search"
+              value={query}
+              onChange={event => updateFilter('q', event.target.value)}
+              placeholder="Search simulations..."
+              aria-label="Search simulations"
+              className="w-full max-w-xs px-3 py-1.5 rounded-lg border border-border bg-background text-sm text-foreground placeholder:text-secondary focus:outline-none focus:border-accent"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Tags */}
+        <div className="flex flex-wrap gap-2 mb-6">
+          {ALL_TAGS.map(name => (
+            <button
+              key={name}
+              onClick={() => updateFilter('tag', name === tag ? '' : name)}
+              className={`px-2.5 py-1 rounded-full border text-xs transition-colors ${
+                name === tag
+                  ? 'border-accent bg-accent/10 text-accent'
+                  : 'border-border text-secondary hover:text-foreground'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+
+        <p className="text-sm text-secondary mb-4">
+          {simIds.length === SIMULATION_IDS.length
+            ? `${simIds.length} simulations`
+            : `${simIds.length} of ${SIMULATION_IDS.length} simulations`}
+        </p>
+
+        {simIds.length === 0 && (
+          <p className="text-center text-secondary py-12">No simulations match.</p>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {simIds.map(simId => (
+            <SimulationCard
+              key={simId}
+              simId={simId}
+              notes={getNotesForSimulation(vaultData, simId)}
+              onTagClick={name => updateFilter('tag', name)}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SimulationCard({ simId, notes, onTagClick }) {
+  const sim = SIMULATIONS[simId];
+  const sections = sim.sections.map(getSectionById).filter(Boolean);
+
+  return (
+    <article id={simId} className="flex flex-col rounded-lg border border-border bg-surface/30 overflow-hidden">
+      <Link to={`/sims/${simId}`} className="block group">
+        <SimulationThumbnail simId={simId} className="border-b border-border" />
+        <div className="p-4 pb-0">
+          <h2 className="font-semibold text-foreground group-hover:text-accent transition-colors">{sim.title}</h2>
+          <p className="text-sm text-secondary mt-1">{sim.description}</p>
+        </div>
+      </Link>
+
+      <div className="p-4 pt-3 mt-auto">
+        <div className="flex flex-wrap gap-1.5">
+          {sim.tags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => onTagClick(tag)}
+              className="px-2 py-0.5 rounded-full border border-border text-xs text-secondary hover:text-foreground transition-colors"
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+
+        {(sections.length > 0 || notes.length > 0) && (
+          <p className="text-xs text-secondary mt-3">
+            {sections.length > 0 && `In ${sections.map(section => section.number ? `Section ${section.number}` : section.title).join(', ')}`}
+            {sections.length > 0 && notes.length > 0 && ' · '}
+            {notes.length > 0 && `${notes.length} related ${notes.length === 1 ? 'note' : 'notes'}`}
+          </p>
+        )}
+      </div>
+    </article>
+  );
+}
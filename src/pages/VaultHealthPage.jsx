@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+
+// Report sections in display order; strict marks categories that fail
+// `buildVaultManifest.js --strict` by default, fatal those that always fail it
+const CATEGORIES = [
+  {
+    key: 'invalidDemoMappings',
+    title: 'Invalid demo mappings',
+    description: 'section: and demos: frontmatter naming an Explorer section or simulation that does not exist.',
+    fatal: true
+  },
+  {
+    key: 'unresolvedLinks',
+    title: 'Unresolved links',
+    description: 'Wiki-links and embeds that match no note.',
+    strict: true
+  },
+  {
+    key: 'unknownSimulations',
+    title: 'Unknown simulations',
+    description: '::sim[...] markers that point to simulations not in the registry.',
+    strict: true
+  },
+  {
+    key: 'missingAttachments',
+    title: 'Missing attachments',
+    description: 'Images, PDFs and other files that notes reference but the vault does not contain.'
+  },
+  {
+    key: 'privateLinks',
+    title: 'Links to private notes',
+    description: 'Links to notes marked publish: false, which the build leaves out.'
+  },
+  {
+    key: 'ambiguousLinks',
+    title: 'Ambiguous links',
+    description: 'Shorthand links whose basename matches more than one note.'
+  },
+  {
+    key: 'aliasConflicts',
+    title: 'Alias conflicts',
+    description: 'Frontmatter aliases claimed by more than one note.'
+  },
+  {
+    key: 'isolatedNotes',
+    title: 'Isolated notes',
+    description: 'Notes with no links in or out.'
+  },
+  {
+    key: 'emptyNotes',
+    title: 'Empty notes',
+    description: 'Notes with nothing but a title.'
+  },
+  {
+    key: 'unlinkedMentions',
+    title: 'Unlinked mentions',
+    description: "Another note's title or alias written as plain text in a note that doesn't link to it yet."
+  }
+];
+
+/**
+ * VaultHealthPage - Renders the vault-health report written by the
+ * manifest build (src/data/vault-health.json)
+ */
+export default function VaultHealthPage() {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const loadReport = async () => {
+      try {
+        const reportModule = await import('../data/vault-health.json');
+        setReport(reportModule.default);
+        setLoading(false);
+      } catch (err) {
+        console.error('Failed to load vault health report:', err);
+        setError('Failed to load the vault health report. Run npm run fetch-vault to generate it.');
+        setLoading(false);
+      }
+    };
+
+    loadReport();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-background text-foreground flex items-center justify-center">
+        <p className="text-secondary">Loading vault health report...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-background text-foreground flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <h1 className="text-2xl font-bold mb-2">Error Loading Report</h1>
+          <p className="text-secondary">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const totalProblems = Object.values(report.summary).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="min-h-screen bg-background text-foreground">
+      {/* Header */}
+      <div className="border-b border-border bg-surface/50 backdrop-blur-sm sticky top-0 z-50">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => navigate('/graph')}
+                className="flex items-center gap-2 text-sm text-secondary hover:text-foreground transition-colors"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+                Back to Graph
+              </button>
+              <h1 className="text-xl font-semibold text-foreground">Vault Health</h1>
+            </div>
+
+            <div className="text-sm text-secondary">
+              Generated {new Date(report.generatedAt).toLocaleString()}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Summary */}
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 mb-8">
+          {CATEGORIES.map(({ key, title, strict, fatal }) => (
+            <a
+              key={key}
+              href={`#${key}`}
+              className={`p-4 rounded-lg border transition-colors ${
+                report.summary[key] > 0
+                  ? strict || fatal ? 'border-red-500/40 bg-red-500/5' : 'border-amber-500/40 bg-amber-500/5'
+                  : 'border-border bg-surface/30'
+              }`}
+            >
+              <div className="text-2xl font-semibold">{report.summary[key]}</div>
+              <div className="text-sm text-secondary">{title}</div>
+            </a>
+          ))}
+        </div>
+
+        {totalProblems === 0 && (
+          <p className="text-center text-secondary">No problems found. The vault is healthy.</p>
+        )}
+
+        {/* Details */}
+        {CATEGORIES.filter(({ key }) => report[key].length > 0).map(category => (
+          <section key={category.key} id={category.key} className="mb-10">
+            <h2 className="text-lg font-semibold mb-1">
+              {category.title} <span className="text-secondary font-normal">({report[category.key].length})</span>
+            </h2>
+            <p className="text-sm text-secondary mb-4">
+              {category.description}
+              {category.strict && ' Fails the build in strict mode.'}
+              {category.fatal && ' Fails the build.'}
+            </p>
+            <ul className="divide-y divide-border border border-border rounded-lg bg-surface/30">
+              {report[category.key].map((entry, index) => (
+                <li key={index} className="px-4 py-3 text-sm">
+                  <HealthEntry category={category.key} entry={entry} />
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Render one report entry
+ */
+function HealthEntry({ category, entry }) {
+  switch (category) {
+    case 'unresolvedLinks':
+      return (
+        <>
+          <code className="text-red-400">[[{entry.target}]]</code> in <NoteLink id={entry.source} />
+          {entry.suggestions.length > 0 && (
+            <span className="text-secondary">
+              {' '}— did you mean{' '}
+              {entry.suggestions.map((id, index) => (
+                <span key={id}>{index > 0 && ', '}<NoteLink id={id} /></span>
+              ))}?
+            </span>
+          )}
+        </>
+      );
+    case 'ambiguousLinks':
+      return (
+        <>
+          <code>[[{entry.target}]]</code> in <NoteLink id={entry.source} /> matches{' '}
+          {entry.candidates.map((id, index) => (
+            <span key={id}>{index > 0 && ', '}<NoteLink id={id} /></span>
+          ))}
+          <span className="text-secondary"> (resolves to {entry.resolved})</span>
+        </>
+      );
+    case 'unknownSimulations':
+      return (
+        <>
+          <code className="text-red-400">::sim[{entry.simId}]</code> in <NoteLink id={entry.source} />
+        </>
+      );
+    case 'aliasConflicts':
+      return (
+        <>
+          <code>{entry.alias}</code> is claimed by{' '}
+          {entry.notes.map((id, index) => (
+            <span key={id}>{index > 0 && ', '}<NoteLink id={id} /></span>
+          ))}
+        </>
+      );
+    case 'unlinkedMentions':
+      return (
+        <>
+          <span className="text-amber-400">“{entry.text}”</span> in <NoteLink id={entry.source} /> could link to{' '}
+          <NoteLink id={entry.target} />
+          {entry.count > 1 && <span className="text-secondary"> ({entry.count}×)</span>}
+        </>
+      );
+    case 'privateLinks':
+      return (
+        <>
+          <code className="text-amber-400">[[{entry.target}]]</code> in <NoteLink id={entry.source} /> is a private note
+        </>
+      );
+    case 'invalidDemoMappings':
+      return (
+        <>
+          <code className="text-red-400">{entry.field}: {entry.value}</code> in <NoteLink id={entry.source} /> is {entry.problem}
+        </>
+      );
+    case 'missingAttachments':
+      return (
+        <>
+          <code className="text-red-400">{entry.target}</code> in <NoteLink id={entry.source} />
+        </>
+      );
+    default:
+      return <NoteLink id={entry} />;
+  }
+}
+
+function NoteLink({ id }) {
+  return (
+    <Link to={`/vault/${id}`} className="text-accent hover:text-accent/80">
+      {id}
+    </Link>
+  );
+}
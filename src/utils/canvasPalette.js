@@ -0,0 +1,27 @@
+/**
+ * Neutral colours for drawing a simulation on its canvas
+ *
+ * Sims draw their data in fixed hues, but take the background, the panels
+ * drawn over it and the neutral ink (labels, grid lines, outlines) from CSS
+ * variables, so a theme can repaint them (see .embed-theme-light in
+ * index.css):
+ *   --sim-background - canvas background
+ *   --sim-panel      - boxes drawn over it
+ *   --sim-ink        - "r, g, b" of the ink, which sims give their own alpha
+ * Where a variable is unset the sim keeps its own dark colour, and the ink
+ * is white. Read it once per drawing effect, not per frame.
+ */
+
+export function getCanvasPalette(canvas) {
+  const style = getComputedStyle(canvas);
+  const read = name => style.getPropertyValue(name).trim();
+  const background = read('--sim-background');
+  const panel = read('--sim-panel');
+  const ink = read('--sim-ink') || '255, 255, 255';
+
+  return {
+    background: own => background || own,
+    panel: own => panel || own,
+    ink: (alpha = 1) => `rgba(${ink}, ${alpha})`,
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * Markdown Plugins
+ * The remark/rehype plugin set shared by every markdown renderer, adding
+ * Obsidian syntax on top of GFM and math:
+ *   > [!note] Title       - callout (type, optional title)
+ *   > [!warning]- Title   - foldable callout, collapsed (+ starts open)
+ *   ==text==              - highlight, rendered as <mark>
+ *
+ * Callouts become `callout` / `callout-title` elements that the renderers
+ * map to the Callout components. %% comments %% never reach the client:
+ * the build scripts strip them (see stripComments in vaultContent.js).
+ */
+
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+
+// [!type], optional fold marker (+ open, - collapsed), then the title
+const CALLOUT_REGEX = /^\[!([\w-]+)\]([+-]?)[ \t]*/;
+
+// Obsidian's callout aliases, mapped to the type that sets their style
+const CALLOUT_ALIASES = {
+  summary: 'abstract',
+  tldr: 'abstract',
+  hint: 'tip',
+  important: 'tip',
+  check: 'success',
+  done: 'success',
+  help: 'question',
+  faq: 'question',
+  caution: 'warning',
+  attention: 'warning',
+  fail: 'failure',
+  missing: 'failure',
+  error: 'danger',
+  cite: 'quote'
+};
+
+// Nodes whose text is literal
+const LITERAL_TYPES = new Set(['code', 'inlineCode', 'math', 'inlineMath', 'html']);
+
+const HIGHLIGHT_MARKER = '==';
+
+/**
+ * Canonical callout type for a [!type] marker
+ */
+export function getCalloutType(type) {
+  const lower = type.toLowerCase();
+  return CALLOUT_ALIASES[lower] || lower;
+}
+
+/**
+ * Call visit(node) for every node, parents before their (updated) children
+ */
+function walk(node, visit) {
+  visit(node);
+  if (node.children && !LITERAL_TYPES.has(node.type)) {
+    node.children.forEach(child => walk(child, visit));
+  }
+}
+
+/**
+ * Split a paragraph's inline nodes at the first line break:
+ * { head: nodes before it, tail: nodes after it }
+ */
+function splitFirstLine(children) {
+  for (let i = 0; i < children.length; i++) {
+    const child = children[i];
+    if (child.type === 'break') {
+      return { head: children.slice(0, i), tail: children.slice(i + 1) };
+    }
+    if (child.type === 'text' && child.value.includes('\n')) {
+      const newline = child.value.indexOf('\n');
+      const before = child.value.slice(0, newline);
+      const after = child.value.slice(newline + 1);
+      return {
+        head: [...children.slice(0, i), ...(before ? [{ type: 'text', value: before }] : [])],
+        tail: [...(after ? [{ type: 'text', value: after }] : []), ...children.slice(i + 1)]
+      };
+    }
+  }
+  return { head: children, tail: [] };
+}
+
+/**
+ * Turn a blockquote starting with [!type] into a callout node
+ */
+function toCallout(blockquote) {
+  const [first, ...rest] = blockquote.children;
+  if (first?.type !== 'paragraph' || first.children[0]?.type !== 'text') return;
+
+  const match = first.children[0].value.match(CALLOUT_REGEX);
+  if (!match) return;
+
+  const [marker, rawType, fold] = match;
+  const type = getCalloutType(rawType);
+  const markerText = { type: 'text', value: first.children[0].value.slice(marker.length) };
+  const { head, tail } = splitFirstLine([markerText, ...first.children.slice(1)]);
+
+  const hasTitle = head.some(node => node.type !== 'text' || node.value.trim());
+  const title = hasTitle
+    ? head
+    : [{ type: 'text', value: rawType.charAt(0).toUpperCase() + rawType.slice(1).toLowerCase() }];
+
+  const body = tail.length ? [{ ...first, children: tail }, ...rest] : rest;
+  const properties = { dataCallout: type, dataFold: fold || undefined };
+
+  blockquote.type = 'callout';
+  blockquote.data = { hName: 'callout', hProperties: properties };
+  blockquote.children = [
+    { type: 'calloutTitle', data: { hName: 'callout-title', hProperties: properties }, children: title },
+    ...(body.length
+      ? [{ type: 'calloutContent', data: { hName: 'div', hProperties: { className: ['callout-content'] } }, children: body }]
+      : [])
+  ];
+}
+
+/**
+ * remark plugin: Obsidian callouts
+ */
+export function remarkCallouts() {
+  return (tree) => {
+    walk(tree, node => {
+      if (node.type === 'blockquote') toCallout(node);
+    });
+  };
+}
+
+const isMarker = node => node.marker === true;
+const startsWithSpace = node => node.type === 'text' && /^\s/.test(node.value);
+const endsWithSpace = node => node.type === 'text' && /\s$/.test(node.value);
+
+/**
+ * Wrap ==text== runs among a parent's inline children in highlight nodes
+ * A run may span several nodes (==some *emphasis* here==) but not a
+ * paragraph break; the markers must hug the highlighted text.
+ */
+function wrapHighlights(children) {
+  if (!children.some(child => child.type === 'text' && child.value.includes(HIGHLIGHT_MARKER))) {
+    return children;
+  }
+
+  const items = [];
+  for (const child of children) {
+    if (child.type !== 'text' || !child.value.includes(HIGHLIGHT_MARKER)) {
+      items.push(child);
+      continue;
+    }
+    child.value.split(HIGHLIGHT_MARKER).forEach((value, i) => {
+      if (i > 0) items.push({ type: 'text', value: HIGHLIGHT_MARKER, marker: true });
+      if (value) items.push({ type: 'text', value });
+    });
+  }
+
+  const result = [];
+  let open = -1;
+
+  items.forEach((item, i) => {
+    if (!isMarker(item)) {
+      result.push(item);
+    } else if (open === -1) {
+      const next = items[i + 1];
+      if (next && !isMarker(next) && !startsWithSpace(next)) open = result.length;
+      result.push(item);
+    } else if (result.length > open + 1 && !endsWithSpace(items[i - 1])) {
+      const highlighted = result.splice(open + 1);
+      result[open] = { type: 'highlight', data: { hName: 'mark' }, children: highlighted };
+      open = -1;
+    } else {
+      result.push(item);
+    }
+  });
+
+  // Unmatched markers stay literal; merge the text back together
+  const merged = [];
+  for (const item of result) {
+    const node = isMarker(item) ? { type: 'text', value: item.value } : item;
+    const last = merged[merged.length - 1];
+    if (node.type === 'text' && last?.type === 'text') {
+      merged[merged.length - 1] = { type: 'text', value: last.value + node.value };
+    } else {
+      merged.push(node);
+    }
+  }
+  return merged;
+}
+
+/**
+ * remark plugin: ==highlights==
+ */
+export function remarkHighlights() {
+  return (tree) => {
+    walk(tree, node => {
+      if (node.children && !LITERAL_TYPES.has(node.type)) {
+        node.children = wrapHighlights(node.children);
+      }
+    });
+  };
+}
+
+export const remarkPlugins = [remarkGfm, remarkMath, remarkCallouts, remarkHighlights];
+export const rehypePlugins = [rehypeKatex];
@@ -0,0 +1,97 @@
+/**
+ * Simulation permalinks
+ *
+ * A link sets a simulation up again on whichever page shows it (an Explorer
+ * section, /sims/:simId, /embed/:simId). Its query string holds
+ *   sim    - the simulation's id; on pages with several, only it is set up
+ *   seed   - the random seed
+ *   others - params that differ from the registry defaults (see
+ *            simulationParams.js for how they're read back)
+ * and its hash can hold a snapshot of the model state mid-run
+ * (#state=<deflated JSON, base64url>; see models/snapshot.js) with the
+ * canvas size it was taken at. Hashes never reach the server, so a large
+ * snapshot only makes the link long.
+ */
+
+import { SIMULATIONS } from '../data/simulations.js';
+import { coerceParam, parseSimulationParams } from './simulationParams.js';
+import { parseSeed } from './random.js';
+
+// Query keys a link uses besides params
+export const LINK_OPTIONS = ['sim', 'seed'];
+
+const STATE_PREFIX = '#state=';
+
+/**
+ * The query string (no leading ?) setting up a simulation with these
+ * params and seed; params the registry doesn't have, or that can't be
+ * read back, are left out
+ */
+export function simulationQuery(simId, { params = {}, seed }) {
+  const defaults = SIMULATIONS[simId].params;
+  const query = new URLSearchParams({ sim: simId });
+  if (seed !== undefined) query.set('seed', String(seed));
+
+  for (const [key, value] of Object.entries(params)) {
+    if (!Object.hasOwn(defaults, key) || value === defaults[key]) continue;
+    if (coerceParam(defaults[key], value) === value) query.set(key, String(value));
+  }
+
+  return query.toString();
+}
+
+/**
+ * Read a simulation's setup back from a query string (URLSearchParams)
+ * Keys in `ignore` are the page's own; returns { params, seed, errors }
+ */
+export function parseSimulationQuery(simId, query, { ignore = [] } = {}) {
+  const { params, errors } = parseSimulationParams(simId, query, { ignore: [...LINK_OPTIONS, ...ignore] });
+  const value = query.get('seed');
+  const seed = parseSeed(value);
+  if (value !== null && seed === undefined) errors.push(`Invalid seed: ${value}`);
+  return { params, seed, errors };
+}
+
+async function transform(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Whether a URL hash holds a snapshot
+ */
+export function hasSnapshot(hash) {
+  return hash.startsWith(STATE_PREFIX);
+}
+
+/**
+ * The URL hash for a snapshot ({ width, height, data, rng })
+ */
+export async function encodeSnapshot(snapshot) {
+  const bytes = await transform(new TextEncoder().encode(JSON.stringify(snapshot)), new CompressionStream('deflate-raw'));
+  return STATE_PREFIX + toBase64Url(bytes);
+}
+
+/**
+ * The snapshot in a URL hash
+ * Rejects if the hash holds something else (a truncated link, say)
+ */
+export async function decodeSnapshot(hash) {
+  if (!hasSnapshot(hash)) throw new Error('No snapshot in this link');
+  const bytes = await transform(fromBase64Url(hash.slice(STATE_PREFIX.length)), new DecompressionStream('deflate-raw'));
+  const snapshot = JSON.parse(new TextDecoder().decode(bytes));
+  if (!(snapshot?.width > 0 && snapshot?.height > 0 && snapshot.data)) throw new Error('Malformed snapshot');
+  return snapshot;
+}
@@ -0,0 +1,49 @@
+/**
+ * Seeded randomness for the simulations
+ *
+ * Every simulation model draws its randomness from the rng it is given in
+ * init(params, rng); the components build that rng from a seed with
+ * createRandom, so a seed and params pin down a whole run. Plain ES module
+ * with no browser dependencies, so the model tests use it too.
+ */
+
+// Seeds are kept short enough to read out and type back in
+const MAX_SEED = 1000000;
+
+/**
+ * A deterministic Math.random stand-in (mulberry32): a function returning
+ * floats in [0, 1), the same sequence for the same seed
+ * rng.position() is how far along that sequence it is, and
+ * rng.seek(position) moves it there, so a snapshot can resume it
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  const rng = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.position = () => a;
+  rng.seek = (position) => { a = position >>> 0; };
+  return rng;
+}
+
+/**
+ * A fresh seed, for runs that weren't given one
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * A seed from user input (a field, a query string)
+ * Returns undefined unless value is a non-negative integer below MAX_SEED
+ */
+export function parseSeed(value) {
+  const text = String(value ?? '').trim();
+  if (!/^\d+$/.test(text)) return undefined;
+  const seed = Number(text);
+  return seed < MAX_SEED ? seed : undefined;
+}
@@ -0,0 +1,112 @@
+/**
+ * Recordings of a simulation's observables, for analysis in other tools
+ *
+ * A model declares what is worth recording in OBSERVABLES: paths into the
+ * result of its observe() ('freeEnergy', 'blind.successes', 'errors.0'),
+ * each with a short description. A recording samples them at a fixed rate
+ * of simulated time (the model clock's ticks, see models/clock.js), so a
+ * paused simulation records nothing and t is exact, and exports them as
+ * CSV or JSON along with what it takes to reproduce the run: sim id,
+ * params, seed and app version.
+ *
+ * Samples are taken from the state as it is when recordSample is called,
+ * so sample times the caller steps past between two calls (a throttled
+ * tab) can't be read back. They are counted in meta.droppedSamples, and
+ * each gap is listed as [from, to] in simulated seconds.
+ */
+
+import { TICKS_PER_SECOND, elapsed } from '../models/clock.js';
+
+// Samples per second of simulated time; each divides the tick rate
+export const SAMPLE_RATES = [1, 5, 10, 30, 60];
+export const DEFAULT_SAMPLE_RATE = 10;
+
+/**
+ * Start a recording (then call recordSample with the model's state as it
+ * runs)
+ * meta: { simId, params, seed, appVersion, sampleRate }
+ */
+export function createRecording(observables, meta) {
+  if (!SAMPLE_RATES.includes(meta.sampleRate)) throw new Error(`Unsupported sample rate: ${meta.sampleRate}`);
+  return {
+    meta: { ...meta, startedAt: new Date().toISOString(), droppedSamples: 0 },
+    observables: { ...observables },
+    samples: [],
+    gaps: [],
+    lastTick: null,
+    nextTick: null,
+  };
+}
+
+function read(observed, path) {
+  const value = path.split('.').reduce((item, key) => item?.[key], observed);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Add a sample if the state has reached the next sample time (a multiple
+ * of 1 / sampleRate s), and say whether it did
+ * When the state's clock goes back (the simulation was reset), sampling
+ * starts over from its time, so t drops back in the recording too.
+ */
+export function recordSample(recording, model, state) {
+  const ticks = state.ticks || 0;
+  const interval = TICKS_PER_SECOND / recording.meta.sampleRate;
+  if (recording.nextTick === null || ticks < recording.lastTick) {
+    recording.nextTick = Math.ceil(ticks / interval) * interval;
+  }
+  if (ticks < recording.nextTick) return false;
+
+  // Sample times between the one due and this one were stepped past
+  const missed = Math.floor((ticks - recording.nextTick) / interval);
+  if (missed > 0) {
+    recording.meta.droppedSamples += missed;
+    recording.gaps.push([recording.lastTick / TICKS_PER_SECOND, elapsed(state)]);
+  }
+
+  const observed = model.observe(state);
+  const sample = { t: elapsed(state) };
+  for (const path of Object.keys(recording.observables)) sample[path] = read(observed, path);
+
+  recording.samples.push(sample);
+  recording.lastTick = ticks;
+  recording.nextTick = (Math.floor(ticks / interval) + 1) * interval;
+  return true;
+}
+
+function csvValue(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The recording as CSV: the metadata (with the gaps) and observable
+ * descriptions as leading # comment lines, then a header row (t, then the
+ * observables) and one row per sample
+ */
+export function recordingToCSV(recording) {
+  const { meta, observables, samples, gaps } = recording;
+  const columns = ['t', ...Object.keys(observables)];
+  const lines = [
+    ...Object.entries({ ...meta, gaps }).map(([key, value]) => `# ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`),
+    '# t: Simulated time (s)',
+    ...Object.entries(observables).map(([path, description]) => `# ${path}: ${description}`),
+    columns.join(','),
+    ...samples.map(sample => columns.map(column => csvValue(sample[column])).join(',')),
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * The recording as JSON: { ...metadata, gaps, observables, samples: [{ t, ... }] }
+ */
+export function recordingToJSON(recording) {
+  const { meta, observables, samples, gaps } = recording;
+  return JSON.stringify({
+    ...meta,
+    gaps,
+    observables,
+    samples,
+  }, null, 2);
+}
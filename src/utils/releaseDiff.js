@@ -0,0 +1,191 @@
+/**
+ * Release Diff
+ * Compares two release snapshots (written by scripts/vaultReleases.js):
+ * notes added, removed and modified, a word-level diff of every canonical
+ * section, and the graph edges that appeared or disappeared.
+ */
+
+// Sections that changed this much are shown as replaced rather than diffed
+const MAX_EDITS = 4000;
+
+/**
+ * Split text into words and the whitespace between them
+ */
+function tokenize(text) {
+  return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Recover the edit script from the Myers trace: [[type, token]] in order
+ */
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    // trace[d - 1] holds the furthest x for diagonals -(d-1)..(d-1)
+    const furthest = k => trace[d - 1][k + d - 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && furthest(k - 1) < furthest(k + 1));
+    const previousK = down ? k + 1 : k - 1;
+    const previousX = furthest(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      ops.push(['same', a[--x]]);
+      y--;
+    }
+    if (down) {
+      ops.push(['added', b[--y]]);
+    } else {
+      ops.push(['removed', a[--x]]);
+    }
+  }
+
+  while (x > 0) {
+    ops.push(['same', a[--x]]);
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Shortest edit script between two token lists (Myers' algorithm), or
+ * null when it needs more than MAX_EDITS edits
+ */
+function diffTokens(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(n + m, MAX_EDITS); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return backtrack(trace, a, b);
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  return null;
+}
+
+/**
+ * Word-level diff of two texts: [{ type: "same" | "added" | "removed", text }]
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Trim the common start and end so only the changed middle is searched
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = diffTokens(middleA, middleB) ?? [
+    ...middleA.map(token => ['removed', token]),
+    ...middleB.map(token => ['added', token])
+  ];
+
+  const ops = [
+    ...a.slice(0, start).map(token => ['same', token]),
+    ...middle,
+    ...a.slice(endA).map(token => ['same', token])
+  ];
+
+  // Merge runs of the same type into parts
+  const parts = [];
+  for (const [type, token] of ops) {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += token;
+    } else {
+      parts.push({ type, text: token });
+    }
+  }
+  return parts;
+}
+
+const getEdgeKey = edge => [edge.source, edge.target, edge.type, edge.relation ?? ''].join('\n');
+
+/**
+ * Compare two release snapshots
+ * Returns {
+ *   notes: { added, removed, modified: [{ id, title, folder, words, wordDelta? }] },
+ *   sections: [{ noteId, title, status: "added" | "removed" | "modified" | "unchanged", parts }],
+ *   edges: { added, removed: [{ source, target, type, relation }] }
+ * }
+ */
+export function diffReleases(from, to) {
+  const notes = { added: [], removed: [], modified: [] };
+
+  for (const [id, note] of Object.entries(to.notes)) {
+    const previous = from.notes[id];
+    if (!previous) {
+      notes.added.push({ id, ...note });
+    } else if (previous.hash !== note.hash) {
+      notes.modified.push({ id, ...note, wordDelta: note.words - previous.words });
+    }
+  }
+  for (const [id, note] of Object.entries(from.notes)) {
+    if (!to.notes[id]) notes.removed.push({ id, ...note });
+  }
+
+  // Sections in the newer paper's order, then the ones it dropped
+  const fromSections = new Map(from.sections.map(section => [section.noteId, section]));
+  const toIds = new Set(to.sections.map(section => section.noteId));
+  const sections = [
+    ...to.sections.map(section => {
+      const previous = fromSections.get(section.noteId);
+      if (!previous) {
+        return { ...section, status: 'added', parts: [{ type: 'added', text: section.content }] };
+      }
+      if (previous.content === section.content) {
+        return { ...section, status: 'unchanged', parts: [] };
+      }
+      return { ...section, status: 'modified', parts: diffWords(previous.content, section.content) };
+    }),
+    ...from.sections
+      .filter(section => !toIds.has(section.noteId))
+      .map(section => ({ ...section, status: 'removed', parts: [{ type: 'removed', text: section.content }] }))
+  ];
+
+  const fromEdges = new Set(from.edges.map(getEdgeKey));
+  const toEdges = new Set(to.edges.map(getEdgeKey));
+  const edges = {
+    added: to.edges.filter(edge => !fromEdges.has(getEdgeKey(edge))),
+    removed: from.edges.filter(edge => !toEdges.has(getEdgeKey(edge)))
+  };
+
+  return { notes, sections, edges };
+}
+
+/**
+ * The release before a version in the index's releases (oldest first), or null
+ */
+export function getPreviousRelease(releases, version) {
+  const index = releases.findIndex(release => release.version === version);
+  return index > 0 ? releases[index - 1] : null;
+}
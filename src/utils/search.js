@@ -0,0 +1,244 @@
+/**
+ * Full-text search utilities
+ * The search index is built at manifest time (scripts/buildSearchIndex.js)
+ * and queried in the browser; both sides tokenize and stem with the
+ * functions here so query terms always match indexed terms.
+ *
+ * Index format:
+ *   docs:  [{ id, type, title, context, folder, url, text }]
+ *          note documents have { noteId, slug, excerpt } instead of text;
+ *          their snippets come from the note's content (getNoteSectionText)
+ *   terms: { stem: [docIndex, score, docIndex, score, ...] }
+ */
+
+import { stemmer } from 'stemmer';
+import { slugifyHeading, wikiLinksToText } from './vaultContent.js';
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were',
+  'with'
+]);
+
+// Prefix matches (search-as-you-type) rank below exact term matches
+const PREFIX_MATCH_WEIGHT = 0.7;
+const SNIPPET_RADIUS = 90;
+
+/**
+ * Stem a single word, ignoring case
+ */
+export function stemWord(word) {
+  return stemmer(word.toLowerCase());
+}
+
+/**
+ * Split text into stemmed search terms, dropping stop words
+ * LaTeX source is kept as text, so "\nabla F" yields "nabla" and "f"
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  const terms = [];
+  for (const [word] of text.toLowerCase().matchAll(WORD_REGEX)) {
+    if (!STOP_WORDS.has(word)) {
+      terms.push(stemmer(word));
+    }
+  }
+  return terms;
+}
+
+/**
+ * Strip markdown syntax for indexing and snippets
+ * LaTeX source ($...$) is kept so formulas are searchable
+ */
+export function toPlainText(markdown) {
+  return wikiLinksToText(markdown)
+    .replace(/^```.*$/gm, '')
+    .replace(/^::sim\[[^\]]*\].*$/gm, '')
+    .replace(/\s\^[A-Za-z0-9-]+\s*$/gm, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:>\s*)+/gm, '')
+    .replace(/^\[![\w-]+\][+-]?\s*/gm, '')
+    .replace(/==/g, '')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_~`|]+/g, '')
+    .replace(/^-{3,}$/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a note at its headings: the text before the first subheading
+ * belongs to the note itself, each heading section becomes its own
+ * search document. Returns [{ heading, text }] with text as plain text.
+ */
+export function splitNoteSections(content) {
+  const sections = [{ heading: null, lines: [] }];
+  let inFence = false;
+  let hasText = false;
+
+  for (const line of content.split('\n')) {
+    if (line.trim().startsWith('```')) inFence = !inFence;
+
+    const match = !inFence && line.match(HEADING_REGEX);
+    const isTitle = match && match[1].length === 1 && !hasText && sections.length === 1;
+    hasText ||= Boolean(line.trim());
+
+    // The note's own # Title is indexed as the note title
+    if (isTitle) continue;
+
+    if (match) {
+      sections.push({ heading: match[2], lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  return sections.map(({ heading, lines }) => ({ heading, text: toPlainText(lines.join('\n')) }));
+}
+
+/**
+ * Plain text of the note section a note document stands for (slug null
+ * for the text before the first subheading), or null if it's gone
+ */
+export function getNoteSectionText(content, slug) {
+  const section = splitNoteSections(content)
+    .find(({ heading }) => (heading ? slugifyHeading(heading) : null) === slug);
+  return section ? section.text : null;
+}
+
+/**
+ * Find the index terms a query matches
+ * Every word matches its exact stem; the last word also matches as a prefix
+ * so results update while the user is still typing it.
+ * Returns one Map (term -> weight) per query word.
+ */
+function expandQuery(index, query) {
+  const words = [...query.toLowerCase().matchAll(WORD_REGEX)]
+    .map(([word]) => word)
+    .filter(word => !STOP_WORDS.has(word));
+
+  return words.map((word, i) => {
+    const stem = stemmer(word);
+    const matches = new Map();
+    if (index.terms[stem]) matches.set(stem, 1);
+
+    const isLastWord = i === words.length - 1 && !/\s$/.test(query);
+    if (isLastWord) {
+      for (const term of Object.keys(index.terms)) {
+        if (matches.has(term)) continue;
+        const isPrefix = term.startsWith(stem) || (term.length >= 4 && stem.startsWith(term));
+        if (isPrefix) matches.set(term, PREFIX_MATCH_WEIGHT);
+      }
+    }
+
+    return matches;
+  });
+}
+
+/**
+ * Search the index
+ * Every query word must match; documents are ranked by summed term scores.
+ *
+ * Options:
+ *   types   - only return these document types (note, section, reference, simulation)
+ *   folders - only return notes in these folders (other types are unaffected)
+ *   limit   - maximum number of results
+ *
+ * Returns [{ doc, score, terms }] where terms are the matched index terms
+ */
+export function searchIndex(index, query, { types = null, folders = null, limit = 30 } = {}) {
+  const expanded = expandQuery(index, query);
+  if (!expanded.length || expanded.some(matches => matches.size === 0)) return [];
+
+  let results = null;
+
+  for (const matches of expanded) {
+    const wordScores = new Map();
+
+    for (const [term, weight] of matches) {
+      const postings = index.terms[term];
+      for (let i = 0; i < postings.length; i += 2) {
+        const docIndex = postings[i];
+        const current = wordScores.get(docIndex) || { score: 0, terms: [] };
+        current.score = Math.max(current.score, postings[i + 1] * weight);
+        current.terms.push(term);
+        wordScores.set(docIndex, current);
+      }
+    }
+
+    // Intersect with the documents matching earlier words
+    if (results === null) {
+      results = wordScores;
+    } else {
+      for (const [docIndex, result] of results) {
+        const match = wordScores.get(docIndex);
+        if (!match) {
+          results.delete(docIndex);
+        } else {
+          result.score += match.score;
+          result.terms.push(...match.terms);
+        }
+      }
+    }
+  }
+
+  return [...results.entries()]
+    .map(([docIndex, { score, terms }]) => ({ doc: index.docs[docIndex], score, terms }))
+    .filter(({ doc }) =>
+      (!types || types.includes(doc.type)) &&
+      (!folders || doc.type !== 'note' || folders.includes(doc.folder))
+    )
+    .sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title))
+    .slice(0, limit);
+}
+
+/**
+ * Split text into segments, flagging words that match the given index terms
+ * Returns [{ text, match }]
+ */
+export function highlightTerms(text, terms) {
+  const termSet = new Set(terms);
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(WORD_REGEX)) {
+    if (!termSet.has(stemWord(match[0]))) continue;
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+}
+
+/**
+ * Cut a snippet around the first matching word and split it for highlighting
+ * Returns [{ text, match }] segments
+ */
+export function getSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  if (!text) return [];
+
+  const termSet = new Set(terms);
+  let first = 0;
+  for (const match of text.matchAll(WORD_REGEX)) {
+    if (termSet.has(stemWord(match[0]))) {
+      first = match.index;
+      break;
+    }
+  }
+
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, start + radius * 2);
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  return highlightTerms(excerpt, terms);
+}
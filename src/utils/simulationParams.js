@@ -0,0 +1,68 @@
+/**
+ * Simulation params from strings (query strings, postMessage payloads)
+ *
+ * Each value is coerced to the type of the registry default it overrides
+ * (see data/simulations.js), so `?noise=0.2&showErrors=false` reaches the
+ * simulation as a number and a boolean. Unknown keys and values that don't
+ * fit are dropped and reported instead.
+ */
+
+import { SIMULATIONS } from '../data/simulations.js';
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Coerce one value to the type of its default
+ * Returns undefined when it can't be
+ */
+export function coerceParam(defaultValue, value) {
+  switch (typeof defaultValue) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      return value !== '' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      return undefined;
+    }
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Parse params for a simulation from key/value pairs
+ * entries can be an object, a Map or URLSearchParams; keys in `ignore`
+ * are skipped silently (e.g. the embed route's own options)
+ * Returns { params, errors: [message] }
+ */
+export function parseSimulationParams(simId, entries, { ignore = [] } = {}) {
+  const defaults = SIMULATIONS[simId]?.params || {};
+  const pairs = typeof entries?.entries === 'function' ? [...entries.entries()] : Object.entries(entries || {});
+  const params = {};
+  const errors = [];
+
+  for (const [key, value] of pairs) {
+    if (ignore.includes(key)) continue;
+
+    if (!Object.hasOwn(defaults, key)) {
+      errors.push(`Unknown param "${key}" for ${simId}`);
+      continue;
+    }
+
+    const coerced = coerceParam(defaults[key], value);
+    if (coerced === undefined) {
+      errors.push(`Invalid value for ${key}: ${JSON.stringify(value)} (expected a ${typeof defaults[key]})`);
+    } else {
+      params[key] = coerced;
+    }
+  }
+
+  return { params, errors };
+}
@@ -0,0 +1,479 @@
+/**
+ * Vault Content Utilities
+ * Shared by the Explorer and the build scripts (paper compiler, manifest
+ * builder) so both read titles, subtitles, footers and links the same way
+ */
+
+const WIKI_LINK_REGEX = /!?\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const BLOCK_ID_REGEX = /\s\^([A-Za-z0-9-]+)\s*$/;
+const SIM_MARKER_REGEX = /^::sim\[([^\]]+)\]/;
+// Fenced code blocks and inline code spans, whose text is literal
+const CODE_REGEX = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))|`[^`\n]+`/gm;
+// Code (fenced or inline, kept as written) or an Obsidian %% comment %%;
+// an unclosed comment runs to the end of the note
+const COMMENT_REGEX = /(^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\2[^\n]*$|(?![\s\S]))|`[^`\n]+`)|%%[\s\S]*?(?:%%|$(?![\s\S]))/gm;
+const LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d+\.)\s/;
+// Inline spans whose text is not plain prose: wiki-links and embeds, code,
+// display and inline math, markdown links
+const INLINE_SPAN_REGEX = /(!?)\[\[([^\]|]+)(?:\|([^\]]+))?\]\]|`([^`]*)`|(\$\$[\s\S]*?\$\$|\$[^$\n]+\$)|\[([^\]]*)\]\([^)]*\)/g;
+
+// Longest backlink context kept; longer paragraphs are cut to the sentence
+// around the link, then to a window around it
+const MAX_CONTEXT_LENGTH = 280;
+
+/**
+ * Check if a line starts a navigation footer
+ */
+function isFooterLine(line) {
+  return line.startsWith('**See also') || line.startsWith('**Previous') || line.startsWith('**Next:');
+}
+
+/**
+ * Process vault content for display
+ * Strips the title, the subtitle blockquote (unless keepSubtitle) and the
+ * navigation footer (everything after --- followed by **See also**,
+ * **Previous** or **Next:**)
+ */
+export function processVaultContent(content, { keepSubtitle = false } = {}) {
+  if (!content) return '';
+
+  const lines = content.split('\n');
+  let startIndex = 0;
+
+  // Skip title line (# Title)
+  if (lines[0]?.startsWith('# ')) {
+    startIndex = 1;
+  }
+
+  // Skip empty lines after title
+  while (startIndex < lines.length && lines[startIndex].trim() === '') {
+    startIndex++;
+  }
+
+  // Skip subtitle blockquote (> subtitle) but NOT tutorial links (> 📐)
+  if (!keepSubtitle && lines[startIndex]?.startsWith('> ') && !lines[startIndex].includes('📐')) {
+    startIndex++;
+  }
+
+  // Skip empty lines after subtitle
+  while (startIndex < lines.length && lines[startIndex].trim() === '') {
+    startIndex++;
+  }
+
+  // Find and remove the footer
+  let endIndex = lines.length;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (isFooterLine(lines[i])) {
+      // Find the --- before this
+      for (let j = i - 1; j >= 0; j--) {
+        if (lines[j].trim() === '---') {
+          endIndex = j;
+          break;
+        }
+      }
+      break;
+    }
+  }
+
+  return lines.slice(startIndex, endIndex).join('\n').trim();
+}
+
+/**
+ * Extract the subtitle blockquote from vault content
+ */
+export function extractSubtitle(content) {
+  if (!content) return null;
+
+  for (const line of content.split('\n')) {
+    if (line.startsWith('> ')) {
+      return line.slice(2).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn heading text into the anchor ID used for scrolling
+ * Markdown punctuation is dropped so "The **Core** idea" and the rendered
+ * "The Core idea" produce the same slug
+ */
+export function slugifyHeading(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Anchor ID for a block reference (^block-id)
+ */
+export function getBlockAnchorId(blockId) {
+  return `^${blockId}`;
+}
+
+/**
+ * Extract the heading outline of a note: [{ level, text, slug }]
+ * Headings inside fenced code blocks are ignored
+ */
+export function extractHeadings(content) {
+  if (!content) return [];
+
+  const headings = [];
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inFence = !inFence;
+      continue;
+    }
+    const match = !inFence && line.match(HEADING_REGEX);
+    if (match) {
+      headings.push({ level: match[1].length, text: match[2], slug: slugifyHeading(match[2]) });
+    }
+  }
+
+  return headings;
+}
+
+/**
+ * List the simulation IDs referenced by ::sim[id] markers, in order
+ * Markers inside fenced code blocks are ignored
+ */
+export function extractSimMarkers(content) {
+  if (!content) return [];
+
+  const simIds = [];
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inFence = !inFence;
+      continue;
+    }
+    const match = !inFence && line.trim().match(SIM_MARKER_REGEX);
+    if (match) {
+      simIds.push(match[1].trim());
+    }
+  }
+
+  return simIds;
+}
+
+/**
+ * Index block IDs (a paragraph or list item ending in ^block-id)
+ * Returns { blockId: block text without the marker }
+ */
+export function extractBlocks(content) {
+  if (!content) return {};
+
+  const blocks = {};
+  const lines = content.split('\n');
+  let blockStart = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim() === '') {
+      blockStart = i + 1;
+      continue;
+    }
+
+    const match = lines[i].match(BLOCK_ID_REGEX);
+    if (match) {
+      // List items are their own block; paragraphs run back to the blank line
+      const isListItem = LIST_ITEM_REGEX.test(lines[i]);
+      const start = isListItem ? i : blockStart;
+      blocks[match[1]] = lines.slice(start, i + 1).join('\n').replace(BLOCK_ID_REGEX, '').trim();
+      blockStart = i + 1;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Split a trailing ^block-id marker off a line of rendered text
+ * Returns { text, blockId } (blockId is null when there is no marker)
+ */
+export function splitBlockId(text) {
+  const match = text.match(BLOCK_ID_REGEX);
+  if (!match) return { text, blockId: null };
+  return { text: text.slice(0, match.index), blockId: match[1] };
+}
+
+/**
+ * Normalize heading text for comparison
+ */
+function normalizeHeading(heading) {
+  return heading.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Extract the section under a heading, up to the next heading of the same
+ * or a higher level. The heading line itself is not included.
+ * Returns null if the heading does not exist.
+ */
+export function extractHeadingSection(content, heading) {
+  if (!content || !heading) return null;
+
+  const lines = content.split('\n');
+  const wanted = normalizeHeading(heading);
+  let startIndex = -1;
+  let level = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(HEADING_REGEX);
+    if (!match) continue;
+
+    if (startIndex === -1) {
+      if (normalizeHeading(match[2]) === wanted) {
+        startIndex = i + 1;
+        level = match[1].length;
+      }
+    } else if (match[1].length <= level) {
+      return lines.slice(startIndex, i).join('\n').trim();
+    }
+  }
+
+  return startIndex === -1 ? null : lines.slice(startIndex).join('\n').trim();
+}
+
+/**
+ * Remove Obsidian %% comments %% (inline or spanning lines) so private
+ * notes never reach the manifest or the paper; code is left untouched
+ */
+export function stripComments(content) {
+  if (!content.includes('%%')) return content;
+  return content.replace(COMMENT_REGEX, (match, code) => code ?? '');
+}
+
+/**
+ * Apply transform to the stretches of content outside code, leaving
+ * fenced blocks and inline code as written
+ */
+export function mapOutsideCode(content, transform) {
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of content.matchAll(CODE_REGEX)) {
+    result += transform(content.slice(lastIndex, match.index)) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + transform(content.slice(lastIndex));
+}
+
+/**
+ * Replace wiki-links with the text a reader sees in Obsidian:
+ * [[target|display]] -> display, [[target]] -> target
+ */
+export function wikiLinksToText(content) {
+  return content.replace(WIKI_LINK_REGEX, (match, target, display) =>
+    (display || target).trim()
+  );
+}
+
+/**
+ * Strip emphasis and highlight markers from a stretch of context text
+ */
+function toContextText(markdown) {
+  return markdown.replace(/\*+|==/g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Cut a long context down around the link at [start, end): first to the
+ * sentences containing it, then to a window of maxLength characters
+ * Returns { context, highlight: [start, end] }
+ */
+function trimContext(text, start, end, maxLength = MAX_CONTEXT_LENGTH) {
+  let from = 0;
+  let to = text.length;
+
+  if (to > maxLength) {
+    for (const match of text.matchAll(/[.!?]["')\]]*\s+/g)) {
+      const sentenceEnd = match.index + match[0].length;
+      if (sentenceEnd <= start) {
+        from = sentenceEnd;
+      } else if (match.index >= end) {
+        to = match.index + match[0].trimEnd().length;
+        break;
+      }
+    }
+  }
+
+  if (to - from > maxLength) {
+    const radius = Math.max(0, Math.floor((maxLength - (end - start)) / 2));
+    from = Math.max(from, start - radius);
+    to = Math.min(to, end + radius);
+  }
+
+  const slice = text.slice(from, to);
+  const body = slice.trim();
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < text.length ? '…' : '';
+  const offset = prefix.length - from - (slice.length - slice.trimStart().length);
+
+  return {
+    context: `${prefix}${body}${suffix}`,
+    highlight: [start + offset, end + offset]
+  };
+}
+
+/**
+ * Parse one paragraph, list item or heading into the text a reader sees
+ * Returns { plain, heading, anchor, links, spans }: links are the wiki-links
+ * and embeds with the range of their display text in plain, spans the
+ * ranges of all links, code and math (text no mention should match)
+ */
+function parseBlock(text, heading) {
+  const { text: body, blockId } = splitBlockId(text);
+  const anchor = blockId ? getBlockAnchorId(blockId) : heading ? slugifyHeading(heading) : null;
+
+  // Drop list, quote and callout markers before rebuilding the text
+  const source = body
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:>\s*)*(?:(?:[-*+]|\d+\.)\s+)?/, '').replace(/^\[![\w-]+\][+-]?\s*/, ''))
+    .join(' ');
+
+  const links = [];
+  const spans = [];
+  let plain = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(INLINE_SPAN_REGEX)) {
+    const [raw, bang, target, display, code, math, linkText] = match;
+    plain += toContextText(source.slice(lastIndex, match.index));
+
+    const shown = target ? (display || target).trim() : code ?? math ?? linkText;
+    const start = plain.length;
+    const end = start + shown.length;
+    if (target) {
+      links.push({ target: target.trim(), embed: bang === '!', start, end });
+    }
+    spans.push([start, end]);
+
+    plain += shown;
+    lastIndex = match.index + raw.length;
+  }
+  plain += toContextText(source.slice(lastIndex));
+
+  return { plain, heading, anchor, links, spans };
+}
+
+/**
+ * Walk the paragraphs, list items and headings of a note outside fenced
+ * code blocks, calling visit(parseBlock(...), blockIndex) for each
+ */
+function forEachBlock(content, visit) {
+  let blockIndex = 0;
+  let heading = null;
+  let inFence = false;
+  let isQuoteBlock = false;
+  let block = [];
+
+  const flush = () => {
+    if (block.length) visit(parseBlock(block.join('\n'), heading), blockIndex++);
+    block = [];
+  };
+
+  for (const line of content.split('\n')) {
+    if (line.trim().startsWith('```')) {
+      flush();
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const match = line.match(HEADING_REGEX);
+    if (match) {
+      flush();
+      heading = wikiLinksToText(match[2]);
+      block.push(match[2]);
+      flush();
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      // List items and quotes start blocks of their own, and a block ID
+      // ends one, as in extractBlocks
+      const isQuote = line.trim().startsWith('>');
+      if (LIST_ITEM_REGEX.test(line) || isQuote !== isQuoteBlock) flush();
+      isQuoteBlock = isQuote;
+      block.push(line);
+      if (BLOCK_ID_REGEX.test(line)) flush();
+    }
+  }
+  flush();
+}
+
+/**
+ * Find every wiki-link and embed with the text around it, for backlinks:
+ * [{ target, embed, block, heading, anchor, context, highlight: [start, end] }]
+ *
+ * context is the paragraph, list item or heading holding the link (cut to
+ * its sentence when long) with the link replaced by its display text at
+ * context.slice(...highlight). block numbers the paragraphs, so links with
+ * the same block sit together. anchor is the block ID or heading slug the
+ * reader can jump to. Links inside fenced code blocks are ignored.
+ */
+export function extractLinkContexts(content) {
+  if (!content) return [];
+
+  const contexts = [];
+  forEachBlock(content, ({ plain, heading, anchor, links }, block) => {
+    for (const { target, embed, start, end } of links) {
+      contexts.push({ target, embed, block, heading, anchor, ...trimContext(plain, start, end) });
+    }
+  });
+
+  return contexts;
+}
+
+const mentionPatterns = new WeakMap();
+
+/**
+ * One case-insensitive pattern matching any of the terms as whole words,
+ * longest first so "Free Energy Principle" wins over "Free Energy"
+ */
+function getMentionPattern(terms) {
+  if (!mentionPatterns.has(terms)) {
+    const alternatives = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+
+    mentionPatterns.set(terms, alternatives.length
+      ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+      : null);
+  }
+  return mentionPatterns.get(terms);
+}
+
+/**
+ * Find plain-text mentions of the given terms (note titles and aliases):
+ * [{ term, heading, anchor, context, highlight: [start, end] }]
+ *
+ * Terms must be lowercase; term is the one that matched. Text inside links,
+ * code, math and fenced code blocks is never a mention. Contexts are cut
+ * the same way as extractLinkContexts.
+ */
+export function extractTextMentions(content, terms) {
+  const pattern = getMentionPattern(terms);
+  if (!content || !pattern) return [];
+
+  const mentions = [];
+  forEachBlock(content, ({ plain, heading, anchor, spans }) => {
+    for (const match of plain.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (spans.some(([spanStart, spanEnd]) => start < spanEnd && end > spanStart)) continue;
+
+      mentions.push({
+        term: match[0].toLowerCase().replace(/\s+/g, ' '),
+        heading,
+        anchor,
+        ...trimContext(plain, start, end)
+      });
+    }
+  });
+
+  return mentions;
+}
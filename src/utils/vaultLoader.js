@@ -0,0 +1,108 @@
+/**
+ * Vault Loader
+ * The vault manifest is a small index (titles, links, excerpts, graph);
+ * each note's content lives in a content-hashed chunk under /vault-content/,
+ * written by scripts/buildVaultManifest.js. Both are fetched on first use
+ * and cached for the session, so pages only download the notes they render.
+ * The search index is loaded the same way, the first time search opens,
+ * and release snapshots (/vault-releases/) when the changes view asks.
+ */
+
+let indexRequest = null;
+let searchIndexRequest = null;
+const chunkCache = new Map();
+const chunkRequests = new Map();
+const releaseRequests = new Map();
+
+/**
+ * Load the vault index (vault-manifest.json)
+ */
+export function loadVaultIndex() {
+  if (!indexRequest) {
+    indexRequest = import('../data/vault-manifest.json')
+      .then(module => module.default)
+      .catch(error => {
+        // Allow a retry on the next call
+        indexRequest = null;
+        throw error;
+      });
+  }
+  return indexRequest;
+}
+
+/**
+ * Content of a note that has already been loaded: { content, blocks } or null
+ */
+export function getCachedNoteContent(note) {
+  return (note?.chunk && chunkCache.get(note.chunk)) || null;
+}
+
+/**
+ * Load a note's content chunk: { id, content, blocks }
+ * Chunk names change whenever content does, so cached chunks never go stale
+ */
+export function loadNoteContent(note) {
+  if (!note?.chunk) {
+    return Promise.reject(new Error(`No content chunk for note: ${note?.id}`));
+  }
+
+  const cached = chunkCache.get(note.chunk);
+  if (cached) return Promise.resolve(cached);
+
+  if (!chunkRequests.has(note.chunk)) {
+    const request = fetch(`${import.meta.env.BASE_URL}vault-content/${note.chunk}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load ${note.id} (${response.status})`);
+        }
+        return response.json();
+      })
+      .then(chunk => {
+        chunkCache.set(note.chunk, chunk);
+        return chunk;
+      })
+      .finally(() => chunkRequests.delete(note.chunk));
+
+    chunkRequests.set(note.chunk, request);
+  }
+
+  return chunkRequests.get(note.chunk);
+}
+
+/**
+ * Load the full-text search index (search-index.json), on first search
+ */
+export function loadSearchIndex() {
+  if (!searchIndexRequest) {
+    searchIndexRequest = import('../data/search-index.json')
+      .then(module => module.default)
+      .catch(error => {
+        searchIndexRequest = null;
+        throw error;
+      });
+  }
+  return searchIndexRequest;
+}
+
+/**
+ * Load a release snapshot (an entry of vault-releases.json):
+ * { version, date, paper, sections, notes, edges }
+ */
+export function loadRelease(release) {
+  if (!releaseRequests.has(release.file)) {
+    const request = fetch(`${import.meta.env.BASE_URL}vault-releases/${release.file}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load release ${release.version} (${response.status})`);
+        }
+        return response.json();
+      })
+      .catch(error => {
+        releaseRequests.delete(release.file);
+        throw error;
+      });
+
+    releaseRequests.set(release.file, request);
+  }
+  return releaseRequests.get(release.file);
+}
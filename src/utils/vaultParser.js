@@ -1,60 +1,316 @@
 /**
  * Vault Parser Utilities for Obsidian-style wiki-link processing
  * Supports [[link]], [[path/link]], [[path/link|Display Text]] patterns
+ * and ![[note]] / ![[note#Heading]] embeds (transclusions)
  */
 
+import { slugifyHeading, getBlockAnchorId } from './vaultContent.js';
+
+// Embeds pointing at files with a non-markdown extension (images, PDFs)
+// are attachments, not note transclusions
+const ATTACHMENT_EXTENSION_REGEX = /\.(?!md$)[a-z0-9]+$/i;
+
 /**
  * Extract wiki-links from markdown content
  * Handles: [[link]], [[folder/link]], [[folder/link|Display Text]]
+ * Embeds (![[link]]) are flagged with embed: true
  */
 export function extractWikiLinks(content) {
-  const regex = /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
+  const regex = /(!?)\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
   const links = [];
   let match;
   
   while ((match = regex.exec(content)) !== null) {
     links.push({
-      target: match[1].trim(),
-      display: match[2]?.trim() || match[1].trim(),
-      raw: match[0]
+      target: match[2].trim(),
+      display: match[3]?.trim() || match[2].trim(),
+      raw: match[0],
+      embed: match[1] === '!'
     });
   }
   
   return links;
 }
 
+/**
+ * Check if an embed target is an attachment (image, PDF, ...) rather than a note
+ */
+export function isAttachmentTarget(target) {
+  return ATTACHMENT_EXTENSION_REGEX.test(target);
+}
+
+/**
+ * Split a link target into note and anchor:
+ *   "note#Heading"   -> { target: 'note', anchor: { type: 'heading', text: 'Heading' } }
+ *   "note#^block-id" -> { target: 'note', anchor: { type: 'block', id: 'block-id' } }
+ * An empty target ("#Heading") refers to the current note
+ */
+export function parseLinkTarget(rawTarget) {
+  const { target, heading } = parseEmbedTarget(rawTarget);
+  if (!heading) return { target, anchor: null };
+
+  const anchor = heading.startsWith('^')
+    ? { type: 'block', id: heading.slice(1) }
+    : { type: 'heading', text: heading };
+
+  return { target, anchor };
+}
+
+/**
+ * DOM ID to scroll to for a parsed link anchor
+ */
+export function getAnchorId(anchor) {
+  if (!anchor) return null;
+  return anchor.type === 'block' ? getBlockAnchorId(anchor.id) : slugifyHeading(anchor.text);
+}
+
+/**
+ * Split an embed target into note and heading: "note#Heading" -> { target, heading }
+ */
+export function parseEmbedTarget(rawTarget) {
+  const [target, ...headingParts] = rawTarget.split('#');
+  const heading = headingParts.join('#').trim();
+
+  return {
+    target: target.trim(),
+    heading: heading || null
+  };
+}
+
+/**
+ * Extract note embeds (![[note]], ![[note#Heading]]) from markdown content
+ * Attachment embeds like ![[figure.png]] are skipped
+ */
+export function extractEmbeds(content) {
+  const embeds = [];
+  const seen = new Set();
+
+  for (const link of extractWikiLinks(content)) {
+    if (!link.embed) continue;
+
+    const { target, heading } = parseEmbedTarget(link.target);
+    if (!target || isAttachmentTarget(target)) continue;
+
+    const key = `${target.toLowerCase()}#${heading || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    embeds.push({ target, heading });
+  }
+
+  return embeds;
+}
+
+/**
+ * Key identifying an embedded note or heading section, used to detect cycles
+ */
+export function getEmbedKey(noteId, heading) {
+  return heading ? `${noteId}#${heading.toLowerCase()}` : noteId;
+}
+
 /**
  * Normalize note ID for consistent lookup
  * "concepts/h-omega" and "h-omega" should resolve to same note
+ * Heading and block anchors ("h-omega#Core", "h-omega#^def") are dropped
  */
 export function normalizeNoteId(id) {
   return id
+    .replace(/#.*$/, '')
+    .trim()
     .toLowerCase()
     .replace(/\.md$/, '')
     .replace(/\s+/g, '-');
 }
 
+const aliasIndexCache = new WeakMap();
+
 /**
- * Resolve a wiki-link target to an actual note ID
- * Handles shorthand references like [[h-omega]] -> concepts/h-omega
+ * Build the alias/title lookup for a set of notes
+ * Frontmatter aliases win over titles; both are matched case-insensitively.
+ * Returns { index: { key: noteId }, conflicts: { key: [noteIds] } } where
+ * conflicts lists aliases claimed by more than one note.
  */
-export function resolveNoteId(target, notes) {
-  const normalized = normalizeNoteId(target);
-  const noteIds = Object.keys(notes);
-  
-  // Direct match
-  if (noteIds.includes(normalized)) {
-    return normalized;
+export function buildAliasIndex(notes) {
+  const index = {};
+  const conflicts = {};
+  const noteIds = Object.keys(notes).sort();
+
+  for (const id of noteIds) {
+    for (const alias of notes[id].aliases || []) {
+      const key = normalizeNoteId(String(alias));
+      if (!key) continue;
+
+      if (index[key] && index[key] !== id) {
+        conflicts[key] = [...new Set([...(conflicts[key] || [index[key]]), id])];
+        continue;
+      }
+      index[key] = id;
+    }
   }
-  
-  // Search for partial match (shorthand)
-  const match = noteIds.find(id => 
-    id === normalized || 
-    id.endsWith(`/${normalized}`) ||
-    id.split('/').pop() === normalized
+
+  for (const id of noteIds) {
+    const key = normalizeNoteId(notes[id].title || '');
+    if (key && !(key in index)) {
+      index[key] = id;
+    }
+  }
+
+  return { index, conflicts };
+}
+
+/**
+ * Alias index for a manifest's notes, cached per notes object
+ */
+function getAliasIndex(notes) {
+  if (!aliasIndexCache.has(notes)) {
+    aliasIndexCache.set(notes, buildAliasIndex(notes).index);
+  }
+  return aliasIndexCache.get(notes);
+}
+
+// Folders preferred when an ambiguous link has no same-folder match and
+// its candidates are equally deep; earlier entries win
+export const FOLDER_PRIORITY = ['canonical', 'concepts', 'research', 'tutorials', 'meta'];
+
+/**
+ * Folder part of a note ID ("concepts/h-omega" -> "concepts")
+ */
+function getNoteFolder(noteId) {
+  const index = noteId.lastIndexOf('/');
+  return index === -1 ? '' : noteId.slice(0, index);
+}
+
+/**
+ * List every note a path or shorthand target could refer to, ignoring case
+ * More than one candidate means the basename is ambiguous
+ */
+export function getNoteCandidates(target, notes) {
+  const normalized = normalizeNoteId(target);
+  if (!normalized) return [];
+
+  return Object.keys(notes).filter(id => {
+    const lowerId = id.toLowerCase();
+    return lowerId === normalized || lowerId.endsWith(`/${normalized}`);
+  });
+}
+
+/**
+ * Order candidates the way Obsidian picks between them: a note in the
+ * linking note's folder first, then the shortest path, then folderPriority,
+ * then alphabetically so the choice never depends on file order
+ */
+function rankCandidates(candidates, from, folderPriority) {
+  const fromFolder = from ? getNoteFolder(from) : null;
+  const isLocal = id => fromFolder !== null && getNoteFolder(id) === fromFolder;
+  const depth = id => id.split('/').length;
+  const priority = id => {
+    const index = folderPriority.indexOf(id.split('/')[0]);
+    return index === -1 ? folderPriority.length : index;
+  };
+
+  return [...candidates].sort((a, b) =>
+    isLocal(b) - isLocal(a) ||
+    depth(a) - depth(b) ||
+    priority(a) - priority(b) ||
+    a.localeCompare(b)
   );
-  
-  return match || null;
+}
+
+/**
+ * Resolve a wiki-link target, reporting every note it could refer to
+ * Handles full paths, shorthand references like [[h-omega]] -> concepts/h-omega,
+ * then frontmatter aliases and titles ([[FEP]], [[Free Energy Principle]])
+ *
+ * Options:
+ *   from           - ID of the linking note (same-folder matches win)
+ *   aliasIndex     - pass when notes are mutated in place (e.g. during builds)
+ *   folderPriority - tie-break order for top-level folders
+ *
+ * Returns { id, candidates, ambiguous }; id is null when nothing matches.
+ * The build script and the client share this so both pick the same note.
+ */
+export function resolveLink(target, notes, {
+  from = null,
+  aliasIndex = getAliasIndex(notes),
+  folderPriority = FOLDER_PRIORITY
+} = {}) {
+  const normalized = normalizeNoteId(target);
+  const candidates = getNoteCandidates(target, notes);
+
+  // A path from the vault root is never ambiguous; a bare name that matches
+  // a root note is still ranked with the others
+  const exact = normalized.includes('/') && candidates.find(id => id.toLowerCase() === normalized);
+  if (exact) {
+    return { id: exact, candidates: [exact], ambiguous: false };
+  }
+
+  if (candidates.length === 0) {
+    const aliased = aliasIndex[normalized] || null;
+    return { id: aliased, candidates: aliased ? [aliased] : [], ambiguous: false };
+  }
+
+  const ranked = rankCandidates(candidates, from, folderPriority);
+  return { id: ranked[0], candidates: ranked, ambiguous: ranked.length > 1 };
+}
+
+/**
+ * Resolve a wiki-link target to an actual note ID (see resolveLink)
+ */
+export function resolveNoteId(target, notes, options) {
+  return resolveLink(target, notes, options).id;
+}
+
+/**
+ * Edit distance between two strings (Levenshtein)
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Suggest notes for an unresolved link target by fuzzy-matching
+ * basenames, aliases and titles. Returns up to `limit` note IDs.
+ */
+export function suggestNoteIds(target, notes, { limit = 3, aliasIndex = getAliasIndex(notes) } = {}) {
+  const normalized = normalizeNoteId(target);
+  if (!normalized) return [];
+
+  const candidates = [
+    ...Object.keys(notes).map(id => [id.split('/').pop().toLowerCase(), id]),
+    ...Object.entries(aliasIndex)
+  ];
+  const scores = {};
+
+  for (const [key, id] of candidates) {
+    const distance = editDistance(normalized, key);
+    let score = 1 - distance / Math.max(normalized.length, key.length);
+    const isSubstring = key.includes(normalized) || normalized.includes(key);
+    if (isSubstring && Math.min(key.length, normalized.length) >= 3) {
+      score = Math.max(score, 0.7);
+    }
+    if (score >= 0.6 && score > (scores[id] || 0)) {
+      scores[id] = score;
+    }
+  }
+
+  return Object.entries(scores)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([id]) => id);
 }
 
 /**
@@ -75,7 +331,7 @@ export function buildGraphData(notes) {
     
     for (const target of note.links) {
       // Only add edge if target exists (avoid orphans in graph)
-      const resolvedTarget = resolveNoteId(target, notes);
+      const resolvedTarget = resolveNoteId(target, notes, { from: id });
       if (resolvedTarget && nodeIds.has(resolvedTarget)) {
         edges.push({ source: id, target: resolvedTarget });
       }
@@ -122,6 +378,27 @@ export function getFolderColor(folder) {
   return folderColors[folder] || folderColors.default;
 }
 
+/**
+ * Typed relations a note can declare towards another, in frontmatter
+ * (supports: [[note]]) or inline (supports:: [[note]])
+ */
+export const RELATION_TYPES = ['supports', 'contradicts', 'extends', 'formalizes'];
+
+/**
+ * Relation color mapping for graph edges; untyped links use default
+ */
+export const relationColors = {
+  supports: '#22c55e',    // green
+  contradicts: '#ef4444', // red
+  extends: '#38bdf8',     // sky
+  formalizes: '#eab308',  // yellow
+  default: '#6b7280'
+};
+
+export function getRelationColor(relation) {
+  return relationColors[relation] || relationColors.default;
+}
+
 /**
  * Parse markdown content and extract title from first H1
  */
@@ -138,7 +415,8 @@ export function getExcerpt(content, maxLength = 200) {
   const cleaned = content
     .replace(/^---[\s\S]*?---/, '') // frontmatter
     .replace(/^#+\s+.*/gm, '') // headers
-    .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, '$2$1') // wiki-links
+    .replace(/!?\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, target, display) => display || target) // wiki-links
+    .replace(/\s\^[A-Za-z0-9-]+$/gm, '') // block IDs
     .replace(/\*\*(.*?)\*\*/g, '$1') // bold
     .replace(/\*(.*?)\*/g, '$1') // italic
     .replace(/`(.*?)`/g, '$1') // inline code
@@ -159,15 +437,16 @@ export function shouldExcludeFile(filePath, excludeFolders = ['scratch', '.obsid
 /**
  * Parse markdown content and replace wiki-links with WikiLink components
  * Used for rendering notes with interactive links
+ * from is the ID of the note being rendered, for same-folder resolution
  */
-export function parseWikiLinks(content, notes) {
+export function parseWikiLinks(content, notes, from = null) {
   if (!content || typeof content !== 'string') {
     return content;
   }
   
   
   const parts = [];
-  const regex = /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
+  const regex = /!?\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
   let lastIndex = 0;
   let match;
   
@@ -177,16 +456,19 @@ export function parseWikiLinks(content, notes) {
       parts.push(content.slice(lastIndex, match.index));
     }
     
-    const target = match[1].trim();
-    const display = match[2]?.trim() || target;
-    const resolvedTarget = resolveNoteId(target, notes || {});
+    const { target, anchor } = parseLinkTarget(match[1].trim());
+    const display = match[2]?.trim() || match[1].trim();
+    const resolution = target ? resolveLink(target, notes || {}, { from }) : null;
     
     
     // Add the wiki-link as a component
     parts.push({
       type: 'wikilink',
-      target: resolvedTarget || target,
+      target: resolution?.id || target,
+      candidates: resolution?.ambiguous ? resolution.candidates : null,
+      anchor,
       display,
+      embed: match[0].startsWith('!'),
       key: match.index
     });
     
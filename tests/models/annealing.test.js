@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as annealing from '../../src/models/annealing.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { precision: 0.75, width: 800, height: 500 };
+
+const DEFENSIVE_BASINS = ['sympathetic', 'hypervigilance', 'dorsal'];
+
+function fractionIn(samples, basin) {
+  return samples.filter(s => s.basin === basin).length / samples.length;
+}
+
+test('high precision keeps the state in its basin; low precision frees it', () => {
+  for (const seed of [1, 2, 3]) {
+    const rigid = run(annealing, annealing.init(PARAMS, seededRandom(seed)), 60, { precision: 0.95 });
+    const flexible = run(annealing, annealing.init(PARAMS, seededRandom(seed)), 60, { precision: 0.1 });
+
+    assert.ok(fractionIn(rigid, 'ventral') >= 0.75, `seed ${seed}: rigid ${fractionIn(rigid, 'ventral')}`);
+    assert.ok(fractionIn(flexible, 'ventral') <= 0.25, `seed ${seed}: flexible ${fractionIn(flexible, 'ventral')}`);
+    assert.ok(fractionIn(flexible, null) >= 0.5, `seed ${seed}: flexible spends most time between basins`);
+  }
+});
+
+test('quench traps the state in defensive configurations', () => {
+  for (const seed of [1, 2, 3]) {
+    const state = annealing.init(PARAMS, seededRandom(seed));
+    annealing.quench(state);
+    const samples = run(annealing, state, 30, { precision: 0.95 });
+
+    assert.ok(samples.every(s => DEFENSIVE_BASINS.includes(s.basin)), `seed ${seed}`);
+    const meanHeartRate = samples.reduce((sum, s) => sum + s.heartRate, 0) / samples.length;
+    assert.ok(meanHeartRate > annealing.DEFAULT_BODY_STATE.heartRate, `seed ${seed}: ${meanHeartRate} bpm`);
+  }
+});
+
+test('the same rng gives the same trajectory', () => {
+  const a = annealing.init(PARAMS, seededRandom(6));
+  const b = annealing.init(PARAMS, seededRandom(6));
+  assert.deepEqual(run(annealing, a, 10, { precision: 0.5 }), run(annealing, b, 10, { precision: 0.5 }));
+});
+
+test('stepping one second equals sixty frames', () => {
+  const a = annealing.init(PARAMS, seededRandom(7));
+  const b = annealing.init(PARAMS, seededRandom(7));
+  annealing.step(a, 1);
+  for (let i = 0; i < 60; i++) annealing.step(b, 1 / 60);
+  assert.deepEqual(annealing.observe(a), annealing.observe(b));
+});
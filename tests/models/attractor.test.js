@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as attractor from '../../src/models/attractor.js';
+import { seededRandom } from './helpers.js';
+
+const PARAMS = { width: 600, height: 400 };
+
+// Step until recall finishes, or give up after maxSeconds
+function recall(state, x, y, maxSeconds = 30) {
+  attractor.cue(state, x, y);
+  for (let t = 0; t < maxSeconds && state.recalling; t++) {
+    attractor.step(state, 1);
+  }
+  return attractor.observe(state);
+}
+
+test('a partial cue near a memory recalls that memory', () => {
+  const state = attractor.init(PARAMS, seededRandom(1));
+  state.attractors.forEach((memory, idx) => {
+    for (let k = 0; k < 8; k++) {
+      const angle = k * Math.PI / 4;
+      const result = recall(state, memory.x + Math.cos(angle) * 30, memory.y + Math.sin(angle) * 30);
+      assert.equal(result.recalling, false);
+      assert.equal(result.recalled, idx);
+    }
+  });
+});
+
+test('recall ends at rest on the memory', () => {
+  const state = attractor.init(PARAMS, seededRandom(2));
+  const memory = state.attractors[0];
+  const { x, y } = recall(state, memory.x + 40, memory.y - 20);
+  assert.ok(Math.hypot(x - memory.x, y - memory.y) < 20);
+  const { vx, vy } = state.particle;
+  assert.ok(Math.hypot(vx, vy) < 0.5);
+});
+
+test('each memory lies in its own basin', () => {
+  const state = attractor.init(PARAMS, seededRandom(3));
+  state.attractors.forEach((memory, idx) => {
+    assert.equal(attractor.basinAt(state, memory.x, memory.y), idx);
+  });
+});
+
+test('nothing moves without a cue, and reset clears it', () => {
+  const state = attractor.init(PARAMS, seededRandom(4));
+  attractor.step(state, 5);
+  assert.deepEqual(attractor.observe(state), { recalling: false, recalled: null, x: null, y: null });
+
+  recall(state, state.attractors[1].x + 25, state.attractors[1].y);
+  attractor.reset(state);
+  assert.deepEqual(attractor.observe(state), { recalling: false, recalled: null, x: null, y: null });
+});
+
+test('same seed, same memories and recall', () => {
+  const a = attractor.init(PARAMS, seededRandom(5));
+  const b = attractor.init(PARAMS, seededRandom(5));
+  assert.deepEqual(a.attractors, b.attractors);
+  assert.deepEqual(recall(a, 300, 200), recall(b, 300, 200));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as autopoiesis from '../../src/models/autopoiesis.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { metabolicRate: 1, width: 600, height: 400 };
+
+test('a closed system maintains its own membrane', () => {
+  for (const seed of [1, 2, 3]) {
+    const samples = run(autopoiesis, autopoiesis.init(PARAMS, seededRandom(seed)), 120);
+    for (const { integrity, alive } of samples) {
+      assert.equal(alive, true, `seed ${seed}`);
+      assert.ok(integrity > 0.8, `seed ${seed}: integrity ${integrity}`);
+    }
+  }
+});
+
+test('without its producers the membrane decays and the system dies', () => {
+  const state = autopoiesis.init(PARAMS, seededRandom(4));
+  state.producers = [];
+  const last = run(autopoiesis, state, 30).at(-1);
+  assert.equal(last.alive, false);
+  assert.ok(last.integrity < 0.1, `integrity ${last.integrity}`);
+});
+
+test('damage is repaired by the producers', () => {
+  const state = autopoiesis.init(PARAMS, seededRandom(5));
+  run(autopoiesis, state, 10);
+  for (let i = 0; i < 3; i++) autopoiesis.damage(state);
+  autopoiesis.step(state, 1 / 60);
+  const damaged = autopoiesis.observe(state).integrity;
+  assert.ok(damaged < 0.85, `damaged to ${damaged}`);
+
+  const repaired = run(autopoiesis, state, 10).at(-1);
+  assert.equal(repaired.alive, true);
+  assert.ok(repaired.integrity > damaged + 0.1, `${damaged} -> ${repaired.integrity}`);
+});
+
+test('death is permanent until reset', () => {
+  const state = autopoiesis.init(PARAMS, seededRandom(6));
+  for (const m of state.membrane) m.integrity = 0.2;
+  autopoiesis.step(state, 1 / 60);
+  assert.equal(autopoiesis.observe(state).alive, false);
+
+  for (const m of state.membrane) m.integrity = 1;
+  assert.equal(run(autopoiesis, state, 5).at(-1).alive, false);
+
+  autopoiesis.reset(state);
+  assert.equal(run(autopoiesis, state, 5).at(-1).alive, true);
+});
+
+test('the same seed gives the same trajectory', () => {
+  const a = run(autopoiesis, autopoiesis.init(PARAMS, seededRandom(7)), 20);
+  const b = run(autopoiesis, autopoiesis.init(PARAMS, seededRandom(7)), 20);
+  assert.deepEqual(a, b);
+});
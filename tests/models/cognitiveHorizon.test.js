@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cognitiveHorizon from '../../src/models/cognitiveHorizon.js';
+import { seededRandom, run } from './helpers.js';
+
+const ORDER = ['overwhelmed', 'stressed', 'calm', 'flow'];
+
+test('a more settled configuration makes more thoughts accessible', () => {
+  const counts = ORDER.map(config => {
+    const state = cognitiveHorizon.init({ config }, seededRandom(1));
+    return cognitiveHorizon.observe(state).accessible;
+  });
+  for (let i = 1; i < counts.length; i++) {
+    assert.ok(counts[i] > counts[i - 1], `${ORDER[i - 1]} ${counts[i - 1]} vs ${ORDER[i]} ${counts[i]}`);
+  }
+});
+
+test('only thoughts inside the horizon are accessible', () => {
+  const state = cognitiveHorizon.init({ config: 'stressed' }, seededRandom(2));
+  const { radius, accessible } = cognitiveHorizon.observe(state);
+  const inside = state.thoughts.filter(t => t.distance <= radius);
+  assert.equal(accessible, inside.length);
+  assert.ok(state.thoughts.some(t => t.distance > radius));
+});
+
+test('the horizon eases towards a new configuration rather than jumping', () => {
+  const state = cognitiveHorizon.init({ config: 'flow' }, seededRandom(3));
+  cognitiveHorizon.step(state, 1 / 60, { config: 'overwhelmed' });
+  const first = cognitiveHorizon.observe(state);
+  assert.ok(first.radius > 0.8 && first.targetRadius === 0.25);
+
+  const samples = run(cognitiveHorizon, state, 5, { config: 'overwhelmed' });
+  for (let i = 1; i < samples.length; i++) assert.ok(samples[i].radius <= samples[i - 1].radius);
+  assert.ok(Math.abs(samples.at(-1).radius - 0.25) < 0.01);
+});
+
+test('contracting the horizon loses the most distant thoughts first', () => {
+  const state = cognitiveHorizon.init({ config: 'flow' }, seededRandom(4));
+  const lost = new Set(state.thoughts.filter(t => t.distance > state.radius).map(t => t.id));
+  const outsideAtStart = lost.size;
+  let lastLostDistance = Infinity;
+  for (let i = 0; i < 300; i++) {
+    cognitiveHorizon.step(state, 1 / 60, { config: 'overwhelmed' });
+    const newlyLost = state.thoughts.filter(t => !lost.has(t.id) && t.distance > state.radius);
+    for (const t of newlyLost) {
+      assert.ok(t.distance <= lastLostDistance, t.id);
+      lost.add(t.id);
+    }
+    if (newlyLost.length) lastLostDistance = Math.min(...newlyLost.map(t => t.distance));
+  }
+  assert.ok(lost.size > outsideAtStart);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as configAwareNav from '../../src/models/configAwareNav.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { width: 300, height: 400 };
+
+// Ticks until an agent has the target in range
+function ticksToReach(state, agent) {
+  for (let ticks = 1; ticks <= 5000; ticks++) {
+    configAwareNav.step(state, 1 / 60);
+    if (agent.reachedTarget) return ticks;
+  }
+  return Infinity;
+}
+
+test('the aware agent expands its horizon until the target is in range', () => {
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const state = configAwareNav.init(PARAMS, seededRandom(seed));
+    const { aware } = state.agents;
+    assert.equal(aware.state, 'stressed');
+
+    const ticks = ticksToReach(state, aware);
+    assert.ok(ticks < 400, `seed ${seed}: ${ticks} ticks`);
+    assert.ok(aware.getCurrentRadius() >= aware.targetThought.distance - 0.05);
+  }
+});
+
+test('self-modelling beats blind search', () => {
+  const state = configAwareNav.init(PARAMS, seededRandom(6));
+  const { blind, aware } = run(configAwareNav, state, 300).at(-1);
+  assert.ok(aware.successes > blind.successes, `aware ${aware.successes} vs blind ${blind.successes}`);
+});
+
+test('new targets follow once both agents have theirs', () => {
+  const state = configAwareNav.init(PARAMS, seededRandom(7));
+  const { blind, aware } = state.agents;
+  blind.reachedTarget = true;
+  aware.reachedTarget = true;
+
+  configAwareNav.step(state, 59 / 60);
+  assert.equal(configAwareNav.observe(state).aware.attempts, 1);
+  configAwareNav.step(state, 1 / 60);
+  const after = configAwareNav.observe(state);
+  assert.equal(after.aware.attempts, 2);
+  assert.equal(after.blind.attempts, 2);
+  assert.equal(after.aware.state, 'stressed');
+});
+
+test('the same seed gives the same trajectory', () => {
+  const a = run(configAwareNav, configAwareNav.init(PARAMS, seededRandom(8)), 30);
+  const b = run(configAwareNav, configAwareNav.init(PARAMS, seededRandom(8)), 30);
+  assert.deepEqual(a, b);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as configurationAwareness from '../../src/models/configurationAwareness.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { width: 800, height: 400 };
+
+test('the aware agent shifts state first, so every attempt succeeds', () => {
+  for (const seed of [1, 2, 3]) {
+    const state = configurationAwareness.init(PARAMS, seededRandom(seed));
+    const { aware } = run(configurationAwareness, state, 60).at(-1);
+    assert.ok(aware.attempts > 10, `seed ${seed}: ${aware.attempts} attempts`);
+    assert.ok(aware.successes >= aware.attempts - 1, `seed ${seed}: ${aware.successes}/${aware.attempts}`);
+    assert.ok(['calm', 'flow'].includes(aware.state), `seed ${seed}: ${aware.state}`);
+  }
+});
+
+test('the blind agent succeeds less often', () => {
+  for (const seed of [4, 5, 6]) {
+    const state = configurationAwareness.init(PARAMS, seededRandom(seed));
+    const { blind, aware } = run(configurationAwareness, state, 120).at(-1);
+    const rate = agent => agent.successes / agent.attempts;
+    assert.ok(rate(blind) < rate(aware) - 0.2, `seed ${seed}: blind ${rate(blind)} vs aware ${rate(aware)}`);
+  }
+});
+
+test('the goal always needs a calm or flow configuration', () => {
+  const state = configurationAwareness.init(PARAMS, seededRandom(7));
+  for (let i = 0; i < 50; i++) {
+    configurationAwareness.newGoal(state);
+    const { distance } = configurationAwareness.observe(state).goal;
+    assert.ok(distance > configurationAwareness.STATES.neutral.radius);
+    assert.ok(distance <= configurationAwareness.STATES.flow.radius);
+  }
+});
+
+test('reset clears both agents\' records', () => {
+  const state = configurationAwareness.init(PARAMS, seededRandom(8));
+  run(configurationAwareness, state, 20);
+  configurationAwareness.reset(state);
+  const { blind, aware } = configurationAwareness.observe(state);
+  assert.deepEqual(blind, { state: 'neutral', attempts: 0, successes: 0 });
+  assert.deepEqual(aware, { state: 'neutral', attempts: 0, successes: 0 });
+});
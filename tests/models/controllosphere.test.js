@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as controllosphere from '../../src/models/controllosphere.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { controlSignal: 0, width: 600, height: 400 };
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+test('without control the configuration rests on the intrinsic manifold', () => {
+  const state = controllosphere.init(PARAMS, seededRandom(1));
+  const samples = run(controllosphere, state, 30);
+  assert.ok(samples.every(s => s.mode === 'automatic'));
+  assert.equal(samples.at(-1).waste, 0);
+  assert.ok(mean(samples.map(s => s.metabolicCost)) < 0.2);
+  assert.ok(samples.at(-1).mappingSuccess);
+});
+
+test('sustained control lifts it into the controllosphere at a metabolic cost', () => {
+  const state = controllosphere.init(PARAMS, seededRandom(2));
+  const resting = mean(run(controllosphere, state, 10).map(s => s.metabolicCost));
+
+  const samples = run(controllosphere, state, 20, { controlSignal: 0.8 });
+  assert.ok(samples.slice(2).every(s => s.mode === 'controlled'));
+  assert.ok(mean(samples.map(s => s.metabolicCost)) > resting + 0.5);
+  assert.ok(samples.at(-1).waste > 30, `waste ${samples.at(-1).waste}`);
+});
+
+test('waste clears more slowly than it builds up', () => {
+  const state = controllosphere.init(PARAMS, seededRandom(3));
+  run(controllosphere, state, 10, { controlSignal: 0.8 });
+  const built = controllosphere.observe(state).waste;
+
+  const after = run(controllosphere, state, 10, { controlSignal: 0 }).at(-1);
+  assert.equal(after.mode, 'automatic');
+  assert.ok(after.waste > 0 && after.waste > built - 15, `${built} -> ${after.waste}`);
+});
+
+test('reset returns to the manifold with no waste', () => {
+  const state = controllosphere.init(PARAMS, seededRandom(4));
+  run(controllosphere, state, 10, { controlSignal: 1 });
+  controllosphere.reset(state);
+  const observed = controllosphere.observe(state);
+  assert.equal(observed.mode, 'automatic');
+  assert.equal(observed.waste, 0);
+});
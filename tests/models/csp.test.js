@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as csp from '../../src/models/csp.js';
+
+function isValidQueens(positions) {
+  return positions.every((col, row) => positions.every((other, i) => (
+    i === row || (other !== col && Math.abs(other - col) !== Math.abs(i - row))
+  )));
+}
+
+test('accessibility is a step at each problem\'s minimum capacity', () => {
+  for (const [id, problem] of Object.entries(csp.PROBLEMS)) {
+    for (const { cap, result } of csp.sweepCapacity(problem)) {
+      assert.equal(result, cap >= problem.minCapacity ? 'success' : 'memory_exceeded', `${id} at ω=${cap}`);
+    }
+  }
+});
+
+test('a solved problem is never solved wrongly', () => {
+  for (const problem of Object.values(csp.PROBLEMS)) {
+    const { result, solution, memoryUsed } = csp.solveCSP(problem, 10);
+    assert.equal(result, 'success');
+    assert.equal(solution.length, problem.nVars);
+    assert.ok(memoryUsed <= 10);
+    if (problem.type === 'queens') assert.ok(isValidQueens(solution), problem.name);
+    if (problem.type === 'chain') assert.ok(solution.every((x, i) => i === 0 || solution[i - 1] < x));
+  }
+});
+
+test('a search that runs out of budget fails rather than guessing', () => {
+  const res = csp.solveCSP(csp.PROBLEMS.queens7, 7, 20);
+  assert.equal(res.result, 'budget_exhausted');
+  assert.equal(res.solution, null);
+});
+
+test('the sweep finds the initiation set boundary', () => {
+  const state = csp.init({ problem: 'queens6', capacity: 3 });
+  csp.solve(state);
+  assert.equal(csp.observe(state).result, 'memory_exceeded');
+
+  csp.sweep(state);
+  assert.equal(csp.observe(state).threshold, 6);
+
+  csp.step(state, 0, { capacity: 6 });
+  assert.equal(csp.observe(state).result, 'pending');
+  csp.solve(state);
+  assert.equal(csp.observe(state).result, 'success');
+});
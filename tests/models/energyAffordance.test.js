@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as energyAffordance from '../../src/models/energyAffordance.js';
+import { seededRandom, run } from './helpers.js';
+
+test('activity drains ATP in proportion to its demand, and rest restores it', () => {
+  const after = {};
+  for (const activity of Object.keys(energyAffordance.ACTIVITY_MODES)) {
+    const state = energyAffordance.init({ atp: 50, activity }, seededRandom(1));
+    after[activity] = run(energyAffordance, state, 3).at(-1).atp;
+  }
+  assert.ok(after.resting > 50);
+  assert.ok(after.relaxed < 50 && after.relaxed > 48);
+  assert.ok(after.relaxed > after.active);
+  assert.ok(after.active > after.demanding);
+  assert.ok(after.demanding > after.intensive);
+});
+
+test('ATP stays within 0..100', () => {
+  const state = energyAffordance.init({ atp: 90, activity: 'resting' }, seededRandom(2));
+  assert.equal(run(energyAffordance, state, 10).at(-1).atp, 100);
+  assert.equal(run(energyAffordance, state, 20, { activity: 'intensive' }).at(-1).atp, 0);
+});
+
+test('expensive thoughts become inaccessible first', () => {
+  const state = energyAffordance.init({ atp: 100, activity: 'intensive' }, seededRandom(3));
+  const lostCosts = [];
+  let accessible = new Set(state.thoughts.filter(t => t.distance <= energyAffordance.observe(state).radius));
+
+  for (let i = 0; i < 600; i++) {
+    energyAffordance.step(state, 1 / 60);
+    const { radius } = energyAffordance.observe(state);
+    for (const t of accessible) {
+      if (t.distance > radius) lostCosts.push(t.cost);
+    }
+    accessible = new Set([...accessible].filter(t => t.distance <= radius));
+  }
+
+  const half = Math.floor(lostCosts.length / 2);
+  const mean = costs => costs.reduce((sum, c) => sum + c, 0) / costs.length;
+  assert.ok(mean(lostCosts.slice(0, half)) > mean(lostCosts.slice(half)), lostCosts.join(','));
+});
+
+test('immediate needs stay accessible even at zero ATP', () => {
+  const state = energyAffordance.init({ atp: 0, activity: 'intensive' }, seededRandom(4));
+  const { radius, accessible } = energyAffordance.observe(state);
+  assert.ok(accessible > 0);
+  const immediate = state.thoughts.filter(t => t.category === 'immediate');
+  assert.ok(immediate.some(t => t.distance <= radius));
+  assert.ok(state.thoughts.filter(t => t.cost === 3).every(t => t.distance > radius));
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fatigueRecovery from '../../src/models/fatigueRecovery.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { mode: 'idle', width: 600, height: 400 };
+
+test('work builds waste, depletes capacity and degrades performance', () => {
+  const state = fatigueRecovery.init(PARAMS, seededRandom(1));
+  const samples = run(fatigueRecovery, state, 10, { mode: 'working' });
+  for (let i = 1; i < samples.length; i++) {
+    assert.ok(samples[i].waste >= samples[i - 1].waste);
+    assert.ok(samples[i].capacity < samples[i - 1].capacity);
+    assert.ok(samples[i].practice > samples[i - 1].practice);
+  }
+  const last = samples.at(-1);
+  assert.equal(last.waste, 100);
+  assert.equal(last.performance, 20);
+  assert.ok(Math.abs(last.workTime - 10) < 1e-9);
+});
+
+test('waste builds faster as capacity runs down', () => {
+  const fresh = fatigueRecovery.init(PARAMS, seededRandom(2));
+  const tired = fatigueRecovery.init(PARAMS, seededRandom(2));
+  tired.capacity = 20;
+  fatigueRecovery.step(fresh, 1, { mode: 'working' });
+  fatigueRecovery.step(tired, 1, { mode: 'working' });
+  assert.ok(tired.waste > fresh.waste * 1.5);
+});
+
+test('sleep clears waste four times as fast as rest', () => {
+  const rested = fatigueRecovery.init(PARAMS, seededRandom(3));
+  const slept = fatigueRecovery.init(PARAMS, seededRandom(3));
+  for (const state of [rested, slept]) run(fatigueRecovery, state, 10, { mode: 'working' });
+
+  const rest = run(fatigueRecovery, rested, 5, { mode: 'resting' }).at(-1);
+  const sleep = run(fatigueRecovery, slept, 5, { mode: 'sleeping' }).at(-1);
+  assert.ok(Math.abs((100 - sleep.waste) - 4 * (100 - rest.waste)) < 1e-6);
+  assert.ok(sleep.capacity > rest.capacity);
+});
+
+test('idling neither recovers nor fatigues, and practice is kept through rest', () => {
+  const state = fatigueRecovery.init(PARAMS, seededRandom(4));
+  const worked = run(fatigueRecovery, state, 5, { mode: 'working' }).at(-1);
+  const idle = run(fatigueRecovery, state, 5, { mode: 'idle' }).at(-1);
+  assert.equal(idle.waste, worked.waste);
+  assert.equal(idle.capacity, worked.capacity);
+
+  const slept = run(fatigueRecovery, state, 60, { mode: 'sleeping' }).at(-1);
+  assert.equal(slept.waste, 0);
+  assert.equal(slept.capacity, 100);
+  assert.equal(slept.practice, worked.practice);
+});
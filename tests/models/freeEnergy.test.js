@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as freeEnergy from '../../src/models/freeEnergy.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { width: 600, height: 400 };
+
+test('free energy falls as the system descends into a basin', () => {
+  const starts = [[120, 320], [60, 60], [540, 350], [450, 120]];
+  for (const [x, y] of starts) {
+    const state = freeEnergy.init(PARAMS, seededRandom(1));
+    freeEnergy.place(state, x, y);
+    freeEnergy.step(state, 1 / 60);
+    const first = freeEnergy.observe(state).freeEnergy;
+
+    const last = run(freeEnergy, state, 60).at(-1);
+    assert.ok(last.freeEnergy < first - 0.2, `from (${x}, ${y}): ${first} -> ${last.freeEnergy}`);
+    assert.ok(last.freeEnergy < 0.35, `from (${x}, ${y}): settled at ${last.freeEnergy}`);
+  }
+});
+
+test('the system comes to rest', () => {
+  const state = freeEnergy.init(PARAMS, seededRandom(2));
+  run(freeEnergy, state, 60);
+  const before = freeEnergy.observe(state);
+  const after = run(freeEnergy, state, 5).at(-1);
+  assert.ok(Math.hypot(after.x - before.x, after.y - before.y) < 2);
+});
+
+test('placing the system puts it at rest where it was put', () => {
+  const state = freeEnergy.init(PARAMS, seededRandom(3));
+  run(freeEnergy, state, 5);
+  freeEnergy.place(state, 500, 100);
+  const { x, y } = freeEnergy.observe(state);
+  assert.deepEqual([x, y], [500, 100]);
+  assert.equal(state.particle.trail.length, 0);
+});
+
+test('the same seed gives the same trajectory', () => {
+  const a = run(freeEnergy, freeEnergy.init(PARAMS, seededRandom(4)), 20);
+  const b = run(freeEnergy, freeEnergy.init(PARAMS, seededRandom(4)), 20);
+  assert.deepEqual(a, b);
+});
@@ -0,0 +1,67 @@
+/**
+ * Shared helpers for the model tests
+ */
+
+import { createRandom } from '../../src/utils/random.js';
+import * as annealing from '../../src/models/annealing.js';
+import * as attractor from '../../src/models/attractor.js';
+import * as autopoiesis from '../../src/models/autopoiesis.js';
+import * as cognitiveHorizon from '../../src/models/cognitiveHorizon.js';
+import * as configAwareNav from '../../src/models/configAwareNav.js';
+import * as configurationAwareness from '../../src/models/configurationAwareness.js';
+import * as controllosphere from '../../src/models/controllosphere.js';
+import * as energyAffordance from '../../src/models/energyAffordance.js';
+import * as fatigueRecovery from '../../src/models/fatigueRecovery.js';
+import * as freeEnergy from '../../src/models/freeEnergy.js';
+import * as homeostatic from '../../src/models/homeostatic.js';
+import * as interfaceDynamics from '../../src/models/interfaceDynamics.js';
+import * as interoceptivePathway from '../../src/models/interoceptivePathway.js';
+import * as markovBlanket from '../../src/models/markovBlanket.js';
+import * as metaModeling from '../../src/models/metaModeling.js';
+import * as morphogenesis from '../../src/models/morphogenesis.js';
+import * as nestedBlankets from '../../src/models/nestedBlankets.js';
+import * as predictiveCoding from '../../src/models/predictiveCoding.js';
+
+/**
+ * The app's seeded rng, so every test run follows the same trajectory as
+ * the browser does for that seed
+ */
+export const seededRandom = createRandom;
+
+/**
+ * Step a model for `seconds`, collecting observe() after each second
+ */
+export function run(model, state, seconds, inputs = {}) {
+  const samples = [];
+  for (let i = 0; i < seconds; i++) {
+    model.step(state, 1, inputs);
+    samples.push(model.observe(state));
+  }
+  return samples;
+}
+
+/**
+ * Every stepped model, with params for a short run and, for some, an
+ * interaction to apply midway
+ */
+export const MODELS = {
+  annealing: [annealing, { precision: 0.3, width: 800, height: 500 }],
+  attractor: [attractor, { width: 600, height: 400 }, state => attractor.cue(state, 200, 150)],
+  autopoiesis: [autopoiesis, { metabolicRate: 1, width: 600, height: 400 }],
+  cognitiveHorizon: [cognitiveHorizon, { config: 'stressed' }],
+  configAwareNav: [configAwareNav, { width: 300, height: 400 }],
+  configurationAwareness: [configurationAwareness, { width: 800, height: 400 }],
+  controllosphere: [controllosphere, { controlSignal: 0.5, width: 600, height: 400 }],
+  energyAffordance: [energyAffordance, { atp: 60, activity: 'demanding' }],
+  fatigueRecovery: [fatigueRecovery, { mode: 'working', width: 600, height: 400 }],
+  freeEnergy: [freeEnergy, { width: 600, height: 400 }],
+  homeostatic: [homeostatic, { autoRegulate: true }],
+  interfaceDynamics: [interfaceDynamics, { mode: 1 }],
+  interoceptivePathway: [interoceptivePathway, { signalIntensity: 0.7, showEfferents: true, width: 600 }],
+  markovBlanket: [markovBlanket, { flowEnabled: true, width: 600, height: 400 }, state => markovBlanket.perturb(state, 300, 200)],
+  metaModeling: [metaModeling, { width: 600, height: 400 }],
+  morphogenesis: [morphogenesis, { pattern: 'stripes', gapJunctionStrength: 0.12, targetAttraction: 0.08, noise: 0.003, width: 320, height: 240 },
+    state => morphogenesis.damage(state, 20, 15, 4)],
+  nestedBlankets: [nestedBlankets, { animateFlow: true }],
+  predictiveCoding: [predictiveCoding, { inputType: 'step', width: 600, height: 400 }],
+};
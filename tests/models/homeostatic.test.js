@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as homeostatic from '../../src/models/homeostatic.js';
+import { seededRandom, run } from './helpers.js';
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+test('regulation holds every variable near its setpoint', () => {
+  const state = homeostatic.init({ autoRegulate: true }, seededRandom(1));
+  const last = run(homeostatic, state, 60).at(-1);
+
+  for (const v of homeostatic.VARIABLES) {
+    assert.ok(Math.abs(last[v.id] - v.optimal) < (v.max - v.min) * 0.05, v.id);
+  }
+  assert.ok(last.feeling < 0.1, `feeling ${last.feeling}`);
+});
+
+test('without regulation the body drifts and feels worse', () => {
+  for (const seed of [2, 3, 4]) {
+    const regulated = run(homeostatic, homeostatic.init({ autoRegulate: true }, seededRandom(seed)), 120);
+    const unregulated = run(homeostatic, homeostatic.init({ autoRegulate: false }, seededRandom(seed)), 120);
+
+    const feelings = samples => mean(samples.slice(60).map(s => s.feeling));
+    assert.ok(feelings(unregulated) > 2 * feelings(regulated), `seed ${seed}`);
+  }
+});
+
+test('a perturbation is felt, then regulated away', () => {
+  const state = homeostatic.init({ autoRegulate: true }, seededRandom(5));
+  run(homeostatic, state, 10);
+  const settled = homeostatic.observe(state).feeling;
+
+  homeostatic.perturb(state, 'fever');
+  const perturbed = homeostatic.observe(state);
+  assert.equal(perturbed.temperature > 38.5, true);
+  assert.ok(perturbed.feeling > settled + 0.2, `${settled} -> ${perturbed.feeling}`);
+
+  const recovered = run(homeostatic, state, 10).at(-1);
+  assert.ok(recovered.feeling < settled + 0.05, `recovered to ${recovered.feeling}`);
+});
+
+test('feeling is bounded to [0, 1] under every perturbation at once', () => {
+  const state = homeostatic.init({ autoRegulate: false }, seededRandom(6));
+  for (let i = 0; i < 3; i++) {
+    for (const type of Object.keys(homeostatic.PERTURBATIONS)) homeostatic.perturb(state, type);
+  }
+  homeostatic.step(state, 1 / 60);
+  const { feeling } = homeostatic.observe(state);
+  assert.ok(feeling > 0.85 && feeling <= 1, `feeling ${feeling}`);
+});
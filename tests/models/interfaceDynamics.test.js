@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as interfaceDynamics from '../../src/models/interfaceDynamics.js';
+import { seededRandom, run } from './helpers.js';
+
+const modeIndex = id => interfaceDynamics.MODES.findIndex(m => m.id === id);
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function meanValence(id, seed) {
+  const state = interfaceDynamics.init({ mode: modeIndex(id) }, seededRandom(seed));
+  return mean(run(interfaceDynamics, state, 30).slice(10).map(s => s.protoValence));
+}
+
+test('healthy tissue feels better than stressed tissue', () => {
+  for (const seed of [1, 2]) {
+    const healthy = meanValence('healthy', seed);
+    for (const id of ['local_stress', 'spreading', 'inflammation']) {
+      assert.ok(healthy > meanValence(id, seed) + 0.2, `healthy ${healthy} vs ${id}`);
+    }
+  }
+});
+
+test('coupled cells fall into step', () => {
+  const state = interfaceDynamics.init({ mode: modeIndex('healthy') }, seededRandom(3));
+  const before = interfaceDynamics.observe(state).phaseSync;
+  const after = mean(run(interfaceDynamics, state, 30).slice(20).map(s => s.phaseSync));
+  assert.ok(after > 0.95, `phase sync ${before} -> ${after}`);
+});
+
+test('weakly coupled cells drift out of step', () => {
+  const state = interfaceDynamics.init({ mode: modeIndex('inflammation') }, seededRandom(4));
+  const sync = mean(run(interfaceDynamics, state, 30).slice(10).map(s => s.phaseSync));
+  assert.ok(sync < 0.9, `phase sync ${sync}`);
+});
+
+test('proto-valence is bounded by the weakest cell health', () => {
+  for (const [index, mode] of interfaceDynamics.MODES.entries()) {
+    const state = interfaceDynamics.init({ mode: index }, seededRandom(5));
+    for (const { protoValence } of run(interfaceDynamics, state, 5)) {
+      assert.ok(protoValence >= 0 && protoValence <= Math.max(...mode.cellStates), mode.id);
+    }
+  }
+});
+
+test('exchange particles stay on their interfaces', () => {
+  const state = interfaceDynamics.init({ mode: modeIndex('inflammation') }, seededRandom(6));
+  run(interfaceDynamics, state, 10);
+  for (const particle of state.interfaceParticles) {
+    assert.ok(particle.t >= -0.02 && particle.t <= 1.02, `t ${particle.t}`);
+  }
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as interoceptivePathway from '../../src/models/interoceptivePathway.js';
+import { seededRandom, run } from './helpers.js';
+
+const WIDTH = 600;
+
+const mean = xs => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+
+// The feeling averaged over a minute under a preset, once it has settled
+function feelingUnder(preset, seed) {
+  const state = interoceptivePathway.init({ signalIntensity: 0.5, showEfferents: false, width: WIDTH }, seededRandom(seed));
+  const samples = run(interoceptivePathway, state, 80, { signals: interoceptivePathway.PRESETS[preset] }).slice(20);
+  return {
+    valence: mean(samples.map(s => s.valence)),
+    arousal: mean(samples.map(s => s.arousal)),
+  };
+}
+
+test('pain makes the feeling less pleasant than any other preset', () => {
+  const pain = feelingUnder('pain', 1).valence;
+  assert.ok(feelingUnder('calm', 1).valence > 0.2);
+  for (const preset of ['calm', 'anxious', 'exertion']) {
+    assert.ok(feelingUnder(preset, 1).valence > pain + 0.1, preset);
+  }
+});
+
+test('anxiety and exertion raise arousal above calm', () => {
+  const calm = feelingUnder('calm', 3).arousal;
+  assert.ok(feelingUnder('anxious', 3).arousal > calm);
+  assert.ok(feelingUnder('exertion', 3).arousal > calm);
+});
+
+test('signals converge towards the centre as they rise', () => {
+  const state = interoceptivePathway.init({ signalIntensity: 1, showEfferents: false, width: WIDTH }, seededRandom(4));
+  run(interoceptivePathway, state, 10);
+  const spread = layer => {
+    const xs = state.particles.filter(p => p.layer === layer).map(p => Math.abs(p.x - WIDTH / 2));
+    return xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  };
+  assert.ok(spread(3) < spread(1));
+  assert.ok(spread(1) < spread(0));
+});
+
+test('efferent regulation only flows while enabled', () => {
+  const state = interoceptivePathway.init({ signalIntensity: 0.5, showEfferents: false, width: WIDTH }, seededRandom(5));
+  run(interoceptivePathway, state, 5);
+  assert.equal(interoceptivePathway.observe(state).efferents, 0);
+  run(interoceptivePathway, state, 5, { showEfferents: true });
+  assert.ok(interoceptivePathway.observe(state).efferents > 0);
+});
+
+test('same seed, same trajectory', () => {
+  const a = feelingUnder('anxious', 6);
+  const b = feelingUnder('anxious', 6);
+  assert.deepEqual(a, b);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as languageController from '../../src/models/languageController.js';
+
+const { SCENARIOS, calculateActivation } = languageController;
+const byId = id => SCENARIOS.find(s => s.id === id);
+
+test('without a listener, the paradigm measures all of the activation', () => {
+  for (const scenario of SCENARIOS.filter(s => !s.feedback)) {
+    const a = calculateActivation(scenario);
+    assert.equal(a.fedorenko_misses, 0, scenario.id);
+    assert.equal(a.total, a.fedorenko_sees, scenario.id);
+  }
+});
+
+test('closed-loop communication carries activation the paradigm misses', () => {
+  for (const scenario of SCENARIOS.filter(s => s.feedback)) {
+    assert.ok(calculateActivation(scenario).fedorenko_misses > 0, scenario.id);
+  }
+});
+
+test('complex communication out-activates high surprisal in isolation', () => {
+  const surprising = calculateActivation(byId('fedorenko_surprising'));
+  const hard = calculateActivation(byId('naturalistic_hard'));
+  assert.ok(hard.fedorenko_sees < surprising.fedorenko_sees);
+  assert.ok(hard.total > surprising.total);
+});
+
+test('the terms add up to the total', () => {
+  for (const scenario of SCENARIOS) {
+    const a = calculateActivation(scenario);
+    const sum = a.L_term + a.Hz_ling_term + a.Hz_comm_term + a.interaction_term;
+    assert.ok(Math.abs(sum - a.total) < 1e-12, scenario.id);
+  }
+});
+
+test('observe follows the selected scenario', () => {
+  const state = languageController.init({ scenario: 0 });
+  assert.equal(languageController.observe(state).missed, 0);
+  languageController.step(state, 1, { scenario: SCENARIOS.indexOf(byId('repair')) });
+  const { scenario, feedback, missed } = languageController.observe(state);
+  assert.equal(scenario, 'repair');
+  assert.equal(feedback, true);
+  assert.ok(missed > 0);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as markovBlanket from '../../src/models/markovBlanket.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { flowEnabled: true, width: 600, height: 400 };
+
+test('the blanket keeps internal and external states apart', () => {
+  const state = markovBlanket.init(PARAMS, seededRandom(1));
+  const samples = run(markovBlanket, state, 30);
+  markovBlanket.dispose(state);
+
+  for (const { internalInside, externalOutside } of samples) {
+    assert.equal(internalInside, 1);
+    assert.equal(externalOutside, 1);
+  }
+});
+
+test('the separation survives perturbations', () => {
+  const state = markovBlanket.init(PARAMS, seededRandom(2));
+  const points = [[300, 200], [150, 200], [450, 200], [300, 80]];
+  for (const [x, y] of points) {
+    markovBlanket.perturb(state, x, y);
+    const last = run(markovBlanket, state, 3).at(-1);
+    assert.equal(last.internalInside, 1, `after a push at (${x}, ${y})`);
+    assert.equal(last.externalOutside, 1, `after a push at (${x}, ${y})`);
+  }
+  markovBlanket.dispose(state);
+});
+
+test('a perturbation strains the membrane, which then relaxes', () => {
+  const state = markovBlanket.init(PARAMS, seededRandom(3));
+  run(markovBlanket, state, 10);
+  const resting = markovBlanket.observe(state).membrane;
+
+  markovBlanket.perturb(state, 300 + 128, 200);
+  markovBlanket.step(state, 10 / 60);
+  const strained = markovBlanket.observe(state).membrane;
+  assert.ok(strained > resting * 1.5, `${resting} -> ${strained}`);
+  assert.equal(state.perturbation.life > 0, true);
+
+  const relaxed = run(markovBlanket, state, 10).at(-1).membrane;
+  assert.equal(state.perturbation, null);
+  assert.ok(relaxed < strained, `relaxed to ${relaxed}`);
+  markovBlanket.dispose(state);
+});
+
+test('the same seed gives the same trajectory', () => {
+  const a = markovBlanket.init(PARAMS, seededRandom(4));
+  const b = markovBlanket.init(PARAMS, seededRandom(4));
+  assert.deepEqual(run(markovBlanket, a, 5), run(markovBlanket, b, 5));
+  markovBlanket.dispose(a);
+  markovBlanket.dispose(b);
+});
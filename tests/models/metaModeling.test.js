@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as metaModeling from '../../src/models/metaModeling.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { width: 600, height: 400 };
+
+test('every agent models the others and itself', () => {
+  const state = metaModeling.init(PARAMS, seededRandom(1));
+  state.agents.forEach(agent => {
+    const selfModels = agent.innerAgents.filter(inner => inner.isSelfModel);
+    assert.equal(selfModels.length, 1);
+    assert.equal(selfModels[0].subject, agent);
+
+    const others = agent.innerAgents.filter(inner => !inner.isSelfModel).map(inner => inner.subject);
+    assert.deepEqual(new Set(others), new Set(state.agents.filter(a => a !== agent)));
+  });
+});
+
+const mean = xs => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+
+test('models keep up with the agents they model', () => {
+  const state = metaModeling.init(PARAMS, seededRandom(2));
+  const samples = run(metaModeling, state, 60);
+  for (const key of ['selfModelError', 'otherModelError']) {
+    assert.ok(mean(samples.map(s => s[key])) < 20, key);
+    assert.ok(Math.max(...samples.map(s => s[key])) < 60, key);
+  }
+});
+
+test('meta-models track less closely than first-order models', () => {
+  const state = metaModeling.init(PARAMS, seededRandom(3));
+  const samples = run(metaModeling, state, 60);
+  const meta = mean(samples.map(s => s.metaModelError));
+  assert.ok(meta > 1.5 * mean(samples.map(s => s.selfModelError)));
+  assert.ok(meta > 1.5 * mean(samples.map(s => s.otherModelError)));
+});
+
+test('agents stay inside the space', () => {
+  const state = metaModeling.init(PARAMS, seededRandom(4));
+  run(metaModeling, state, 60);
+  for (const { x, y } of state.agents) {
+    assert.ok(x >= 50 && x <= PARAMS.width - 50);
+    assert.ok(y >= 50 && y <= PARAMS.height - 50);
+  }
+});
+
+test('same seed, same trajectory', () => {
+  const a = run(metaModeling, metaModeling.init(PARAMS, seededRandom(5)), 10);
+  const b = run(metaModeling, metaModeling.init(PARAMS, seededRandom(5)), 10);
+  assert.deepEqual(a, b);
+});
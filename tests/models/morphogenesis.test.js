@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as morphogenesis from '../../src/models/morphogenesis.js';
+import { SIMULATIONS } from '../../src/data/simulations.js';
+import { seededRandom, run } from './helpers.js';
+
+const PARAMS = { ...SIMULATIONS.morphogenesis.params, width: 320, height: 240 };
+const CONVERGED = 0.05;
+
+function settle(pattern, seed) {
+  const state = morphogenesis.init({ ...PARAMS, pattern }, seededRandom(seed));
+  run(morphogenesis, state, 10);
+  return state;
+}
+
+test('tissue settles from noise into every target pattern', () => {
+  for (const pattern of Object.keys(morphogenesis.PATTERNS)) {
+    const state = morphogenesis.init({ ...PARAMS, pattern }, seededRandom(1));
+    const initial = morphogenesis.observe(state).error;
+    const errors = run(morphogenesis, state, 20).map(s => s.error);
+
+    // Diffusion blurs fine patterns, so spots settle short of a perfect match
+    assert.ok(errors.at(-1) < initial / 2, `${pattern}: ${initial} -> ${errors.at(-1)}`);
+    assert.ok(Math.abs(errors.at(-1) - errors[9]) < 0.005, `${pattern} is still changing`);
+  }
+});
+
+test('damaged tissue regenerates its target pattern', () => {
+  const state = settle('circle', 2);
+  morphogenesis.damage(state, 20, 15, 6);
+  const damaged = morphogenesis.observe(state);
+  assert.ok(damaged.damagedCells > 100);
+  assert.ok(damaged.error > CONVERGED);
+
+  const healed = run(morphogenesis, state, 30).at(-1);
+  assert.equal(healed.damagedCells, 0);
+  assert.ok(healed.error < CONVERGED, `error ${healed.error}`);
+});
+
+test('healing propagates from the edge of a wound inwards', () => {
+  const state = settle('circle', 3);
+  morphogenesis.damage(state, 20, 15, 6);
+  const before = morphogenesis.observe(state).damagedCells;
+
+  morphogenesis.step(state, 1);
+  assert.ok(morphogenesis.observe(state).damagedCells < before, 'the edge has started healing');
+  assert.equal(state.damaged[15]?.[20], true, 'the centre is still damaged');
+});
+
+test('cells cut off from healthy tissue cannot heal', () => {
+  const state = settle('circle', 4);
+  // A wound covering the whole tissue leaves no one to learn from
+  morphogenesis.damage(state, 20, 15, 40);
+  const damagedCells = morphogenesis.observe(state).damagedCells;
+
+  assert.equal(damagedCells, state.cols * state.rows);
+  assert.equal(run(morphogenesis, state, 10).at(-1).damagedCells, damagedCells);
+});
+
+test('the heal tool restores cells immediately', () => {
+  const state = settle('stripes', 5);
+  morphogenesis.damage(state, 10, 10, 3);
+  morphogenesis.heal(state, 10, 10, 3);
+  assert.equal(morphogenesis.observe(state).damagedCells, 0);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as nestedBlankets from '../../src/models/nestedBlankets.js';
+import { seededRandom, run } from './helpers.js';
+
+test('blankets nest, each inside the next scale up', () => {
+  const radii = nestedBlankets.SCALES.map((scale, idx) => nestedBlankets.blanketRadius(idx));
+  radii.slice(1).forEach((r, idx) => assert.ok(r > radii[idx]));
+  assert.equal(radii.at(-1), 1);
+});
+
+test('flow stays on its own blanket', () => {
+  const state = nestedBlankets.init({ animateFlow: true }, seededRandom(1));
+  const before = state.particles.map(({ scaleIdx, radialOffset }) => ({ scaleIdx, radialOffset }));
+  run(nestedBlankets, state, 30);
+  assert.deepEqual(state.particles.map(({ scaleIdx, radialOffset }) => ({ scaleIdx, radialOffset })), before);
+});
+
+test('sensory and active states circulate in opposite directions', () => {
+  const state = nestedBlankets.init({ animateFlow: true }, seededRandom(2));
+  const start = nestedBlankets.observe(state);
+  const end = run(nestedBlankets, state, 10).at(-1);
+  assert.ok(end.sensoryFlow < start.sensoryFlow);
+  assert.ok(end.activeFlow > start.activeFlow);
+});
+
+test('flow only moves while animated', () => {
+  const state = nestedBlankets.init({ animateFlow: false }, seededRandom(3));
+  const start = nestedBlankets.observe(state);
+  assert.deepEqual(run(nestedBlankets, state, 5).at(-1), start);
+  assert.notDeepEqual(run(nestedBlankets, state, 5, { animateFlow: true }).at(-1), start);
+});
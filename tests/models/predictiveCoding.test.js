@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as predictiveCoding from '../../src/models/predictiveCoding.js';
+import { seededRandom, run } from './helpers.js';
+
+const mean = xs => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+
+// Mean prediction error per level over a minute, after the first 10 s
+function settledErrors(inputType, learningRate, seed) {
+  const state = predictiveCoding.init({ inputType, learningRate, width: 600, height: 400 }, seededRandom(seed));
+  const samples = run(predictiveCoding, state, 60).slice(10);
+  return {
+    errors: [0, 1, 2].map(level => mean(samples.map(s => s.errors[level]))),
+    totalError: mean(samples.map(s => s.totalError)),
+  };
+}
+
+test('updating beliefs from prediction errors reduces them', () => {
+  for (const inputType of ['sine', 'step']) {
+    const fixed = settledErrors(inputType, 0, 1).totalError;
+    const learning = settledErrors(inputType, 0.1, 1).totalError;
+    assert.ok(learning < fixed * 0.75, `${inputType}: ${learning} vs ${fixed}`);
+  }
+});
+
+test('the hierarchy predicts its sensory input better than a fixed one', () => {
+  for (const inputType of ['sine', 'random']) {
+    assert.ok(settledErrors(inputType, 0.1, 2).errors[0] < settledErrors(inputType, 0, 2).errors[0], inputType);
+  }
+});
+
+test('sensory activity follows the input', () => {
+  const state = predictiveCoding.init({ inputType: 'step', width: 600, height: 400 }, seededRandom(3));
+  run(predictiveCoding, state, 5);
+  const sensory = predictiveCoding.getNodesAtLevel(state.nodes, 0);
+  const peak = sensory.reduce((best, n) => (n.activity > best.activity ? n : best));
+  assert.equal(peak.targetActivity, 0.9);
+  sensory.filter(n => n !== peak).forEach(n => assert.ok(n.activity < peak.activity));
+});
+
+test('activity stays within 0..1', () => {
+  const state = predictiveCoding.init({ inputType: 'random', learningRate: 0.5, width: 600, height: 400 }, seededRandom(4));
+  run(predictiveCoding, state, 30);
+  state.nodes.forEach(n => assert.ok(n.activity >= 0 && n.activity <= 1));
+});
+
+test('same seed, same trajectory', () => {
+  const a = run(predictiveCoding, predictiveCoding.init({ inputType: 'random', width: 600, height: 400 }, seededRandom(5)), 10);
+  const b = run(predictiveCoding, predictiveCoding.init({ inputType: 'random', width: 600, height: 400 }, seededRandom(5)), 10);
+  assert.deepEqual(a, b);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeSnapshot, restoreSnapshot } from '../../src/models/snapshot.js';
+import * as metaModeling from '../../src/models/metaModeling.js';
+import { seededRandom, run, MODELS } from './helpers.js';
+
+// A run interrupted after 2 s, serialized through JSON
+function interruptedRun(model, params, act) {
+  const state = model.init(params, seededRandom(1));
+  run(model, state, 1);
+  act?.(state);
+  run(model, state, 1);
+  return { state, snapshot: JSON.parse(JSON.stringify(takeSnapshot(model, state))) };
+}
+
+for (const [name, [model, params, act]] of Object.entries(MODELS)) {
+  test(`${name}: a restored snapshot carries on exactly as the original run`, () => {
+    const { state, snapshot } = interruptedRun(model, params, act);
+    const restored = restoreSnapshot(model, model.init(params, seededRandom(99)), snapshot);
+
+    assert.deepEqual(run(model, restored, 3), run(model, state, 3));
+  });
+}
+
+test('a snapshot can be restored more than once', () => {
+  const [model, params, act] = MODELS.morphogenesis;
+  const { snapshot } = interruptedRun(model, params, act);
+  const copy = structuredClone(snapshot);
+
+  const first = restoreSnapshot(model, model.init(params, seededRandom(2)), snapshot);
+  const firstRun = run(model, first, 2);
+  const second = restoreSnapshot(model, model.init(params, seededRandom(3)), snapshot);
+
+  assert.deepEqual(snapshot, copy);
+  assert.deepEqual(run(model, second, 2), firstRun);
+});
+
+test('meta-models still track their subjects after a restore', () => {
+  const params = { width: 600, height: 400 };
+  const { snapshot } = interruptedRun(metaModeling, params);
+  const restored = restoreSnapshot(metaModeling, metaModeling.init(params, seededRandom(5)), snapshot);
+
+  for (const agent of restored.agents) {
+    assert.ok(agent instanceof metaModeling.Agent);
+    for (const inner of agent.innerAgents) {
+      assert.equal(inner.parent, agent);
+      assert.ok(restored.agents.includes(inner.subject));
+    }
+  }
+});
+
+test('changing the pattern after restoring grows the new pattern, not the linked one', () => {
+  const [model, params, act] = MODELS.morphogenesis;
+  const { snapshot } = interruptedRun(model, params, act);
+  // Restoring again would pin the linked pattern over the new one; the sim
+  // drops its snapshot once another pattern is picked
+  const pinned = restoreSnapshot(model, model.init({ ...params, pattern: 'circle' }, seededRandom(1)), snapshot);
+  assert.equal(pinned.pattern, 'stripes');
+
+  const changed = model.init({ ...params, pattern: 'circle' }, seededRandom(1));
+  assert.equal(changed.pattern, 'circle');
+  const before = model.observe(changed).error;
+  assert.ok(run(model, changed, 20).at(-1).error < before / 2);
+});
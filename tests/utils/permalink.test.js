@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  simulationQuery, parseSimulationQuery, encodeSnapshot, decodeSnapshot, hasSnapshot,
+} from '../../src/utils/permalink.js';
+import { takeSnapshot } from '../../src/models/snapshot.js';
+import * as morphogenesis from '../../src/models/morphogenesis.js';
+import { seededRandom, run } from '../models/helpers.js';
+
+test('a link keeps the seed and only the params that differ from the defaults', () => {
+  const query = simulationQuery('morphogenesis', {
+    params: { pattern: 'stripes', gapJunctionStrength: 0.12, noise: 0.01, unknown: 3, running: true },
+    seed: 42,
+  });
+
+  assert.equal(query, 'sim=morphogenesis&seed=42&pattern=stripes&noise=0.01');
+  assert.deepEqual(parseSimulationQuery('morphogenesis', new URLSearchParams(query)), {
+    params: { pattern: 'stripes', noise: 0.01 },
+    seed: 42,
+    errors: [],
+  });
+});
+
+test('parsing a link reports bad seeds and params', () => {
+  const { params, seed, errors } = parseSimulationQuery('annealing', new URLSearchParams('seed=-3&precision=high&showTrajectory=no'));
+  assert.deepEqual(params, { showTrajectory: false });
+  assert.equal(seed, undefined);
+  assert.equal(errors.length, 2);
+});
+
+test('snapshots survive the round trip through a link hash', async () => {
+  const params = { pattern: 'stripes', gapJunctionStrength: 0.12, targetAttraction: 0.08, noise: 0.003, width: 320, height: 240 };
+  const state = morphogenesis.init(params, seededRandom(1));
+  morphogenesis.damage(state, 20, 15, 4);
+  run(morphogenesis, state, 1);
+  const snapshot = { width: 320, height: 240, ...takeSnapshot(morphogenesis, state) };
+
+  const hash = await encodeSnapshot(snapshot);
+  assert.ok(hasSnapshot(hash));
+  assert.match(hash, /^#state=[\w-]+$/);
+  assert.deepEqual(await decodeSnapshot(hash), JSON.parse(JSON.stringify(snapshot)));
+});
+
+test('a damaged hash is rejected', async () => {
+  const hash = await encodeSnapshot({ width: 10, height: 10, data: { a: 1 }, rng: 5 });
+  await assert.rejects(decodeSnapshot(hash.slice(0, -4)));
+  await assert.rejects(decodeSnapshot('#section-2'));
+});
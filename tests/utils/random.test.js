@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, randomSeed, parseSeed } from '../../src/utils/random.js';
+
+function draw(rng, n) {
+  return Array.from({ length: n }, () => rng());
+}
+
+test('the same seed gives the same sequence', () => {
+  assert.deepEqual(draw(createRandom(42), 100), draw(createRandom(42), 100));
+});
+
+test('different seeds give different sequences', () => {
+  assert.notDeepEqual(draw(createRandom(1), 10), draw(createRandom(2), 10));
+});
+
+test('draws are in [0, 1) and roughly uniform', () => {
+  const values = draw(createRandom(7), 10000);
+  assert.ok(values.every(v => v >= 0 && v < 1));
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.02, `mean ${mean}`);
+});
+
+test('fresh seeds are valid seeds', () => {
+  for (let i = 0; i < 100; i++) {
+    const seed = randomSeed();
+    assert.equal(parseSeed(String(seed)), seed);
+  }
+});
+
+test('parseSeed takes non-negative integers only', () => {
+  assert.equal(parseSeed('123'), 123);
+  assert.equal(parseSeed(' 7 '), 7);
+  assert.equal(parseSeed(0), 0);
+  for (const bad of ['', 'abc', '-1', '1.5', '1e3', '99999999', null, undefined]) {
+    assert.equal(parseSeed(bad), undefined, String(bad));
+  }
+});
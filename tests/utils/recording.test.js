@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRecording, recordSample, recordingToCSV, recordingToJSON,
+} from '../../src/utils/recording.js';
+import { FRAME_DT } from '../../src/models/clock.js';
+import * as fatigueRecovery from '../../src/models/fatigueRecovery.js';
+import * as freeEnergy from '../../src/models/freeEnergy.js';
+import * as configAwareNav from '../../src/models/configAwareNav.js';
+import { seededRandom, MODELS } from '../models/helpers.js';
+
+const META = { simId: 'fatigue-recovery', params: { mode: 'working' }, seed: 7, appVersion: '1.0.0' };
+
+// Step frame by frame for `seconds`, sampling after every frame
+function record(model, state, seconds, sampleRate, inputs) {
+  const recording = createRecording(model.OBSERVABLES, { ...META, sampleRate });
+  for (let i = 0; i < Math.round(seconds / FRAME_DT); i++) {
+    model.step(state, FRAME_DT, inputs);
+    recordSample(recording, model, state);
+  }
+  return recording;
+}
+
+for (const [name, [model, params, act]] of Object.entries(MODELS)) {
+  test(`${name}: every declared observable is something the model observes`, () => {
+    const state = model.init(params, seededRandom(1));
+    act?.(state);
+    model.step(state, 1);
+    const observed = model.observe(state);
+
+    assert.ok(Object.keys(model.OBSERVABLES).length > 0);
+    for (const path of Object.keys(model.OBSERVABLES)) {
+      assert.notEqual(path.split('.').reduce((value, key) => value?.[key], observed), undefined, path);
+    }
+  });
+}
+
+test('samples fall on a fixed grid of simulated time', () => {
+  const state = fatigueRecovery.init({ mode: 'working', width: 600, height: 400 }, seededRandom(1));
+  fatigueRecovery.step(state, 0.25);
+  const { samples } = record(fatigueRecovery, state, 2, 5, { mode: 'working' });
+
+  assert.deepEqual(samples.map(s => s.t), [0.4, 0.6, 0.8, 1, 1.2, 1.4, 1.6, 1.8, 2, 2.2]);
+  assert.ok(samples.at(-1).waste > samples[0].waste);
+});
+
+test('sample times stepped past between calls are counted as dropped', () => {
+  const state = fatigueRecovery.init({ mode: 'working', width: 600, height: 400 }, seededRandom(1));
+  const recording = createRecording(fatigueRecovery.OBSERVABLES, { ...META, sampleRate: 10 });
+  for (const dt of [0.1, 0.1, 0.1, 0.5, 0.1]) {
+    fatigueRecovery.step(state, dt, { mode: 'working' });
+    recordSample(recording, fatigueRecovery, state);
+  }
+
+  assert.deepEqual(recording.samples.map(s => s.t), [0.1, 0.2, 0.3, 0.8, 0.9]);
+  assert.equal(recording.meta.droppedSamples, 4);
+  assert.deepEqual(recording.gaps, [[0.3, 0.8]]);
+  assert.ok(recordingToCSV(recording).includes('# droppedSamples: 4\n# gaps: [[0.3,0.8]]\n'));
+  assert.deepEqual(JSON.parse(recordingToJSON(recording)).gaps, [[0.3, 0.8]]);
+});
+
+test('nothing is recorded while the simulation is paused', () => {
+  const state = freeEnergy.init({ width: 600, height: 400 }, seededRandom(1));
+  const recording = createRecording(freeEnergy.OBSERVABLES, { ...META, sampleRate: 60 });
+  for (let i = 0; i < 10; i++) recordSample(recording, freeEnergy, state);
+  assert.equal(recording.samples.length, 1);
+});
+
+test('CSV carries the metadata, a header and one row per sample', () => {
+  const state = fatigueRecovery.init({ mode: 'working', width: 600, height: 400 }, seededRandom(1));
+  const recording = record(fatigueRecovery, state, 1, 10, { mode: 'working' });
+  const lines = recordingToCSV(recording).trim().split('\n');
+
+  assert.ok(lines.includes('# simId: fatigue-recovery'));
+  assert.ok(lines.includes('# params: {"mode":"working"}'));
+  assert.ok(lines.includes('# seed: 7'));
+  assert.ok(lines.includes('# appVersion: 1.0.0'));
+  const header = lines.findIndex(line => !line.startsWith('#'));
+  assert.equal(lines[header], ['t', ...Object.keys(fatigueRecovery.OBSERVABLES)].join(','));
+  assert.equal(lines.length - header - 1, recording.samples.length);
+  assert.equal(lines[header + 1].split(',').length, Object.keys(fatigueRecovery.OBSERVABLES).length + 1);
+});
+
+test('JSON carries the metadata and samples keyed by observable', () => {
+  const state = configAwareNav.init({ width: 300, height: 400 }, seededRandom(1));
+  const recording = record(configAwareNav, state, 1, 10);
+  const data = JSON.parse(recordingToJSON(recording));
+
+  assert.equal(data.simId, META.simId);
+  assert.equal(data.seed, 7);
+  assert.equal(data.sampleRate, 10);
+  assert.deepEqual(Object.keys(data.observables), Object.keys(configAwareNav.OBSERVABLES));
+  assert.equal(data.samples.length, 10);
+  assert.equal(data.droppedSamples, 0);
+  assert.deepEqual(data.gaps, []);
+  assert.deepEqual(Object.keys(data.samples[0]), ['t', ...Object.keys(configAwareNav.OBSERVABLES)]);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex } from '../../scripts/buildSearchIndex.js';
+import { searchIndex, getNoteSectionText } from '../../src/utils/search.js';
+
+const BODY = 'Surprise is bounded by the free energy of a generative model. '.repeat(12);
+const notes = {
+  'concepts/free-energy': {
+    title: 'Free Energy',
+    folder: 'concepts',
+    content: `# Free Energy\n\nThe principle in brief.\n\n## Bounds\n\n${BODY}\nA closing remark on [[markov-blanket|blankets]].\n`,
+  },
+};
+
+test('note documents store an excerpt, not their text', () => {
+  const index = buildSearchIndex(notes);
+  const docs = index.docs.filter(doc => doc.type === 'note');
+
+  assert.deepEqual(docs.map(doc => [doc.id, doc.noteId, doc.slug]), [
+    ['concepts/free-energy', 'concepts/free-energy', null],
+    ['concepts/free-energy#bounds', 'concepts/free-energy', 'bounds'],
+  ]);
+  for (const doc of docs) {
+    assert.equal(doc.text, undefined);
+    assert.ok(doc.excerpt.length <= 161, doc.excerpt);
+  }
+  assert.ok(!JSON.stringify(index).includes('closing remark'));
+});
+
+test('text past the excerpt is still found, and its snippet comes from the note', () => {
+  const index = buildSearchIndex(notes);
+  const [result] = searchIndex(index, 'closing remark');
+  assert.equal(result.doc.id, 'concepts/free-energy#bounds');
+
+  const text = getNoteSectionText(notes['concepts/free-energy'].content, result.doc.slug);
+  assert.ok(text.endsWith('A closing remark on blankets.'), text);
+  assert.equal(getNoteSectionText(notes['concepts/free-energy'].content, null), 'The principle in brief.');
+  assert.equal(getNoteSectionText(notes['concepts/free-energy'].content, 'gone'), null);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLink } from '../../src/utils/vaultParser.js';
+
+const notes = {
+  'concepts/h-omega': { title: 'H Omega' },
+  'concepts/fep/h-omega': { title: 'H Omega (FEP)' },
+  'concepts/fep/markov-blanket': { title: 'Markov Blanket' },
+  'research/notes': { title: 'Notes' },
+  'notes': { title: 'Notes' },
+  'meta/index': { title: 'Index' },
+};
+
+test('a basename shared at different depths resolves to the shortest path', () => {
+  assert.deepEqual(resolveLink('h-omega', notes, { from: 'meta/index' }), {
+    id: 'concepts/h-omega',
+    candidates: ['concepts/h-omega', 'concepts/fep/h-omega'],
+    ambiguous: true,
+  });
+});
+
+test('a note in the linking note\'s folder wins over a shorter path', () => {
+  assert.equal(resolveLink('h-omega', notes, { from: 'concepts/fep/markov-blanket' }).id, 'concepts/fep/h-omega');
+});
+
+test('a bare name matching a root note is ranked with the others', () => {
+  assert.equal(resolveLink('notes', notes, { from: 'research/other' }).id, 'research/notes');
+  assert.equal(resolveLink('notes', notes, { from: 'meta/index' }).id, 'notes');
+});
+
+test('a full vault path resolves to that note alone', () => {
+  assert.deepEqual(resolveLink('concepts/fep/h-omega', notes, { from: 'concepts/other' }), {
+    id: 'concepts/fep/h-omega',
+    candidates: ['concepts/fep/h-omega'],
+    ambiguous: false,
+  });
+});